@@ -0,0 +1,242 @@
+/**
+ * Forge Adapters
+ *
+ * Binds the flow engine's Jira, storage and HTTP adapter interfaces to the
+ * Forge platform APIs. All Jira requests are made on behalf of the current user.
+ */
+
+import api, { route, storage, fetch, startsWith } from '@forge/api';
+
+// Largest page a Forge storage query returns
+const STORAGE_QUERY_PAGE_SIZE = 20;
+
+const JSON_HEADERS = {
+    'Accept': 'application/json',
+    'Content-Type': 'application/json'
+};
+
+/**
+ * Create a Jira adapter backed by `api.asUser().requestJira`
+ * @returns {Object} Jira adapter
+ */
+export function createForgeJiraAdapter() {
+    const requestJira = (path, options = {}) => api.asUser().requestJira(path, {
+        ...options,
+        headers: {
+            'Accept': 'application/json',
+            ...(options.headers || {})
+        }
+    });
+
+    return {
+        /**
+         * Fetch an issue
+         * @param {string} issueKey - The Jira issue key
+         */
+        getIssue: (issueKey) => requestJira(route`/rest/api/3/issue/${issueKey}`),
+
+        /**
+         * Search for issues with JQL
+         * @param {Object} body - Search payload (`{ jql, maxResults, fields }`)
+         */
+        searchIssues: (body) => requestJira(route`/rest/api/3/search/jql`, {
+            method: 'POST',
+            headers: JSON_HEADERS,
+            body: JSON.stringify(body)
+        }),
+
+        /**
+         * Fetch all field definitions
+         */
+        getFields: () => requestJira(route`/rest/api/3/field`),
+
+        /**
+         * Update an issue with a `fields` and/or `update` payload
+         * @param {string} issueKey - The Jira issue key
+         * @param {Object} body - Request body
+         */
+        updateIssue: (issueKey, body) => requestJira(route`/rest/api/3/issue/${issueKey}`, {
+            method: 'PUT',
+            headers: JSON_HEADERS,
+            body: JSON.stringify(body)
+        }),
+
+        /**
+         * Add a comment to an issue
+         * @param {string} issueKey - The Jira issue key
+         * @param {Object} body - Comment payload (`{ body: adf }`)
+         */
+        addComment: (issueKey, body) => requestJira(route`/rest/api/3/issue/${issueKey}/comment`, {
+            method: 'POST',
+            headers: JSON_HEADERS,
+            body: JSON.stringify(body)
+        }),
+
+        /**
+         * Delete a comment from an issue
+         * @param {string} issueKey - The Jira issue key
+         * @param {string} commentId - The comment ID
+         */
+        deleteComment: (issueKey, commentId) => requestJira(route`/rest/api/3/issue/${issueKey}/comment/${commentId}`, {
+            method: 'DELETE'
+        }),
+
+        /**
+         * Fetch the transitions available for an issue in its current status
+         * @param {string} issueKey - The Jira issue key
+         */
+        getTransitions: (issueKey) => requestJira(route`/rest/api/3/issue/${issueKey}/transitions`),
+
+        /**
+         * Transition an issue
+         * @param {string} issueKey - The Jira issue key
+         * @param {Object} body - Transition payload (`{ transition: { id }, fields }`)
+         */
+        transitionIssue: (issueKey, body) => requestJira(route`/rest/api/3/issue/${issueKey}/transitions`, {
+            method: 'POST',
+            headers: JSON_HEADERS,
+            body: JSON.stringify(body)
+        }),
+
+        /**
+         * Create an issue
+         * @param {Object} body - Issue payload (`{ fields }`)
+         */
+        createIssue: (body) => requestJira(route`/rest/api/3/issue`, {
+            method: 'POST',
+            headers: JSON_HEADERS,
+            body: JSON.stringify(body)
+        }),
+
+        /**
+         * Link two issues
+         * @param {Object} body - Link payload (`{ type: { name }, inwardIssue: { key }, outwardIssue: { key } }`)
+         */
+        createIssueLink: (body) => requestJira(route`/rest/api/3/issueLink`, {
+            method: 'POST',
+            headers: JSON_HEADERS,
+            body: JSON.stringify(body)
+        }),
+
+        /**
+         * Fetch all issue link types
+         */
+        getIssueLinkTypes: () => requestJira(route`/rest/api/3/issueLinkType`),
+
+        /**
+         * Fetch the watchers of an issue
+         * @param {string} issueKey - The Jira issue key
+         */
+        getWatchers: (issueKey) => requestJira(route`/rest/api/3/issue/${issueKey}/watchers`),
+
+        /**
+         * Add a watcher to an issue
+         * @param {string} issueKey - The Jira issue key
+         * @param {string} accountId - The watcher's account ID
+         */
+        addWatcher: (issueKey, accountId) => requestJira(route`/rest/api/3/issue/${issueKey}/watchers`, {
+            method: 'POST',
+            headers: JSON_HEADERS,
+            body: JSON.stringify(accountId)
+        }),
+
+        /**
+         * Fetch a page of the active members of a group
+         * @param {string} groupId - The group ID
+         * @param {number} startAt - Index of the first member to return
+         */
+        getGroupMembers: (groupId, startAt = 0) => requestJira(
+            route`/rest/api/3/group/member?groupId=${groupId}&startAt=${startAt}&maxResults=50&includeInactiveUsers=false`
+        ),
+
+        /**
+         * Assign an issue to a user
+         * @param {string} issueKey - The Jira issue key
+         * @param {string|null} accountId - The assignee's account ID (null to unassign)
+         */
+        assignIssue: (issueKey, accountId) => requestJira(route`/rest/api/3/issue/${issueKey}/assignee`, {
+            method: 'PUT',
+            headers: JSON_HEADERS,
+            body: JSON.stringify({ accountId })
+        }),
+
+        /**
+         * Fetch a project (including its lead)
+         * @param {string} projectKey - The project key or ID
+         */
+        getProject: (projectKey) => requestJira(route`/rest/api/3/project/${projectKey}`),
+
+        /**
+         * Fetch a project component (including its lead)
+         * @param {string} componentId - The component ID
+         */
+        getComponent: (componentId) => requestJira(route`/rest/api/3/component/${componentId}`),
+
+        /**
+         * Fetch a user by account ID
+         * @param {string} accountId - The Atlassian account ID
+         */
+        getUser: (accountId) => requestJira(route`/rest/api/3/user?accountId=${accountId}`),
+
+        /**
+         * Fetch the groups a user belongs to
+         * @param {string} accountId - The Atlassian account ID
+         */
+        getUserGroups: (accountId) => requestJira(route`/rest/api/3/user/groups?accountId=${accountId}`),
+
+        /**
+         * Fetch the users and groups in a project role
+         * @param {string} projectKey - The project key or ID
+         * @param {string} roleId - The project role ID
+         */
+        getProjectRole: (projectKey, roleId) => requestJira(route`/rest/api/3/project/${projectKey}/role/${roleId}`),
+
+        /**
+         * Check the current user's permissions on an issue
+         * @param {string} issueKey - The Jira issue key
+         * @param {Array<string>} permissions - Permission keys, e.g. ['EDIT_ISSUES']
+         */
+        getMyPermissions: (issueKey, permissions) =>
+            requestJira(route`/rest/api/3/mypermissions?issueKey=${issueKey}&permissions=${permissions.join(',')}`)
+    };
+}
+
+/**
+ * Storage adapter backed by Forge app storage
+ */
+export const forgeStorageAdapter = {
+    get: (key) => storage.get(key),
+    set: (key, value) => storage.set(key, value),
+    delete: (key) => storage.delete(key),
+    getSecret: (key) => storage.getSecret(key),
+    setSecret: (key, value) => storage.setSecret(key, value),
+    deleteSecret: (key) => storage.deleteSecret(key),
+
+    /**
+     * List the entries whose key starts with a prefix, following the query cursor page by page
+     * @param {string} prefix - Key prefix
+     * @returns {Promise<Array>} `[{ key, value }]`
+     */
+    list: async (prefix) => {
+        const entries = [];
+        let cursor = null;
+        do {
+            let query = storage.query().where('key', startsWith(prefix)).limit(STORAGE_QUERY_PAGE_SIZE);
+            if (cursor) {
+                query = query.cursor(cursor);
+            }
+            const page = await query.getMany();
+            entries.push(...page.results);
+            cursor = page.nextCursor;
+        } while (cursor);
+        return entries;
+    }
+};
+
+/**
+ * HTTP adapter backed by Forge's egress-controlled `fetch`
+ * Target hosts must be allowed under `permissions.external.fetch.backend` in manifest.yml.
+ */
+export const forgeHttpAdapter = {
+    fetch: (url, options) => fetch(url, options)
+};
@@ -0,0 +1,945 @@
+/**
+ * Action Execution
+ *
+ * Implements the Jira operations performed by action nodes. All Jira access
+ * goes through the injected Jira adapter, so these functions can run against
+ * a fake adapter outside of Forge. Action values may contain `{{ }}`
+ * placeholders (see templates.js), which are filled in before the action runs.
+ */
+
+import { evaluateDateExpression } from '../utils/dateExpressionEvaluator.js';
+import { markdownToAdf } from '../utils/markdownToAdf.js';
+import { isDateField, formatJiraDate } from './fieldMetadata.js';
+import { createTemplateRenderer, findTemplateProblems, getAnswerLabel } from './templates.js';
+import { resolveAssignee, ASSIGNEE_SOURCES } from './assignees.js';
+import { resolveLinkTargets, LINK_TARGET_SOURCES } from './linkTargets.js';
+import { resolveWatchers, WATCHER_SOURCES } from './watchers.js';
+import { sendWebhook, getWebhookHost, isAllowedWebhookHost, WEBHOOK_LIMITS } from './webhooks.js';
+import { loadWebhookSecret } from './webhookSecrets.js';
+import { getAnswerIterations } from './iterations.js';
+
+// Action node settings that may contain template placeholders
+const TEMPLATE_SETTINGS = [
+    { key: 'fieldValue', name: 'Field value' },
+    { key: 'label', name: 'Label' },
+    { key: 'comment', name: 'Comment text' },
+    { key: 'summary', name: 'Summary' },
+    { key: 'description', name: 'Description' },
+    { key: 'targetIssueKey', name: 'Issue to link' },
+    { key: 'targetJql', name: 'JQL' },
+    { key: 'webhookUrl', name: 'Webhook URL' },
+    { key: 'webhookOutcome', name: 'Outcome' }
+];
+
+// How a Create Issue action relates the new issue to the current one
+const CREATE_MODES = ['subtask', 'linked', 'project'];
+
+/**
+ * Execute an action node
+ * @param {Object} jira - Jira adapter
+ * @param {string} issueKey - The Jira issue key
+ * @param {Object} actionNode - The action node object
+ * @param {Object} answers - All user answers
+ * @param {Object} context - The request context
+ * @param {Object} execution - The rest of the execution (all optional)
+ * @param {Object} execution.flow - The flow definition (used to resolve answer labels in templates)
+ * @param {Object} execution.createdIssues - Keys of issues created earlier in the execution, by action node ID
+ * @param {Object} execution.answerIterations - Answers per pass through looped questions, by node ID
+ * @param {Array<string>} execution.path - IDs of the nodes visited so far
+ * @param {Object} execution.http - HTTP adapter (for webhooks)
+ * @param {Object} execution.storage - Storage adapter (for webhook signing secrets)
+ * @param {Object} execution.deadline - The request's deadline (bounds webhook deliveries)
+ * @param {Date} execution.now - The current date/time, for date expressions and timestamps (defaults to the real time)
+ * @returns {Object} Result object with success status
+ */
+export async function executeAction(jira, issueKey, actionNode, answers, context, execution = {}) {
+    try {
+        const { actionType, fieldKey } = actionNode.data;
+        const { flow = null, createdIssues = {}, answerIterations = {}, now = new Date() } = execution;
+
+        console.log(`Executing action: ${actionType}`);
+
+        // Fill in template placeholders in the action values
+        const render = createTemplateRenderer(jira, issueKey, flow, answers, context, createdIssues, answerIterations);
+        const fieldValue = await render(actionNode.data.fieldValue);
+        const label = await render(actionNode.data.label);
+        const comment = await render(actionNode.data.comment);
+
+        switch (actionType) {
+            case 'setField':
+                return await setIssueField(jira, issueKey, fieldKey, fieldValue, now);
+            case 'addLabel':
+                return await addIssueLabel(jira, issueKey, label);
+            case 'addComment':
+                return await addIssueComment(jira, issueKey, comment, actionNode.data.commentVisibility);
+            case 'transitionIssue': {
+                const { transitionId, transitionName, toStatusName } = actionNode.data;
+                const fields = await renderFieldValues(render, actionNode.data.transitionFields);
+                return await transitionIssue(jira, issueKey, { transitionId, transitionName, toStatusName }, fields);
+            }
+            case 'assignIssue':
+                return await assignIssue(jira, issueKey, actionNode.data, answers, context);
+            case 'createIssue':
+                return await createIssue(jira, issueKey, {
+                    ...actionNode.data,
+                    summary: await render(actionNode.data.summary),
+                    description: await render(actionNode.data.description),
+                    fields: await renderFieldValues(render, actionNode.data.createFields)
+                });
+            case 'linkIssue':
+                return await linkIssue(jira, issueKey, actionNode.data, answers, render);
+            case 'addWatchers':
+                return await addWatchers(jira, issueKey, actionNode.data, answers);
+            case 'webhook':
+                return await sendWebhookAction(issueKey, actionNode, answers, context, execution, render);
+            default:
+                return { success: false, error: `Unknown action type: ${actionType}` };
+        }
+    } catch (error) {
+        console.error('Error executing action:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Describe what an action node will do on an issue before it runs
+ * Only actions whose outcome depends on the issue or answers need a preview.
+ * @param {Object} jira - Jira adapter
+ * @param {string} issueKey - The Jira issue key
+ * @param {Object} actionNode - The action node object
+ * @param {Object} answers - All user answers
+ * @param {Object} context - The request context
+ * @returns {Promise<Object>} Preview, e.g. `{ assignee }` for assignIssue
+ */
+export async function previewAction(jira, issueKey, actionNode, answers, context) {
+    switch (actionNode.data.actionType) {
+        case 'assignIssue':
+            return { assignee: await resolveAssignee(jira, issueKey, actionNode.data, answers, context) };
+        default:
+            return {};
+    }
+}
+
+/**
+ * Check that an action node has the settings its action type needs
+ * @param {Object} data - The action node data
+ * @param {Object} flow - The flow definition (optional, used to check template placeholders)
+ * @returns {Array<string>} Messages describing missing configuration (empty if complete)
+ */
+export function validateActionConfig(data, flow = null) {
+    const { actionType, fieldKey, label, comment } = data;
+    let messages;
+
+    switch (actionType) {
+        case 'setField':
+            messages = fieldKey ? [] : ['Set Field action has no field selected.'];
+            break;
+        case 'addLabel':
+            messages = label && label.trim() !== '' ? [] : ['Add Label action has no label.'];
+            break;
+        case 'addComment': {
+            const visibility = data.commentVisibility;
+            messages = comment && comment.trim() !== '' ? [] : ['Add Comment action has no comment text.'];
+            if (visibility && visibility.type === 'role' && !visibility.value) {
+                messages.push('Add Comment action is restricted to a role but no role is selected.');
+            } else if (visibility && visibility.type === 'group' && !visibility.identifier) {
+                messages.push('Add Comment action is restricted to a group but no group is selected.');
+            }
+            break;
+        }
+        case 'transitionIssue':
+            messages = data.transitionId ? [] : ['Transition Issue action has no transition selected.'];
+            (data.transitionFields || [])
+                .filter(field => !field.fieldKey)
+                .forEach(() => messages.push('Transition Issue action has a screen field with no field selected.'));
+            break;
+        case 'createIssue': {
+            const createMode = data.createMode || 'subtask';
+            messages = [];
+            if (!CREATE_MODES.includes(createMode)) {
+                messages.push(`Create Issue action has an unknown mode: ${createMode}`);
+            }
+            if (createMode === 'project' && !data.targetProjectKey) {
+                messages.push('Create Issue action has no project selected.');
+            }
+            if (createMode === 'linked' && !data.linkTypeName) {
+                messages.push('Create Issue action has no link type selected.');
+            }
+            if (!data.issueTypeName) {
+                messages.push('Create Issue action has no issue type selected.');
+            }
+            if (!data.summary || data.summary.trim() === '') {
+                messages.push('Create Issue action has no summary.');
+            }
+            (data.createFields || [])
+                .filter(field => !field.fieldKey)
+                .forEach(() => messages.push('Create Issue action has a field with no field selected.'));
+            break;
+        }
+        case 'linkIssue': {
+            const source = data.targetSource || 'static';
+            messages = data.linkTypeName ? [] : ['Link Issue action has no link type selected.'];
+            if (!LINK_TARGET_SOURCES.includes(source)) {
+                messages.push(`Link Issue action has an unknown target source: ${source}`);
+            } else if (source === 'static' && !(data.targetIssueKey || '').trim()) {
+                messages.push('Link Issue action has no issue key.');
+            } else if (source === 'jql' && !(data.targetJql || '').trim()) {
+                messages.push('Link Issue action has no JQL query.');
+            } else if (source === 'answer') {
+                messages.push(...validateQuestionReference('Link Issue', data.targetQuestionNodeId, flow));
+            }
+            break;
+        }
+        case 'addWatchers': {
+            const source = data.watcherSource || 'user';
+            messages = [];
+            if (!WATCHER_SOURCES.includes(source)) {
+                messages.push(`Add Watchers action has an unknown watcher source: ${source}`);
+            } else if (source === 'user' && !(data.watchers || []).length) {
+                messages.push('Add Watchers action has no users selected.');
+            } else if (source === 'group' && !data.groupId) {
+                messages.push('Add Watchers action has no group selected.');
+            } else if (source === 'answer') {
+                messages.push(...validateQuestionReference('Add Watchers', data.watcherQuestionNodeId, flow));
+            }
+            break;
+        }
+        case 'webhook': {
+            messages = [];
+            const url = (data.webhookUrl || '').trim();
+            if (!url) {
+                messages.push('Webhook action has no URL.');
+            } else if (!/^(https?:\/\/|\{\{)/i.test(url)) {
+                // A URL starting with a template variable can only be checked when the action runs
+                messages.push('Webhook URL must start with http:// or https://.');
+            } else {
+                const host = getWebhookHost(url);
+                if (host && !isAllowedWebhookHost(host)) {
+                    messages.push(`Webhook host ${host} is not allowed by the app manifest (permissions.external.fetch.backend).`);
+                }
+            }
+            (data.webhookHeaders || [])
+                .filter(header => !header.name || !/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(header.name))
+                .forEach(header => messages.push(`Webhook header name "${header.name || ''}" is not valid.`));
+            Object.entries(WEBHOOK_LIMITS).forEach(([key, limit]) => {
+                const value = data[key];
+                if (value !== undefined && value !== null && value !== ''
+                    && !(Number(value) >= limit.min && Number(value) <= limit.max)) {
+                    messages.push(`Webhook ${key} must be between ${limit.min} and ${limit.max}.`);
+                }
+            });
+            break;
+        }
+        case 'assignIssue': {
+            const source = data.assigneeSource || 'user';
+            messages = [];
+            if (!ASSIGNEE_SOURCES.includes(source)) {
+                messages.push(`Assign Issue action has an unknown assignee source: ${source}`);
+            } else if (source === 'user' && !data.assigneeAccountId) {
+                messages.push('Assign Issue action has no user selected.');
+            } else if (source === 'answer') {
+                messages.push(...validateQuestionReference('Assign Issue', data.assigneeQuestionNodeId, flow));
+            }
+            break;
+        }
+        default:
+            return [actionType ? `Unknown action type: ${actionType}` : 'Action node has no action type selected.'];
+    }
+
+    if (flow) {
+        TEMPLATE_SETTINGS.forEach(({ key, name }) => {
+            findTemplateProblems(data[key], flow).forEach(problem => messages.push(`${name}: ${problem}`));
+        });
+        (data.transitionFields || []).forEach(({ fieldKey: key, value }) => {
+            findTemplateProblems(value, flow).forEach(problem => messages.push(`Screen field ${key}: ${problem}`));
+        });
+        (data.createFields || []).forEach(({ fieldKey: key, value }) => {
+            findTemplateProblems(value, flow).forEach(problem => messages.push(`Field ${key}: ${problem}`));
+        });
+        (data.webhookHeaders || []).forEach(({ name, value }) => {
+            findTemplateProblems(value, flow).forEach(problem => messages.push(`Header ${name}: ${problem}`));
+        });
+    }
+
+    return messages;
+}
+
+/**
+ * Check the question an action takes its value from
+ * @param {string} actionName - Action name for messages, e.g. "Assign Issue"
+ * @param {string} questionNodeId - The configured question node ID
+ * @param {Object} flow - The flow definition (optional)
+ * @returns {Array<string>} Messages (empty if the question is set and in the flow)
+ */
+function validateQuestionReference(actionName, questionNodeId, flow) {
+    if (!questionNodeId) {
+        return [`${actionName} action has no question selected.`];
+    }
+    if (flow && !(flow.nodes || []).some(node => node.id === questionNodeId)) {
+        return [`${actionName} action uses a question that is not in this flow.`];
+    }
+    return [];
+}
+
+/**
+ * Render a list of `{ fieldKey, value }` settings into a Jira `fields` object
+ * @param {Function} render - Template renderer
+ * @param {Array} fieldList - Field settings (rows without a field are skipped)
+ * @returns {Promise<Object>} Field values keyed by field key
+ */
+async function renderFieldValues(render, fieldList = []) {
+    const fields = {};
+    for (const { fieldKey, value } of fieldList) {
+        if (fieldKey) {
+            fields[fieldKey] = parseFieldValue(await render(value));
+        }
+    }
+    return fields;
+}
+
+/**
+ * Parse a field value written as JSON (e.g. `{"name": "Fixed"}` for a
+ * resolution); any other value is used as plain text
+ * @param {any} value - The rendered value
+ * @returns {any} Parsed value
+ */
+function parseFieldValue(value) {
+    if (typeof value !== 'string' || !/^\s*[[{]/.test(value)) {
+        return value;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * Fetch the current fields of an issue, so an action can record what it changes
+ * @param {Object} jira - Jira adapter
+ * @param {string} issueKey - The Jira issue key
+ * @returns {Promise<Object|null>} The issue fields, or null if the issue cannot be read
+ */
+async function fetchIssueFields(jira, issueKey) {
+    try {
+        const response = await jira.getIssue(issueKey);
+        if (!response.ok) {
+            console.warn(`Could not read ${issueKey} before changing it: ${response.status}`);
+            return null;
+        }
+        return (await response.json()).fields || {};
+    } catch (error) {
+        console.error('Error reading issue fields:', error);
+        return null;
+    }
+}
+
+/**
+ * Update a Jira issue field
+ * The field's previous value is recorded in the result (`data.previousValue`) so the change can be reverted.
+ * @param {Object} jira - Jira adapter
+ * @param {string} issueKey - The Jira issue key
+ * @param {string} fieldKey - The field key to update
+ * @param {any} value - The new field value (can be a date expression for date fields)
+ * @param {Date} now - The current date/time date expressions are relative to (defaults to the real time)
+ * @returns {Object} Result object
+ */
+export async function setIssueField(jira, issueKey, fieldKey, value, now = new Date()) {
+    try {
+        console.log(`Setting field ${fieldKey} to ${value} on issue ${issueKey}`);
+
+        // Date fields accept date expressions and any parseable date; Jira expects YYYY-MM-DD
+        let processedValue = value;
+
+        if (typeof value === 'string' && await isDateField(jira, fieldKey)) {
+            // Check if it's a date expression (contains functions or units)
+            if (value.includes('()') || /\d+[dwmy]/.test(value)) {
+                try {
+                    const evaluatedDate = evaluateDateExpression(value, now);
+                    console.log(`Evaluated date expression "${value}" to ${evaluatedDate.toISOString()}`);
+                    processedValue = formatJiraDate(evaluatedDate);
+                    console.log(`Formatted date for Jira: ${processedValue}`);
+                } catch (evalError) {
+                    console.error('Error evaluating date expression:', evalError);
+                    // If evaluation fails, try to use the value as-is
+                    // Jira will reject it if it's invalid
+                }
+            } else {
+                // It's a date field but not an expression, ensure proper format
+                const dateValue = new Date(value);
+                if (!isNaN(dateValue.getTime())) {
+                    processedValue = formatJiraDate(dateValue);
+                    console.log(`Formatted date for Jira: ${processedValue}`);
+                }
+            }
+        }
+
+        const previousFields = await fetchIssueFields(jira, issueKey);
+
+        const response = await jira.updateIssue(issueKey, {
+            fields: {
+                [fieldKey]: processedValue
+            }
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error(`Failed to set field: ${response.status} - ${errorText}`);
+            return { success: false, error: `API error: ${response.status}`, data: errorText };
+        }
+
+        console.log('Field updated successfully');
+        return {
+            success: true,
+            data: {
+                fieldKey,
+                value: processedValue,
+                ...(previousFields ? { previousValue: previousFields[fieldKey] === undefined ? null : previousFields[fieldKey] } : {})
+            }
+        };
+    } catch (error) {
+        console.error('Error setting field:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Add a label to a Jira issue
+ * Whether the issue already had the label is recorded in the result (`data.alreadyPresent`),
+ * so reverting only removes labels that were actually added.
+ * @param {Object} jira - Jira adapter
+ * @param {string} issueKey - The Jira issue key
+ * @param {string} label - The label to add
+ * @returns {Object} Result object
+ */
+export async function addIssueLabel(jira, issueKey, label) {
+    try {
+        console.log(`Adding label ${label} to issue ${issueKey}`);
+
+        const previousFields = await fetchIssueFields(jira, issueKey);
+
+        const response = await jira.updateIssue(issueKey, {
+            update: {
+                labels: [{ add: label }]
+            }
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error(`Failed to add label: ${response.status} - ${errorText}`);
+            return { success: false, error: `API error: ${response.status}`, data: errorText };
+        }
+
+        console.log('Label added successfully');
+        return {
+            success: true,
+            data: {
+                label,
+                ...(previousFields ? { alreadyPresent: (previousFields.labels || []).includes(label) } : {})
+            }
+        };
+    } catch (error) {
+        console.error('Error adding label:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Add a comment to a Jira issue
+ * @param {Object} jira - Jira adapter
+ * @param {string} issueKey - The Jira issue key
+ * @param {string} commentText - The comment text, in Markdown (see utils/markdownToAdf.js)
+ * @param {Object} visibility - Restrict the comment to a project role or group (optional):
+ *   `{ type: 'role', value: roleName }` or `{ type: 'group', identifier: groupId, value: groupName }`
+ * @returns {Object} Result object
+ */
+export async function addIssueComment(jira, issueKey, commentText, visibility = null) {
+    try {
+        console.log(`Adding comment to issue ${issueKey}`);
+
+        const body = { body: markdownToAdf(commentText) };
+        if (visibility && visibility.type) {
+            body.visibility = visibility.type === 'group'
+                ? { type: 'group', identifier: visibility.identifier, value: visibility.value }
+                : { type: 'role', value: visibility.value };
+        }
+
+        const response = await jira.addComment(issueKey, body);
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error(`Failed to add comment: ${response.status} - ${errorText}`);
+            return { success: false, error: `API error: ${response.status}`, data: errorText };
+        }
+
+        const result = await response.json();
+        console.log('Comment added successfully');
+        return { success: true, data: result };
+    } catch (error) {
+        console.error('Error adding comment:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Transition a Jira issue through its workflow
+ *
+ * Transition IDs are only unique within a workflow, and a flow can be bound
+ * to projects with different workflows, so if the configured transition ID is
+ * not available the transition is matched by name and target status instead.
+ *
+ * @param {Object} jira - Jira adapter
+ * @param {string} issueKey - The Jira issue key
+ * @param {Object} transition - The configured transition
+ * @param {string} transition.transitionId - Transition ID
+ * @param {string} transition.transitionName - Transition name
+ * @param {string} transition.toStatusName - Name of the status the transition leads to
+ * @param {Object} fields - Transition screen field values, keyed by field key
+ * @returns {Object} Result object; `data` holds the from/to status
+ */
+export async function transitionIssue(jira, issueKey, { transitionId, transitionName, toStatusName }, fields = {}) {
+    try {
+        console.log(`Transitioning issue ${issueKey} with transition ${transitionName || transitionId}`);
+
+        // Record the status the issue is leaving
+        const issueResponse = await jira.getIssue(issueKey);
+        if (!issueResponse.ok) {
+            return { success: false, error: `Failed to fetch issue: ${issueResponse.status}` };
+        }
+        const issue = await issueResponse.json();
+        const fromStatus = issue.fields && issue.fields.status ? issue.fields.status.name : null;
+
+        const transitionsResponse = await jira.getTransitions(issueKey);
+        if (!transitionsResponse.ok) {
+            const errorText = await transitionsResponse.text();
+            console.error(`Failed to fetch transitions: ${transitionsResponse.status} - ${errorText}`);
+            return { success: false, error: `API error: ${transitionsResponse.status}`, data: errorText };
+        }
+        const { transitions = [] } = await transitionsResponse.json();
+
+        const transition = transitions.find(item => item.id === String(transitionId)) ||
+            transitions.find(item =>
+                item.name === transitionName &&
+                (!toStatusName || (item.to && item.to.name === toStatusName))
+            );
+
+        if (!transition) {
+            const error = `Transition "${transitionName || transitionId}" is not available for ${issueKey} in status "${fromStatus}"`;
+            console.error(error);
+            return { success: false, error, data: { fromStatus } };
+        }
+
+        const body = { transition: { id: transition.id } };
+        if (Object.keys(fields).length > 0) {
+            body.fields = fields;
+        }
+
+        const response = await jira.transitionIssue(issueKey, body);
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error(`Failed to transition issue: ${response.status} - ${errorText}`);
+            return { success: false, error: `API error: ${response.status}`, data: errorText };
+        }
+
+        const toStatus = transition.to ? transition.to.name : toStatusName;
+        console.log(`Issue transitioned from ${fromStatus} to ${toStatus}`);
+        return {
+            success: true,
+            data: {
+                transitionId: transition.id,
+                transitionName: transition.name,
+                fromStatus,
+                toStatus,
+                fields
+            }
+        };
+    } catch (error) {
+        console.error('Error transitioning issue:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Assign a Jira issue to the user resolved from the action's assignee source
+ * @param {Object} jira - Jira adapter
+ * @param {string} issueKey - The Jira issue key
+ * @param {Object} data - The action node data (see assignees.js)
+ * @param {Object} answers - All user answers
+ * @param {Object} context - The request context
+ * @returns {Object} Result object; `data` holds the resolved and previous assignee
+ */
+export async function assignIssue(jira, issueKey, data, answers, context) {
+    try {
+        const assignee = await resolveAssignee(jira, issueKey, data, answers, context);
+        if (assignee.error) {
+            console.error(`Could not resolve assignee: ${assignee.error}`);
+            return { success: false, error: assignee.error };
+        }
+
+        // Record the previous assignee so the change can be traced in the audit log
+        const issueResponse = await jira.getIssue(issueKey);
+        const issue = issueResponse.ok ? await issueResponse.json() : null;
+        const previous = issue && issue.fields ? issue.fields.assignee : null;
+
+        console.log(`Assigning issue ${issueKey} to ${assignee.displayName} (${assignee.source})`);
+        const response = await jira.assignIssue(issueKey, assignee.accountId);
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error(`Failed to assign issue: ${response.status} - ${errorText}`);
+            return { success: false, error: `API error: ${response.status}`, data: errorText };
+        }
+
+        console.log('Issue assigned successfully');
+        return {
+            success: true,
+            data: {
+                ...assignee,
+                previousAssignee: previous
+                    ? { accountId: previous.accountId, displayName: previous.displayName }
+                    : null
+            }
+        };
+    } catch (error) {
+        console.error('Error assigning issue:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Link two issues
+ *
+ * `direction` is read from the point of view of `issueKey`: with `outward`
+ * the issue gets the link type's outward description (e.g. "blocks") towards
+ * `otherIssueKey`, with `inward` it gets the inward one (e.g. "is blocked by").
+ *
+ * @param {Object} jira - Jira adapter
+ * @param {string} issueKey - The issue the link is described from
+ * @param {string} otherIssueKey - The issue at the other end of the link
+ * @param {string} linkTypeName - Issue link type name, e.g. "Blocks"
+ * @param {string} direction - 'outward' or 'inward'
+ * @returns {Object} Result object
+ */
+export async function linkIssues(jira, issueKey, otherIssueKey, linkTypeName, direction = 'outward') {
+    try {
+        console.log(`Linking ${issueKey} ${direction} to ${otherIssueKey} (${linkTypeName})`);
+
+        // Jira gives the inward issue of a link the outward description
+        const [inwardKey, outwardKey] = direction === 'inward'
+            ? [otherIssueKey, issueKey]
+            : [issueKey, otherIssueKey];
+
+        const response = await jira.createIssueLink({
+            type: { name: linkTypeName },
+            inwardIssue: { key: inwardKey },
+            outwardIssue: { key: outwardKey }
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error(`Failed to link issues: ${response.status} - ${errorText}`);
+            return { success: false, error: `API error: ${response.status}`, data: errorText };
+        }
+
+        console.log('Issues linked successfully');
+        return { success: true, data: { issueKey, otherIssueKey, linkTypeName, direction } };
+    } catch (error) {
+        console.error('Error linking issues:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Create a follow-up issue from a Create Issue action
+ *
+ * - `subtask`   A subtask of the current issue
+ * - `linked`    An issue in the current issue's project, linked to it
+ * - `project`   An issue in `targetProjectKey`, optionally linked to the current issue
+ *
+ * @param {Object} jira - Jira adapter
+ * @param {string} issueKey - The current Jira issue key
+ * @param {Object} settings - The action settings, with templates already rendered
+ * @param {string} settings.createMode - 'subtask', 'linked' or 'project'
+ * @param {string} settings.targetProjectKey - Project for the `project` mode
+ * @param {string} settings.issueTypeName - Issue type name
+ * @param {string} settings.summary - Summary of the new issue
+ * @param {string} settings.description - Description of the new issue (Markdown)
+ * @param {Object} settings.fields - Further field values keyed by field key
+ * @param {string} settings.linkTypeName - Link type to link the new issue with (optional except for `linked`)
+ * @param {string} settings.linkDirection - Link direction from the current issue ('outward' or 'inward')
+ * @returns {Object} Result object; `data.issueKey` is the created issue
+ */
+export async function createIssue(jira, issueKey, settings) {
+    try {
+        const {
+            createMode = 'subtask',
+            targetProjectKey,
+            issueTypeName,
+            summary,
+            description,
+            fields = {},
+            linkTypeName,
+            linkDirection = 'outward'
+        } = settings;
+
+        let projectKey = targetProjectKey;
+        if (createMode !== 'project') {
+            const issueResponse = await jira.getIssue(issueKey);
+            if (!issueResponse.ok) {
+                return { success: false, error: `Failed to fetch issue: ${issueResponse.status}` };
+            }
+            const issue = await issueResponse.json();
+            projectKey = issue.fields.project.key;
+        }
+
+        const issueFields = {
+            ...fields,
+            project: { key: projectKey },
+            issuetype: { name: issueTypeName },
+            summary
+        };
+        if (description) {
+            issueFields.description = markdownToAdf(description);
+        }
+        if (createMode === 'subtask') {
+            issueFields.parent = { key: issueKey };
+        }
+
+        console.log(`Creating ${createMode === 'subtask' ? 'subtask' : 'issue'} in ${projectKey} for ${issueKey}`);
+        const response = await jira.createIssue({ fields: issueFields });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error(`Failed to create issue: ${response.status} - ${errorText}`);
+            return { success: false, error: `API error: ${response.status}`, data: errorText };
+        }
+
+        const created = await response.json();
+        console.log(`Created issue ${created.key}`);
+
+        const data = { issueKey: created.key, issueId: created.id, createMode, projectKey, summary };
+
+        if (linkTypeName) {
+            const linkResult = await linkIssues(jira, issueKey, created.key, linkTypeName, linkDirection);
+            if (!linkResult.success) {
+                // The issue exists, so report its key along with the failed link
+                return {
+                    success: false,
+                    error: `Created ${created.key} but could not link it: ${linkResult.error}`,
+                    data
+                };
+            }
+            data.link = linkResult.data;
+        }
+
+        return { success: true, data };
+    } catch (error) {
+        console.error('Error creating issue:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Link the current issue to the issues resolved from the action's target source
+ * @param {Object} jira - Jira adapter
+ * @param {string} issueKey - The current Jira issue key
+ * @param {Object} data - The action node data (see linkTargets.js)
+ * @param {Object} answers - All user answers
+ * @param {Function} render - Template renderer for the static key and JQL
+ * @returns {Object} Result object; `data` lists the linked issues and the link as read from the current issue
+ */
+export async function linkIssue(jira, issueKey, data, answers, render) {
+    try {
+        const targets = await resolveLinkTargets(jira, issueKey, data, answers, render);
+        if (targets.error) {
+            console.error(`Could not resolve issues to link: ${targets.error}`);
+            return { success: false, error: targets.error };
+        }
+
+        const { linkTypeName, linkDirection = 'outward' } = data;
+        const result = {
+            linkTypeName,
+            direction: linkDirection,
+            relation: await describeLinkType(jira, linkTypeName, linkDirection),
+            targetSource: targets.source,
+            linkedIssueKeys: []
+        };
+
+        for (const targetKey of targets.issueKeys) {
+            const linkResult = await linkIssues(jira, issueKey, targetKey, linkTypeName, linkDirection);
+            if (!linkResult.success) {
+                return {
+                    success: false,
+                    error: `Could not link ${targetKey}: ${linkResult.error}`,
+                    data: result
+                };
+            }
+            result.linkedIssueKeys.push(targetKey);
+        }
+
+        return { success: true, data: result };
+    } catch (error) {
+        console.error('Error linking issue:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Get the description of a link type in one direction, e.g. "is blocked by"
+ * @param {Object} jira - Jira adapter
+ * @param {string} linkTypeName - Issue link type name
+ * @param {string} direction - 'outward' or 'inward'
+ * @returns {Promise<string>} The description, or the link type name if it cannot be found
+ */
+async function describeLinkType(jira, linkTypeName, direction) {
+    try {
+        const response = await jira.getIssueLinkTypes();
+        if (response.ok) {
+            const { issueLinkTypes = [] } = await response.json();
+            const linkType = issueLinkTypes.find(type => type.name === linkTypeName);
+            if (linkType) {
+                return direction === 'inward' ? linkType.inward : linkType.outward;
+            }
+        }
+    } catch (error) {
+        console.error('Error fetching issue link types:', error);
+    }
+    return linkTypeName;
+}
+
+/**
+ * Add the users resolved from the action's watcher source as watchers
+ * Users who already watch the issue are left alone.
+ * @param {Object} jira - Jira adapter
+ * @param {string} issueKey - The Jira issue key
+ * @param {Object} data - The action node data (see watchers.js)
+ * @param {Object} answers - All user answers
+ * @returns {Object} Result object; `data` lists the users added, already watching and failed
+ */
+export async function addWatchers(jira, issueKey, data, answers) {
+    try {
+        const resolved = await resolveWatchers(jira, data, answers);
+        if (resolved.error) {
+            console.error(`Could not resolve watchers: ${resolved.error}`);
+            return { success: false, error: resolved.error };
+        }
+
+        const watchersResponse = await jira.getWatchers(issueKey);
+        const current = watchersResponse.ok ? (await watchersResponse.json()).watchers || [] : [];
+        const currentIds = new Set(current.map(watcher => watcher.accountId));
+
+        const result = { source: resolved.source, added: [], alreadyWatching: [], failed: [] };
+
+        for (const user of resolved.users) {
+            if (currentIds.has(user.accountId)) {
+                result.alreadyWatching.push(user);
+                continue;
+            }
+
+            console.log(`Adding watcher ${user.displayName || user.accountId} to ${issueKey}`);
+            const response = await jira.addWatcher(issueKey, user.accountId);
+            if (response.ok) {
+                result.added.push(user);
+            } else {
+                const errorText = await response.text();
+                console.error(`Failed to add watcher: ${response.status} - ${errorText}`);
+                result.failed.push({ ...user, error: `API error: ${response.status}` });
+            }
+        }
+
+        if (result.failed.length > 0) {
+            return {
+                success: false,
+                error: `Could not add ${result.failed.length} of ${resolved.users.length} watchers`,
+                data: result
+            };
+        }
+
+        console.log(`Added ${result.added.length} watchers`);
+        return { success: true, data: result };
+    } catch (error) {
+        console.error('Error adding watchers:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Send a webhook action's payload to its URL
+ *
+ * The payload describes the decision reached so far:
+ * `{ event, flow: { id, version, name }, issueKey, nodeId, outcome,
+ *    answers: [{ nodeId, question, value, label, iterations? }], path, createdIssues, actor, sentAt }`
+ * where `iterations` lists every answer to a question a loop asked more than once.
+ *
+ * @param {string} issueKey - The Jira issue key
+ * @param {Object} actionNode - The webhook action node
+ * @param {Object} answers - All user answers
+ * @param {Object} context - The request context
+ * @param {Object} execution - The rest of the execution (see executeAction)
+ * @param {Function} render - Template renderer for the URL, outcome and headers
+ * @returns {Object} Result object; `data` holds the response status and delivery attempts
+ */
+export async function sendWebhookAction(issueKey, actionNode, answers, context, execution, render) {
+    const { flow = null, createdIssues = {}, answerIterations = {}, path = [], http, storage, deadline = null, now = new Date() } = execution;
+    const { data } = actionNode;
+
+    if (!http) {
+        return { success: false, error: 'Webhooks are not available: no HTTP adapter configured' };
+    }
+
+    const headers = {};
+    for (const { name, value } of data.webhookHeaders || []) {
+        if (name) {
+            headers[name] = String(await render(value));
+        }
+    }
+
+    const questionNodes = ((flow && flow.nodes) || []).filter(node => node.type === 'question');
+    const payload = {
+        event: 'decision-flow.webhook',
+        flow: flow ? { id: flow.id, version: flow.version || null, name: flow.name } : null,
+        issueKey,
+        nodeId: actionNode.id,
+        outcome: (await render(data.webhookOutcome)) || data.label || null,
+        answers: questionNodes
+            .filter(node => answers && answers[node.id] !== undefined)
+            .map(node => {
+                const iterations = getAnswerIterations(answers, answerIterations, node.id);
+                return {
+                    nodeId: node.id,
+                    question: node.data.question || '',
+                    value: answers[node.id],
+                    label: getAnswerLabel(flow, node.id, answers[node.id]),
+                    ...(iterations.length > 1 ? { iterations } : {})
+                };
+            }),
+        path,
+        createdIssues,
+        actor: context && context.accountId ? { accountId: context.accountId } : null,
+        sentAt: now.toISOString()
+    };
+
+    const secret = data.hasSigningSecret && storage && flow
+        ? await loadWebhookSecret(storage, flow.id, actionNode.id)
+        : null;
+    if (data.hasSigningSecret && !secret) {
+        return { success: false, error: 'The webhook signing secret is missing; set it again in the flow builder' };
+    }
+
+    const url = String(await render(data.webhookUrl)).trim();
+    if (!/^https?:\/\/\S+$/i.test(url)) {
+        return { success: false, error: `Webhook URL is not an http(s) URL: "${url}"` };
+    }
+
+    return await sendWebhook(http, {
+        url,
+        headers,
+        payload,
+        secret,
+        timeoutMs: data.timeoutMs,
+        maxRetries: data.maxRetries,
+        retryDelayMs: data.retryDelayMs,
+        deadline
+    });
+}
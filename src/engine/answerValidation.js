@@ -0,0 +1,250 @@
+/**
+ * Answer Validation
+ *
+ * Question nodes may carry a set of rules their answers must meet, stored as
+ * `data.validation`:
+ *
+ * {
+ *   required: boolean,            // all question types (default true; single choice is always required)
+ *   minLength, maxLength: number, // text and long text: number of characters
+ *   pattern: string,              // text and long text: regular expression the whole answer must match
+ *   min, max, step: number,       // number
+ *   minDate, maxDate: string,     // date: a date expression (e.g. "today() + 1d") or an ISO date
+ *   messages: { [rule]: string }  // custom error messages, by rule name
+ * }
+ *
+ * The issue panel checks the same rules before submitting an answer
+ * (static/issue-panel/src/utils/answerValidation.js); `submitAnswer` checks
+ * them again, so a flow can rely on its answers meeting them.
+ */
+
+import { evaluateDateExpression } from '../utils/dateExpressionEvaluator.js';
+
+// The rules each question type supports, besides `required`
+export const QUESTION_TYPE_RULES = {
+    single: [],
+    multiple: [],
+    text: ['minLength', 'maxLength', 'pattern'],
+    longtext: ['minLength', 'maxLength', 'pattern'],
+    number: ['min', 'max', 'step'],
+    date: ['minDate', 'maxDate'],
+    user: [],
+    issue: []
+};
+
+// Tolerance for floating point error when checking a number against its step
+const STEP_TOLERANCE = 1e-9;
+
+/**
+ * Get the validation rules of a question node
+ * @param {Object} node - The question node
+ * @returns {Object} Rules (see above)
+ */
+function getRules(node) {
+    return node.data.validation || {};
+}
+
+/**
+ * Check whether a question must be answered
+ * @param {Object} node - The question node
+ * @returns {boolean} True if an empty answer is refused
+ */
+export function isAnswerRequired(node) {
+    return node.data.questionType === 'single' || getRules(node).required !== false;
+}
+
+/**
+ * Check whether an answer counts as not given
+ * @param {any} answer - The answer
+ * @returns {boolean} True for no answer, blank text or no selected options
+ */
+export function isEmptyAnswer(answer) {
+    return answer === null || answer === undefined ||
+        (typeof answer === 'string' && answer.trim() === '') ||
+        (Array.isArray(answer) && answer.length === 0);
+}
+
+/**
+ * Check whether a rule is set
+ * @param {any} value - The rule's value
+ * @returns {boolean} True unless the rule is left empty
+ */
+function isSet(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Evaluate a date limit to the day it falls on
+ * @param {string} value - A date expression or an ISO date
+ * @param {Date} now - The current time, for date expressions
+ * @returns {Date} A date on that day (UTC)
+ * @throws {Error} If the value is neither
+ */
+export function evaluateDateLimit(value, now) {
+    if (/^\d{4}-\d{2}-\d{2}/.test(value)) {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid date: ${value}`);
+        }
+        return date;
+    }
+
+    // Date expressions evaluate to local time
+    const date = evaluateDateExpression(value, now);
+    return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+}
+
+/**
+ * Format a date as its UTC day
+ * @param {Date} date - The date
+ * @returns {string} YYYY-MM-DD
+ */
+export function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Check an answer against a question's rules
+ * @param {Object} node - The question node
+ * @param {any} answer - The answer, as submitted
+ * @param {Date} now - The current time, for date limits given as date expressions
+ * @returns {string|null} The error message of the first rule the answer breaks, or null if it meets them all
+ */
+export function validateAnswer(node, answer, now = new Date()) {
+    const rules = getRules(node);
+    const messages = rules.messages || {};
+    const fail = (rule, defaultMessage) => messages[rule] || defaultMessage;
+
+    if (isEmptyAnswer(answer)) {
+        const requiredMessage = node.data.questionType === 'multiple'
+            ? 'Please select at least one option'
+            : 'Please provide an answer before submitting';
+        return isAnswerRequired(node) ? fail('required', requiredMessage) : null;
+    }
+
+    switch (node.data.questionType) {
+        case 'text':
+        case 'longtext': {
+            const text = String(answer);
+            if (isSet(rules.minLength) && text.length < Number(rules.minLength)) {
+                return fail('minLength', `Please enter at least ${rules.minLength} characters`);
+            }
+            if (isSet(rules.maxLength) && text.length > Number(rules.maxLength)) {
+                return fail('maxLength', `Please enter no more than ${rules.maxLength} characters`);
+            }
+            if (isSet(rules.pattern)) {
+                let matches = false;
+                try {
+                    matches = new RegExp(`^(?:${rules.pattern})$`).test(text);
+                } catch (error) {
+                    console.error(`Invalid answer pattern on node ${node.id}:`, error);
+                }
+                if (!matches) {
+                    return fail('pattern', 'The answer is not in the expected format');
+                }
+            }
+            return null;
+        }
+
+        case 'number': {
+            const number = Number(answer);
+            if (isNaN(number)) {
+                return 'Please enter a number';
+            }
+            if (isSet(rules.min) && number < Number(rules.min)) {
+                return fail('min', `Please enter a number of at least ${rules.min}`);
+            }
+            if (isSet(rules.max) && number > Number(rules.max)) {
+                return fail('max', `Please enter a number of at most ${rules.max}`);
+            }
+            if (isSet(rules.step) && Number(rules.step) > 0) {
+                const base = isSet(rules.min) ? Number(rules.min) : 0;
+                const steps = (number - base) / Number(rules.step);
+                if (Math.abs(steps - Math.round(steps)) > STEP_TOLERANCE) {
+                    return fail('step', `Please enter a number in steps of ${rules.step}${base !== 0 ? ` from ${base}` : ''}`);
+                }
+            }
+            return null;
+        }
+
+        case 'date': {
+            const date = new Date(answer);
+            if (isNaN(date.getTime())) {
+                return 'Invalid date format. Please provide a valid date.';
+            }
+            try {
+                if (isSet(rules.minDate)) {
+                    const minDate = evaluateDateLimit(rules.minDate, now);
+                    if (formatDate(date) < formatDate(minDate)) {
+                        return fail('minDate', `Please choose a date on or after ${formatDate(minDate)}`);
+                    }
+                }
+                if (isSet(rules.maxDate)) {
+                    const maxDate = evaluateDateLimit(rules.maxDate, now);
+                    if (formatDate(date) > formatDate(maxDate)) {
+                        return fail('maxDate', `Please choose a date on or before ${formatDate(maxDate)}`);
+                    }
+                }
+            } catch (error) {
+                console.error(`Invalid date limit on node ${node.id}:`, error);
+            }
+            return null;
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Check a question's rules themselves, for flow validation
+ * @param {Object} data - The question node data
+ * @returns {Array<string>} Problem descriptions
+ */
+export function validateAnswerRules(data) {
+    const rules = data.validation || {};
+    const supported = QUESTION_TYPE_RULES[data.questionType] || [];
+    const problems = [];
+    const setRules = supported.filter(rule => isSet(rules[rule]));
+    const has = (rule) => setRules.includes(rule);
+
+    ['minLength', 'maxLength'].filter(has).forEach(rule => {
+        const value = Number(rules[rule]);
+        if (!Number.isInteger(value) || value < 0) {
+            problems.push(`Answer ${rule === 'minLength' ? 'minimum' : 'maximum'} length must be a whole number of 0 or more.`);
+        }
+    });
+    if (has('minLength') && has('maxLength') && Number(rules.minLength) > Number(rules.maxLength)) {
+        problems.push('Answer minimum length is greater than the maximum length.');
+    }
+
+    if (has('pattern')) {
+        try {
+            new RegExp(rules.pattern);
+        } catch (error) {
+            problems.push(`Answer pattern is not a valid regular expression: ${error.message}`);
+        }
+    }
+
+    ['min', 'max', 'step'].filter(has).forEach(rule => {
+        if (isNaN(Number(rules[rule]))) {
+            problems.push(`Answer ${rule === 'step' ? 'step' : `${rule}imum`} must be a number.`);
+        }
+    });
+    if (has('step') && Number(rules.step) <= 0) {
+        problems.push('Answer step must be greater than 0.');
+    }
+    if (has('min') && has('max') && Number(rules.min) > Number(rules.max)) {
+        problems.push('Answer minimum is greater than the maximum.');
+    }
+
+    ['minDate', 'maxDate'].filter(has).forEach(rule => {
+        try {
+            evaluateDateLimit(String(rules[rule]), new Date());
+        } catch (error) {
+            problems.push(`Answer ${rule === 'minDate' ? 'earliest' : 'latest'} date "${rules[rule]}" is not a valid date or date expression.`);
+        }
+    });
+
+    return problems;
+}
@@ -0,0 +1,148 @@
+/**
+ * Assignee Resolution
+ *
+ * Works out who an Assign Issue action assigns the issue to. The assignee
+ * is configured by `assigneeSource` on the action node:
+ *
+ * - `user`           A fixed user (`assigneeAccountId`)
+ * - `answer`         The user selected in a question answer (`assigneeQuestionNodeId`)
+ * - `currentUser`    The user running the flow
+ * - `projectLead`    The lead of the issue's project
+ * - `componentLead`  The lead of the issue's component named `componentName`,
+ *                    or of its first component with a lead if no name is set
+ */
+
+export const ASSIGNEE_SOURCES = ['user', 'answer', 'currentUser', 'projectLead', 'componentLead'];
+
+/**
+ * Resolve the assignee of an Assign Issue action
+ * @param {Object} jira - Jira adapter
+ * @param {string} issueKey - The Jira issue key
+ * @param {Object} data - The action node data
+ * @param {Object} answers - All user answers
+ * @param {Object} context - The request context (for the current user)
+ * @returns {Promise<Object>} `{ accountId, displayName, source }` or `{ error }`
+ */
+export async function resolveAssignee(jira, issueKey, data, answers, context) {
+    const source = data.assigneeSource || 'user';
+    let accountId = null;
+
+    switch (source) {
+        case 'user':
+            accountId = data.assigneeAccountId;
+            break;
+        case 'answer':
+            accountId = getAnswerAccountId(answers ? answers[data.assigneeQuestionNodeId] : undefined);
+            if (!accountId) {
+                return { error: 'The question that selects the assignee has not been answered with a user' };
+            }
+            break;
+        case 'currentUser':
+            accountId = context && context.accountId;
+            break;
+        case 'projectLead': {
+            const issue = await fetchIssue(jira, issueKey);
+            const response = await jira.getProject(issue.fields.project.key);
+            if (!response.ok) {
+                return { error: `Failed to fetch project: ${response.status}` };
+            }
+            const project = await response.json();
+            if (!project.lead) {
+                return { error: `Project ${project.key} has no lead` };
+            }
+            return { accountId: project.lead.accountId, displayName: project.lead.displayName, source };
+        }
+        case 'componentLead':
+            return await resolveComponentLead(jira, issueKey, data.componentName, source);
+        default:
+            return { error: `Unknown assignee source: ${source}` };
+    }
+
+    if (!accountId) {
+        return { error: 'No assignee configured' };
+    }
+
+    return { accountId, displayName: await getDisplayName(jira, accountId), source };
+}
+
+/**
+ * Get the account ID from a question answer
+ * Answers may be an account ID, a user object or a list of either (the first is used).
+ * @param {any} answer - The stored answer
+ * @returns {string|null} Account ID
+ */
+function getAnswerAccountId(answer) {
+    const value = Array.isArray(answer) ? answer[0] : answer;
+    if (!value) {
+        return null;
+    }
+    return typeof value === 'object' ? value.accountId || null : String(value);
+}
+
+/**
+ * Resolve the lead of one of the issue's components
+ * @param {Object} jira - Jira adapter
+ * @param {string} issueKey - The Jira issue key
+ * @param {string} componentName - Component to use (optional)
+ * @param {string} source - The assignee source, echoed in the result
+ * @returns {Promise<Object>} `{ accountId, displayName, source }` or `{ error }`
+ */
+async function resolveComponentLead(jira, issueKey, componentName, source) {
+    const issue = await fetchIssue(jira, issueKey);
+    const components = (issue.fields.components || [])
+        .filter(component => !componentName || component.name === componentName);
+
+    if (components.length === 0) {
+        return {
+            error: componentName
+                ? `Issue ${issueKey} does not have the component "${componentName}"`
+                : `Issue ${issueKey} has no components`
+        };
+    }
+
+    for (const component of components) {
+        const response = await jira.getComponent(component.id);
+        if (!response.ok) {
+            return { error: `Failed to fetch component: ${response.status}` };
+        }
+        const { lead } = await response.json();
+        if (lead) {
+            return { accountId: lead.accountId, displayName: lead.displayName, source };
+        }
+    }
+
+    return { error: `No lead is set for the component${componentName ? ` "${componentName}"` : 's of the issue'}` };
+}
+
+/**
+ * Fetch an issue, throwing if it cannot be fetched
+ * @param {Object} jira - Jira adapter
+ * @param {string} issueKey - The Jira issue key
+ * @returns {Promise<Object>} The issue
+ */
+async function fetchIssue(jira, issueKey) {
+    const response = await jira.getIssue(issueKey);
+    if (!response.ok) {
+        throw new Error(`Failed to fetch issue: ${response.status}`);
+    }
+    return await response.json();
+}
+
+/**
+ * Look up a user's display name, falling back to the account ID
+ * @param {Object} jira - Jira adapter
+ * @param {string} accountId - The account ID
+ * @returns {Promise<string>} Display name
+ */
+export async function getDisplayName(jira, accountId) {
+    try {
+        const response = await jira.getUser(accountId);
+        if (response.ok) {
+            const user = await response.json();
+            return user.displayName || accountId;
+        }
+    } catch (error) {
+        console.error('Error fetching user:', error);
+    }
+    return accountId;
+}
@@ -0,0 +1,56 @@
+/**
+ * Audit Logging
+ *
+ * Persists audit entries for executed actions, keyed by issue and flow,
+ * using the injected storage and Jira adapters.
+ */
+
+/**
+ * Build the storage key for an issue/flow audit log
+ * @param {string} issueKey - The Jira issue key
+ * @param {string} flowId - The flow ID
+ * @returns {string} Storage key
+ */
+export function auditKey(issueKey, flowId) {
+    return `audit:${issueKey}:${flowId}`;
+}
+
+/**
+ * Append an audit entry, enriching the actor with their Jira display name
+ * @param {Object} adapters - Adapters object with `storage` and `jira`
+ * @param {string} issueKey - The Jira issue key
+ * @param {string} flowId - The flow ID
+ * @param {Object} entry - The audit log entry
+ */
+export async function logAudit({ storage, jira }, issueKey, flowId, entry) {
+    try {
+        const key = auditKey(issueKey, flowId);
+        const logs = await storage.get(key) || [];
+
+        // Fetch user display name if actor information is available
+        if (entry.actor && entry.actor.accountId) {
+            try {
+                const userResponse = await jira.getUser(entry.actor.accountId);
+
+                if (userResponse.ok) {
+                    const userData = await userResponse.json();
+                    entry.actor.displayName = userData.displayName || 'Unknown User';
+                    entry.actor.emailAddress = userData.emailAddress || null;
+                } else {
+                    console.warn('Failed to fetch user data:', userResponse.status);
+                    entry.actor.displayName = 'Unknown User';
+                }
+            } catch (userError) {
+                console.error('Error fetching user information:', userError);
+                entry.actor.displayName = 'Unknown User';
+            }
+        }
+
+        logs.push(entry);
+
+        await storage.set(key, logs);
+        console.log('Audit log entry added with actor information');
+    } catch (error) {
+        console.error('Error logging audit entry:', error);
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * Condition Groups
+ *
+ * Logic nodes hold a tree of conditions combined with AND/OR groups, where
+ * any group can be negated (NOT):
+ *
+ * Group:     { type: 'group', id, combinator: 'and' | 'or', not: boolean, children: [Group | Condition] }
+ * Condition: { type: 'condition', id, fieldKey, operator, expectedValue, valueSource?, questionNodeId? }
+ *            { type: 'condition', id, conditionType: 'jql', jql }
+ *
+ * Conditions compare a Jira field by default. JQL conditions instead check
+ * whether the current issue matches a JQL query. The query is nested in
+ * parentheses after a restriction to the issue, so queries with unbalanced
+ * parentheses or quotes, which could break out of them, are rejected.
+ *
+ * The tree is stored on the node as `data.conditionGroup`. Logic nodes saved
+ * before condition groups existed hold a single fieldKey/operator/expectedValue
+ * triple directly on `data`; those are read as a one-condition AND group.
+ */
+
+/**
+ * Get the root condition group of a logic node
+ * @param {Object} data - The logic node data
+ * @returns {Object} Root condition group
+ */
+export function getConditionTree(data) {
+    if (data.conditionGroup) {
+        return data.conditionGroup;
+    }
+
+    // Legacy single-condition logic node
+    const { fieldKey, operator, expectedValue, valueSource, questionNodeId } = data;
+    return {
+        type: 'group',
+        id: 'root',
+        combinator: 'and',
+        not: false,
+        children: [{
+            type: 'condition',
+            id: 'condition-1',
+            fieldKey,
+            operator,
+            expectedValue,
+            valueSource,
+            questionNodeId
+        }]
+    };
+}
+
+/**
+ * List every condition in a tree, depth first
+ * @param {Object} tree - Condition group or condition
+ * @returns {Array} Conditions
+ */
+export function collectConditions(tree) {
+    if (!tree) {
+        return [];
+    }
+    if (tree.type !== 'group') {
+        return [tree];
+    }
+    return (tree.children || []).flatMap(collectConditions);
+}
+
+/**
+ * Evaluate a condition tree, short-circuiting AND/OR groups
+ * @param {Object} tree - Condition group or condition
+ * @param {Function} evaluateLeaf - async (condition) => boolean
+ * @returns {Promise<boolean>} Evaluation result
+ */
+export async function evaluateConditionTree(tree, evaluateLeaf) {
+    if (tree.type !== 'group') {
+        return await evaluateLeaf(tree);
+    }
+
+    const children = tree.children || [];
+    let result;
+
+    if (tree.combinator === 'or') {
+        result = false;
+        for (const child of children) {
+            if (await evaluateConditionTree(child, evaluateLeaf)) {
+                result = true;
+                break;
+            }
+        }
+    } else {
+        result = true;
+        for (const child of children) {
+            if (!await evaluateConditionTree(child, evaluateLeaf)) {
+                result = false;
+                break;
+            }
+        }
+    }
+
+    return tree.not ? !result : result;
+}
+
+/**
+ * Check that the parentheses and quotes of a JQL query are balanced
+ * Parentheses inside quoted strings are ignored, and `\` escapes the next character.
+ * @param {string} jql - The JQL query
+ * @returns {string|null} What is unbalanced, or null if the query is balanced
+ */
+export function findUnbalancedJql(jql) {
+    let quote = null;
+    let depth = 0;
+
+    for (let index = 0; index < jql.length; index++) {
+        const char = jql[index];
+        if (quote) {
+            if (char === '\\') {
+                index++;
+            } else if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')' && --depth < 0) {
+            return 'a closing parenthesis has no opening one';
+        }
+    }
+
+    if (quote) {
+        return `a ${quote} quote is not closed`;
+    }
+    return depth > 0 ? 'an opening parenthesis is not closed' : null;
+}
+
+/**
+ * Check a condition tree for incomplete configuration
+ * @param {Object} tree - Root condition group
+ * @returns {Array<string>} Messages describing problems (empty if complete)
+ */
+export function validateConditionTree(tree) {
+    const messages = [];
+
+    const visit = (item) => {
+        if (item.type === 'group') {
+            if (!item.children || item.children.length === 0) {
+                messages.push('Logic node contains an empty condition group.');
+            }
+            (item.children || []).forEach(visit);
+            return;
+        }
+
+        if (item.conditionType === 'jql') {
+            const unbalanced = item.jql ? findUnbalancedJql(item.jql) : null;
+            if (!item.jql || !item.jql.trim()) {
+                messages.push('Logic node has a JQL condition with no query.');
+            } else if (unbalanced) {
+                messages.push(`Logic node has a JQL condition that is not valid: ${unbalanced}.`);
+            }
+            return;
+        }
+
+        if (!item.fieldKey) {
+            messages.push('Logic node has a condition with no field selected.');
+        }
+        if (item.valueSource === 'question' && !item.questionNodeId) {
+            messages.push('Logic node has a condition comparing to a question answer but no question is selected.');
+        }
+    };
+
+    visit(tree);
+    return messages;
+}
@@ -0,0 +1,164 @@
+/**
+ * Condition Evaluation
+ *
+ * Comparison helpers used by logic nodes to evaluate Jira field values
+ * against expected values, including date-aware comparisons that accept
+ * date expressions (e.g., "today() + 7d").
+ */
+
+import { evaluateDateExpression } from '../utils/dateExpressionEvaluator.js';
+
+/**
+ * Reduce a user or issue field value to what identifies it
+ * Users compare by account ID and issues (e.g. the parent) by key, the values user and
+ * issue questions answer with. Other values are returned unchanged.
+ * @param {any} fieldValue - The field value from the issue
+ * @returns {any} The account ID(s), issue key(s) or the value itself
+ */
+export function toComparableValue(fieldValue) {
+    if (Array.isArray(fieldValue)) {
+        return fieldValue.map(toComparableValue);
+    }
+    if (fieldValue && typeof fieldValue === 'object') {
+        if (fieldValue.accountId) {
+            return fieldValue.accountId;
+        }
+        if (fieldValue.key && fieldValue.fields) {
+            return fieldValue.key;
+        }
+    }
+    return fieldValue;
+}
+
+/**
+ * Evaluate a logic condition against issue field value
+ * @param {any} fieldValue - The actual field value from the issue
+ * @param {string} operator - Comparison operator
+ * @param {any} expectedValue - The expected value to compare against
+ * @param {boolean} isDateComparison - Whether this is a date field comparison
+ * @param {Date} now - The current date/time date expressions are relative to (defaults to the real time)
+ * @returns {boolean} Result of the comparison
+ */
+export function evaluateCondition(fieldValue, operator, expectedValue, isDateComparison = false, now = new Date()) {
+    // Handle date comparisons specially
+    if (isDateComparison) {
+        return evaluateDateCondition(fieldValue, operator, expectedValue, now);
+    }
+
+    // Standard comparisons for non-date fields
+    switch (operator) {
+        case 'equals':
+            return fieldValue == expectedValue;
+        case 'notEquals':
+            return fieldValue != expectedValue;
+        case 'contains':
+            return String(fieldValue).includes(String(expectedValue));
+        case 'greaterThan':
+            return Number(fieldValue) > Number(expectedValue);
+        case 'lessThan':
+            return Number(fieldValue) < Number(expectedValue);
+        case 'isEmpty':
+            return !fieldValue || fieldValue === '' || (Array.isArray(fieldValue) && fieldValue.length === 0);
+        case 'isNotEmpty':
+            return !!(fieldValue && fieldValue !== '' && fieldValue !== null && (!Array.isArray(fieldValue) || fieldValue.length > 0));
+        default:
+            console.error(`Unknown operator: ${operator}`);
+            return false;
+    }
+}
+
+/**
+ * Evaluate a date comparison condition
+ * @param {any} fieldValue - The date field value from the issue (ISO string or Date)
+ * @param {string} operator - Comparison operator
+ * @param {any} expectedValue - The expected date value (ISO string, Date, or date expression)
+ * @param {Date} now - The current date/time date expressions are relative to (defaults to the real time)
+ * @returns {boolean} Result of the date comparison
+ */
+export function evaluateDateCondition(fieldValue, operator, expectedValue, now = new Date()) {
+    // Handle isEmpty and isNotEmpty operators
+    if (operator === 'isEmpty') {
+        return !fieldValue || fieldValue === '' || fieldValue === null;
+    }
+    
+    if (operator === 'isNotEmpty') {
+        return !!(fieldValue && fieldValue !== '' && fieldValue !== null);
+    }
+
+    // For other operators, we need both values to be valid dates
+    if (!fieldValue) {
+        console.log('Field value is empty, comparison returns false');
+        return false;
+    }
+
+    // Parse the field value to a Date object
+    let fieldDate;
+    try {
+        fieldDate = new Date(fieldValue);
+        if (isNaN(fieldDate.getTime())) {
+            console.error('Invalid field date value:', fieldValue);
+            return false;
+        }
+    } catch (error) {
+        console.error('Error parsing field date:', error);
+        return false;
+    }
+
+    // Parse the expected value to a Date object
+    // It could be a date expression, ISO string, or Date object
+    let expectedDate;
+    try {
+        // Check if it's a date expression (contains functions or units)
+        if (typeof expectedValue === 'string' && 
+            (expectedValue.includes('()') || /\d+[dwmy]/.test(expectedValue))) {
+            // Evaluate the date expression
+            expectedDate = evaluateDateExpression(expectedValue, now);
+            console.log(`Evaluated date expression "${expectedValue}" to ${expectedDate.toISOString()}`);
+        } else {
+            // Parse as a regular date
+            expectedDate = new Date(expectedValue);
+            if (isNaN(expectedDate.getTime())) {
+                console.error('Invalid expected date value:', expectedValue);
+                return false;
+            }
+        }
+    } catch (error) {
+        console.error('Error parsing expected date:', error);
+        return false;
+    }
+
+    // Normalize dates to day level for equals comparison
+    // This ensures that dates with different times but same day are considered equal
+    const normalizeToDay = (date) => {
+        const normalized = new Date(date);
+        normalized.setHours(0, 0, 0, 0);
+        return normalized;
+    };
+
+    // Perform the comparison based on operator
+    switch (operator) {
+        case 'equals':
+            // Compare at day level (ignore time component)
+            const fieldDay = normalizeToDay(fieldDate);
+            const expectedDay = normalizeToDay(expectedDate);
+            return fieldDay.getTime() === expectedDay.getTime();
+        
+        case 'notEquals':
+            // Compare at day level (ignore time component)
+            const fieldDay2 = normalizeToDay(fieldDate);
+            const expectedDay2 = normalizeToDay(expectedDate);
+            return fieldDay2.getTime() !== expectedDay2.getTime();
+        
+        case 'greaterThan':
+            // Field date is after expected date
+            return fieldDate.getTime() > expectedDate.getTime();
+        
+        case 'lessThan':
+            // Field date is before expected date
+            return fieldDate.getTime() < expectedDate.getTime();
+        
+        default:
+            console.error(`Unsupported date comparison operator: ${operator}`);
+            return false;
+    }
+}
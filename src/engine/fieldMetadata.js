@@ -0,0 +1,103 @@
+/**
+ * Field Metadata Helpers
+ *
+ * Looks up Jira field definitions through the injected Jira adapter so the
+ * engine can apply date-aware behaviour without depending on Forge directly.
+ */
+
+/**
+ * Fetch the definitions of all Jira fields
+ * @param {Object} jira - Jira adapter
+ * @returns {Promise<Array|null>} The field definitions, or null if unavailable
+ */
+async function fetchFields(jira) {
+    const fieldResponse = await jira.getFields();
+    if (!fieldResponse.ok) {
+        return null;
+    }
+    return await fieldResponse.json();
+}
+
+/**
+ * Find a field in a list of field definitions
+ * @param {Array|null} fields - The field definitions
+ * @param {string} fieldKey - The field key or ID
+ * @returns {Object|null} The field definition or null if it is not listed
+ */
+function findField(fields, fieldKey) {
+    return (fields || []).find(f => f.id === fieldKey || f.key === fieldKey) || null;
+}
+
+/**
+ * Check whether a field definition is that of a date or datetime field
+ * @param {Function} getDefinition - async (fieldKey) => field definition or null
+ * @param {string} fieldKey - The field key or ID
+ * @returns {Promise<boolean>} True for date/datetime fields; false otherwise or when metadata is unavailable
+ */
+async function checkDateField(getDefinition, fieldKey) {
+    try {
+        const fieldMetadata = await getDefinition(fieldKey);
+        if (fieldMetadata && fieldMetadata.schema) {
+            const isDate = fieldMetadata.schema.type === 'date' ||
+                           fieldMetadata.schema.type === 'datetime';
+            console.log(`Field ${fieldKey} is date field: ${isDate}`);
+            return isDate;
+        }
+    } catch (fieldError) {
+        console.warn('Could not fetch field metadata, assuming non-date field:', fieldError);
+    }
+    return false;
+}
+
+/**
+ * Look up the definition of a Jira field
+ * @param {Object} jira - Jira adapter
+ * @param {string} fieldKey - The field key or ID
+ * @returns {Promise<Object|null>} The field definition or null if unavailable
+ */
+export async function getFieldDefinition(jira, fieldKey) {
+    return findField(await fetchFields(jira), fieldKey);
+}
+
+/**
+ * Determine whether a Jira field holds a date or datetime value
+ * @param {Object} jira - Jira adapter
+ * @param {string} fieldKey - The field key or ID
+ * @returns {Promise<boolean>} True for date/datetime fields; false otherwise or when metadata is unavailable
+ */
+export async function isDateField(jira, fieldKey) {
+    return await checkDateField(key => getFieldDefinition(jira, key), fieldKey);
+}
+
+/**
+ * Create a field lookup that fetches the field definitions once, on first use
+ * For code that checks several fields, e.g. every condition of a logic node.
+ * @param {Object} jira - Jira adapter
+ * @returns {Object} `{ getFieldDefinition(fieldKey), isDateField(fieldKey) }`, as the functions above
+ */
+export function createFieldLookup(jira) {
+    let fields = null;
+    const getDefinition = async (fieldKey) => {
+        if (!fields) {
+            fields = fetchFields(jira);
+        }
+        return findField(await fields, fieldKey);
+    };
+
+    return {
+        getFieldDefinition: getDefinition,
+        isDateField: (fieldKey) => checkDateField(getDefinition, fieldKey)
+    };
+}
+
+/**
+ * Format a date according to Jira requirements (YYYY-MM-DD)
+ * @param {Date} date - The date to format
+ * @returns {string} Formatted date string
+ */
+export function formatJiraDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
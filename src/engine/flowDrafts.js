@@ -0,0 +1,132 @@
+/**
+ * Flow Drafts
+ *
+ * Admins edit a draft working copy of a flow that can be saved any number of
+ * times without affecting issues. Publishing promotes the draft to a new
+ * immutable revision (see flowVersions.js), which is the only thing the issue
+ * panel and the engine ever see.
+ *
+ * - `flow-draft:{flowId}`   Unpublished working copy, including the `baseVersion` it was edited from
+ *
+ * Publish status of a flow:
+ * - `draft`                 Never published; only a draft exists
+ * - `published`             The head is current; there is no draft
+ * - `unpublishedChanges`    Published, with a draft that has not been published yet
+ */
+
+import { flowKey, flowDraftKey } from './storageKeys.js';
+import { saveFlowVersion } from './flowVersions.js';
+import { migrateFlowOptions } from './questionOptions.js';
+
+export const FLOW_STATUS = {
+    DRAFT: 'draft',
+    PUBLISHED: 'published',
+    UNPUBLISHED_CHANGES: 'unpublishedChanges'
+};
+
+/**
+ * Work out the publish status of a flow from its head and draft
+ * @param {Object|null} head - The latest published revision
+ * @param {Object|null} draft - The draft working copy
+ * @returns {string} One of FLOW_STATUS
+ */
+export function getFlowStatus(head, draft) {
+    if (!head) {
+        return FLOW_STATUS.DRAFT;
+    }
+    return draft ? FLOW_STATUS.UNPUBLISHED_CHANGES : FLOW_STATUS.PUBLISHED;
+}
+
+/**
+ * Save the draft working copy of a flow
+ * @param {Object} storage - Storage adapter
+ * @param {Object} flow - The flow to save (must have an `id`)
+ * @param {Object} metadata - Draft metadata
+ * @param {string} metadata.savedBy - Account ID of the user saving the draft
+ * @returns {Promise<Object>} The saved draft, with `status` and `publishedVersion`
+ */
+export async function saveFlowDraft(storage, flow, { savedBy = null } = {}) {
+    const head = await storage.get(flowKey(flow.id));
+    const savedAt = new Date().toISOString();
+
+    // Drafts never carry a revision number of their own
+    const { version: _version, status: _status, publishedVersion: _publishedVersion, ...content } = flow;
+
+    const draft = {
+        ...content,
+        baseVersion: (head && head.version) || null,
+        createdAt: (head && head.createdAt) || flow.createdAt || savedAt,
+        updatedAt: savedAt,
+        updatedBy: savedBy
+    };
+
+    await storage.set(flowDraftKey(flow.id), draft);
+
+    console.log(`Saved draft for flow ${flow.id}`);
+    return withStatus(draft, head, draft);
+}
+
+/**
+ * Load the copy of a flow that admins edit: the draft if there is one,
+ * otherwise the latest published revision
+ * @param {Object} storage - Storage adapter
+ * @param {string} flowId - The flow ID
+ * @returns {Promise<Object|null>} The working copy, with `status` and `publishedVersion`, or null if not found
+ */
+export async function loadFlowWorkingCopy(storage, flowId) {
+    const head = await storage.get(flowKey(flowId));
+    const draft = await storage.get(flowDraftKey(flowId));
+
+    const flow = migrateFlowOptions(draft || head);
+    if (!flow) {
+        return null;
+    }
+
+    return withStatus(flow, head, draft);
+}
+
+/**
+ * Publish the draft of a flow as a new revision and discard the draft
+ * @param {Object} storage - Storage adapter
+ * @param {string} flowId - The flow ID
+ * @param {string} savedBy - Account ID of the user publishing the flow
+ * @returns {Promise<Object>} The new published revision, with `status`, or `{ error }`
+ */
+export async function publishFlowDraft(storage, flowId, savedBy = null) {
+    const draft = await storage.get(flowDraftKey(flowId));
+    if (!draft) {
+        return { error: 'There are no unpublished changes to publish' };
+    }
+
+    const { baseVersion: _baseVersion, updatedBy: _updatedBy, ...content } = migrateFlowOptions(draft);
+    const published = await saveFlowVersion(storage, content, { savedBy });
+
+    await storage.delete(flowDraftKey(flowId));
+
+    console.log(`Published draft of flow ${flowId} as version ${published.version}`);
+    return withStatus(published, published, null);
+}
+
+/**
+ * Discard the draft of a flow, leaving the published revision untouched
+ * @param {Object} storage - Storage adapter
+ * @param {string} flowId - The flow ID
+ */
+export async function discardFlowDraft(storage, flowId) {
+    await storage.delete(flowDraftKey(flowId));
+}
+
+/**
+ * Annotate a flow with its publish status
+ * @param {Object} flow - The flow to annotate
+ * @param {Object|null} head - The latest published revision
+ * @param {Object|null} draft - The draft working copy
+ * @returns {Object} The flow with `status` and `publishedVersion`
+ */
+function withStatus(flow, head, draft) {
+    return {
+        ...flow,
+        status: getFlowStatus(head, draft),
+        publishedVersion: (head && head.version) || null
+    };
+}
@@ -0,0 +1,853 @@
+/**
+ * Flow Execution Engine
+ *
+ * Drives a decision flow for a single issue: loads the flow and execution
+ * state, runs the current node through its registered handler, and persists
+ * the resulting state. Each execution is pinned to the flow revision it
+ * started on (`state.flowVersion`), so edits to the flow never affect a run
+ * that is already in progress.
+ *
+ * A run can be rewound to a question answered earlier (`revisitNode`): the
+ * path from that question on is dropped along with the answers given on it,
+ * and the question is asked again. Rewinding past an action that changed the
+ * issue is refused; the run has to be reverted instead.
+ *
+ * Submitting a node runs it and then every following node that needs no
+ * input (start, logic and switch nodes, and actions that do not ask for
+ * confirmation), so one request takes the run to the next question, an action
+ * to confirm, the end or a failure. The steps taken are returned with the state.
+ * Each submission has a time budget (`timeBudgetMs`): retries and their waits
+ * stop short of it, and no further node is started once it is spent, so the
+ * request ends, with the state saved, before Forge would stop it.
+ *
+ * Only the node a run is waiting on (`state.currentNodeId`, or the failed
+ * node when retrying) can be submitted, and a completed run takes no further
+ * submissions, so a repeated or stale submission never runs a node twice.
+ *
+ * A node handler can stop a run by returning `{ failed: { nodeId, error } }`
+ * (an action that failed with nowhere to go, or conditions that could not be
+ * checked, `reason: 'conditionError'`). The run then stays on that
+ * node with `state.failed` set until the node is submitted again (a retry)
+ * or the execution is reset.
+ *
+ * Flows may loop. A run that would pass through a node more often than the
+ * flow's `maxIterations` allows stops before entering it, with `state.failed`
+ * set (`reason: 'maxIterations'`); it can only continue by going back to an
+ * earlier answer, or be reset. See iterations.js.
+ *
+ * A sub-flow node runs another published flow inline: its nodes become part
+ * of the run under scoped IDs (`<subflowNodeId>#<pass>/<nodeId>`), and the
+ * run returns to the sub-flow node's edges once the sub-flow completes. See
+ * subflows.js.
+ *
+ * The engine has no Forge dependencies. Jira and storage access are supplied
+ * as adapters, and node behaviour is supplied as handlers, so new node types
+ * can be added by registering a handler and the engine can be exercised with
+ * in-memory fakes.
+ *
+ * Adapters:
+ * - storage: { get(key), set(key, value), delete(key), getSecret(key), setSecret(key, value), deleteSecret(key) }
+ * - jira:    { getIssue, getFields, searchIssues, updateIssue, addComment, deleteComment, getTransitions,
+ *              transitionIssue, assignIssue, createIssue, createIssueLink, getIssueLinkTypes, getWatchers,
+ *              addWatcher, getGroupMembers, getProject, getComponent, getUser, getUserGroups, getProjectRole,
+ *              getMyPermissions }
+ *            Each method resolves to a fetch-style response ({ ok, status, json(), text() }).
+ * - http:    { fetch(url, options) } for webhook action nodes (optional), resolving to a fetch-style response
+ * - clock:   { now() } returning the current Date (optional; a fixed clock makes date expressions and
+ *            timestamps reproducible, e.g. in simulations)
+ */
+
+import { findStartNode, findNextNode, subflowOutcomeHandle } from './flowGraph.js';
+import { createDeadline, REQUEST_TIME_BUDGET_MS } from './retryPolicy.js';
+import { executionKey } from './storageKeys.js';
+import { loadFlowVersion } from './flowVersions.js';
+import { logAudit, auditKey } from './audit.js';
+import { validateFlow as validateFlowGraph } from './flowValidation.js';
+import { defaultNodeHandlers } from './nodes/index.js';
+import { previewAction as previewActionNode } from './actions.js';
+import { getRunActionEntries, getRunReverts, findRunRevert, planRevert, checkRevertPermission, applyRevert } from './revert.js';
+import { getMaxIterations, countVisits, findVisitIndex, recordAnswerIteration, rewindAnswers } from './iterations.js';
+import {
+    scopedNodeId,
+    invocationIdFor,
+    getInvocationFlowIds,
+    createScopedState,
+    mergeScopedState,
+    dropUnvisitedInvocations,
+    createNodeResolver
+} from './subflows.js';
+
+// Clock used unless another is supplied
+const systemClock = { now: () => new Date() };
+
+// Most nodes a single submission runs automatically, so a cycle of nodes that need no input cannot run forever
+const MAX_AUTOMATIC_STEPS = 50;
+
+/**
+ * Generate an ID for a run, used to tag its audit entries
+ * @returns {string} UUID-like string
+ */
+function generateRunId() {
+    return `run-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Create a fresh execution state positioned on the start node
+ * @param {Object} flow - The flow definition
+ * @returns {Object|null} Initial execution state, or null if the flow has no start node
+ */
+export function createInitialState(flow) {
+    const startNode = findStartNode(flow.nodes || []);
+    if (!startNode) {
+        return null;
+    }
+
+    return {
+        runId: generateRunId(),
+        completed: false,
+        currentNodeId: startNode.id,
+        flowVersion: flow.version || null,
+        answers: {},
+        answerIterations: {},
+        path: [],
+        createdIssues: {},
+        invocations: {},
+        failed: null
+    };
+}
+
+/**
+ * Create a flow engine bound to the given adapters
+ * @param {Object} options - Engine options
+ * @param {Object} options.jira - Jira adapter
+ * @param {Object} options.storage - Storage adapter
+ * @param {Object} options.http - HTTP adapter (optional; needed by webhook actions)
+ * @param {Object} options.clock - Clock adapter (optional; defaults to the system clock)
+ * @param {Function} options.trace - Called with the records node handlers pass to `ctx.trace`, e.g. how a
+ *   logic or switch node decided (optional)
+ * @param {Array} options.nodeHandlers - Node handlers to register (defaults to the built-in handlers)
+ * @param {number} options.timeBudgetMs - Time a submission may spend running nodes, retries and waits included
+ *   (defaults to REQUEST_TIME_BUDGET_MS)
+ * @returns {Object} Engine API
+ */
+export function createFlowEngine({
+    jira,
+    storage,
+    http = null,
+    clock = systemClock,
+    trace = null,
+    nodeHandlers = defaultNodeHandlers,
+    timeBudgetMs = REQUEST_TIME_BUDGET_MS
+}) {
+    const adapters = { jira, storage, http, clock };
+    const handlers = new Map();
+
+    /**
+     * Register (or replace) the handler for a node type
+     * @param {Object} handler - Node handler with `type` and `run`
+     */
+    function registerNodeHandler(handler) {
+        if (!handler || !handler.type || typeof handler.run !== 'function') {
+            throw new Error('Node handler must define a type and a run function');
+        }
+        handlers.set(handler.type, handler);
+    }
+
+    /**
+     * Get the handler registered for a node type
+     * @param {string} type - The node type
+     * @returns {Object|null} The handler or null if none is registered
+     */
+    function getNodeHandler(type) {
+        return handlers.get(type) || null;
+    }
+
+    nodeHandlers.forEach(registerNodeHandler);
+
+    /**
+     * Validate a flow definition against the registered node handlers
+     * @param {Object} flow - The flow definition
+     * @param {Object} options - Validation options (see flowValidation.js)
+     * @returns {Object} `{ valid, issues }`
+     */
+    function validateFlow(flow, options = {}) {
+        return validateFlowGraph(flow, { ...options, nodeHandlers: Array.from(handlers.values()) });
+    }
+
+    /**
+     * Load a flow definition from storage
+     * @param {string} flowId - The flow ID
+     * @param {number} version - Optional revision number (defaults to the latest revision)
+     * @returns {Promise<Object|null>} The flow or null if not found
+     */
+    async function loadFlow(flowId, version = null) {
+        return await loadFlowVersion(storage, flowId, version);
+    }
+
+    /**
+     * Get the execution state for an issue and flow, or a fresh state if none exists
+     * @param {string} issueKey - The Jira issue key
+     * @param {string} flowId - The flow ID
+     * @returns {Promise<Object>} Execution state or `{ error }`
+     */
+    async function getExecutionState(issueKey, flowId) {
+        const state = await storage.get(executionKey(issueKey, flowId));
+        if (state) {
+            return state;
+        }
+
+        const flow = await loadFlow(flowId);
+        if (!flow) {
+            return { error: 'Flow not found' };
+        }
+
+        const initialState = createInitialState(flow);
+        if (!initialState) {
+            return { error: 'Start node not found in flow' };
+        }
+
+        return initialState;
+    }
+
+    /**
+     * Delete the execution state for an issue and flow and return a fresh state
+     * @param {string} issueKey - The Jira issue key
+     * @param {string} flowId - The flow ID
+     * @returns {Promise<Object>} Fresh execution state or `{ error }`
+     */
+    async function resetExecution(issueKey, flowId) {
+        await storage.delete(executionKey(issueKey, flowId));
+
+        const flow = await loadFlow(flowId);
+        if (!flow) {
+            return { error: 'Flow not found' };
+        }
+
+        const initialState = createInitialState(flow);
+        if (!initialState) {
+            return { error: 'Start node not found in flow' };
+        }
+
+        return initialState;
+    }
+
+    /**
+     * Preview what the current action node of an execution will do
+     * @param {Object} params - Preview parameters
+     * @param {string} params.issueKey - The Jira issue key
+     * @param {string} params.flowId - The flow ID
+     * @param {string} params.nodeId - The action node ID
+     * @param {Object} params.context - The request context
+     * @returns {Promise<Object>} Preview (see actions.js) or `{ error }`
+     */
+    async function previewAction({ issueKey, flowId, nodeId, context = {} }) {
+        const state = await getExecutionState(issueKey, flowId);
+        if (state.error) {
+            return state;
+        }
+
+        const flow = await loadFlow(flowId, state.flowVersion || null);
+        if (!flow) {
+            return { error: 'Flow not found' };
+        }
+
+        const scope = await createNodeResolver(flow, state, loadFlow)(nodeId);
+        if (!scope || scope.node.type !== 'action') {
+            return { error: 'Action node not found' };
+        }
+
+        const nodeState = scope.invocationId ? createScopedState(state, scope.invocationId) : state;
+        return await previewActionNode(jira, issueKey, scope.node, nodeState.answers, context);
+    }
+
+    /**
+     * Log an audit entry for something the engine did in a run, on behalf of the request's user
+     * @param {Object} state - The execution state
+     * @param {string} issueKey - The Jira issue key
+     * @param {string} flowId - The flow ID
+     * @param {Object} context - The request context
+     * @param {Object} entry - The entry's `nodeId` and what happened
+     */
+    async function logRunEvent(state, issueKey, flowId, context, entry) {
+        await logAudit(adapters, issueKey, flowId, {
+            ...entry,
+            runId: state.runId,
+            flowVersion: state.flowVersion,
+            timestamp: clock.now().toISOString(),
+            actor: {
+                accountId: context.accountId,
+                accountType: context.accountType
+            }
+        });
+    }
+
+    /**
+     * Run a node of the current run through its handler and apply the outcome to the state
+     * The node is added to the path unless the run is retrying it after a failure. Nodes of a sub-flow
+     * run with their own flow and a scoped view of the state (see subflows.js).
+     * @param {Object} params - Run parameters
+     * @param {Object} params.scope - The node to run, as found by the run's node resolver
+     *   (`{ nodeId, node, flow, invocationId }`)
+     * @param {Object} params.state - The execution state (updated in place)
+     * @param {Function} params.resolveNode - The run's node resolver (see createNodeResolver)
+     * @param {any} params.answer - The submitted answer (null for nodes that take none)
+     * @param {boolean} params.isRetry - Whether a failed node is being run again
+     * @param {string} params.issueKey - The Jira issue key
+     * @param {string} params.flowId - The flow ID
+     * @param {Object} params.context - The request context
+     * @param {Object} params.deadline - The submission's deadline (see retryPolicy.js)
+     * @returns {Promise<Object>} The step (`{ nodeId, type, nextNodeId, completed, failed, result?, evaluation? }`)
+     *   or `{ error }`
+     */
+    async function runNode({ scope, state, resolveNode, answer, isRetry, issueKey, flowId, context, deadline }) {
+        const { node, flow, invocationId } = scope;
+        const handler = getNodeHandler(node.type);
+        const step = { nodeId: scope.nodeId, type: node.type };
+        const toRunNodeId = (id) => scopedNodeId(invocationId, id);
+
+        if (isRetry) {
+            // The node is already on the path from the failed attempt
+            state.failed = null;
+        } else {
+            state.path.push(scope.nodeId);
+        }
+
+        const nodeState = invocationId ? createScopedState(state, invocationId) : state;
+        const outcome = await handler.run({
+            node,
+            flow,
+            state: nodeState,
+            answer,
+            issueKey,
+            flowId,
+            context,
+            adapters,
+            deadline,
+            next: (edgeLabel = null, routingAnswer = null) =>
+                findNextNode(node.id, flow.edges, edgeLabel, node, routingAnswer),
+            logAudit: (entry) => {
+                if (entry.result) {
+                    step.result = { success: entry.result.success, error: entry.result.error || null };
+                }
+                const nodeId = entry.nodeId ? toRunNodeId(entry.nodeId) : entry.nodeId;
+                return logAudit(adapters, issueKey, flowId, { ...entry, nodeId, runId: state.runId });
+            },
+            trace: (record) => {
+                const scopedRecord = record.nodeId ? { ...record, nodeId: toRunNodeId(record.nodeId) } : record;
+                step.evaluation = scopedRecord;
+                if (trace) {
+                    trace(scopedRecord);
+                }
+            }
+        });
+
+        if (invocationId) {
+            mergeScopedState(state, nodeState, invocationId);
+        }
+
+        if (outcome.error) {
+            return { error: outcome.error };
+        }
+
+        let nextNodeId = null;
+        if (outcome.failed) {
+            state.failed = { ...outcome.failed, nodeId: toRunNodeId(outcome.failed.nodeId) };
+            state.currentNodeId = scope.nodeId;
+        } else if (outcome.subflow) {
+            const entered = await enterSubflow({ scope, state, subflowId: outcome.subflow.flowId, issueKey, flowId, context });
+            if (entered.error) {
+                return { error: entered.error };
+            }
+            nextNodeId = state.currentNodeId;
+        } else if (outcome.completed) {
+            const returned = await returnFromSubflows({ scope, state, resolveNode, issueKey, flowId, context });
+            if (returned.error) {
+                return { error: returned.error };
+            }
+            nextNodeId = state.completed ? null : state.currentNodeId;
+        } else {
+            nextNodeId = toRunNodeId(outcome.nextNodeId);
+            state.currentNodeId = nextNodeId;
+        }
+
+        if (nextNodeId) {
+            await checkIterationLimit({ state, resolveNode, issueKey, flowId, context });
+        }
+
+        return {
+            ...step,
+            nextNodeId,
+            completed: Boolean(state.completed),
+            failed: state.failed || null
+        };
+    }
+
+    /**
+     * Start an invocation of a sub-flow and move the run to its start node
+     * The sub-flow runs at its latest published revision, pinned for the rest of the invocation.
+     * @param {Object} params - Parameters
+     * @param {Object} params.scope - The sub-flow node, as found by the run's node resolver
+     * @param {Object} params.state - The execution state (updated in place)
+     * @param {string} params.subflowId - The flow to run
+     * @param {string} params.issueKey - The Jira issue key
+     * @param {string} params.flowId - The flow ID of the run
+     * @param {Object} params.context - The request context
+     * @returns {Promise<Object>} `{}` or `{ error }`
+     */
+    async function enterSubflow({ scope, state, subflowId, issueKey, flowId, context }) {
+        // A flow running inside itself would never end
+        if ([flowId, ...getInvocationFlowIds(state, scope.invocationId)].includes(subflowId)) {
+            return { error: 'The sub-flow is already running in this flow. A flow cannot run itself as a sub-flow.' };
+        }
+
+        const subflow = await loadFlow(subflowId);
+        if (!subflow) {
+            return { error: 'The sub-flow was not found. It may have been deleted or never published.' };
+        }
+
+        const startNode = findStartNode(subflow.nodes || []);
+        if (!startNode) {
+            return { error: `Sub-flow "${subflow.name}" has no Start node` };
+        }
+
+        // The sub-flow node is already on the path for this pass
+        const invocationId = invocationIdFor(scope.nodeId, countVisits(state.path, scope.nodeId) - 1);
+        state.invocations = {
+            ...(state.invocations || {}),
+            [invocationId]: { nodeId: scope.nodeId, flowId: subflow.id, flowVersion: subflow.version || null }
+        };
+        state.currentNodeId = scopedNodeId(invocationId, startNode.id);
+
+        await logRunEvent(state, issueKey, flowId, context, {
+            nodeId: scope.nodeId,
+            subflow: {
+                event: 'enter',
+                invocationId,
+                flowId: subflow.id,
+                flowName: subflow.name,
+                flowVersion: subflow.version || null
+            }
+        });
+
+        console.log(`Entered sub-flow ${subflow.id} (version ${subflow.version}) as ${invocationId}`);
+        return {};
+    }
+
+    /**
+     * Return from the sub-flows a node completed, or complete the run
+     * The run continues on the sub-flow node's edge for the node the sub-flow completed on, or its default
+     * edge. A sub-flow node with neither completes its own flow in turn.
+     * @param {Object} params - Parameters
+     * @param {Object} params.scope - The node that completed its flow, as found by the run's node resolver
+     * @param {Object} params.state - The execution state (updated in place)
+     * @param {Function} params.resolveNode - The run's node resolver
+     * @param {string} params.issueKey - The Jira issue key
+     * @param {string} params.flowId - The flow ID of the run
+     * @param {Object} params.context - The request context
+     * @returns {Promise<Object>} `{}` or `{ error }`
+     */
+    async function returnFromSubflows({ scope, state, resolveNode, issueKey, flowId, context }) {
+        let { invocationId } = scope;
+        let outcomeNodeId = scope.node.id;
+
+        while (invocationId) {
+            const invocation = state.invocations && state.invocations[invocationId];
+            const parent = invocation ? await resolveNode(invocation.nodeId) : null;
+            if (!parent) {
+                return { error: 'The sub-flow node that started this sub-flow could not be found' };
+            }
+
+            const nextNodeId = findNextNode(parent.node.id, parent.flow.edges, subflowOutcomeHandle(outcomeNodeId), parent.node);
+            await logRunEvent(state, issueKey, flowId, context, {
+                nodeId: invocation.nodeId,
+                subflow: {
+                    event: 'return',
+                    invocationId,
+                    flowId: invocation.flowId,
+                    flowVersion: invocation.flowVersion,
+                    outcomeNodeId
+                }
+            });
+
+            if (nextNodeId) {
+                state.currentNodeId = scopedNodeId(parent.invocationId, nextNodeId);
+                return {};
+            }
+
+            outcomeNodeId = parent.node.id;
+            invocationId = parent.invocationId;
+        }
+
+        state.completed = true;
+        return {};
+    }
+
+    /**
+     * Stop the run before it enters its current node once more than its flow's maxIterations allows
+     * @param {Object} params - Check parameters
+     * @param {Object} params.state - The execution state (updated in place)
+     * @param {Function} params.resolveNode - The run's node resolver
+     * @param {string} params.issueKey - The Jira issue key
+     * @param {string} params.flowId - The flow ID
+     * @param {Object} params.context - The request context
+     */
+    async function checkIterationLimit({ state, resolveNode, issueKey, flowId, context }) {
+        const nodeId = state.currentNodeId;
+        const scope = await resolveNode(nodeId);
+        const maxIterations = getMaxIterations(scope ? scope.flow : null);
+        if (countVisits(state.path, nodeId) < maxIterations) {
+            return;
+        }
+
+        const name = scope ? scope.node.data.question || scope.node.data.label || nodeId : nodeId;
+        state.failed = {
+            nodeId,
+            reason: 'maxIterations',
+            error: `The flow has looped through "${name}" ${maxIterations} times, the most it allows`,
+            timestamp: clock.now().toISOString()
+        };
+
+        await logRunEvent(state, issueKey, flowId, context, { nodeId, loopGuard: { maxIterations } });
+
+        console.warn(`Stopped flow ${flowId} on ${issueKey}: ${nodeId} reached ${maxIterations} iterations`);
+    }
+
+    /**
+     * Submit an answer for (or trigger) a node and progress to the next node
+     * Unless `autoAdvance` is off, the run then carries on through the nodes that need no input
+     * (see `runsAutomatically` in nodes/index.js) until it reaches one that does, completes or fails.
+     * @param {Object} params - Submission parameters
+     * @param {string} params.issueKey - The Jira issue key
+     * @param {string} params.flowId - The flow ID
+     * @param {string} params.nodeId - The node being submitted
+     * @param {any} params.answer - The user's answer (null for non-question nodes)
+     * @param {Object} params.context - The request context
+     * @param {boolean} params.autoAdvance - Run the following nodes that need no input (default true)
+     * @returns {Promise<Object>} Updated execution state with the `steps` taken, or `{ error, ... }`
+     */
+    async function submitAnswer({ issueKey, flowId, nodeId, answer, context = {}, autoAdvance = true }) {
+        // Retries and automatic steps stop in time for the request to finish and save the run
+        const deadline = createDeadline(timeBudgetMs);
+
+        // Load existing execution state, if any
+        let state = await storage.get(executionKey(issueKey, flowId));
+
+        // Load the flow revision this execution is pinned to (latest for a new execution)
+        const flow = await loadFlow(flowId, state ? state.flowVersion : null);
+        if (!flow) {
+            return { error: state ? `Flow version ${state.flowVersion} not found` : 'Flow not found' };
+        }
+
+        // Create execution state if this is a new execution
+        if (!state) {
+            state = createInitialState(flow);
+            if (!state) {
+                return { error: 'Start node not found in flow' };
+            }
+        }
+
+        // Runs started before runs had IDs get one, so later changes can be reverted
+        if (!state.runId) {
+            state.runId = generateRunId();
+        }
+
+        // A completed run takes no further submissions; it has to be started over
+        if (state.completed) {
+            return { error: 'This flow has already been completed. Start over to run it again.' };
+        }
+
+        // A run stopped by the loop guard cannot be retried; the loop would go on
+        if (state.failed && state.failed.reason === 'maxIterations') {
+            return { error: `${state.failed.error}. Go back to change an earlier answer, or start over.` };
+        }
+
+        // A failed run can only continue by retrying the node it failed on
+        const isRetry = Boolean(state.failed) && state.failed.nodeId === nodeId;
+        if (state.failed && !isRetry) {
+            const cause = state.failed.reason === 'conditionError' ? 'a check failed' : 'an action failed';
+            return { error: `This flow stopped because ${cause}: ${state.failed.error}. Retry it or start over.` };
+        }
+
+        // Only the node the run is waiting on can be submitted, so a repeated submission (a double click or
+        // a stale tab) never runs a node, and the actions after it, a second time
+        if (!isRetry && nodeId !== state.currentNodeId) {
+            return { error: 'This step has already been submitted. Reload the flow to see where it is now.' };
+        }
+
+        // Get the current node to determine its type (it may belong to a sub-flow)
+        const resolveNode = createNodeResolver(flow, state, loadFlow);
+        const scope = await resolveNode(nodeId);
+        if (!scope) {
+            return { error: 'Current node not found' };
+        }
+        const currentNode = scope.node;
+
+        const handler = getNodeHandler(currentNode.type);
+        if (!handler) {
+            return { error: `Unsupported node type: ${currentNode.type}` };
+        }
+
+        // Store the answer (if applicable); nodes that take answers check them, including a missing one
+        if (handler.normalizeAnswer || (answer !== null && answer !== undefined)) {
+            const normalized = handler.normalizeAnswer
+                ? await handler.normalizeAnswer(currentNode, answer, { now: clock.now(), jira, issueKey })
+                : { value: answer };
+
+            if (normalized.error) {
+                return { error: normalized.error };
+            }
+
+            state.answers[nodeId] = normalized.value;
+            recordAnswerIteration(state, nodeId, normalized.value);
+            console.log(`Stored answer for node ${nodeId}`);
+        }
+
+        // Run the node through its handler
+        const step = await runNode({ scope, state, resolveNode, answer, isRetry, issueKey, flowId, context, deadline });
+        if (step.error) {
+            return {
+                error: step.error,
+                currentNodeId: nodeId,
+                answers: state.answers,
+                path: state.path,
+                completed: false
+            };
+        }
+
+        // Save execution state
+        await storage.set(executionKey(issueKey, flowId), state);
+        const steps = [step];
+
+        // Carry on through the nodes that need no input; the state is saved after each one
+        // so a request that is cut short never runs an action twice
+        for (let count = 0; autoAdvance && !state.completed && !state.failed; count++) {
+            const nextScope = await resolveNode(state.currentNodeId);
+            const nextNode = nextScope ? nextScope.node : null;
+            const nextHandler = nextNode ? getNodeHandler(nextNode.type) : null;
+            if (!nextHandler || !nextHandler.runsAutomatically || !nextHandler.runsAutomatically(nextNode)) {
+                break;
+            }
+            if (count === MAX_AUTOMATIC_STEPS) {
+                console.warn(`Stopped advancing flow ${flowId} on ${issueKey} after ${MAX_AUTOMATIC_STEPS} automatic steps`);
+                break;
+            }
+            if (deadline.remainingMs() === 0) {
+                console.warn(`Stopped advancing flow ${flowId} on ${issueKey}: the request has used up its time`);
+                break;
+            }
+
+            const nextStep = await runNode({
+                scope: nextScope,
+                state,
+                resolveNode,
+                answer: null,
+                isRetry: false,
+                issueKey,
+                flowId,
+                context,
+                deadline
+            });
+            if (nextStep.error) {
+                // Stay on the node so it can be run again by hand
+                state.path.pop();
+                steps.push({ nodeId: nextScope.nodeId, type: nextNode.type, error: nextStep.error });
+                break;
+            }
+
+            await storage.set(executionKey(issueKey, flowId), state);
+            steps.push(nextStep);
+        }
+
+        console.log(`Execution state updated, current node: ${state.currentNodeId}, completed: ${state.completed}`);
+        return { ...state, steps };
+    }
+
+    /**
+     * Rewind the current run to a question answered earlier so it can be answered again
+     * The path from the question on and the answers given there are discarded; earlier
+     * answers are kept, and so is the question's own answer, to pre-fill it.
+     * @param {Object} params - Rewind parameters
+     * @param {string} params.issueKey - The Jira issue key
+     * @param {string} params.flowId - The flow ID
+     * @param {string} params.nodeId - The question to go back to (defaults to the last question answered)
+     * @param {number} params.iteration - Which pass through a looped question to go back to, 0 for the first
+     *   (defaults to the latest)
+     * @param {Object} params.context - The request context
+     * @returns {Promise<Object>} Updated execution state or `{ error }`
+     */
+    async function revisitNode({ issueKey, flowId, nodeId = null, iteration = null, context = {} }) {
+        const state = await storage.get(executionKey(issueKey, flowId));
+        if (!state) {
+            return { error: 'This flow has not been started on this issue yet' };
+        }
+
+        const flow = await loadFlow(flowId, state.flowVersion || null);
+        if (!flow) {
+            return { error: `Flow version ${state.flowVersion} not found` };
+        }
+
+        // Nodes on the path, which may belong to sub-flows
+        const resolveNode = createNodeResolver(flow, state, loadFlow);
+        const pathScopes = new Map();
+        for (const id of new Set(state.path)) {
+            pathScopes.set(id, await resolveNode(id));
+        }
+        const findPathNode = (id) => (pathScopes.get(id) || { node: null }).node;
+
+        const isQuestion = (id) => {
+            const node = findPathNode(id);
+            return Boolean(node) && node.type === 'question';
+        };
+        const index = nodeId
+            ? findVisitIndex(state.path, nodeId, iteration)
+            : state.path.map(isQuestion).lastIndexOf(true);
+
+        if (index === -1) {
+            return { error: nodeId ? 'This question has not been answered in the current run' : 'There is no earlier question to go back to' };
+        }
+        if (!isQuestion(state.path[index])) {
+            return { error: 'Only questions can be answered again' };
+        }
+
+        const targetId = state.path[index];
+        const upstream = state.path.slice(0, index);
+        const discarded = state.path.slice(index);
+
+        // Actions that may have changed the issue cannot be undone by rewinding
+        const logs = await storage.get(auditKey(issueKey, flowId)) || [];
+        const runEntries = state.runId ? getRunActionEntries(logs, state.runId) : [];
+        const blocking = discarded.filter(id => {
+            const node = findPathNode(id);
+            if (!node || node.type !== 'action') {
+                return false;
+            }
+            const entries = runEntries.filter(entry => entry.nodeId === id);
+            return entries.length === 0 || entries.some(entry => entry.result.success);
+        });
+
+        if (blocking.length > 0) {
+            const names = [...new Set(blocking)]
+                .map(id => `${findPathNode(id).data.actionType} on ${id}`)
+                .join(', ');
+            return { error: `Actions have already run after this question (${names}). Revert the run to change this answer.` };
+        }
+
+        discarded
+            .filter(id => !upstream.includes(id))
+            .forEach(id => {
+                if (state.createdIssues) {
+                    delete state.createdIssues[id];
+                }
+            });
+
+        state.path = upstream;
+        rewindAnswers(state, targetId);
+        dropUnvisitedInvocations(state);
+        state.currentNodeId = targetId;
+        state.completed = false;
+        state.failed = null;
+
+        await storage.set(executionKey(issueKey, flowId), state);
+
+        await logRunEvent(state, issueKey, flowId, context, {
+            nodeId: targetId,
+            rewind: { toNodeId: targetId, discardedPath: discarded }
+        });
+
+        console.log(`Rewound execution of flow ${flowId} on ${issueKey} to ${targetId}, discarding ${discarded.length} step(s)`);
+        return state;
+    }
+
+    /**
+     * Load what is needed to revert the current run of an issue and flow
+     * @param {string} issueKey - The Jira issue key
+     * @param {string} flowId - The flow ID
+     * @param {Object} context - The request context
+     * @returns {Promise<Object>} `{ state, entries, steps, permission }` or `{ error }`
+     */
+    async function loadRevert(issueKey, flowId, context) {
+        const state = await storage.get(executionKey(issueKey, flowId));
+        if (!state || !state.runId) {
+            return { error: 'This flow has not been run on this issue yet' };
+        }
+
+        const logs = await storage.get(auditKey(issueKey, flowId)) || [];
+        if (findRunRevert(logs, state.runId)) {
+            return { error: 'This run has already been reverted' };
+        }
+
+        const entries = getRunActionEntries(logs, state.runId);
+        const steps = planRevert(entries, getRunReverts(logs, state.runId));
+        const permission = await checkRevertPermission(jira, issueKey, context.accountId, entries);
+
+        return { state, entries, steps, permission };
+    }
+
+    /**
+     * Describe what reverting the current run would undo, and whether the user may do it
+     * @param {Object} params - Preview parameters
+     * @param {string} params.issueKey - The Jira issue key
+     * @param {string} params.flowId - The flow ID
+     * @param {Object} params.context - The request context
+     * @returns {Promise<Object>} `{ runId, allowed, reason?, steps }` or `{ error }`
+     */
+    async function previewRevert({ issueKey, flowId, context = {} }) {
+        const revert = await loadRevert(issueKey, flowId, context);
+        if (revert.error) {
+            return revert;
+        }
+
+        return { runId: revert.state.runId, ...revert.permission, steps: revert.steps };
+    }
+
+    /**
+     * Revert the Jira changes of the current run, log the revert and reset the execution
+     * If some changes could not be undone, the execution is kept so that reverting again retries them.
+     * @param {Object} params - Revert parameters
+     * @param {string} params.issueKey - The Jira issue key
+     * @param {string} params.flowId - The flow ID
+     * @param {Object} params.context - The request context
+     * @returns {Promise<Object>} `{ revert: { runId, reverted, skipped, failed }, state }` or `{ error }`
+     */
+    async function revertRun({ issueKey, flowId, context = {} }) {
+        const { error, state, steps, permission } = await loadRevert(issueKey, flowId, context);
+        if (error) {
+            return { error };
+        }
+        if (!permission.allowed) {
+            return { error: permission.reason };
+        }
+        if (!steps.some(step => step.operation !== 'skip')) {
+            return { error: 'This run made no changes that can be reverted' };
+        }
+
+        console.log(`Reverting run ${state.runId} of flow ${flowId} on ${issueKey}`);
+        const summary = await applyRevert(jira, issueKey, steps);
+        const revert = { runId: state.runId, ...summary };
+
+        await logRunEvent(state, issueKey, flowId, context, { nodeId: null, revert });
+
+        if (summary.failed.length > 0) {
+            console.log(`Run ${state.runId} partly reverted: ${summary.failed.length} change(s) could not be undone`);
+            return { revert, state };
+        }
+
+        // The reverted run is over; the next one starts from the beginning
+        const resetState = await resetExecution(issueKey, flowId);
+        return { revert, state: resetState };
+    }
+
+    return {
+        registerNodeHandler,
+        getNodeHandler,
+        validateFlow,
+        loadFlow,
+        getExecutionState,
+        resetExecution,
+        previewAction,
+        submitAnswer,
+        revisitNode,
+        previewRevert,
+        revertRun
+    };
+}
@@ -0,0 +1,185 @@
+/**
+ * Flow Graph Helpers
+ *
+ * Pure helpers for navigating a flow definition (nodes + edges).
+ * These functions have no Forge dependencies so they can be shared by the
+ * execution engine, the resolvers and any offline tooling.
+ */
+
+import { getQuestionOptions, findOption } from './questionOptions.js';
+
+/**
+ * Find the start node in a flow
+ * @param {Array} nodes - Array of flow nodes
+ * @returns {Object|null} The start node or null if not found
+ */
+export function findStartNode(nodes) {
+    return nodes.find(node => node.type === 'start') || null;
+}
+
+/**
+ * Find a node by ID
+ * @param {Array} nodes - Array of flow nodes
+ * @param {string} nodeId - The node ID to look up
+ * @returns {Object|null} The node or null if not found
+ */
+export function findNode(nodes, nodeId) {
+    return nodes.find(node => node.id === nodeId) || null;
+}
+
+/**
+ * Source handle of a switch node's default branch
+ */
+export const SWITCH_DEFAULT_HANDLE = 'default';
+
+/**
+ * Build the source handle ID for a switch node case
+ * @param {string} caseId - The case ID
+ * @returns {string} Source handle ID
+ */
+export function switchCaseHandle(caseId) {
+    return `case-${caseId}`;
+}
+
+// Prefix of the source handles a single choice question has for its options
+const QUESTION_OPTION_PREFIX = 'option-';
+
+/**
+ * Build the source handle ID for a single choice question's option
+ * @param {string} optionId - The option ID
+ * @returns {string} Source handle ID
+ */
+export function questionOptionHandle(optionId) {
+    return `${QUESTION_OPTION_PREFIX}${optionId}`;
+}
+
+/**
+ * Check whether a source handle is one of a single choice question's option handles
+ * @param {string|null} handle - The source handle ID
+ * @returns {boolean} True for option handles
+ */
+export function isQuestionOptionHandle(handle) {
+    return (handle || '').startsWith(QUESTION_OPTION_PREFIX);
+}
+
+/**
+ * Source handle a question node follows when none of its routes match (its only handle when it has none)
+ */
+export const QUESTION_DEFAULT_HANDLE = 'source';
+
+// Prefix of the source handles a question node has for its routes
+const QUESTION_ROUTE_PREFIX = 'route-';
+
+/**
+ * Build the source handle ID for a question node route
+ * @param {string} routeId - The route ID
+ * @returns {string} Source handle ID
+ */
+export function questionRouteHandle(routeId) {
+    return `${QUESTION_ROUTE_PREFIX}${routeId}`;
+}
+
+/**
+ * Check whether a source handle is one of a question node's route handles
+ * @param {string|null} handle - The source handle ID
+ * @returns {boolean} True for route handles
+ */
+export function isQuestionRouteHandle(handle) {
+    return (handle || '').startsWith(QUESTION_ROUTE_PREFIX);
+}
+
+/**
+ * Source handle of an action node's error branch, followed when the action fails
+ */
+export const ACTION_ERROR_HANDLE = 'error';
+
+// Prefix of the source handles a sub-flow node has for the nodes its sub-flow can complete on
+const SUBFLOW_OUTCOME_PREFIX = 'outcome-';
+
+/**
+ * Build the source handle ID a sub-flow node follows when its sub-flow completes on a node
+ * @param {string} nodeId - The node of the sub-flow the run completed on
+ * @returns {string} Source handle ID
+ */
+export function subflowOutcomeHandle(nodeId) {
+    return `${SUBFLOW_OUTCOME_PREFIX}${nodeId}`;
+}
+
+/**
+ * Find the next node connected to the current node
+ * @param {string} currentNodeId - Current node ID
+ * @param {Array} edges - Array of flow edges
+ * @param {string} edgeLabel - Optional edge label or source handle to filter by (e.g., 'true', 'false', 'case-1', 'error',
+ *   'outcome-node-3', 'route-1')
+ * @param {Object} currentNode - Optional current node object for option-based routing
+ * @param {any} answer - Optional answer (option value) for option-based routing
+ * @returns {string|null} Next node ID or null
+ */
+export function findNextNode(currentNodeId, edges, edgeLabel = null, currentNode = null, answer = null) {
+    // For single choice question nodes with options, route based on the selected option
+    if (currentNode && currentNode.type === 'question' &&
+        currentNode.data.questionType === 'single' &&
+        currentNode.data.options &&
+        currentNode.data.options.length > 0 &&
+        answer !== null && answer !== undefined) {
+
+        // Find the selected option
+        const option = findOption(getQuestionOptions(currentNode), answer);
+
+        if (option) {
+            // Look for an edge with sourceHandle matching the option ID
+            const optionHandleId = questionOptionHandle(option.id);
+            const edge = edges.find(e =>
+                e.source === currentNodeId &&
+                e.sourceHandle === optionHandleId
+            );
+
+            if (edge) {
+                console.log(`Found option-based edge for option "${answer}" (ID ${option.id})`);
+                return edge.target;
+            }
+
+            console.log(`No edge found for option "${answer}" (handle: ${optionHandleId})`);
+        }
+    }
+
+    // Routed question nodes follow the edge of the matching route, or their default edge (also any edge saved
+    // without a handle)
+    if (currentNode && currentNode.type === 'question' && edgeLabel !== null) {
+        const outgoing = edges.filter(e => e.source === currentNodeId);
+        const edge = edgeLabel === QUESTION_DEFAULT_HANDLE
+            ? outgoing.find(e => !isQuestionRouteHandle(e.sourceHandle))
+            : outgoing.find(e => e.sourceHandle === edgeLabel);
+        return edge ? edge.target : null;
+    }
+
+    // Switch nodes route strictly by source handle (a case handle or the default handle)
+    if (currentNode && currentNode.type === 'switch') {
+        const edge = edges.find(e => e.source === currentNodeId && e.sourceHandle === edgeLabel);
+        return edge ? edge.target : null;
+    }
+
+    // Action nodes only follow their error branch when asked to, and never by default
+    if (currentNode && currentNode.type === 'action') {
+        const wantsError = edgeLabel === ACTION_ERROR_HANDLE;
+        const edge = edges.find(e =>
+            e.source === currentNodeId && (e.sourceHandle === ACTION_ERROR_HANDLE) === wantsError
+        );
+        return edge ? edge.target : null;
+    }
+
+    // Sub-flow nodes follow the edge for the sub-flow's outcome if it is connected, and their default edge otherwise
+    if (currentNode && currentNode.type === 'subflow') {
+        const outgoing = edges.filter(e => e.source === currentNodeId);
+        const edge = outgoing.find(e => edgeLabel !== null && e.sourceHandle === edgeLabel) ||
+            outgoing.find(e => !(e.sourceHandle || '').startsWith(SUBFLOW_OUTCOME_PREFIX));
+        return edge ? edge.target : null;
+    }
+
+    // Default behavior: find edge by label or sourceHandle
+    const edge = edges.find(e =>
+        e.source === currentNodeId &&
+        (edgeLabel === null || e.label === edgeLabel || e.sourceHandle === edgeLabel)
+    );
+    return edge ? edge.target : null;
+}
@@ -0,0 +1,251 @@
+/**
+ * Flow Validation
+ *
+ * Structural validation of a flow definition before it is saved or
+ * published. Validation never throws; it returns a list of issues that the
+ * admin UI can attach to nodes on the canvas:
+ *
+ * { severity: 'error' | 'warning', code, message, nodeId?, edgeId? }
+ *
+ * Graph-level checks (start node, dangling edges, reachability, cycles) live
+ * here. Node-level checks are delegated to the optional `validate` function
+ * of each registered node handler:
+ *
+ *   validate(node, outgoingEdges, flow) => [{ code, message, edgeId?, severity? }]
+ *
+ * Broken structure is always an error. Incomplete configuration is only a
+ * warning while a draft is being saved, and becomes an error when publishing
+ * so that an unfinished flow can never reach issues.
+ */
+
+import { defaultNodeHandlers } from './nodes/index.js';
+import { validateMaxIterations } from './iterations.js';
+
+/**
+ * Validate a flow definition
+ * @param {Object} flow - The flow definition (nodes + edges)
+ * @param {Object} options - Validation options
+ * @param {Array} options.nodeHandlers - Node handlers providing node-level checks
+ * @param {boolean} options.publishing - Treat incomplete configuration as errors
+ * @returns {Object} `{ valid, issues }` where `valid` is false if any issue is an error
+ */
+export function validateFlow(flow, { nodeHandlers = defaultNodeHandlers, publishing = false } = {}) {
+    const nodes = flow.nodes || [];
+    const edges = flow.edges || [];
+    const incompleteSeverity = publishing ? 'error' : 'warning';
+    const issues = [];
+
+    const handlersByType = new Map(nodeHandlers.map(handler => [handler.type, handler]));
+    const nodeIds = new Set(nodes.map(node => node.id));
+
+    // Exactly one start node
+    const startNodes = nodes.filter(node => node.type === 'start');
+    if (startNodes.length === 0) {
+        issues.push({
+            severity: 'error',
+            code: 'missingStart',
+            message: 'Flow has no Start node.'
+        });
+    } else if (startNodes.length > 1) {
+        startNodes.slice(1).forEach(node => issues.push({
+            severity: 'error',
+            code: 'multipleStart',
+            nodeId: node.id,
+            message: 'Flow contains multiple Start nodes. Remove the duplicates.'
+        }));
+    }
+
+    // The loop guard setting, if the flow overrides it
+    const maxIterationsProblem = validateMaxIterations(flow.maxIterations);
+    if (maxIterationsProblem) {
+        issues.push({
+            severity: 'error',
+            code: 'invalidMaxIterations',
+            message: maxIterationsProblem
+        });
+    }
+
+    // Edges must connect existing nodes
+    const validEdges = [];
+    edges.forEach(edge => {
+        const missingEnds = [edge.source, edge.target].filter(id => !nodeIds.has(id));
+        if (missingEnds.length > 0) {
+            issues.push({
+                severity: 'error',
+                code: 'danglingEdge',
+                edgeId: edge.id,
+                ...(nodeIds.has(edge.source) ? { nodeId: edge.source } : {}),
+                message: `Connection points to a deleted node (${missingEnds.join(', ')}).`
+            });
+            return;
+        }
+        validEdges.push(edge);
+    });
+
+    const outgoing = new Map(nodes.map(node => [node.id, []]));
+    validEdges.forEach(edge => outgoing.get(edge.source).push(edge));
+
+    // Node-level checks from the registered handlers
+    nodes.forEach(node => {
+        const handler = handlersByType.get(node.type);
+        if (!handler) {
+            issues.push({
+                severity: 'error',
+                code: 'unsupportedNodeType',
+                nodeId: node.id,
+                message: `Unsupported node type: ${node.type}`
+            });
+            return;
+        }
+
+        if (typeof handler.validate === 'function') {
+            const nodeIssues = handler.validate(node, outgoing.get(node.id), flow) || [];
+            nodeIssues.forEach(issue => issues.push({
+                ...issue,
+                severity: issue.severity || incompleteSeverity,
+                nodeId: node.id
+            }));
+        }
+    });
+
+    // Every node should be reachable from the start node
+    if (startNodes.length > 0) {
+        const reachable = findReachableNodes(startNodes[0].id, outgoing);
+        nodes
+            .filter(node => node.type !== 'start' && !reachable.has(node.id))
+            .forEach(node => issues.push({
+                severity: 'warning',
+                code: 'unreachableNode',
+                nodeId: node.id,
+                message: 'Node cannot be reached from the Start node.'
+            }));
+    }
+
+    // Every cycle needs at least one edge leading out of it
+    findStronglyConnectedComponents(nodes, outgoing)
+        .filter(component => isCycle(component, outgoing))
+        .filter(component => !hasExit(component, outgoing))
+        .forEach(component => component.forEach(nodeId => issues.push({
+            severity: incompleteSeverity,
+            code: 'cycleWithoutExit',
+            nodeId,
+            message: 'Node is part of a loop with no path out of it.'
+        })));
+
+    return {
+        valid: !issues.some(issue => issue.severity === 'error'),
+        issues
+    };
+}
+
+/**
+ * Summarise validation errors into a single message for `{ error }` responses
+ * @param {Array} issues - Validation issues
+ * @returns {string} Summary message
+ */
+export function summarizeValidationErrors(issues) {
+    const errors = issues.filter(issue => issue.severity === 'error');
+    return errors.length === 1
+        ? `Flow is invalid: ${errors[0].message}`
+        : `Flow has ${errors.length} validation errors. Fix the highlighted nodes and try again.`;
+}
+
+/**
+ * Collect the IDs of all nodes reachable from a node
+ * @param {string} startId - Node to start from
+ * @param {Map} outgoing - Node ID -> outgoing edges
+ * @returns {Set} Reachable node IDs (including the start)
+ */
+function findReachableNodes(startId, outgoing) {
+    const reachable = new Set([startId]);
+    const queue = [startId];
+
+    while (queue.length > 0) {
+        const nodeId = queue.shift();
+        (outgoing.get(nodeId) || []).forEach(edge => {
+            if (!reachable.has(edge.target)) {
+                reachable.add(edge.target);
+                queue.push(edge.target);
+            }
+        });
+    }
+
+    return reachable;
+}
+
+/**
+ * Find the strongly connected components of the flow graph (Tarjan's algorithm)
+ * @param {Array} nodes - Flow nodes
+ * @param {Map} outgoing - Node ID -> outgoing edges
+ * @returns {Array<Array<string>>} Components as arrays of node IDs
+ */
+function findStronglyConnectedComponents(nodes, outgoing) {
+    const indexes = new Map();
+    const lowLinks = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+    let index = 0;
+
+    const visit = (nodeId) => {
+        indexes.set(nodeId, index);
+        lowLinks.set(nodeId, index);
+        index++;
+        stack.push(nodeId);
+        onStack.add(nodeId);
+
+        (outgoing.get(nodeId) || []).forEach(edge => {
+            if (!indexes.has(edge.target)) {
+                visit(edge.target);
+                lowLinks.set(nodeId, Math.min(lowLinks.get(nodeId), lowLinks.get(edge.target)));
+            } else if (onStack.has(edge.target)) {
+                lowLinks.set(nodeId, Math.min(lowLinks.get(nodeId), indexes.get(edge.target)));
+            }
+        });
+
+        if (lowLinks.get(nodeId) === indexes.get(nodeId)) {
+            const component = [];
+            let memberId;
+            do {
+                memberId = stack.pop();
+                onStack.delete(memberId);
+                component.push(memberId);
+            } while (memberId !== nodeId);
+            components.push(component);
+        }
+    };
+
+    nodes.forEach(node => {
+        if (!indexes.has(node.id)) {
+            visit(node.id);
+        }
+    });
+
+    return components;
+}
+
+/**
+ * Check whether a strongly connected component actually forms a cycle
+ * @param {Array<string>} component - Node IDs in the component
+ * @param {Map} outgoing - Node ID -> outgoing edges
+ * @returns {boolean} True for multi-node components and self-loops
+ */
+function isCycle(component, outgoing) {
+    if (component.length > 1) {
+        return true;
+    }
+    return (outgoing.get(component[0]) || []).some(edge => edge.target === component[0]);
+}
+
+/**
+ * Check whether any edge leads out of a component
+ * @param {Array<string>} component - Node IDs in the component
+ * @param {Map} outgoing - Node ID -> outgoing edges
+ * @returns {boolean} True if the component has an exit
+ */
+function hasExit(component, outgoing) {
+    const members = new Set(component);
+    return component.some(nodeId =>
+        (outgoing.get(nodeId) || []).some(edge => !members.has(edge.target))
+    );
+}
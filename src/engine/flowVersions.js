@@ -0,0 +1,139 @@
+/**
+ * Flow Versions
+ *
+ * Every publish of a flow creates a new, immutable numbered revision:
+ *
+ * - `flow:{flowId}`              Latest published revision (the "head"), including its `version` number
+ * - `flow:{flowId}:v{version}`   Immutable snapshot of each revision
+ * - `flow-versions:{flowId}`     Revision index: [{ version, savedAt, savedBy, name, nodeCount, restoredFrom? }]
+ *
+ * Execution states record the revision they started on so that later edits
+ * to a flow never invalidate an in-progress run. Unpublished edits live in
+ * a separate draft (see flowDrafts.js) and never reach the head.
+ */
+
+import { flowKey, flowVersionKey, flowVersionsKey } from './storageKeys.js';
+import { migrateFlowOptions } from './questionOptions.js';
+
+/**
+ * Save a flow as a new revision and make it the head
+ * @param {Object} storage - Storage adapter
+ * @param {Object} flow - The flow to save (must have an `id`)
+ * @param {Object} metadata - Revision metadata
+ * @param {string} metadata.savedBy - Account ID of the user saving the flow
+ * @param {number} metadata.restoredFrom - Revision this save restores, when rolling back
+ * @returns {Promise<Object>} The saved flow including its new `version`
+ */
+export async function saveFlowVersion(storage, flow, { savedBy = null, restoredFrom = null } = {}) {
+    const head = await storage.get(flowKey(flow.id));
+    const versions = await storage.get(flowVersionsKey(flow.id)) || [];
+
+    const latestVersion = versions.length > 0
+        ? versions[versions.length - 1].version
+        : (head && head.version) || 0;
+    const version = latestVersion + 1;
+    const savedAt = new Date().toISOString();
+
+    const savedFlow = {
+        ...flow,
+        version,
+        // Keep the original creation timestamp across revisions
+        createdAt: (head && head.createdAt) || flow.createdAt || savedAt,
+        updatedAt: savedAt
+    };
+
+    // Snapshot first so the head never points at a missing revision
+    await storage.set(flowVersionKey(flow.id, version), savedFlow);
+    await storage.set(flowKey(flow.id), savedFlow);
+
+    versions.push({
+        version,
+        savedAt,
+        savedBy,
+        name: savedFlow.name,
+        nodeCount: (savedFlow.nodes || []).length,
+        ...(restoredFrom ? { restoredFrom } : {})
+    });
+    await storage.set(flowVersionsKey(flow.id), versions);
+
+    console.log(`Saved flow ${flow.id} as version ${version}`);
+    return savedFlow;
+}
+
+/**
+ * Load a specific revision of a flow
+ *
+ * Flows saved before versioning existed have no snapshots; for those the
+ * head is returned when it matches the requested (or unspecified) revision.
+ * Question options saved before option IDs are converted (see questionOptions.js).
+ *
+ * @param {Object} storage - Storage adapter
+ * @param {string} flowId - The flow ID
+ * @param {number} version - The revision number (omit for the head)
+ * @returns {Promise<Object|null>} The flow revision or null if not found
+ */
+export async function loadFlowVersion(storage, flowId, version = null) {
+    if (!version) {
+        return migrateFlowOptions(await storage.get(flowKey(flowId))) || null;
+    }
+
+    const snapshot = await storage.get(flowVersionKey(flowId, version));
+    if (snapshot) {
+        return migrateFlowOptions(snapshot);
+    }
+
+    const head = await storage.get(flowKey(flowId));
+    if (head && (!head.version || head.version === version)) {
+        console.warn(`No snapshot for flow ${flowId} v${version}, using head`);
+        return migrateFlowOptions(head);
+    }
+
+    return null;
+}
+
+/**
+ * List the revisions of a flow, newest first
+ * @param {Object} storage - Storage adapter
+ * @param {string} flowId - The flow ID
+ * @returns {Promise<Array>} Revision index entries
+ */
+export async function listFlowVersions(storage, flowId) {
+    const versions = await storage.get(flowVersionsKey(flowId)) || [];
+    return versions.slice().reverse();
+}
+
+/**
+ * Roll a flow back to a prior revision
+ *
+ * History is never rewritten: the content of the chosen revision is saved
+ * as a new revision that becomes the head.
+ *
+ * @param {Object} storage - Storage adapter
+ * @param {string} flowId - The flow ID
+ * @param {number} version - The revision to restore
+ * @param {string} savedBy - Account ID of the user performing the rollback
+ * @returns {Promise<Object>} The new head revision or `{ error }`
+ */
+export async function rollbackFlowToVersion(storage, flowId, version, savedBy = null) {
+    const snapshot = await storage.get(flowVersionKey(flowId, version));
+    if (!snapshot) {
+        return { error: `Version ${version} of this flow was not found` };
+    }
+
+    const { version: _restoredVersion, updatedAt: _updatedAt, ...content } = migrateFlowOptions(snapshot);
+    return await saveFlowVersion(storage, content, { savedBy, restoredFrom: version });
+}
+
+/**
+ * Delete a flow's head, snapshots, and revision index
+ * @param {Object} storage - Storage adapter
+ * @param {string} flowId - The flow ID
+ */
+export async function deleteFlowVersions(storage, flowId) {
+    const versions = await storage.get(flowVersionsKey(flowId)) || [];
+    for (const entry of versions) {
+        await storage.delete(flowVersionKey(flowId, entry.version));
+    }
+    await storage.delete(flowVersionsKey(flowId));
+    await storage.delete(flowKey(flowId));
+}
@@ -0,0 +1,148 @@
+/**
+ * Loop Iterations
+ *
+ * Flows may loop back to a node they already visited, e.g. an "Add another
+ * item?" question that leads back to the item questions. Each pass through a
+ * node is an iteration, counted from the run's path.
+ *
+ * A question answered on several passes keeps every answer in
+ * `state.answerIterations[nodeId]` (one entry per pass, in order), while
+ * `state.answers[nodeId]` holds the latest one, which is what conditions and
+ * plain `{{answers.<nodeId>}}` templates see.
+ *
+ * The flow's `maxIterations` (default 10) caps how often a run may pass
+ * through any one node, so a loop that never exits stops with an error
+ * instead of running forever.
+ */
+
+export const DEFAULT_MAX_ITERATIONS = 10;
+
+// Limits of a flow's maxIterations setting
+export const MAX_ITERATIONS_LIMITS = { min: 1, max: 100 };
+
+/**
+ * Get how often a run of a flow may pass through any one node
+ * @param {Object} flow - The flow definition
+ * @returns {number} The flow's maxIterations, or the default
+ */
+export function getMaxIterations(flow) {
+    const value = Number(flow && flow.maxIterations);
+    return Number.isInteger(value) && value >= MAX_ITERATIONS_LIMITS.min ? value : DEFAULT_MAX_ITERATIONS;
+}
+
+/**
+ * Check a flow's maxIterations setting
+ * @param {any} value - The setting (undefined, null or '' for the default)
+ * @returns {string|null} Problem description, or null if it is valid
+ */
+export function validateMaxIterations(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < MAX_ITERATIONS_LIMITS.min || number > MAX_ITERATIONS_LIMITS.max) {
+        return `Maximum loop iterations must be a whole number between ${MAX_ITERATIONS_LIMITS.min} and ${MAX_ITERATIONS_LIMITS.max}.`;
+    }
+    return null;
+}
+
+/**
+ * Count how often a node occurs on a path
+ * @param {Array<string>} path - Node IDs visited
+ * @param {string} nodeId - The node ID
+ * @returns {number} Number of visits
+ */
+export function countVisits(path, nodeId) {
+    return (path || []).filter(id => id === nodeId).length;
+}
+
+/**
+ * Find where a given pass through a node starts on a path
+ * @param {Array<string>} path - Node IDs visited
+ * @param {string} nodeId - The node ID
+ * @param {number|null} iteration - The pass (0 for the first), or null for the latest
+ * @returns {number} Index into the path, or -1 if the node was not visited that often
+ */
+export function findVisitIndex(path, nodeId, iteration = null) {
+    if (iteration === null || iteration === undefined) {
+        return path.lastIndexOf(nodeId);
+    }
+
+    let seen = 0;
+    for (let index = 0; index < path.length; index++) {
+        if (path[index] === nodeId) {
+            if (seen === Number(iteration)) {
+                return index;
+            }
+            seen++;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Record a question's answer for the pass being answered
+ * Call before the node is added to the path: the pass is the number of earlier visits.
+ * Answering a pass again (after going back to it) replaces that answer and drops later ones.
+ * @param {Object} state - The execution state (updated in place)
+ * @param {string} nodeId - The question node ID
+ * @param {any} value - The normalised answer
+ */
+export function recordAnswerIteration(state, nodeId, value) {
+    const iteration = countVisits(state.path, nodeId);
+    const iterations = (state.answerIterations && state.answerIterations[nodeId]) || [];
+
+    state.answerIterations = {
+        ...(state.answerIterations || {}),
+        [nodeId]: [...iterations.slice(0, iteration), value]
+    };
+}
+
+/**
+ * Get the answers a question was given on every pass
+ * Runs from before answers were kept per pass only have the latest answer.
+ * @param {Object} answers - Latest answers by node ID
+ * @param {Object} answerIterations - Answers per pass by node ID
+ * @param {string} nodeId - The question node ID
+ * @returns {Array} Answers in order (empty if unanswered)
+ */
+export function getAnswerIterations(answers, answerIterations, nodeId) {
+    if (answerIterations && Array.isArray(answerIterations[nodeId])) {
+        return answerIterations[nodeId];
+    }
+    return answers && answers[nodeId] !== undefined ? [answers[nodeId]] : [];
+}
+
+/**
+ * Drop the answers of passes that are no longer on the path after a rewind
+ * Answers of passes still on the path are kept, and each question's latest answer becomes that of its
+ * last remaining pass. Questions with no pass left lose their answer, except `keepNodeId` (the question
+ * being returned to), which keeps the answer of the pass returned to, to pre-fill it.
+ * @param {Object} state - The execution state, with its path already shortened (updated in place)
+ * @param {string} keepNodeId - The question the run is returning to
+ */
+export function rewindAnswers(state, keepNodeId) {
+    const nodeIds = new Set([...Object.keys(state.answers || {}), ...Object.keys(state.answerIterations || {})]);
+
+    nodeIds.forEach(nodeId => {
+        const visits = countVisits(state.path, nodeId);
+        const allIterations = getAnswerIterations(state.answers, state.answerIterations, nodeId);
+        const iterations = allIterations.slice(0, visits);
+
+        if (state.answerIterations && state.answerIterations[nodeId]) {
+            state.answerIterations[nodeId] = iterations;
+        }
+        if (nodeId === keepNodeId) {
+            // Pre-fill with the answer given on the pass being returned to
+            if (allIterations[visits] !== undefined) {
+                state.answers[nodeId] = allIterations[visits];
+            }
+            return;
+        }
+        if (iterations.length > 0) {
+            state.answers[nodeId] = iterations[iterations.length - 1];
+        } else {
+            delete state.answers[nodeId];
+        }
+    });
+}
@@ -0,0 +1,84 @@
+/**
+ * Link Target Resolution
+ *
+ * Works out which issues a Link Issue action links the current issue to.
+ * The targets are configured by `targetSource` on the action node:
+ *
+ * - `static`  Issue keys typed into `targetIssueKey` (comma or space separated;
+ *             templates such as `{{created.<nodeId>}}` are filled in)
+ * - `answer`  The issue(s) selected in a question answer (`targetQuestionNodeId`)
+ * - `jql`     The issues matching `targetJql` (at most MAX_JQL_LINK_TARGETS)
+ *
+ * The current issue is never a target of its own link.
+ */
+
+export const LINK_TARGET_SOURCES = ['static', 'answer', 'jql'];
+
+// Upper bound on issues linked from a single JQL lookup
+export const MAX_JQL_LINK_TARGETS = 20;
+
+/**
+ * Resolve the issues a Link Issue action links to
+ * @param {Object} jira - Jira adapter
+ * @param {string} issueKey - The current Jira issue key
+ * @param {Object} data - The action node data
+ * @param {Object} answers - All user answers
+ * @param {Function} render - Template renderer for the static key and JQL
+ * @returns {Promise<Object>} `{ issueKeys, source }` or `{ error }`
+ */
+export async function resolveLinkTargets(jira, issueKey, data, answers, render) {
+    const source = data.targetSource || 'static';
+    let issueKeys;
+
+    switch (source) {
+        case 'static': {
+            const text = String((await render(data.targetIssueKey)) || '');
+            issueKeys = text.split(/[\s,]+/).filter(Boolean);
+            break;
+        }
+        case 'answer':
+            issueKeys = getAnswerIssueKeys(answers ? answers[data.targetQuestionNodeId] : undefined);
+            if (issueKeys.length === 0) {
+                return { error: 'The question that selects the issue to link has not been answered with an issue' };
+            }
+            break;
+        case 'jql': {
+            const jql = await render(data.targetJql);
+            const response = await jira.searchIssues({ jql, maxResults: MAX_JQL_LINK_TARGETS + 1, fields: ['key'] });
+            if (!response.ok) {
+                return { error: `JQL search failed: ${response.status}` };
+            }
+            const { issues = [] } = await response.json();
+            if (issues.length > MAX_JQL_LINK_TARGETS) {
+                return { error: `More than ${MAX_JQL_LINK_TARGETS} issues match the query; narrow it down` };
+            }
+            issueKeys = issues.map(issue => issue.key);
+            break;
+        }
+        default:
+            return { error: `Unknown link target source: ${source}` };
+    }
+
+    issueKeys = [...new Set(issueKeys.map(key => key.toUpperCase()))]
+        .filter(key => key !== String(issueKey).toUpperCase());
+
+    if (issueKeys.length === 0) {
+        return { error: 'No issues to link to' };
+    }
+
+    return { issueKeys, source };
+}
+
+/**
+ * Get the issue keys from a question answer
+ * Answers may be an issue key, an issue object (`{ key }`) or a list of either.
+ * @param {any} answer - The stored answer
+ * @returns {Array<string>} Issue keys
+ */
+function getAnswerIssueKeys(answer) {
+    const values = Array.isArray(answer) ? answer : [answer];
+    return values
+        .map(value => (value && typeof value === 'object' ? value.key : value))
+        .filter(Boolean)
+        .map(String);
+}
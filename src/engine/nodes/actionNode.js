@@ -0,0 +1,145 @@
+/**
+ * Action Node Handler
+ *
+ * Executes the configured Jira action, records it in the audit log and
+ * either moves on to the next node or completes the flow.
+ *
+ * Jira requests that are rate limited or fail with a server error are retried
+ * according to the node's retry policy (see retryPolicy.js), as long as the
+ * request's deadline leaves time for the wait. If the action still fails,
+ * the node's `error` branch is followed when it is connected. Otherwise
+ * `onError` decides: 'halt' (the default) stops the run on this node in a
+ * failed state until it is retried or reset, and 'continue' carries on along
+ * the normal path.
+ *
+ * The engine runs an action as soon as the flow reaches it, unless the node
+ * sets `requireConfirmation`: the run then waits on the node until the user
+ * has reviewed the action and submits it.
+ */
+
+import { executeAction, validateActionConfig } from '../actions.js';
+import { ACTION_ERROR_HANDLE } from '../flowGraph.js';
+import { getRetryPolicy, withRetries, RETRY_LIMITS } from '../retryPolicy.js';
+
+export const ACTION_ERROR_MODES = ['halt', 'continue'];
+
+export const actionNodeHandler = {
+    type: 'action',
+
+    /**
+     * Check that the action is fully configured and its templates refer to known variables
+     * An action without an outgoing edge is valid: it completes the flow
+     * @param {Object} node - The action node
+     * @param {Array} outgoingEdges - Edges leaving the node
+     * @param {Object} flow - The flow definition
+     * @returns {Array} Validation issues
+     */
+    validate(node, outgoingEdges, flow) {
+        const issues = validateActionConfig(node.data, flow).map(message => ({ code: 'incompleteAction', message }));
+        const { onError, actionType } = node.data;
+
+        if (onError && !ACTION_ERROR_MODES.includes(onError)) {
+            issues.push({ code: 'incompleteAction', message: `Action has an unknown error handling mode: ${onError}` });
+        }
+
+        // Webhook actions check their retry settings against their own limits
+        if (actionType !== 'webhook') {
+            Object.entries(RETRY_LIMITS).forEach(([key, limit]) => {
+                const value = node.data[key];
+                if (value !== undefined && value !== null && value !== ''
+                    && !(Number(value) >= limit.min && Number(value) <= limit.max)) {
+                    issues.push({ code: 'incompleteAction', message: `Action ${key} must be between ${limit.min} and ${limit.max}.` });
+                }
+            });
+        }
+
+        return issues;
+    },
+
+    /**
+     * Actions run as soon as they are reached unless the node asks for the user to confirm them first
+     * @param {Object} node - The action node
+     * @returns {boolean} True unless `requireConfirmation` is set
+     */
+    runsAutomatically(node) {
+        return !node.data.requireConfirmation;
+    },
+
+    /**
+     * Execute the action and continue to the next node, the error branch, or stop
+     * @param {Object} ctx - Node execution context
+     * @returns {Object} Node outcome
+     */
+    async run(ctx) {
+        const { node, flow, issueKey, state, context, adapters } = ctx;
+
+        console.log(`Executing action node: ${node.id}`);
+        const retries = [];
+        const now = adapters.clock.now();
+        const jira = withRetries(adapters.jira, getRetryPolicy(node.data), retry => retries.push(retry), ctx.deadline);
+        const actionResult = await executeAction(jira, issueKey, node, state.answers, context, {
+            flow,
+            createdIssues: state.createdIssues,
+            answerIterations: state.answerIterations,
+            path: state.path,
+            http: adapters.http,
+            storage: adapters.storage,
+            deadline: ctx.deadline,
+            now
+        });
+
+        // Remember created issues so later nodes can refer to them as {{created.<nodeId>}}
+        if (actionResult.data && actionResult.data.issueKey && node.data.actionType === 'createIssue') {
+            state.createdIssues = { ...(state.createdIssues || {}), [node.id]: actionResult.data.issueKey };
+        }
+
+        // Decide how a failure is handled before logging it
+        const failed = !actionResult.success;
+        const errorNodeId = failed ? ctx.next(ACTION_ERROR_HANDLE) : null;
+        const errorHandling = errorNodeId ? 'errorBranch' : node.data.onError || 'halt';
+
+        // Log the action with actor information
+        await ctx.logAudit({
+            nodeId: node.id,
+            flowVersion: state.flowVersion,
+            action: node.data,
+            result: actionResult,
+            ...(retries.length > 0 ? { retries } : {}),
+            ...(failed ? { errorHandling } : {}),
+            timestamp: adapters.clock.now().toISOString(),
+            answers: state.answers,
+            actor: {
+                accountId: context.accountId,
+                accountType: context.accountType
+            }
+        });
+
+        if (failed && errorHandling === 'errorBranch') {
+            console.log(`Action ${node.id} failed, following its error branch to ${errorNodeId}`);
+            return { nextNodeId: errorNodeId };
+        }
+
+        if (failed && errorHandling === 'halt') {
+            console.log(`Action ${node.id} failed, halting the flow`);
+            return {
+                failed: {
+                    nodeId: node.id,
+                    error: actionResult.error || 'The action failed',
+                    timestamp: adapters.clock.now().toISOString()
+                }
+            };
+        }
+
+        // Check if there are more connecting nodes after this action
+        const nextNodeId = ctx.next();
+        console.log(`Checking for next node after action ${node.id}: ${nextNodeId}`);
+
+        if (!nextNodeId) {
+            // No more nodes, mark as completed
+            console.log('No more nodes after action, marking flow as completed');
+            return { completed: true };
+        }
+
+        return { nextNodeId };
+    }
+};
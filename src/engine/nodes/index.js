@@ -0,0 +1,43 @@
+/**
+ * Built-in Node Handlers
+ *
+ * Each handler is a plain object registered with the flow engine:
+ *
+ * {
+ *   type: string,                          // node.type this handler executes
+ *   normalizeAnswer?(node, answer, opts),  // optional: returns (a promise of) { value } or { error }; called on
+ *                                          //   every submission (answer null if none was given),
+ *                                          //   opts: { now, jira, issueKey }
+ *   validate?(node, outgoingEdges, flow),  // optional: returns [{ code, message }] (see flowValidation.js)
+ *   runsAutomatically?(node),              // optional: true if the engine runs the node as soon as it is
+ *                                          //   reached; otherwise the run waits for the node to be submitted
+ *   run(ctx): Promise<Object>              // returns { nextNodeId } | { completed: true } | { error }, or
+ *                                          //   { subflow: { flowId } } to run another flow (see subflows.js)
+ * }
+ *
+ * The `ctx` passed to `run` contains the node, flow, execution state, answer,
+ * issue key, flow ID, request context, adapters, the submission's `deadline`
+ * (`{ remainingMs() }`, see retryPolicy.js) and the helpers
+ * `next(edgeLabel?, answer?)`, `logAudit(entry)` and `trace(record)` (reports
+ * how the node decided, for simulations; a no-op unless the engine has a tracer).
+ * Nodes of a sub-flow run with their own flow and a view of the state that only
+ * holds what was recorded in the same invocation, with node IDs as in that flow.
+ */
+
+import { startNodeHandler } from './startNode.js';
+import { questionNodeHandler } from './questionNode.js';
+import { logicNodeHandler } from './logicNode.js';
+import { actionNodeHandler } from './actionNode.js';
+import { switchNodeHandler } from './switchNode.js';
+import { subflowNodeHandler } from './subflowNode.js';
+
+export { startNodeHandler, questionNodeHandler, logicNodeHandler, actionNodeHandler, switchNodeHandler, subflowNodeHandler };
+
+export const defaultNodeHandlers = [
+    startNodeHandler,
+    questionNodeHandler,
+    logicNodeHandler,
+    actionNodeHandler,
+    switchNodeHandler,
+    subflowNodeHandler
+];
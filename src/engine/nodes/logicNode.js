@@ -0,0 +1,319 @@
+/**
+ * Logic Node Handler
+ *
+ * Evaluates the node's condition tree (AND/OR/NOT groups, see
+ * conditionGroups.js) against the current issue and follows the `true` or
+ * `false` edge depending on the result. Field conditions are checked against
+ * the fetched issue; JQL conditions run the query restricted to the issue key.
+ *
+ * Each evaluated condition, with the values it compared, is reported through
+ * `ctx.trace` so a simulation can show why a branch was taken.
+ *
+ * When the issue cannot be fetched or a JQL search fails, no branch is taken:
+ * the run stops on the node in a failed state (`reason: 'conditionError'`)
+ * until it is retried, as it does for a failed action.
+ */
+
+import { evaluateCondition, toComparableValue } from '../conditions.js';
+import { createFieldLookup } from '../fieldMetadata.js';
+import { getConditionTree, collectConditions, evaluateConditionTree, validateConditionTree, findUnbalancedJql } from '../conditionGroups.js';
+
+/**
+ * Evaluate a single condition against an already-fetched issue
+ * @param {Object} condition - The condition (fieldKey, operator, expectedValue, valueSource, questionNodeId)
+ * @param {Object} issue - The Jira issue
+ * @param {boolean} isDateComparison - Whether the field is a date field
+ * @param {Object} executionState - The execution state (optional, needed for question answer lookup)
+ * @param {Date} now - The current date/time date expressions are relative to
+ * @returns {Object} `{ fieldValue, comparisonValue, result }`
+ */
+function evaluateLeafCondition(condition, issue, isDateComparison, executionState, now) {
+    const { fieldKey, operator, expectedValue, valueSource, questionNodeId } = condition;
+
+    // Extract field value (users as account IDs and issues as keys)
+    const fieldValue = toComparableValue(issue.fields[fieldKey]);
+    console.log(`Field ${fieldKey} value:`, fieldValue);
+
+    // Determine the comparison value
+    let comparisonValue = expectedValue;
+
+    // If using question answer as the comparison value
+    if (valueSource === 'question' && questionNodeId && executionState) {
+        // Look up the answer from the execution state
+        const questionAnswer = executionState.answers[questionNodeId];
+
+        if (questionAnswer !== undefined && questionAnswer !== null) {
+            comparisonValue = questionAnswer;
+            console.log(`Using answer from question node ${questionNodeId}: ${comparisonValue}`);
+        } else {
+            console.warn(`No answer found for question node ${questionNodeId}, using static value`);
+        }
+    }
+
+    // Evaluate condition with date awareness
+    const result = evaluateCondition(fieldValue, operator, comparisonValue, isDateComparison, now);
+    console.log(`Condition evaluation: ${fieldValue} ${operator} ${comparisonValue} = ${result}`);
+
+    return { fieldValue, comparisonValue, result };
+}
+
+/**
+ * Find where the ORDER BY clause of a JQL query starts
+ * Quoted strings and parenthesised clauses are skipped, so text such as
+ * `summary ~ "order by x"` is not taken for the clause.
+ * @param {string} jql - The JQL query
+ * @returns {number} Index of the clause, or -1 if the query has none
+ */
+function findOrderByClause(jql) {
+    let quote = null;
+    let depth = 0;
+
+    for (let index = 0; index < jql.length; index++) {
+        const char = jql[index];
+        if (quote) {
+            if (char === '\\') {
+                index++;
+            } else if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')') {
+            depth--;
+        } else if (depth === 0 && (index === 0 || /[\s)]/.test(jql[index - 1])) && /^order\s+by\b/i.test(jql.slice(index))) {
+            return index;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Build a JQL query that only matches the given issue if it matches `jql`
+ * A trailing ORDER BY clause is dropped since it cannot be nested in parentheses.
+ * @param {string} issueKey - The Jira issue key
+ * @param {string} jql - The JQL query to check
+ * @returns {string} Restricted JQL query; throws if `jql` could break out of its parentheses
+ */
+function buildIssueJql(issueKey, jql) {
+    const unbalanced = findUnbalancedJql(jql);
+    if (unbalanced) {
+        throw new Error(`JQL condition is not valid: ${unbalanced}`);
+    }
+
+    const orderBy = findOrderByClause(jql);
+    const clause = (orderBy === -1 ? jql : jql.slice(0, orderBy)).trim();
+    const restriction = `issuekey = "${issueKey}"`;
+    return clause ? `${restriction} AND (${clause})` : restriction;
+}
+
+/**
+ * Check whether an issue matches a JQL query
+ * @param {Object} jira - Jira adapter
+ * @param {string} issueKey - The Jira issue key
+ * @param {string} jql - The JQL query
+ * @returns {Promise<boolean>} True if the issue is returned by the query; throws if the search fails
+ */
+async function issueMatchesJql(jira, issueKey, jql) {
+    const response = await jira.searchIssues({
+        jql: buildIssueJql(issueKey, jql),
+        maxResults: 1,
+        fields: ['id']
+    });
+
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        const details = (body.errorMessages || []).join(' ');
+        throw new Error(`JQL search failed: ${response.status}${details ? ` ${details}` : ''}`);
+    }
+
+    const { issues = [] } = await response.json();
+    const result = issues.length > 0;
+    console.log(`JQL condition "${jql}" for ${issueKey} = ${result}`);
+
+    return result;
+}
+
+/**
+ * Create an evaluator for condition trees against the current issue
+ *
+ * The issue and the field definitions are fetched once, on first use by a
+ * field condition, and each JQL query is run once, so several trees (e.g.
+ * the cases of a switch node) can be evaluated without repeating Jira
+ * requests.
+ *
+ * @param {Object} jira - Jira adapter
+ * @param {string} issueKey - The Jira issue key
+ * @param {Object} executionState - The execution state (optional, needed for question answer lookup)
+ * @param {Object} options - Evaluation options
+ * @param {Date} options.now - The current date/time date expressions are relative to (defaults to the real time)
+ * @param {Function} options.onCondition - Called with a record of each condition evaluated:
+ *   `{ conditionType: 'field', fieldKey, operator, fieldValue, comparisonValue, valueSource, isDateComparison, result }`
+ *   or `{ conditionType: 'jql', jql, result, error? }`
+ * @returns {Function} async (tree) => boolean; throws if the issue cannot be fetched
+ */
+export function createIssueConditionEvaluator(jira, issueKey, executionState = null, options = {}) {
+    const { now = new Date(), onCondition = () => {} } = options;
+    let issue = null;
+    const fieldLookup = createFieldLookup(jira);
+    const dateFields = new Map();
+    const jqlResults = new Map();
+
+    return async (tree) => {
+        const fieldConditions = collectConditions(tree).filter(condition => condition.conditionType !== 'jql');
+
+        if (!issue && fieldConditions.length > 0) {
+            // Fetch issue data from Jira API
+            const response = await jira.getIssue(issueKey);
+
+            if (!response.ok) {
+                throw new Error(`Failed to fetch issue: ${response.status}`);
+            }
+
+            issue = await response.json();
+        }
+
+        // Determine which fields are date fields from their schemas
+        for (const { fieldKey } of fieldConditions) {
+            if (fieldKey && !dateFields.has(fieldKey)) {
+                dateFields.set(fieldKey, await fieldLookup.isDateField(fieldKey));
+            }
+        }
+
+        return await evaluateConditionTree(tree, async (condition) => {
+            if (condition.conditionType === 'jql') {
+                if (!jqlResults.has(condition.jql)) {
+                    try {
+                        jqlResults.set(condition.jql, await issueMatchesJql(jira, issueKey, condition.jql));
+                    } catch (error) {
+                        onCondition({ conditionType: 'jql', jql: condition.jql, result: null, error: error.message });
+                        throw error;
+                    }
+                }
+                const result = jqlResults.get(condition.jql);
+                onCondition({ conditionType: 'jql', jql: condition.jql, result });
+                return result;
+            }
+
+            const isDateComparison = dateFields.get(condition.fieldKey) || false;
+            const { fieldValue, comparisonValue, result } = evaluateLeafCondition(condition, issue, isDateComparison, executionState, now);
+            onCondition({
+                conditionType: 'field',
+                fieldKey: condition.fieldKey,
+                operator: condition.operator,
+                fieldValue,
+                comparisonValue,
+                valueSource: condition.valueSource || 'static',
+                isDateComparison,
+                result
+            });
+            return result;
+        });
+    };
+}
+
+/**
+ * Evaluate a logic node against the current issue
+ * The node's condition tree is evaluated against a single fetch of the issue.
+ * @param {Object} jira - Jira adapter
+ * @param {string} issueKey - The Jira issue key
+ * @param {Object} logicNode - The logic node object
+ * @param {Object} executionState - The execution state (optional, needed for question answer lookup)
+ * @param {Object} options - Evaluation options (`now`, `onCondition`; see createIssueConditionEvaluator)
+ * @returns {Promise<boolean>} Evaluation result; throws if the issue cannot be fetched or a JQL search fails
+ */
+export async function evaluateLogicNodeInternal(jira, issueKey, logicNode, executionState = null, options = {}) {
+    const evaluate = createIssueConditionEvaluator(jira, issueKey, executionState, options);
+    const result = await evaluate(getConditionTree(logicNode.data));
+    console.log(`Logic node ${logicNode.id} evaluated to ${result}`);
+
+    return result;
+}
+
+/**
+ * Build the outcome of a node whose conditions could not be evaluated
+ * @param {Object} node - The logic or switch node
+ * @param {Error} error - The failure
+ * @param {Date} now - The current date/time
+ * @returns {Object} Node outcome that stops the run on the node until it is retried
+ */
+export function conditionFailure(node, error, now) {
+    return {
+        failed: {
+            nodeId: node.id,
+            reason: 'conditionError',
+            error: `The conditions could not be checked: ${error.message}`,
+            timestamp: now.toISOString()
+        }
+    };
+}
+
+export const logicNodeHandler = {
+    type: 'logic',
+
+    /**
+     * Check the condition configuration and that both branches are connected
+     * @param {Object} node - The logic node
+     * @param {Array} outgoingEdges - Edges leaving the node
+     * @returns {Array} Validation issues
+     */
+    validate(node, outgoingEdges) {
+        const issues = validateConditionTree(getConditionTree(node.data))
+            .map(message => ({ code: 'incompleteCondition', message }));
+
+        ['true', 'false'].forEach(branch => {
+            if (!outgoingEdges.some(edge => edge.label === branch || edge.sourceHandle === branch)) {
+                issues.push({ code: 'missingBranch', message: `Logic node has no '${branch}' path configured.` });
+            }
+        });
+
+        return issues;
+    },
+
+    /**
+     * Conditions are evaluated without user input, so the engine runs the node without waiting
+     * @returns {boolean} Always true
+     */
+    runsAutomatically() {
+        return true;
+    },
+
+    /**
+     * Evaluate the condition and follow the matching true/false edge
+     * @param {Object} ctx - Node execution context
+     * @returns {Object} Node outcome
+     */
+    async run(ctx) {
+        const { node, issueKey, state, adapters } = ctx;
+
+        console.log(`Evaluating logic node: ${node.id}`);
+        const conditions = [];
+        let result;
+        try {
+            result = await evaluateLogicNodeInternal(adapters.jira, issueKey, node, state, {
+                now: adapters.clock.now(),
+                onCondition: record => conditions.push(record)
+            });
+        } catch (error) {
+            console.error(`Error evaluating logic node ${node.id}:`, error);
+            ctx.trace({ nodeId: node.id, nodeType: 'logic', conditions, result: null, error: error.message, nextNodeId: null });
+            return conditionFailure(node, error, adapters.clock.now());
+        }
+        const edgeLabel = result ? 'true' : 'false';
+        console.log(`Logic evaluation result: ${result}, looking for edge with label: ${edgeLabel}`);
+
+        const nextNodeId = ctx.next(edgeLabel);
+        console.log(`Next node after logic: ${nextNodeId}`);
+
+        ctx.trace({ nodeId: node.id, nodeType: 'logic', conditions, result, edgeLabel, nextNodeId });
+
+        if (!nextNodeId) {
+            console.error(`No edge found from logic node ${node.id} with label '${edgeLabel}'`);
+            return { error: `Logic node has no '${edgeLabel}' path configured. Please check the flow configuration.` };
+        }
+
+        return { nextNodeId };
+    }
+};
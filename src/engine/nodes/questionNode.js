@@ -0,0 +1,195 @@
+/**
+ * Question Node Handler
+ *
+ * Stores the user's answer and routes to the next node. Single choice
+ * questions route through the edge attached to the selected option (see
+ * questionOptions.js);
+ * multiple choice, number and date questions through the edge of the first
+ * of their routes the answer matches, or their default edge (see
+ * questionRoutes.js).
+ * Answers are checked against the question's validation rules first (see
+ * answerValidation.js); an optional question left empty is stored as null.
+ * Users and issues picked in user and issue questions are checked against
+ * the question's restriction in Jira (see pickerAnswers.js).
+ */
+
+import { validateAnswer, validateAnswerRules, isEmptyAnswer } from '../answerValidation.js';
+import { normalizeUserAnswer, normalizeIssueAnswer, validatePickerConfig } from '../pickerAnswers.js';
+import { getQuestionRoutes, findMatchingRoute, validateQuestionRoutes, getRouteHandle } from '../questionRoutes.js';
+import { CHOICE_QUESTION_TYPES, getQuestionOptions, validateQuestionOptions } from '../questionOptions.js';
+import { questionOptionHandle, isQuestionOptionHandle } from '../flowGraph.js';
+
+/**
+ * Follow the first route the answer matches, or the default edge
+ * @param {Object} ctx - Node execution context
+ * @returns {Promise<Object>} Node outcome
+ */
+async function followRoute(ctx) {
+    const { node, answer, state, context, adapters } = ctx;
+
+    const route = findMatchingRoute(node, answer, adapters.clock.now());
+    const handle = getRouteHandle(route);
+    const nextNodeId = ctx.next(handle);
+    console.log(`Next node after question ${node.id} (${handle}): ${nextNodeId}`);
+
+    ctx.trace({
+        nodeId: node.id,
+        nodeType: 'question',
+        answer,
+        routeId: route ? route.id : null,
+        routeLabel: route ? route.label : null,
+        handle,
+        nextNodeId
+    });
+
+    // Record which route was taken so it shows up in the debugger
+    await ctx.logAudit({
+        nodeId: node.id,
+        flowVersion: state.flowVersion,
+        decision: {
+            nodeType: 'question',
+            routeId: route ? route.id : null,
+            routeLabel: route ? route.label : null,
+            handle,
+            nextNodeId
+        },
+        timestamp: adapters.clock.now().toISOString(),
+        answers: state.answers,
+        actor: {
+            accountId: context.accountId,
+            accountType: context.accountType
+        }
+    });
+
+    if (!nextNodeId) {
+        const routeName = route ? `route "${route.label}"` : 'answers that match no route';
+        console.error(`No edge found from question node ${node.id} for ${handle}`);
+        return { error: `No path is configured for ${routeName}. Please check the flow configuration.` };
+    }
+
+    return { nextNodeId };
+}
+
+export const questionNodeHandler = {
+    type: 'question',
+
+    /**
+     * Check and normalise an answer before it is stored in the execution state
+     * @param {Object} node - The question node
+     * @param {any} answer - The raw answer submitted by the user (null if none was given)
+     * @param {Object} options - Normalisation options
+     * @param {Date} options.now - The current time, for date limits
+     * @param {Object} options.jira - Jira adapter, for checking picked users and issues
+     * @param {string} options.issueKey - The Jira issue key
+     * @returns {Promise<Object>} `{ value }` to store, or `{ error }` to reject the answer
+     */
+    async normalizeAnswer(node, answer, { now = new Date(), jira = null, issueKey = null } = {}) {
+        const error = validateAnswer(node, answer, now);
+        if (error) {
+            return { error };
+        }
+
+        // An optional question left empty
+        if (isEmptyAnswer(answer)) {
+            return { value: null };
+        }
+
+        // User and issue questions store account IDs and issue keys
+        if (node.data.questionType === 'user') {
+            return await normalizeUserAnswer(jira, issueKey, node.data, answer);
+        }
+        if (node.data.questionType === 'issue') {
+            return await normalizeIssueAnswer(jira, node.data, answer);
+        }
+
+        // For date question nodes, store the answer as an ISO string
+        if (node.data.questionType === 'date') {
+            const dateAnswer = new Date(answer);
+
+            if (isNaN(dateAnswer.getTime())) {
+                console.error(`Invalid date format provided: ${answer}`);
+                return { error: 'Invalid date format. Please provide a valid date.' };
+            }
+
+            // Store as ISO string for consistency with Jira date fields
+            return { value: dateAnswer.toISOString() };
+        }
+
+        // For non-date questions, store the answer as-is
+        return { value: answer };
+    },
+
+    /**
+     * Check the question text, its validation rules, its routes and that every answer has a path out of the node
+     * @param {Object} node - The question node
+     * @param {Array} outgoingEdges - Edges leaving the node
+     * @returns {Array} Validation issues
+     */
+    validate(node, outgoingEdges) {
+        const { question, questionType } = node.data;
+        const options = getQuestionOptions(node);
+        const issues = [];
+
+        if (!question || question.trim() === '') {
+            issues.push({ code: 'incompleteQuestion', message: 'Question text is empty.' });
+        }
+
+        validateAnswerRules(node.data).forEach(message => issues.push({ code: 'invalidAnswerRule', message }));
+        validatePickerConfig(node.data).forEach(message => issues.push({ code: 'incompleteQuestion', message }));
+        if (CHOICE_QUESTION_TYPES.includes(questionType)) {
+            validateQuestionOptions(node.data).forEach(message => issues.push({ code: 'incompleteQuestion', message }));
+        }
+
+        if (questionType === 'single') {
+            if (options.length === 0) {
+                issues.push({ code: 'incompleteQuestion', message: 'Single choice question has no options.' });
+            }
+
+            options.forEach((option, index) => {
+                if (!outgoingEdges.some(edge => edge.sourceHandle === questionOptionHandle(option.id))) {
+                    issues.push({
+                        code: 'missingOptionEdge',
+                        message: `Option "${option.label || index + 1}" is not connected to a next node.`
+                    });
+                }
+            });
+
+            // Edges left behind by options that were removed
+            const handles = new Set(options.map(option => questionOptionHandle(option.id)));
+            outgoingEdges
+                .filter(edge => isQuestionOptionHandle(edge.sourceHandle) && !handles.has(edge.sourceHandle))
+                .forEach(edge => issues.push({
+                    code: 'danglingEdge',
+                    edgeId: edge.id,
+                    message: 'Question has a connection from an option that no longer exists.'
+                }));
+        } else if (getQuestionRoutes(node).length > 0) {
+            issues.push(...validateQuestionRoutes(node, outgoingEdges));
+        } else if (outgoingEdges.length === 0) {
+            issues.push({ code: 'missingEdge', message: 'Question is not connected to a next node.' });
+        }
+
+        return issues;
+    },
+
+    /**
+     * Move to the next node, using option-based routing or the question's routes where configured
+     * @param {Object} ctx - Node execution context
+     * @returns {Object} Node outcome
+     */
+    async run(ctx) {
+        if (getQuestionRoutes(ctx.node).length > 0) {
+            return await followRoute(ctx);
+        }
+
+        const nextNodeId = ctx.next(null, ctx.answer);
+        console.log(`Finding next node from ${ctx.node.id}, found: ${nextNodeId}`);
+
+        if (!nextNodeId) {
+            console.error(`No next node found from ${ctx.node.id}`);
+            return { error: 'No path configured from this node. Please check the flow configuration.' };
+        }
+
+        return { nextNodeId };
+    }
+};
@@ -0,0 +1,47 @@
+/**
+ * Start Node Handler
+ *
+ * Entry point of a flow. Running it simply follows the single outgoing edge.
+ */
+
+export const startNodeHandler = {
+    type: 'start',
+
+    /**
+     * Check that the start node leads somewhere
+     * @param {Object} node - The start node
+     * @param {Array} outgoingEdges - Edges leaving the node
+     * @returns {Array} Validation issues
+     */
+    validate(node, outgoingEdges) {
+        if (outgoingEdges.length === 0) {
+            return [{ code: 'missingEdge', message: 'Start node is not connected to any node.' }];
+        }
+        return [];
+    },
+
+    /**
+     * The start node needs no input, so the engine runs it without waiting
+     * @returns {boolean} Always true
+     */
+    runsAutomatically() {
+        return true;
+    },
+
+    /**
+     * Move to the node connected to the start node
+     * @param {Object} ctx - Node execution context
+     * @returns {Object} Node outcome
+     */
+    async run(ctx) {
+        const nextNodeId = ctx.next();
+        console.log(`Finding next node from ${ctx.node.id}, found: ${nextNodeId}`);
+
+        if (!nextNodeId) {
+            console.error(`No next node found from ${ctx.node.id}`);
+            return { error: 'No path configured from this node. Please check the flow configuration.' };
+        }
+
+        return { nextNodeId };
+    }
+};
@@ -0,0 +1,65 @@
+/**
+ * Sub-flow Node Handler
+ *
+ * Runs another published flow inline, as part of this run (see subflows.js).
+ * The handler only checks the node's configuration and asks the engine to
+ * enter the sub-flow; the engine pins the sub-flow's revision, runs its
+ * nodes and returns to this node's outgoing edges when it completes.
+ *
+ * Source handles: the default handle, plus one `outcome-{nodeId}` handle per
+ * node the sub-flow can complete on, taken instead of the default when the
+ * sub-flow completes there. Without an edge to follow, completing the
+ * sub-flow completes this flow too.
+ *
+ * data: { label, subflowId, subflowName, outcomes: [{ nodeId, label }] }
+ * (`subflowName` and `outcomes` are copied from the sub-flow for display in the builder)
+ */
+
+export const subflowNodeHandler = {
+    type: 'subflow',
+
+    /**
+     * Check that the node refers to another flow
+     * A sub-flow node without outgoing edges is valid: completing the sub-flow completes the flow
+     * @param {Object} node - The sub-flow node
+     * @param {Array} outgoingEdges - Edges leaving the node
+     * @param {Object} flow - The flow definition
+     * @returns {Array} Validation issues
+     */
+    validate(node, outgoingEdges, flow) {
+        const { subflowId } = node.data;
+
+        if (!subflowId) {
+            return [{ code: 'incompleteSubflow', message: 'Sub-flow node has no flow selected.' }];
+        }
+        if (flow && subflowId === flow.id) {
+            return [{ severity: 'error', code: 'recursiveSubflow', message: 'A flow cannot run itself as a sub-flow.' }];
+        }
+        return [];
+    },
+
+    /**
+     * Entering a sub-flow needs no input, so the engine runs the node without waiting
+     * @returns {boolean} Always true
+     */
+    runsAutomatically() {
+        return true;
+    },
+
+    /**
+     * Ask the engine to run the referenced flow
+     * @param {Object} ctx - Node execution context
+     * @returns {Object} Node outcome (`{ subflow: { flowId } }` or `{ error }`)
+     */
+    async run(ctx) {
+        const { subflowId } = ctx.node.data;
+
+        if (!subflowId) {
+            console.error(`Sub-flow node ${ctx.node.id} has no flow selected`);
+            return { error: 'No sub-flow is configured for this node. Please check the flow configuration.' };
+        }
+
+        console.log(`Sub-flow node ${ctx.node.id} runs flow ${subflowId}`);
+        return { subflow: { flowId: subflowId } };
+    }
+};
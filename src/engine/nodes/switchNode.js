@@ -0,0 +1,172 @@
+/**
+ * Switch Node Handler
+ *
+ * Multi-way branch. Each case holds a condition tree (see conditionGroups.js)
+ * and its own source handle (`case-{caseId}`). Cases are evaluated in order
+ * against the current issue and the first match wins; when no case matches,
+ * the mandatory `default` handle is followed. When the cases cannot be
+ * evaluated (the issue cannot be fetched or a JQL search fails), the run
+ * stops on the node in a failed state until it is retried, as it does in a
+ * logic node.
+ *
+ * data: { label, cases: [{ id, label, conditionGroup }] }
+ */
+
+import { switchCaseHandle, SWITCH_DEFAULT_HANDLE } from '../flowGraph.js';
+import { validateConditionTree } from '../conditionGroups.js';
+import { createIssueConditionEvaluator, conditionFailure } from './logicNode.js';
+
+/**
+ * Find the first case of a switch node that matches the current issue
+ * @param {Object} jira - Jira adapter
+ * @param {string} issueKey - The Jira issue key
+ * @param {Object} switchNode - The switch node object
+ * @param {Object} executionState - The execution state (needed for question answer lookup)
+ * @param {Object} options - Evaluation options
+ * @param {Date} options.now - The current date/time date expressions are relative to (defaults to the real time)
+ * @param {Function} options.onCase - Called for each case evaluated with `{ caseId, caseLabel, conditions, matched, error? }`
+ *   (`conditions` as reported by createIssueConditionEvaluator; `error` when the case could not be evaluated)
+ * @returns {Promise<Object|null>} The matching case, or null to take the default branch; throws if the issue cannot
+ *   be fetched or a JQL search fails
+ */
+export async function evaluateSwitchNode(jira, issueKey, switchNode, executionState = null, options = {}) {
+    const { now = new Date(), onCase = () => {} } = options;
+    const cases = switchNode.data.cases || [];
+    let conditions = [];
+
+    const evaluate = createIssueConditionEvaluator(jira, issueKey, executionState, {
+        now,
+        onCondition: record => conditions.push(record)
+    });
+
+    for (const switchCase of cases) {
+        conditions = [];
+        let matched;
+        try {
+            matched = Boolean(switchCase.conditionGroup) && await evaluate(switchCase.conditionGroup);
+        } catch (error) {
+            onCase({ caseId: switchCase.id, caseLabel: switchCase.label, conditions, matched: null, error: error.message });
+            throw error;
+        }
+        onCase({ caseId: switchCase.id, caseLabel: switchCase.label, conditions, matched });
+
+        if (matched) {
+            console.log(`Switch node ${switchNode.id} matched case ${switchCase.id} (${switchCase.label})`);
+            return switchCase;
+        }
+    }
+
+    console.log(`Switch node ${switchNode.id} matched no case, taking default branch`);
+    return null;
+}
+
+export const switchNodeHandler = {
+    type: 'switch',
+
+    /**
+     * Check that every case is configured and every branch, including default, is connected
+     * @param {Object} node - The switch node
+     * @param {Array} outgoingEdges - Edges leaving the node
+     * @returns {Array} Validation issues
+     */
+    validate(node, outgoingEdges) {
+        const cases = node.data.cases || [];
+        const issues = [];
+        const isConnected = (handle) => outgoingEdges.some(edge => edge.sourceHandle === handle);
+
+        if (cases.length === 0) {
+            issues.push({ code: 'incompleteSwitch', message: 'Switch node has no cases.' });
+        }
+
+        cases.forEach((switchCase, index) => {
+            const caseName = switchCase.label || `Case ${index + 1}`;
+
+            validateConditionTree(switchCase.conditionGroup || { type: 'group', children: [] })
+                .forEach(message => issues.push({ code: 'incompleteCondition', message: `${caseName}: ${message}` }));
+
+            if (!isConnected(switchCaseHandle(switchCase.id))) {
+                issues.push({ code: 'missingBranch', message: `Switch case "${caseName}" is not connected to a next node.` });
+            }
+        });
+
+        if (!isConnected(SWITCH_DEFAULT_HANDLE)) {
+            issues.push({ code: 'missingBranch', message: 'Switch node has no default path configured.' });
+        }
+
+        // Edges left behind by cases that were removed
+        const handles = new Set([SWITCH_DEFAULT_HANDLE, ...cases.map(switchCase => switchCaseHandle(switchCase.id))]);
+        outgoingEdges
+            .filter(edge => !handles.has(edge.sourceHandle))
+            .forEach(edge => issues.push({
+                code: 'danglingEdge',
+                edgeId: edge.id,
+                message: 'Switch node has a connection from a case that no longer exists.'
+            }));
+
+        return issues;
+    },
+
+    /**
+     * Cases are evaluated without user input, so the engine runs the node without waiting
+     * @returns {boolean} Always true
+     */
+    runsAutomatically() {
+        return true;
+    },
+
+    /**
+     * Evaluate the cases in order and follow the first matching case or the default branch
+     * @param {Object} ctx - Node execution context
+     * @returns {Object} Node outcome
+     */
+    async run(ctx) {
+        const { node, issueKey, state, context, adapters } = ctx;
+
+        console.log(`Evaluating switch node: ${node.id}`);
+        const cases = [];
+        let matchedCase;
+        try {
+            matchedCase = await evaluateSwitchNode(adapters.jira, issueKey, node, state, {
+                now: adapters.clock.now(),
+                onCase: evaluatedCase => cases.push(evaluatedCase)
+            });
+        } catch (error) {
+            console.error(`Error evaluating switch node ${node.id}:`, error);
+            ctx.trace({ nodeId: node.id, nodeType: 'switch', cases, matchedCaseId: null, handle: null, error: error.message, nextNodeId: null });
+            return conditionFailure(node, error, adapters.clock.now());
+        }
+        const handle = matchedCase ? switchCaseHandle(matchedCase.id) : SWITCH_DEFAULT_HANDLE;
+
+        const nextNodeId = ctx.next(handle);
+        console.log(`Next node after switch (${handle}): ${nextNodeId}`);
+
+        ctx.trace({ nodeId: node.id, nodeType: 'switch', cases, matchedCaseId: matchedCase ? matchedCase.id : null, handle, nextNodeId });
+
+        // Record which branch was taken so it shows up in the debugger
+        await ctx.logAudit({
+            nodeId: node.id,
+            flowVersion: state.flowVersion,
+            decision: {
+                nodeType: 'switch',
+                caseId: matchedCase ? matchedCase.id : null,
+                caseLabel: matchedCase ? matchedCase.label : null,
+                handle,
+                nextNodeId
+            },
+            timestamp: adapters.clock.now().toISOString(),
+            answers: state.answers,
+            actor: {
+                accountId: context.accountId,
+                accountType: context.accountType
+            }
+        });
+
+        if (!nextNodeId) {
+            const branchName = matchedCase ? `case "${matchedCase.label}"` : 'default';
+            console.error(`No edge found from switch node ${node.id} for ${handle}`);
+            return { error: `Switch node has no path configured for the ${branchName} branch. Please check the flow configuration.` };
+        }
+
+        return { nextNodeId };
+    }
+};
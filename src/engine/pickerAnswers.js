@@ -0,0 +1,213 @@
+/**
+ * Picker Answers
+ *
+ * User and issue questions let the user pick Jira users or issues. Their
+ * answers are stored as account IDs and issue keys (a list of them when the
+ * question has `allowMultiple` set), so that logic nodes can compare them and
+ * Assign Issue, Add Watchers and Link Issue actions can use them directly.
+ *
+ * A user question can be restricted by `userRestriction`:
+ *
+ * - (not set)  Any active user
+ * - `group`    Members of the group `groupId` (named `groupName`)
+ * - `role`     Members of the project role `roleId` (named `roleName`) in the
+ *              issue's project, directly or through a group in the role
+ *
+ * An issue question can be restricted to the issues matching `issueJql`.
+ *
+ * The issue panel only offers users and issues that meet the restriction;
+ * `submitAnswer` checks the picked ones again.
+ */
+
+export const USER_RESTRICTIONS = ['group', 'role'];
+
+// Upper bound on users or issues picked in one answer
+export const MAX_PICKED = 20;
+
+/**
+ * Turn a picker answer into a list of values
+ * Answers may be a value, an object carrying it (e.g. a Select option) or a list of either.
+ * @param {any} answer - The submitted answer
+ * @param {Array<string>} keys - Object properties that may hold the value, in order
+ * @returns {Array<string>} Values, without duplicates
+ */
+function toValues(answer, keys) {
+    const values = (Array.isArray(answer) ? answer : [answer])
+        .map(value => (value && typeof value === 'object' ? keys.map(key => value[key]).find(Boolean) : value))
+        .filter(Boolean)
+        .map(value => String(value).trim())
+        .filter(Boolean);
+    return [...new Set(values)];
+}
+
+/**
+ * Check the number of picked values against the question
+ * @param {Object} data - The question node data
+ * @param {Array<string>} values - The picked values
+ * @param {string} noun - What was picked, for messages
+ * @returns {string|null} Problem description, or null
+ */
+function checkCount(data, values, noun) {
+    if (!data.allowMultiple && values.length > 1) {
+        return `Please pick a single ${noun}`;
+    }
+    if (values.length > MAX_PICKED) {
+        return `Please pick no more than ${MAX_PICKED} ${noun}s`;
+    }
+    return null;
+}
+
+/**
+ * Fetch the IDs of the groups a user belongs to
+ * @param {Object} jira - Jira adapter
+ * @param {string} accountId - The user's account ID
+ * @returns {Promise<Array<string>>} Group IDs
+ */
+async function fetchUserGroupIds(jira, accountId) {
+    const response = await jira.getUserGroups(accountId);
+    if (!response.ok) {
+        throw new Error(`Failed to fetch the user's groups: ${response.status}`);
+    }
+    const groups = await response.json();
+    return groups.map(group => group.groupId);
+}
+
+/**
+ * Fetch who belongs to a project role in the issue's project
+ * @param {Object} jira - Jira adapter
+ * @param {string} issueKey - The Jira issue key
+ * @param {string} roleId - The project role ID
+ * @returns {Promise<Object>} `{ accountIds: Set, groupIds: Set }`
+ */
+async function fetchRoleActors(jira, issueKey, roleId) {
+    const issueResponse = await jira.getIssue(issueKey);
+    if (!issueResponse.ok) {
+        throw new Error(`Failed to fetch issue: ${issueResponse.status}`);
+    }
+    const issue = await issueResponse.json();
+
+    const response = await jira.getProjectRole(issue.fields.project.key, roleId);
+    if (!response.ok) {
+        throw new Error(`Failed to fetch the project role: ${response.status}`);
+    }
+    const { actors = [] } = await response.json();
+    return {
+        accountIds: new Set(actors.filter(actor => actor.actorUser).map(actor => actor.actorUser.accountId)),
+        groupIds: new Set(actors.filter(actor => actor.actorGroup).map(actor => actor.actorGroup.groupId))
+    };
+}
+
+/**
+ * Check and normalise the answer to a user question
+ * @param {Object} jira - Jira adapter
+ * @param {string} issueKey - The Jira issue key
+ * @param {Object} data - The question node data
+ * @param {any} answer - The submitted answer (account IDs or user options)
+ * @returns {Promise<Object>} `{ value }` (an account ID, or a list with `allowMultiple`) or `{ error }`
+ */
+export async function normalizeUserAnswer(jira, issueKey, data, answer) {
+    const accountIds = toValues(answer, ['accountId', 'value']);
+    const countProblem = checkCount(data, accountIds, 'user');
+    if (countProblem) {
+        return { error: countProblem };
+    }
+
+    try {
+        const roleActors = data.userRestriction === 'role' ? await fetchRoleActors(jira, issueKey, data.roleId) : null;
+
+        for (const accountId of accountIds) {
+            const response = await jira.getUser(accountId);
+            if (!response.ok) {
+                return { error: `User ${accountId} was not found` };
+            }
+            const user = await response.json();
+            if (user.active === false) {
+                return { error: `${user.displayName} is not an active user` };
+            }
+
+            if (data.userRestriction === 'group') {
+                const groupIds = await fetchUserGroupIds(jira, accountId);
+                if (!groupIds.includes(data.groupId)) {
+                    return { error: `${user.displayName} is not a member of ${data.groupName || 'the required group'}` };
+                }
+            } else if (roleActors && !roleActors.accountIds.has(accountId)) {
+                const groupIds = roleActors.groupIds.size > 0 ? await fetchUserGroupIds(jira, accountId) : [];
+                if (!groupIds.some(groupId => roleActors.groupIds.has(groupId))) {
+                    return { error: `${user.displayName} is not in the ${data.roleName || 'required'} role of this project` };
+                }
+            }
+        }
+    } catch (error) {
+        console.error('Error checking picked users:', error);
+        return { error: `Could not check the picked users: ${error.message}` };
+    }
+
+    return { value: data.allowMultiple ? accountIds : accountIds[0] };
+}
+
+/**
+ * Quote a value for JQL
+ * @param {string} value - The value
+ * @returns {string} Quoted value
+ */
+function quoteJql(value) {
+    return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Check and normalise the answer to an issue question
+ * @param {Object} jira - Jira adapter
+ * @param {Object} data - The question node data
+ * @param {any} answer - The submitted answer (issue keys or issue options)
+ * @returns {Promise<Object>} `{ value }` (an issue key, or a list with `allowMultiple`) or `{ error }`
+ */
+export async function normalizeIssueAnswer(jira, data, answer) {
+    const issueKeys = toValues(answer, ['key', 'value']).map(key => key.toUpperCase());
+    const countProblem = checkCount(data, issueKeys, 'issue');
+    if (countProblem) {
+        return { error: countProblem };
+    }
+
+    // The picked issues must exist and match the question's filter
+    const keyClause = `key in (${issueKeys.map(quoteJql).join(', ')})`;
+    const jql = data.issueJql && data.issueJql.trim() ? `(${data.issueJql}) AND ${keyClause}` : keyClause;
+    const response = await jira.searchIssues({ jql, maxResults: issueKeys.length, fields: ['key'] });
+    if (!response.ok) {
+        console.error(`Issue question search failed: ${response.status}`);
+        return { error: data.issueJql ? 'Could not check the picked issues against the filter' : 'Could not find the picked issues' };
+    }
+
+    const { issues = [] } = await response.json();
+    const found = new Set(issues.map(issue => issue.key.toUpperCase()));
+    const missing = issueKeys.filter(key => !found.has(key));
+    if (missing.length > 0) {
+        return {
+            error: data.issueJql
+                ? `${missing.join(', ')} cannot be picked for this question`
+                : `${missing.join(', ')} was not found`
+        };
+    }
+
+    return { value: data.allowMultiple ? issueKeys : issueKeys[0] };
+}
+
+/**
+ * Check the configuration of a user or issue question, for flow validation
+ * @param {Object} data - The question node data
+ * @returns {Array<string>} Problem descriptions
+ */
+export function validatePickerConfig(data) {
+    const problems = [];
+    if (data.questionType === 'user') {
+        if (data.userRestriction && !USER_RESTRICTIONS.includes(data.userRestriction)) {
+            problems.push(`User question has an unknown restriction: ${data.userRestriction}`);
+        }
+        if (data.userRestriction === 'group' && !data.groupId) {
+            problems.push('User question is restricted to a group but no group is selected.');
+        }
+        if (data.userRestriction === 'role' && !data.roleId) {
+            problems.push('User question is restricted to a project role but no role is selected.');
+        }
+    }
+    return problems;
+}
@@ -0,0 +1,180 @@
+/**
+ * Question Options
+ *
+ * Single and multiple choice questions hold their options as
+ * `{ id, label, value }`:
+ *
+ * - `id`     Never changes; keys the option's source handle (`option-{id}`) and
+ *            the multiple choice routes that refer to the option
+ * - `label`  What the issue panel shows
+ * - `value`  What is stored as the answer, and what conditions and templates see
+ *
+ * so reordering options or renaming their labels leaves edges, routes and
+ * answers intact.
+ *
+ * Flows saved before option IDs hold options as plain strings, routed by
+ * position (`option-{index}`) and answered with the option text. Stored flows
+ * and executions are rewritten once by the `question-option-ids` storage
+ * migration (see storageMigrations.js); until it has run, flows are also
+ * converted when they are loaded (see migrateFlowOptions). Each option takes
+ * its former position as its ID and its text as label and value, so existing
+ * edges and answers keep pointing at the same option.
+ */
+
+// Question types that have options
+export const CHOICE_QUESTION_TYPES = ['single', 'multiple'];
+
+/**
+ * Convert a stored option to `{ id, label, value }`
+ * @param {string|Object} option - The stored option
+ * @param {number} index - Its position, the ID of options saved as plain strings
+ * @returns {Object} The option
+ */
+function toOption(option, index) {
+    if (option && typeof option === 'object') {
+        return option;
+    }
+    return { id: String(index), label: String(option), value: String(option) };
+}
+
+/**
+ * Get the options of a question node
+ * @param {Object} node - The question node
+ * @returns {Array<Object>} Options: { id, label, value }
+ */
+export function getQuestionOptions(node) {
+    return ((node && node.data.options) || []).map(toOption);
+}
+
+/**
+ * Find the option an answer refers to
+ * @param {Array<Object>} options - The question's options
+ * @param {any} answer - A single answer value
+ * @returns {Object|null} The option with that value, or null if the answer matches none
+ */
+export function findOption(options, answer) {
+    return options.find(option => option.value === answer) || null;
+}
+
+/**
+ * Check the options of a choice question, for flow validation
+ * @param {Object} data - The question node data
+ * @returns {Array<string>} Problem descriptions
+ */
+export function validateQuestionOptions(data) {
+    const options = (data.options || []).map(toOption);
+    const problems = [];
+
+    options.forEach((option, index) => {
+        if (!option.id) {
+            problems.push(`Option ${index + 1} has no ID.`);
+        }
+        if (!option.label || !String(option.label).trim()) {
+            problems.push(`Option ${index + 1} has no label.`);
+        }
+        if (option.value === undefined || option.value === null || String(option.value).trim() === '') {
+            problems.push(`Option "${option.label || index + 1}" has no value.`);
+        }
+    });
+
+    const seenValues = new Set();
+    options.forEach(option => {
+        if (seenValues.has(option.value)) {
+            problems.push(`More than one option has the value "${option.value}".`);
+        }
+        seenValues.add(option.value);
+    });
+
+    return problems;
+}
+
+/**
+ * Check whether a question node holds options saved before option IDs
+ * @param {Object} node - The node
+ * @returns {boolean} True if any option is a plain string
+ */
+export function hasLegacyOptions(node) {
+    return node.type === 'question' && Array.isArray(node.data.options) &&
+        node.data.options.some(option => !option || typeof option !== 'object');
+}
+
+/**
+ * Find the ID an option saved before option IDs takes, from its text
+ * Options were told apart by position, so the first option with the text is the one meant.
+ * @param {Array<string>} legacyOptions - The options as stored
+ * @param {string} text - The option text
+ * @returns {string|null} The option ID, or null if no option has the text
+ */
+function legacyOptionId(legacyOptions, text) {
+    const index = legacyOptions.indexOf(text);
+    return index === -1 ? null : String(index);
+}
+
+/**
+ * Convert the options of a question node saved before option IDs
+ * Multiple choice routes referring to options by their text are pointed at the option IDs.
+ * @param {Object} node - The node
+ * @returns {Object} The converted node, or the node itself if there was nothing to convert
+ */
+function migrateNodeOptions(node) {
+    if (node.type !== 'question' || !Array.isArray(node.data.options)) {
+        return node;
+    }
+
+    const isLegacy = hasLegacyOptions(node);
+    if (!isLegacy && node.data.optionsText === undefined) {
+        return node;
+    }
+
+    const options = node.data.options.map(toOption);
+    const { optionsText: _optionsText, ...data } = node.data;
+    const routes = isLegacy && Array.isArray(data.routes)
+        ? data.routes.map(route => (Array.isArray(route.options)
+            ? {
+                ...route,
+                options: route.options.map(text => legacyOptionId(node.data.options, text) || text)
+            }
+            : route))
+        : data.routes;
+
+    return {
+        ...node,
+        data: { ...data, options, ...(routes ? { routes } : {}) }
+    };
+}
+
+/**
+ * Convert a flow saved before option IDs
+ * @param {Object} flow - The stored flow (published revision or draft)
+ * @returns {Object} The converted flow, or the flow itself if there was nothing to convert
+ */
+export function migrateFlowOptions(flow) {
+    if (!flow || !Array.isArray(flow.nodes)) {
+        return flow;
+    }
+
+    const nodes = flow.nodes.map(migrateNodeOptions);
+    if (nodes.every((node, index) => node === flow.nodes[index])) {
+        return flow;
+    }
+
+    console.log(`Converted the question options of flow ${flow.id} to options with IDs`);
+    return { ...flow, nodes };
+}
+
+/**
+ * Convert an answer to a question saved before option IDs to the value(s) of the options it chose
+ * Such answers hold option text; the option is found by position, as its edge was.
+ * @param {Object} node - The question node as stored, with its legacy options
+ * @param {any} answer - The answer (option text, or a list of them for multiple choice)
+ * @returns {any} The answer as option values; text matching no option is kept
+ */
+export function migrateLegacyAnswer(node, answer) {
+    const options = node.data.options.map(toOption);
+    const toValue = (text) => {
+        const optionId = legacyOptionId(node.data.options, text);
+        const option = optionId === null ? null : options.find(candidate => candidate.id === optionId);
+        return option ? option.value : text;
+    };
+    return Array.isArray(answer) ? answer.map(toValue) : toValue(answer);
+}
@@ -0,0 +1,215 @@
+/**
+ * Question Routes
+ *
+ * Multiple choice, number and date questions can branch on their answer.
+ * A question's `data.routes` are checked in order and the first one the
+ * answer matches is followed through its own source handle
+ * (`route-{routeId}`); when none matches, or an optional question was left
+ * empty, the question's default handle is followed.
+ *
+ * Route: { id, label, ...rule }, where the rule depends on the question type:
+ *
+ * - multiple  `{ match: 'any' | 'all', options: string[] }`
+ *             The picked options include any (or all) of `options`, by option ID
+ * - number    `{ min, max }`
+ *             `min <= answer < max`; either bound may be left out
+ * - date      `{ operator: 'before' | 'onOrBefore' | 'on' | 'onOrAfter' | 'after', date }`
+ *             Compared by day with a date expression (e.g. "today() + 7d")
+ *             or an ISO date, evaluated when the question is answered
+ *
+ * Single choice questions route by option instead (`option-{optionId}`).
+ */
+
+import { QUESTION_DEFAULT_HANDLE, questionRouteHandle, isQuestionRouteHandle } from './flowGraph.js';
+import { evaluateDateLimit, formatDate } from './answerValidation.js';
+import { getQuestionOptions, findOption } from './questionOptions.js';
+
+// Question types that can have routes
+export const ROUTED_QUESTION_TYPES = ['multiple', 'number', 'date'];
+
+export const ROUTE_MATCHES = ['any', 'all'];
+
+export const ROUTE_DATE_OPERATORS = ['before', 'onOrBefore', 'on', 'onOrAfter', 'after'];
+
+/**
+ * Get the routes of a question node
+ * @param {Object} node - The question node
+ * @returns {Array} Routes, in evaluation order (empty for question types that do not route)
+ */
+export function getQuestionRoutes(node) {
+    if (!ROUTED_QUESTION_TYPES.includes(node.data.questionType)) {
+        return [];
+    }
+    return node.data.routes || [];
+}
+
+/**
+ * Check whether a value is left empty
+ * @param {any} value - The value
+ * @returns {boolean} True if the value is not set
+ */
+function isUnset(value) {
+    return value === undefined || value === null || value === '';
+}
+
+/**
+ * Check whether an answer matches a route
+ * @param {Object} node - The question node
+ * @param {Object} route - The route
+ * @param {any} answer - The answer
+ * @param {Date} now - The current time, for date expressions
+ * @returns {boolean} True if the route should be followed
+ */
+function matchesRoute(node, route, answer, now) {
+    switch (node.data.questionType) {
+        case 'multiple': {
+            const options = getQuestionOptions(node);
+            const pickedIds = (Array.isArray(answer) ? answer : [answer])
+                .map(value => findOption(options, value))
+                .filter(Boolean)
+                .map(option => option.id);
+            const routeIds = route.options || [];
+            if (routeIds.length === 0) {
+                return false;
+            }
+            return route.match === 'all'
+                ? routeIds.every(optionId => pickedIds.includes(optionId))
+                : routeIds.some(optionId => pickedIds.includes(optionId));
+        }
+
+        case 'number': {
+            const value = Number(answer);
+            if (isNaN(value)) {
+                return false;
+            }
+            return (isUnset(route.min) || value >= Number(route.min)) &&
+                (isUnset(route.max) || value < Number(route.max));
+        }
+
+        case 'date': {
+            const date = new Date(answer);
+            if (isNaN(date.getTime()) || isUnset(route.date)) {
+                return false;
+            }
+            const day = formatDate(date);
+            const routeDay = formatDate(evaluateDateLimit(String(route.date), now));
+            switch (route.operator) {
+                case 'before': return day < routeDay;
+                case 'onOrBefore': return day <= routeDay;
+                case 'on': return day === routeDay;
+                case 'onOrAfter': return day >= routeDay;
+                case 'after': return day > routeDay;
+                default: return false;
+            }
+        }
+
+        default:
+            return false;
+    }
+}
+
+/**
+ * Find the first route of a question node its answer matches
+ * @param {Object} node - The question node
+ * @param {any} answer - The answer (null when an optional question was left empty)
+ * @param {Date} now - The current time, for date expressions
+ * @returns {Object|null} The matching route, or null to take the default handle
+ */
+export function findMatchingRoute(node, answer, now = new Date()) {
+    if (answer === null || answer === undefined || answer === '') {
+        return null;
+    }
+
+    for (const route of getQuestionRoutes(node)) {
+        try {
+            if (matchesRoute(node, route, answer, now)) {
+                return route;
+            }
+        } catch (error) {
+            console.error(`Error evaluating route ${route.id} of node ${node.id}:`, error);
+        }
+    }
+    return null;
+}
+
+/**
+ * Check a question node's routes and that each of them, and the default handle, is connected
+ * @param {Object} node - The question node
+ * @param {Array} outgoingEdges - Edges leaving the node
+ * @returns {Array} Validation issues
+ */
+export function validateQuestionRoutes(node, outgoingEdges) {
+    const routes = getQuestionRoutes(node);
+    const { questionType } = node.data;
+    const optionIds = getQuestionOptions(node).map(option => option.id);
+    const issues = [];
+    const isConnected = (handle) => outgoingEdges.some(edge => edge.sourceHandle === handle);
+    const incomplete = (routeName, message) => issues.push({ code: 'incompleteRoute', message: `${routeName}: ${message}` });
+
+    routes.forEach((route, index) => {
+        const routeName = route.label || `Route ${index + 1}`;
+
+        if (questionType === 'multiple') {
+            if (!ROUTE_MATCHES.includes(route.match || 'any')) {
+                incomplete(routeName, `Unknown match "${route.match}".`);
+            }
+            if (!route.options || route.options.length === 0) {
+                incomplete(routeName, 'No options are selected.');
+            }
+            if ((route.options || []).some(optionId => !optionIds.includes(optionId))) {
+                incomplete(routeName, 'It refers to an option that no longer exists.');
+            }
+        } else if (questionType === 'number') {
+            ['min', 'max'].filter(bound => !isUnset(route[bound]) && isNaN(Number(route[bound])))
+                .forEach(bound => incomplete(routeName, `The ${bound === 'min' ? 'lower' : 'upper'} bound must be a number.`));
+            if (isUnset(route.min) && isUnset(route.max)) {
+                incomplete(routeName, 'No range is set.');
+            } else if (!isUnset(route.min) && !isUnset(route.max) && Number(route.min) >= Number(route.max)) {
+                incomplete(routeName, 'The lower bound must be below the upper bound.');
+            }
+        } else if (questionType === 'date') {
+            if (!ROUTE_DATE_OPERATORS.includes(route.operator)) {
+                incomplete(routeName, 'No comparison is selected.');
+            }
+            if (isUnset(route.date)) {
+                incomplete(routeName, 'No date is set.');
+            } else {
+                try {
+                    evaluateDateLimit(String(route.date), new Date());
+                } catch (error) {
+                    incomplete(routeName, `"${route.date}" is not a valid date or date expression.`);
+                }
+            }
+        }
+
+        if (!isConnected(questionRouteHandle(route.id))) {
+            issues.push({ code: 'missingBranch', message: `Route "${routeName}" is not connected to a next node.` });
+        }
+    });
+
+    // Edges saved without a handle count as the default edge
+    if (routes.length > 0 && !outgoingEdges.some(edge => !isQuestionRouteHandle(edge.sourceHandle))) {
+        issues.push({ code: 'missingBranch', message: 'Question has no path for answers that match no route.' });
+    }
+
+    // Edges left behind by routes that were removed
+    const handles = new Set(routes.map(route => questionRouteHandle(route.id)));
+    outgoingEdges
+        .filter(edge => isQuestionRouteHandle(edge.sourceHandle) && !handles.has(edge.sourceHandle))
+        .forEach(edge => issues.push({
+            code: 'danglingEdge',
+            edgeId: edge.id,
+            message: 'Question has a connection from a route that no longer exists.'
+        }));
+
+    return issues;
+}
+
+/**
+ * Get the source handle a question node follows for a route
+ * @param {Object|null} route - The matching route, or null
+ * @returns {string} Source handle ID
+ */
+export function getRouteHandle(route) {
+    return route ? questionRouteHandle(route.id) : QUESTION_DEFAULT_HANDLE;
+}
@@ -0,0 +1,166 @@
+/**
+ * Action Retry Policy
+ *
+ * Jira requests made by an action node can be retried when Jira is rate
+ * limiting (429) or failing (5xx). Each action node has its own policy:
+ *
+ * - `maxRetries`      Retries of a failing request (0 turns retries off)
+ * - `retryDelayMs`    Wait before the first retry, doubled for each further retry
+ *
+ * A `Retry-After` header on the response takes precedence over the computed
+ * wait. Requests are retried individually, so the parts of an action that
+ * already succeeded (e.g. a comment that was added) are never repeated.
+ *
+ * Requests that create something or move the issue on (WRITE_ONCE_REQUESTS)
+ * are only retried when rate limited: Jira refuses a rate-limited request
+ * without running it, but a 5xx may come back after the write was made, and
+ * sending it again could add a second comment or issue.
+ *
+ * Webhook actions make no Jira requests; they use the same two settings for
+ * their deliveries, within WEBHOOK_LIMITS (see webhooks.js).
+ */
+
+// Limits on the retry settings of an action node. They do not bound the time an action takes on their own:
+// retries also stop once the request's deadline (see createDeadline) leaves no time for the wait.
+export const RETRY_LIMITS = {
+    maxRetries: { min: 0, max: 5, default: 0 },
+    retryDelayMs: { min: 100, max: 5000, default: 500 }
+};
+
+// Jira adapter requests that are not safe to send twice, by method name
+export const WRITE_ONCE_REQUESTS = ['addComment', 'createIssue', 'createIssueLink', 'transitionIssue', 'addWatcher'];
+
+// Longest wait honoured from a Retry-After header
+const MAX_RETRY_AFTER_MS = 10000;
+
+// Time one request to the engine may spend running nodes, including retries and their waits. Forge stops a
+// resolver after about 25 seconds; the margin leaves time for the request that is running and the state to be saved.
+export const REQUEST_TIME_BUDGET_MS = 20000;
+
+/**
+ * Read the retry policy of an action node
+ * @param {Object} data - The action node data
+ * @returns {Object} `{ maxRetries, retryDelayMs }`, clamped to RETRY_LIMITS
+ */
+export function getRetryPolicy(data) {
+    return {
+        maxRetries: clampToLimit(data.maxRetries, RETRY_LIMITS.maxRetries),
+        retryDelayMs: clampToLimit(data.retryDelayMs, RETRY_LIMITS.retryDelayMs)
+    };
+}
+
+/**
+ * Check whether a response status is worth retrying
+ * @param {number} status - HTTP status
+ * @returns {boolean} True for rate limiting and server errors
+ */
+export function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Check whether a Jira request that got a response status can be sent again
+ * @param {string} request - The Jira adapter method name
+ * @param {number} status - HTTP status
+ * @returns {boolean} True for rate limiting, and for server errors of requests that are safe to repeat
+ */
+function isRetryableRequest(request, status) {
+    return WRITE_ONCE_REQUESTS.includes(request) ? status === 429 : isRetryableStatus(status);
+}
+
+/**
+ * Clamp a setting to its limits, using the default if it is not a number
+ * @param {any} value - The configured value
+ * @param {Object} limit - `{ min, max, default }`
+ * @returns {number} The value to use
+ */
+export function clampToLimit(value, limit) {
+    const number = Number(value);
+    if (value === undefined || value === null || value === '' || Number.isNaN(number)) {
+        return limit.default;
+    }
+    return Math.min(limit.max, Math.max(limit.min, number));
+}
+
+/**
+ * Wait
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a deadline that retries and waits are measured against
+ * @param {number} budgetMs - Time from now until the deadline
+ * @param {Object|null} parent - A deadline this one cannot outlast (optional)
+ * @returns {Object} `{ remainingMs() }`, never below 0
+ */
+export function createDeadline(budgetMs, parent = null) {
+    const endsAt = Date.now() + budgetMs;
+    return {
+        remainingMs: () => Math.max(0, Math.min(endsAt - Date.now(), parent ? parent.remainingMs() : Infinity))
+    };
+}
+
+/**
+ * Wrap a Jira adapter so that rate-limited and failed requests are retried
+ * Requests in WRITE_ONCE_REQUESTS are only retried when rate limited. A request is not retried when
+ * the wait before the retry would run past the deadline; its failed response is returned instead.
+ * @param {Object} jira - Jira adapter
+ * @param {Object} policy - `{ maxRetries, retryDelayMs }` (see getRetryPolicy)
+ * @param {Function} onRetry - Called before each retry with `{ request, status, attempt, delayMs }`
+ * @param {Object|null} deadline - Deadline for the retries (optional, see createDeadline)
+ * @returns {Object} Jira adapter with the same methods
+ */
+export function withRetries(jira, policy, onRetry = () => {}, deadline = null) {
+    if (policy.maxRetries === 0) {
+        return jira;
+    }
+
+    const retrying = {};
+    Object.entries(jira).forEach(([name, method]) => {
+        retrying[name] = typeof method !== 'function' ? method : async (...args) => {
+            let delay = policy.retryDelayMs;
+
+            for (let attempt = 1; ; attempt++) {
+                const response = await method(...args);
+                if (!isRetryableRequest(name, response.status) || attempt > policy.maxRetries) {
+                    return response;
+                }
+
+                const retryAfterMs = getRetryAfterMs(response);
+                const delayMs = retryAfterMs === null ? delay : retryAfterMs;
+                if (deadline && delayMs >= deadline.remainingMs()) {
+                    console.warn(`${name} returned ${response.status}, not retrying: no time left for another attempt`);
+                    return response;
+                }
+                console.log(`${name} returned ${response.status}, retrying in ${delayMs}ms (retry ${attempt} of ${policy.maxRetries})`);
+                onRetry({ request: name, status: response.status, attempt, delayMs });
+
+                await sleep(delayMs);
+                delay *= 2;
+            }
+        };
+    });
+
+    return retrying;
+}
+
+/**
+ * Read the wait requested by a response's Retry-After header
+ * @param {Object} response - Fetch-style response
+ * @returns {number|null} Milliseconds to wait, or null if the header is missing or not a number of seconds
+ */
+function getRetryAfterMs(response) {
+    const header = response.headers && typeof response.headers.get === 'function'
+        ? response.headers.get('Retry-After')
+        : null;
+    const seconds = Number(header);
+
+    if (header === null || header === '' || Number.isNaN(seconds)) {
+        return null;
+    }
+    return Math.min(MAX_RETRY_AFTER_MS, Math.max(0, seconds * 1000));
+}
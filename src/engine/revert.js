@@ -0,0 +1,231 @@
+/**
+ * Run Reverts
+ *
+ * Undoes the Jira changes made by one run of a flow, using what its action
+ * audit entries recorded (entries are tagged with the run's `runId`):
+ *
+ * - setField:   the field is set back to `result.data.previousValue`
+ * - addLabel:   the label is removed, unless the issue already had it
+ * - addComment: the comment is deleted
+ *
+ * Other actions (transitions, assignments, created issues, links, watchers,
+ * webhooks) cannot be undone safely and are reported as skipped. Changes are
+ * undone newest first, so a field set twice ends up with its original value.
+ *
+ * Reverting needs the Edit Issues permission, and is limited to users who
+ * took part in the run and project administrators.
+ *
+ * Each revert is logged as an audit entry. When some changes could not be
+ * undone the run is kept, and reverting it again only retries what is left:
+ * steps refer to the action entry they undo by its position among the run's
+ * entries (`entryIndex`).
+ */
+
+import { withRetries } from './retryPolicy.js';
+
+// Reverts retry rate-limited and failing Jira requests like an action node would
+const REVERT_RETRY_POLICY = { maxRetries: 2, retryDelayMs: 500 };
+
+/**
+ * Get the action audit entries of a run
+ * @param {Array} logs - The issue/flow audit log
+ * @param {string} runId - The run ID
+ * @returns {Array} Action entries, oldest first
+ */
+export function getRunActionEntries(logs, runId) {
+    return logs.filter(entry => entry.runId === runId && entry.action && entry.result);
+}
+
+/**
+ * Get the audit entries recording reverts of a run, partial ones included
+ * @param {Array} logs - The issue/flow audit log
+ * @param {string} runId - The run ID
+ * @returns {Array} Revert entries, oldest first
+ */
+export function getRunReverts(logs, runId) {
+    return logs.filter(entry => entry.revert && entry.revert.runId === runId);
+}
+
+/**
+ * Find the audit entry recording the revert of a run
+ * @param {Array} logs - The issue/flow audit log
+ * @param {string} runId - The run ID
+ * @returns {Object|null} The entry of the revert that undid every change, or null if the run has not been reverted
+ */
+export function findRunRevert(logs, runId) {
+    return getRunReverts(logs, runId).find(entry => entry.revert.failed.length === 0) || null;
+}
+
+/**
+ * Work out how to undo each change a run made
+ * @param {Array} entries - The run's action audit entries, oldest first
+ * @param {Array} reverts - Earlier partial reverts of the run (see getRunReverts); the changes they undid are left out
+ * @returns {Array} Steps, newest change first:
+ *   `{ nodeId, actionType, entryIndex, operation: 'restoreField' | 'removeLabel' | 'deleteComment' | 'skip', description, ... }`
+ */
+export function planRevert(entries, reverts = []) {
+    const undone = new Set(reverts.flatMap(entry => entry.revert.reverted.map(step => step.entryIndex)));
+
+    return entries
+        .map((entry, entryIndex) => ({ entry, entryIndex }))
+        .filter(({ entry, entryIndex }) => entry.result.success && !undone.has(entryIndex))
+        .reverse()
+        .map(({ entry, entryIndex }) => {
+            const { actionType } = entry.action;
+            const data = entry.result.data || {};
+            const step = { nodeId: entry.nodeId, actionType, entryIndex };
+
+            switch (actionType) {
+                case 'setField':
+                    if (!('previousValue' in data)) {
+                        return { ...step, operation: 'skip', description: `Field ${data.fieldKey}: the previous value was not recorded` };
+                    }
+                    return {
+                        ...step,
+                        operation: 'restoreField',
+                        fieldKey: data.fieldKey,
+                        value: data.previousValue,
+                        description: `Set ${data.fieldKey} back to ${describeValue(data.previousValue)}`
+                    };
+                case 'addLabel':
+                    if (data.alreadyPresent === undefined) {
+                        return { ...step, operation: 'skip', description: `Label "${data.label}": not known whether the run added it` };
+                    }
+                    if (data.alreadyPresent) {
+                        return { ...step, operation: 'skip', description: `Label "${data.label}" was already on the issue` };
+                    }
+                    return { ...step, operation: 'removeLabel', label: data.label, description: `Remove label "${data.label}"` };
+                case 'addComment':
+                    if (!data.id) {
+                        return { ...step, operation: 'skip', description: 'Comment: its ID was not recorded' };
+                    }
+                    return { ...step, operation: 'deleteComment', commentId: data.id, description: 'Delete the comment the run added' };
+                default:
+                    return { ...step, operation: 'skip', description: `${actionType} actions cannot be reverted` };
+            }
+        });
+}
+
+/**
+ * Check whether a user may revert a run
+ * @param {Object} jira - Jira adapter (acting as the user)
+ * @param {string} issueKey - The Jira issue key
+ * @param {string} accountId - The user's account ID
+ * @param {Array} entries - The run's action audit entries
+ * @returns {Promise<Object>} `{ allowed, reason? }`
+ */
+export async function checkRevertPermission(jira, issueKey, accountId, entries) {
+    const response = await jira.getMyPermissions(issueKey, ['EDIT_ISSUES', 'ADMINISTER_PROJECTS']);
+    if (!response.ok) {
+        return { allowed: false, reason: `Could not check your permissions: ${response.status}` };
+    }
+
+    const { permissions = {} } = await response.json();
+    const has = (key) => Boolean(permissions[key] && permissions[key].havePermission);
+
+    if (!has('EDIT_ISSUES')) {
+        return { allowed: false, reason: 'You need permission to edit this issue to revert a run.' };
+    }
+
+    const tookPart = entries.some(entry => entry.actor && entry.actor.accountId === accountId);
+    if (!tookPart && !has('ADMINISTER_PROJECTS')) {
+        return { allowed: false, reason: 'Only users who took part in the run and project administrators can revert it.' };
+    }
+
+    return { allowed: true };
+}
+
+/**
+ * Undo the planned changes on the issue
+ * @param {Object} jira - Jira adapter
+ * @param {string} issueKey - The Jira issue key
+ * @param {Array} steps - Steps from planRevert
+ * @returns {Promise<Object>} `{ reverted, skipped, failed }`, each a list of steps (failed steps carry `error`)
+ */
+export async function applyRevert(jira, issueKey, steps) {
+    const retryingJira = withRetries(jira, REVERT_RETRY_POLICY);
+    const summary = { reverted: [], skipped: [], failed: [] };
+
+    for (const step of steps) {
+        if (step.operation === 'skip') {
+            summary.skipped.push(step);
+            continue;
+        }
+
+        try {
+            const response = await runStep(retryingJira, issueKey, step);
+            if (response.ok) {
+                summary.reverted.push(step);
+            } else {
+                const errorText = await response.text().catch(() => '');
+                console.error(`Failed to revert ${step.nodeId}: ${response.status} - ${errorText}`);
+                summary.failed.push({ ...step, error: `API error: ${response.status}` });
+            }
+        } catch (error) {
+            console.error(`Error reverting ${step.nodeId}:`, error);
+            summary.failed.push({ ...step, error: error.message });
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * Make the Jira request that undoes one change
+ * @param {Object} jira - Jira adapter
+ * @param {string} issueKey - The Jira issue key
+ * @param {Object} step - The revert step
+ * @returns {Promise<Object>} The response
+ */
+function runStep(jira, issueKey, step) {
+    switch (step.operation) {
+        case 'restoreField':
+            return jira.updateIssue(issueKey, { fields: { [step.fieldKey]: toEditValue(step.value) } });
+        case 'removeLabel':
+            return jira.updateIssue(issueKey, { update: { labels: [{ remove: step.label }] } });
+        case 'deleteComment':
+            return jira.deleteComment(issueKey, step.commentId);
+        default:
+            throw new Error(`Unknown revert operation: ${step.operation}`);
+    }
+}
+
+/**
+ * Convert a field value as read from Jira into a value Jira accepts when editing
+ * Users are referred to by account ID and other objects (options, priorities,
+ * versions, components) by ID; anything else is sent as read.
+ * @param {any} value - The value as returned by the issue API
+ * @returns {any} The value to send
+ */
+function toEditValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(toEditValue);
+    }
+    if (value && typeof value === 'object' && value.type !== 'doc') {
+        if (value.accountId) {
+            return { accountId: value.accountId };
+        }
+        if (value.id) {
+            return { id: value.id };
+        }
+    }
+    return value;
+}
+
+/**
+ * Describe a field value for a revert step
+ * @param {any} value - The field value
+ * @returns {string} Short description
+ */
+function describeValue(value) {
+    if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) {
+        return 'empty';
+    }
+    if (Array.isArray(value)) {
+        return value.map(describeValue).join(', ');
+    }
+    if (typeof value === 'object') {
+        return `"${value.displayName || value.name || value.value || value.key || value.id || 'previous value'}"`;
+    }
+    return `"${value}"`;
+}
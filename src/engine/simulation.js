@@ -0,0 +1,357 @@
+/**
+ * Flow Simulation
+ *
+ * Runs a flow against an issue snapshot without changing anything, to show
+ * what the flow would do: the nodes it would visit, how every logic and
+ * switch node decided (with the values each condition compared), and the
+ * Jira requests and webhooks its actions would make.
+ *
+ * The real engine and node handlers do the work, bound to simulated adapters:
+ *
+ * - jira:    the issue is read from the snapshot. Other reads (field metadata,
+ *            users, projects, transitions, JQL searches) go to the supplied
+ *            read-only Jira adapter, so JQL conditions see the real issue with
+ *            the snapshot's key rather than any edits made to the snapshot.
+ *            Writes are recorded and answered with a successful response;
+ *            created issues get placeholder keys (SIMULATED-1, ...).
+ * - http:    webhook deliveries are recorded, not sent.
+ * - storage: in memory, seeded with the flow. Flows run by sub-flow nodes are
+ *            read from the supplied read-only storage adapter, if any, and run
+ *            at their published revision. Webhook signing secrets are not
+ *            read; webhooks are signed with a placeholder secret.
+ * - clock:   fixed at the simulated "now".
+ *
+ * Question nodes take the next scripted answer. A scripted answer is either
+ * the answer value itself or `{ nodeId, answer }`, which must match the
+ * question it is used for. All other nodes run as soon as they are reached,
+ * including actions that would wait for the user to confirm them. The run is
+ * stepped one node at a time so each Jira request and webhook is attributed
+ * to the action that made it.
+ */
+
+import { createFlowEngine } from './flowEngine.js';
+import { auditKey } from './audit.js';
+import { flowKey, flowVersionKey } from './storageKeys.js';
+import { createNodeResolver } from './subflows.js';
+import { defaultNodeHandlers } from './nodes/index.js';
+
+// Guards against flows that never complete
+const MAX_SIMULATION_STEPS = 200;
+
+// Issue key used when the snapshot has none
+const DEFAULT_ISSUE_KEY = 'SIMULATED-0';
+
+// Jira adapter methods that only read, passed through to Jira
+const READ_METHODS = [
+    'getFields', 'searchIssues', 'getTransitions', 'getIssueLinkTypes', 'getWatchers',
+    'getGroupMembers', 'getProject', 'getComponent', 'getUser', 'getUserGroups', 'getProjectRole', 'getMyPermissions'
+];
+
+// Jira adapter methods that write, with the status Jira answers them with
+const WRITE_METHODS = {
+    updateIssue: 204,
+    addComment: 201,
+    deleteComment: 204,
+    transitionIssue: 204,
+    assignIssue: 204,
+    createIssue: 201,
+    createIssueLink: 201,
+    addWatcher: 204
+};
+
+/**
+ * Build a fetch-style response
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body
+ * @returns {Object} `{ ok, status, headers, json(), text() }`
+ */
+function simulatedResponse(status, body = {}) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: () => null },
+        json: async () => body,
+        text: async () => JSON.stringify(body)
+    };
+}
+
+/**
+ * Create the storage adapter of a simulation
+ * @param {Object} flow - The flow to seed storage with
+ * @param {Object} readStorage - Storage adapter other flows are read from (optional; never written to)
+ * @returns {Object} Storage adapter kept in memory
+ */
+function createSimulatedStorage(flow, readStorage) {
+    const values = new Map();
+    values.set(flowKey(flow.id), flow);
+    if (flow.version) {
+        values.set(flowVersionKey(flow.id, flow.version), flow);
+    }
+
+    // Published revisions of other flows, for sub-flow nodes
+    const isFlowKey = (key) => key.startsWith(flowKey(''));
+
+    return {
+        get: async (key) => {
+            if (values.has(key)) {
+                return values.get(key);
+            }
+            return readStorage && isFlowKey(key) ? await readStorage.get(key) : undefined;
+        },
+        set: async (key, value) => {
+            values.set(key, value);
+        },
+        delete: async (key) => {
+            values.delete(key);
+        },
+        getSecret: async () => 'simulated-secret',
+        setSecret: async () => {},
+        deleteSecret: async () => {}
+    };
+}
+
+/**
+ * Create the Jira adapter of a simulation
+ * @param {Object} issue - The issue snapshot (`{ key, fields }`)
+ * @param {Object} readJira - Jira adapter used for reads the snapshot cannot answer (optional)
+ * @param {Function} record - Called with `{ request, args }` for each write
+ * @returns {Object} Jira adapter
+ */
+function createSimulatedJira(issue, readJira, record) {
+    const createdKeys = new Set();
+    let commentCount = 0;
+    const jira = {};
+
+    READ_METHODS.forEach(name => {
+        jira[name] = (...args) => (readJira && readJira[name]
+            ? readJira[name](...args)
+            : Promise.resolve(simulatedResponse(501, { errorMessages: [`${name} is not available in a simulation`] })));
+    });
+
+    Object.entries(WRITE_METHODS).forEach(([name, status]) => {
+        jira[name] = async (...args) => {
+            record({ request: name, args });
+
+            if (name === 'createIssue') {
+                const key = `SIMULATED-${createdKeys.size + 1}`;
+                createdKeys.add(key);
+                return simulatedResponse(status, { id: key, key });
+            }
+            if (name === 'addComment') {
+                commentCount += 1;
+                return simulatedResponse(status, { id: `simulated-comment-${commentCount}` });
+            }
+            return simulatedResponse(status);
+        };
+    });
+
+    jira.getIssue = async (issueKey) => {
+        if (issueKey === issue.key) {
+            return simulatedResponse(200, issue);
+        }
+        if (createdKeys.has(issueKey)) {
+            return simulatedResponse(200, { key: issueKey, fields: {} });
+        }
+        return readJira ? readJira.getIssue(issueKey) : simulatedResponse(404, { errorMessages: ['Issue not found'] });
+    };
+
+    return jira;
+}
+
+/**
+ * Create the HTTP adapter of a simulation
+ * @param {Function} record - Called with `{ request: 'webhook', url, method, headers, body }` for each delivery
+ * @returns {Object} HTTP adapter
+ */
+function createSimulatedHttp(record) {
+    return {
+        fetch: async (url, options = {}) => {
+            let body = options.body;
+            try {
+                body = JSON.parse(options.body);
+            } catch (error) {
+                // Not JSON; keep the raw body
+            }
+            record({ request: 'webhook', url, method: options.method || 'GET', headers: options.headers || {}, body });
+            return simulatedResponse(200);
+        }
+    };
+}
+
+/**
+ * Pick the scripted answer for a question node
+ * @param {string} nodeId - The question node ID within the run (scoped for questions of sub-flows)
+ * @param {any} scripted - The next scripted answer
+ * @returns {Object} `{ answer }`, or `{ error }` if the answer is for another question
+ */
+function takeScriptedAnswer(nodeId, scripted) {
+    const isWrapped = scripted !== null && typeof scripted === 'object' && !Array.isArray(scripted) && 'answer' in scripted;
+    if (!isWrapped) {
+        return { answer: scripted };
+    }
+    if (scripted.nodeId && scripted.nodeId !== nodeId) {
+        return { error: `The next scripted answer is for node ${scripted.nodeId}, but the flow asks question ${nodeId}` };
+    }
+    return { answer: scripted.answer };
+}
+
+/**
+ * Describe a visited node for the simulated path
+ * @param {Function} resolveNode - The run's node resolver (see subflows.js)
+ * @param {string} nodeId - The node ID within the run
+ * @returns {Promise<Object>} `{ nodeId, type, label, subflow }`, where `subflow` is `{ flowId, flowName }` for
+ *   nodes of a sub-flow
+ */
+async function describePathNode(resolveNode, nodeId) {
+    const scope = await resolveNode(nodeId);
+    if (!scope) {
+        return { nodeId, type: null, label: null, subflow: null };
+    }
+    const { node, flow, invocationId } = scope;
+    return {
+        nodeId,
+        type: node.type,
+        label: node.data.label || node.data.question || null,
+        subflow: invocationId ? { flowId: flow.id, flowName: flow.name } : null
+    };
+}
+
+/**
+ * Count the audit entries of a simulated run
+ * @param {Object} storage - The simulation's storage adapter
+ * @param {string} issueKey - The snapshot's issue key
+ * @param {string} flowId - The flow ID
+ * @returns {Promise<number>} Number of entries
+ */
+async function countAuditEntries(storage, issueKey, flowId) {
+    const entries = await storage.get(auditKey(issueKey, flowId)) || [];
+    return entries.length;
+}
+
+/**
+ * Describe an action the simulated run executed
+ * @param {Object} entry - The action's audit entry
+ * @param {Array} requests - The Jira writes and webhook deliveries the action made
+ * @returns {Object} `{ nodeId, actionType, label, success, error, data, errorHandling, requests }`
+ */
+function describeAction(entry, requests) {
+    return {
+        nodeId: entry.nodeId,
+        actionType: entry.action.actionType,
+        label: entry.action.label || null,
+        success: entry.result.success,
+        error: entry.result.error || null,
+        data: entry.result.data || null,
+        errorHandling: entry.errorHandling || null,
+        requests
+    };
+}
+
+/**
+ * Simulate a flow on an issue snapshot
+ * @param {Object} params - Simulation parameters
+ * @param {Object} params.flow - The flow definition (saved or unsaved)
+ * @param {Object} params.issue - The issue snapshot (`{ key, fields }`)
+ * @param {Array} params.answers - Scripted answers, used in order by the questions reached
+ * @param {Date} params.now - The simulated current date/time (defaults to the real time)
+ * @param {Object} params.jira - Jira adapter for reads the snapshot cannot answer (optional; never written to)
+ * @param {Object} params.storage - Storage adapter the flows of sub-flow nodes are read from (optional; never
+ *   written to)
+ * @param {Object} params.context - The request context (the simulated actor)
+ * @param {Array} params.nodeHandlers - Node handlers (defaults to the built-in handlers)
+ * @returns {Promise<Object>} `{ now, completed, failed, stoppedAt, path, answers, unusedAnswers, evaluations, actions }`
+ *   where `stoppedAt` is `{ nodeId, reason }` when the run did not complete, or `{ error }` if it cannot start
+ */
+export async function simulateFlow({ flow, issue, answers = [], now = new Date(), jira = null, storage: readStorage = null, context = {}, nodeHandlers = defaultNodeHandlers }) {
+    const flowId = flow.id || 'simulation';
+    const simulatedFlow = { ...flow, id: flowId };
+    const snapshot = { ...issue, key: issue.key || DEFAULT_ISSUE_KEY, fields: issue.fields || {} };
+
+    // Requests made while a node runs are attributed to that node's action
+    let requests = [];
+    const record = (request) => requests.push(request);
+
+    const evaluations = [];
+    const actions = [];
+    const storage = createSimulatedStorage(simulatedFlow, readStorage);
+    const engine = createFlowEngine({
+        jira: createSimulatedJira(snapshot, jira, record),
+        storage,
+        http: createSimulatedHttp(record),
+        clock: { now: () => new Date(now.getTime()) },
+        trace: (entry) => evaluations.push(entry),
+        nodeHandlers
+    });
+
+    let state = await engine.getExecutionState(snapshot.key, flowId);
+    if (state.error) {
+        return { error: state.error };
+    }
+
+    const scriptedAnswers = [...answers];
+    let stoppedAt = null;
+
+    for (let step = 0; !state.completed && !state.failed; step++) {
+        if (step === MAX_SIMULATION_STEPS) {
+            stoppedAt = { nodeId: state.currentNodeId, reason: `Stopped after ${MAX_SIMULATION_STEPS} steps` };
+            break;
+        }
+
+        const scope = await createNodeResolver(simulatedFlow, state, engine.loadFlow)(state.currentNodeId);
+        if (!scope) {
+            stoppedAt = { nodeId: state.currentNodeId, reason: 'Node not found in the flow' };
+            break;
+        }
+        const { node, nodeId } = scope;
+
+        let answer = null;
+        if (node.type === 'question') {
+            if (scriptedAnswers.length === 0) {
+                stoppedAt = { nodeId, reason: 'Waiting for an answer' };
+                break;
+            }
+            const scripted = takeScriptedAnswer(nodeId, scriptedAnswers[0]);
+            if (scripted.error) {
+                stoppedAt = { nodeId, reason: scripted.error };
+                break;
+            }
+            scriptedAnswers.shift();
+            answer = scripted.answer;
+        }
+
+        requests = [];
+        const loggedBefore = await countAuditEntries(storage, snapshot.key, flowId);
+        const result = await engine.submitAnswer({ issueKey: snapshot.key, flowId, nodeId, answer, context, autoAdvance: false });
+        const logged = (await storage.get(auditKey(snapshot.key, flowId)) || []).slice(loggedBefore);
+        logged
+            .filter(entry => entry.action && entry.result)
+            .forEach(entry => actions.push(describeAction(entry, requests)));
+
+        if (result.error) {
+            stoppedAt = { nodeId, reason: result.error };
+            state = { ...state, answers: result.answers || state.answers, path: result.path || state.path };
+            break;
+        }
+        state = result;
+    }
+
+    if (state.failed) {
+        stoppedAt = { nodeId: state.failed.nodeId, reason: state.failed.error };
+    }
+
+    const resolveNode = createNodeResolver(simulatedFlow, state, engine.loadFlow);
+    const path = await Promise.all(state.path.map(nodeId => describePathNode(resolveNode, nodeId)));
+
+    return {
+        now: now.toISOString(),
+        issueKey: snapshot.key,
+        completed: Boolean(state.completed),
+        failed: state.failed || null,
+        stoppedAt,
+        path,
+        answers: state.answers,
+        unusedAnswers: scriptedAnswers,
+        evaluations,
+        actions
+    };
+}
@@ -0,0 +1,86 @@
+/**
+ * Storage Keys
+ *
+ * Builders for the storage keys shared by the engine and the resolvers.
+ */
+
+/**
+ * Build the storage key for a flow definition (the latest published revision)
+ * @param {string} flowId - The flow ID
+ * @returns {string} Storage key
+ */
+export function flowKey(flowId) {
+    return `flow:${flowId}`;
+}
+
+/**
+ * Build the storage key for an immutable flow revision
+ * @param {string} flowId - The flow ID
+ * @param {number} version - The revision number
+ * @returns {string} Storage key
+ */
+export function flowVersionKey(flowId, version) {
+    return `flow:${flowId}:v${version}`;
+}
+
+/**
+ * Build the storage key for a flow's revision index
+ * @param {string} flowId - The flow ID
+ * @returns {string} Storage key
+ */
+export function flowVersionsKey(flowId) {
+    return `flow-versions:${flowId}`;
+}
+
+/**
+ * Build the storage key for a flow's unpublished draft
+ * @param {string} flowId - The flow ID
+ * @returns {string} Storage key
+ */
+export function flowDraftKey(flowId) {
+    return `flow-draft:${flowId}`;
+}
+
+/**
+ * Build the storage key for an issue/flow execution state
+ * @param {string} issueKey - The Jira issue key
+ * @param {string} flowId - The flow ID
+ * @returns {string} Storage key
+ */
+export function executionKey(issueKey, flowId) {
+    return `exec:${issueKey}:${flowId}`;
+}
+
+/**
+ * Build the secret storage key for a webhook node's signing secret
+ * @param {string} flowId - The flow ID
+ * @param {string} nodeId - The webhook action node ID
+ * @returns {string} Storage key
+ */
+export function webhookSecretKey(flowId, nodeId) {
+    return `webhook-secret:${flowId}:${nodeId}`;
+}
+
+/**
+ * Build the storage key for the list of nodes of a flow that have a webhook signing secret
+ * @param {string} flowId - The flow ID
+ * @returns {string} Storage key
+ */
+export function webhookSecretsKey(flowId) {
+    return `webhook-secrets:${flowId}`;
+}
+
+/**
+ * Build the storage key for the IDs of the storage migrations that have run
+ * @returns {string} Storage key
+ */
+export function storageMigrationsKey() {
+    return 'storage-migrations';
+}
+
+// Key prefixes for listing stored entries by kind. `flow:` matches flow heads and their revisions.
+export const KEY_PREFIXES = {
+    flows: 'flow:',
+    drafts: 'flow-draft:',
+    executions: 'exec:'
+};
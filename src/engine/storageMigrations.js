@@ -0,0 +1,155 @@
+/**
+ * Storage Migrations
+ *
+ * One-time rewrites of stored data whose format has changed. Each migration
+ * has an ID and runs once: the IDs of the migrations that completed are kept
+ * under `storage-migrations`, and the app runs the others when it is
+ * installed or upgraded (the `storage-migrations` trigger in manifest.yml).
+ * Migrations only rewrite entries that still need it, so one that was
+ * interrupted can simply run again.
+ *
+ * - `question-option-ids`  Question options saved as plain strings become
+ *                          `{ id, label, value }` in flow heads, revisions and
+ *                          drafts, and the answers of executions pinned to such
+ *                          revisions become option values (see questionOptions.js)
+ *
+ * The storage adapter must provide `list(prefix)`, resolving to the
+ * `{ key, value }` entries whose key starts with the prefix.
+ */
+
+import { flowKey, flowVersionKey, storageMigrationsKey, KEY_PREFIXES } from './storageKeys.js';
+import { CHOICE_QUESTION_TYPES, hasLegacyOptions, migrateFlowOptions, migrateLegacyAnswer } from './questionOptions.js';
+import { splitScopedNodeId } from './subflows.js';
+
+/**
+ * Create a loader for flow revisions as they are stored, before any conversion
+ * Revisions are looked up as loadFlowVersion does, and cached.
+ * @param {Object} storage - Storage adapter
+ * @returns {Function} async (flowId, version) => the stored flow, or null
+ */
+function createStoredFlowLoader(storage) {
+    const flows = new Map();
+
+    return async (flowId, version) => {
+        const cacheKey = `${flowId}:${version || ''}`;
+        if (!flows.has(cacheKey)) {
+            const snapshot = version ? await storage.get(flowVersionKey(flowId, version)) : null;
+            const head = snapshot ? null : await storage.get(flowKey(flowId));
+            const matchesHead = head && (!version || !head.version || head.version === version);
+            flows.set(cacheKey, snapshot || (matchesHead ? head : null));
+        }
+        return flows.get(cacheKey);
+    };
+}
+
+/**
+ * Convert the choice answers of an execution to questions saved before option IDs
+ * @param {Object} state - The execution state
+ * @param {string} flowId - The flow the run started on
+ * @param {Function} loadStoredFlow - Loader from createStoredFlowLoader
+ * @returns {Promise<Object|null>} The converted state, or null if no answer changed
+ */
+async function migrateExecutionAnswers(state, flowId, loadStoredFlow) {
+    // Answers of invoked flows are keyed by scoped node IDs and read against the invoked revision
+    const findLegacyQuestion = async (scopedNodeId) => {
+        const { invocationId, localNodeId } = splitScopedNodeId(scopedNodeId);
+        const invocation = invocationId
+            ? (state.invocations || {})[invocationId]
+            : { flowId, flowVersion: state.flowVersion };
+        const flow = invocation ? await loadStoredFlow(invocation.flowId, invocation.flowVersion) : null;
+        const node = flow && (flow.nodes || []).find(candidate => candidate.id === localNodeId);
+        return node && CHOICE_QUESTION_TYPES.includes(node.data.questionType) && hasLegacyOptions(node) ? node : null;
+    };
+
+    const migrated = JSON.parse(JSON.stringify(state));
+    let changed = false;
+    const convert = (node, answer) => {
+        if (answer === null || answer === undefined) {
+            return answer;
+        }
+        const converted = migrateLegacyAnswer(node, answer);
+        changed = changed || JSON.stringify(converted) !== JSON.stringify(answer);
+        return converted;
+    };
+
+    for (const nodeId of Object.keys(migrated.answers || {})) {
+        const node = await findLegacyQuestion(nodeId);
+        if (node) {
+            migrated.answers[nodeId] = convert(node, migrated.answers[nodeId]);
+        }
+    }
+    for (const nodeId of Object.keys(migrated.answerIterations || {})) {
+        const node = await findLegacyQuestion(nodeId);
+        if (node && Array.isArray(migrated.answerIterations[nodeId])) {
+            migrated.answerIterations[nodeId] = migrated.answerIterations[nodeId].map(answer => convert(node, answer));
+        }
+    }
+
+    return changed ? migrated : null;
+}
+
+/**
+ * Give question options IDs in every stored flow, and convert the answers that refer to them
+ * @param {Object} storage - Storage adapter
+ * @returns {Promise<Object>} `{ flows, executions }`: how many entries were rewritten
+ */
+async function migrateQuestionOptionIds(storage) {
+    const loadStoredFlow = createStoredFlowLoader(storage);
+    let executions = 0;
+    let flows = 0;
+
+    // Executions first, so their answers are read against the flows as they were saved
+    for (const { key, value } of await storage.list(KEY_PREFIXES.executions)) {
+        // exec:{issueKey}:{flowId}; issue keys contain no colon
+        const flowId = key.slice(KEY_PREFIXES.executions.length).split(':').slice(1).join(':');
+        const migrated = await migrateExecutionAnswers(value, flowId, loadStoredFlow);
+        if (migrated) {
+            await storage.set(key, migrated);
+            executions++;
+        }
+    }
+
+    for (const prefix of [KEY_PREFIXES.flows, KEY_PREFIXES.drafts]) {
+        for (const { key, value } of await storage.list(prefix)) {
+            const migrated = migrateFlowOptions(value);
+            if (migrated !== value) {
+                await storage.set(key, migrated);
+                flows++;
+            }
+        }
+    }
+
+    return { flows, executions };
+}
+
+// Every migration, in the order they run
+export const STORAGE_MIGRATIONS = [
+    { id: 'question-option-ids', run: migrateQuestionOptionIds }
+];
+
+/**
+ * Run the storage migrations that have not run yet, in order
+ * @param {Object} storage - Storage adapter
+ * @param {Array} migrations - `{ id, run(storage) }` (defaults to STORAGE_MIGRATIONS)
+ * @returns {Promise<Array>} `[{ id, summary }]` for each migration that ran
+ */
+export async function runStorageMigrations(storage, migrations = STORAGE_MIGRATIONS) {
+    const completed = (await storage.get(storageMigrationsKey())) || [];
+    const ran = [];
+
+    for (const migration of migrations) {
+        if (completed.includes(migration.id)) {
+            continue;
+        }
+
+        console.log(`Running storage migration ${migration.id}`);
+        const summary = await migration.run(storage);
+        console.log(`Storage migration ${migration.id} done: ${JSON.stringify(summary)}`);
+
+        completed.push(migration.id);
+        await storage.set(storageMigrationsKey(), completed);
+        ran.push({ id: migration.id, summary });
+    }
+
+    return ran;
+}
@@ -0,0 +1,304 @@
+/**
+ * Sub-flows
+ *
+ * A sub-flow node runs another published flow inline, as part of the run of
+ * the flow that contains it. Entering the node starts an invocation of the
+ * referenced flow, pinned to its latest published revision and recorded in
+ * `state.invocations[invocationId]` as `{ nodeId, flowId, flowVersion }`.
+ *
+ * Nodes of an invoked flow are addressed within the run by scoped IDs,
+ * `<invocationId>/<nodeId>`, and the invocation ID is
+ * `<subflowNodeId>#<pass>`. The path, answers, answer iterations and created
+ * issues of each invocation are therefore kept apart, even when the same
+ * flow is invoked from several nodes or on several passes of a loop.
+ * Invocations nest: `node-4#0/node-2#0/node-7` is node-7 of a flow invoked by
+ * node-2 of the flow invoked by node-4.
+ *
+ * Node handlers only ever see the flow they belong to: the engine gives them
+ * a view of the state with the scope stripped from every key and maps the
+ * IDs they return back into the run.
+ *
+ * When the invoked flow completes, the run returns to the sub-flow node and
+ * follows the edge for the node the sub-flow completed on
+ * (`outcome-<nodeId>`) if it is connected, or its default edge otherwise. A
+ * sub-flow node with no edge to follow completes the flow containing it.
+ *
+ * A flow may not invoke itself, directly or through other flows: the flow
+ * builder does not offer such flows, saving a flow that would close a cycle
+ * is refused, and the engine refuses to enter a flow that is already running
+ * in the same chain of invocations.
+ */
+
+import { findNode } from './flowGraph.js';
+import { countVisits } from './iterations.js';
+import { loadFlowWorkingCopy, FLOW_STATUS } from './flowDrafts.js';
+
+// Separates the invocation from the node ID in a scoped node ID
+const SCOPE_SEPARATOR = '/';
+
+// Separates the sub-flow node ID from the pass in an invocation ID
+const PASS_SEPARATOR = '#';
+
+/**
+ * Build the ID a node of an invoked flow has within the run
+ * @param {string|null} invocationId - The invocation (null for the flow the run started on)
+ * @param {string} nodeId - The node ID within its flow
+ * @returns {string} Scoped node ID
+ */
+export function scopedNodeId(invocationId, nodeId) {
+    return invocationId ? `${invocationId}${SCOPE_SEPARATOR}${nodeId}` : nodeId;
+}
+
+/**
+ * Split a scoped node ID into its invocation and the node ID within its flow
+ * @param {string} nodeId - The scoped node ID
+ * @returns {Object} `{ invocationId, localNodeId }` (invocationId is null for the flow the run started on)
+ */
+export function splitScopedNodeId(nodeId) {
+    const index = nodeId.lastIndexOf(SCOPE_SEPARATOR);
+    return index === -1
+        ? { invocationId: null, localNodeId: nodeId }
+        : { invocationId: nodeId.slice(0, index), localNodeId: nodeId.slice(index + 1) };
+}
+
+/**
+ * Build the ID of an invocation
+ * @param {string} subflowNodeId - The scoped ID of the sub-flow node
+ * @param {number} pass - The pass through the sub-flow node, from 0
+ * @returns {string} Invocation ID
+ */
+export function invocationIdFor(subflowNodeId, pass) {
+    return `${subflowNodeId}${PASS_SEPARATOR}${pass}`;
+}
+
+/**
+ * Get the flow IDs of a sub-flow node's invocation and all invocations around it
+ * @param {Object} state - The execution state
+ * @param {string|null} invocationId - The innermost invocation (null for none)
+ * @returns {Array<string>} Flow IDs, innermost first
+ */
+export function getInvocationFlowIds(state, invocationId) {
+    const flowIds = [];
+    let current = invocationId;
+    while (current) {
+        const invocation = state.invocations && state.invocations[current];
+        if (!invocation) {
+            break;
+        }
+        flowIds.push(invocation.flowId);
+        current = splitScopedNodeId(invocation.nodeId).invocationId;
+    }
+    return flowIds;
+}
+
+/**
+ * Pick the entries of an object keyed by node IDs of one invocation, with the scope stripped
+ * @param {Object} values - Values by scoped node ID
+ * @param {string|null} invocationId - The invocation
+ * @returns {Object} Values by node ID within the invoked flow
+ */
+function pickScoped(values, invocationId) {
+    return Object.fromEntries(Object.entries(values || {})
+        .map(([nodeId, value]) => [splitScopedNodeId(nodeId), value])
+        .filter(([{ invocationId: scope }]) => scope === invocationId)
+        .map(([{ localNodeId }, value]) => [localNodeId, value]));
+}
+
+/**
+ * Create the view of the execution state a node of an invoked flow runs with
+ * @param {Object} state - The execution state
+ * @param {string} invocationId - The invocation the node belongs to
+ * @returns {Object} State with the path, answers, answer iterations and created issues of the invocation only
+ */
+export function createScopedState(state, invocationId) {
+    return {
+        ...state,
+        path: state.path
+            .map(splitScopedNodeId)
+            .filter(({ invocationId: scope }) => scope === invocationId)
+            .map(({ localNodeId }) => localNodeId),
+        answers: pickScoped(state.answers, invocationId),
+        answerIterations: pickScoped(state.answerIterations, invocationId),
+        createdIssues: pickScoped(state.createdIssues, invocationId)
+    };
+}
+
+/**
+ * Copy what a node handler recorded on a scoped view back into the execution state
+ * @param {Object} state - The execution state (updated in place)
+ * @param {Object} scopedState - The view the handler ran with
+ * @param {string} invocationId - The invocation the node belongs to
+ */
+export function mergeScopedState(state, scopedState, invocationId) {
+    Object.entries(scopedState.createdIssues || {}).forEach(([nodeId, issueKey]) => {
+        state.createdIssues = { ...(state.createdIssues || {}), [scopedNodeId(invocationId, nodeId)]: issueKey };
+    });
+}
+
+/**
+ * Drop the invocations whose sub-flow node pass is no longer on the path, e.g. after a rewind
+ * @param {Object} state - The execution state, with its path already shortened (updated in place)
+ */
+export function dropUnvisitedInvocations(state) {
+    Object.keys(state.invocations || {}).forEach(invocationId => {
+        const index = invocationId.lastIndexOf(PASS_SEPARATOR);
+        const subflowNodeId = invocationId.slice(0, index);
+        const pass = Number(invocationId.slice(index + 1));
+        if (countVisits(state.path, subflowNodeId) <= pass) {
+            delete state.invocations[invocationId];
+        }
+    });
+}
+
+/**
+ * Create a function that finds the node a scoped node ID refers to, and the flow it belongs to
+ * Invoked flows are loaded at the revision their invocation is pinned to, once per resolver.
+ * @param {Object} rootFlow - The flow revision the run started on
+ * @param {Object} state - The execution state (its invocations are read on every lookup)
+ * @param {Function} loadFlow - `(flowId, version) => Promise<Object|null>`
+ * @returns {Function} `(nodeId) => Promise<{ nodeId, node, flow, invocationId }|null>`, where `node` is
+ *   the node as it is in its own flow
+ */
+export function createNodeResolver(rootFlow, state, loadFlow) {
+    const flows = new Map();
+
+    const loadInvokedFlow = async (invocation) => {
+        const key = `${invocation.flowId}:v${invocation.flowVersion}`;
+        if (!flows.has(key)) {
+            flows.set(key, await loadFlow(invocation.flowId, invocation.flowVersion));
+        }
+        return flows.get(key);
+    };
+
+    return async (nodeId) => {
+        const { invocationId, localNodeId } = splitScopedNodeId(nodeId);
+        let flow = rootFlow;
+        if (invocationId) {
+            const invocation = state.invocations && state.invocations[invocationId];
+            flow = invocation ? await loadInvokedFlow(invocation) : null;
+        }
+
+        const node = flow ? findNode(flow.nodes || [], localNodeId) : null;
+        return node ? { nodeId, node, flow, invocationId } : null;
+    };
+}
+
+/**
+ * List the flows a flow's sub-flow nodes refer to
+ * @param {Object} flow - The flow definition
+ * @returns {Array} `[{ nodeId, flowId }]`
+ */
+export function getSubflowReferences(flow) {
+    return (flow.nodes || [])
+        .filter(node => node.type === 'subflow' && node.data && node.data.subflowId)
+        .map(node => ({ nodeId: node.id, flowId: node.data.subflowId }));
+}
+
+/**
+ * Find a chain of sub-flow references that leads from a flow back to itself
+ * @param {Object} flow - The flow definition (as it is about to be saved)
+ * @param {Function} loadFlow - `(flowId) => Promise<Object|null>` loading the flows it refers to
+ * @returns {Promise<Object|null>} `{ nodeId, flowIds }` for the first sub-flow node that closes a cycle, where
+ *   `flowIds` is the chain of flows it runs through, or null if there is none
+ */
+export async function findSubflowCycle(flow, loadFlow) {
+    const references = new Map();
+    const getReferences = async (flowId) => {
+        if (!references.has(flowId)) {
+            const referenced = await loadFlow(flowId);
+            references.set(flowId, referenced ? getSubflowReferences(referenced).map(reference => reference.flowId) : []);
+        }
+        return references.get(flowId);
+    };
+
+    // Depth-first search for a path back to the flow, remembering the flows already explored
+    const explored = new Set();
+    const findPathBack = async (flowId, chain) => {
+        if (flowId === flow.id) {
+            return chain;
+        }
+        if (explored.has(flowId)) {
+            return null;
+        }
+        explored.add(flowId);
+
+        for (const referencedId of await getReferences(flowId)) {
+            const found = await findPathBack(referencedId, [...chain, referencedId]);
+            if (found) {
+                return found;
+            }
+        }
+        return null;
+    };
+
+    for (const reference of getSubflowReferences(flow)) {
+        const flowIds = await findPathBack(reference.flowId, [reference.flowId]);
+        if (flowIds) {
+            return { nodeId: reference.nodeId, flowIds };
+        }
+    }
+    return null;
+}
+
+/**
+ * Check the flows a flow's sub-flow nodes refer to, before the flow is saved or published
+ * Referring to a flow that is missing or was never published is incomplete configuration: a warning while
+ * saving a draft and an error when publishing. A chain of references leading back to the flow is always an
+ * error. Flows are followed as they are being edited (their drafts), since any draft may be published.
+ * @param {Object} storage - Storage adapter
+ * @param {Object} flow - The flow definition
+ * @param {Object} options - Validation options
+ * @param {boolean} options.publishing - Treat incomplete configuration as errors
+ * @returns {Promise<Array>} Validation issues (see flowValidation.js)
+ */
+export async function validateSubflowReferences(storage, flow, { publishing = false } = {}) {
+    const incompleteSeverity = publishing ? 'error' : 'warning';
+    const issues = [];
+    const flows = new Map();
+    const loadWorkingCopy = async (flowId) => {
+        if (!flows.has(flowId)) {
+            flows.set(flowId, await loadFlowWorkingCopy(storage, flowId));
+        }
+        return flows.get(flowId);
+    };
+
+    for (const reference of getSubflowReferences(flow)) {
+        if (reference.flowId === flow.id) {
+            // Reported by the sub-flow node handler
+            continue;
+        }
+
+        const subflow = await loadWorkingCopy(reference.flowId);
+        if (!subflow) {
+            issues.push({
+                severity: incompleteSeverity,
+                code: 'missingSubflow',
+                nodeId: reference.nodeId,
+                message: 'Sub-flow node runs a flow that no longer exists.'
+            });
+        } else if (subflow.status === FLOW_STATUS.DRAFT) {
+            issues.push({
+                severity: incompleteSeverity,
+                code: 'unpublishedSubflow',
+                nodeId: reference.nodeId,
+                message: `Sub-flow node runs "${subflow.name}", which has not been published yet.`
+            });
+        }
+    }
+
+    const cycle = flow.id ? await findSubflowCycle(flow, loadWorkingCopy) : null;
+    if (cycle) {
+        const names = await Promise.all(cycle.flowIds.map(async flowId => {
+            const cycleFlow = await loadWorkingCopy(flowId);
+            return cycleFlow ? `"${cycleFlow.name}"` : flowId;
+        }));
+        issues.push({
+            severity: 'error',
+            code: 'recursiveSubflow',
+            nodeId: cycle.nodeId,
+            message: `Sub-flow node would run this flow again (through ${names.join(' → ')}). A flow cannot run itself as a sub-flow.`
+        });
+    }
+
+    return issues;
+}
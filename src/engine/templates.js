@@ -0,0 +1,358 @@
+/**
+ * Action Value Templates
+ *
+ * Action values (field values, labels, comments) can contain `{{ }}`
+ * placeholders that are filled in when the action runs:
+ *
+ * - `{{answers.<nodeId>}}`         The answer given to a question node
+ * - `{{answers.<nodeId>.label}}`   The option label(s) of a choice answer
+ * - `{{answers.<nodeId>.all}}`     Every answer given to a question a loop passed through more than once
+ * - `{{issue.key}}`                The current issue key
+ * - `{{issue.<fieldKey>}}`         A field of the current issue, e.g. `{{issue.status.name}}`
+ * - `{{user.displayName}}`         The user running the flow (also `accountId`, `emailAddress`)
+ * - `{{created.<nodeId>}}`         The key of the issue created by a Create Issue action node
+ * - `{{answerTable}}`              A Markdown table of the questions answered so far (for comments)
+ *
+ * Placeholders can be piped through filters:
+ *
+ * - `join:", "`                    Join a list with a separator (lists are joined with ", " by default)
+ * - `date:"dd MMM yyyy"`           Format a date (tokens: yyyy, yy, MMMM, MMM, MM, M, dd, d, HH, mm)
+ * - `default:"none"`               Fallback text for empty values
+ * - `upper`, `lower`               Change case
+ *
+ * e.g. `{{answers.node-2 | join:" / "}}` or `{{issue.duedate | date:"d MMMM yyyy"}}`
+ */
+
+import { getAnswerIterations } from './iterations.js';
+import { getQuestionOptions, findOption } from './questionOptions.js';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const USER_PROPERTIES = ['accountId', 'displayName', 'emailAddress'];
+
+const ANSWER_PROPERTIES = ['label', 'all'];
+
+const FILTERS = {
+    join: (value, separator = ', ') => (Array.isArray(value) ? value.map(stringifyValue).join(separator) : value),
+    date: (value, format = 'yyyy-MM-dd') => formatDate(value, format),
+    default: (value, fallback = '') => (isEmptyValue(value) ? fallback : value),
+    upper: (value) => stringifyValue(value).toUpperCase(),
+    lower: (value) => stringifyValue(value).toLowerCase()
+};
+
+/**
+ * Check whether a value contains template placeholders
+ * @param {any} value - The value to check
+ * @returns {boolean} True for strings containing `{{ }}`
+ */
+export function hasTemplatePlaceholders(value) {
+    return typeof value === 'string' && new RegExp(PLACEHOLDER_PATTERN.source).test(value);
+}
+
+/**
+ * Create a renderer for action value templates
+ *
+ * The issue and the current user are only fetched if a template refers to
+ * them, and at most once, so every value of an action can be rendered
+ * without repeating Jira requests.
+ *
+ * @param {Object} jira - Jira adapter
+ * @param {string} issueKey - The Jira issue key
+ * @param {Object} flow - The flow definition (for question options)
+ * @param {Object} answers - All user answers
+ * @param {Object} context - The request context (for the current user)
+ * @param {Object} createdIssues - Keys of issues created earlier in the execution, by action node ID
+ * @param {Object} answerIterations - Answers per pass through looped questions, by node ID (see iterations.js)
+ * @returns {Function} async (value) => rendered value; non-string values are returned unchanged
+ */
+export function createTemplateRenderer(jira, issueKey, flow, answers, context, createdIssues = {}, answerIterations = {}) {
+    let issue = null;
+    let user = null;
+
+    const loadIssue = async () => {
+        if (!issue) {
+            const response = await jira.getIssue(issueKey);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch issue for template: ${response.status}`);
+            }
+            issue = await response.json();
+        }
+        return issue;
+    };
+
+    const loadUser = async () => {
+        if (!user) {
+            const accountId = context && context.accountId;
+            if (!accountId) {
+                user = {};
+            } else {
+                const response = await jira.getUser(accountId);
+                user = response.ok ? await response.json() : { accountId };
+            }
+        }
+        return user;
+    };
+
+    const resolveVariable = async (path) => {
+        const [root, ...rest] = path.split('.');
+
+        switch (root) {
+            case 'answers': {
+                const [nodeId, property] = rest;
+                const answer = answers ? answers[nodeId] : undefined;
+                if (property === 'label') {
+                    return getAnswerLabel(flow, nodeId, answer);
+                }
+                if (property === 'all') {
+                    return getAnswerIterations(answers, answerIterations, nodeId);
+                }
+                return answer;
+            }
+            case 'issue': {
+                if (rest.length === 1 && rest[0] === 'key') {
+                    return issueKey;
+                }
+                const { fields = {} } = await loadIssue();
+                return getPath(fields, rest);
+            }
+            case 'user': {
+                return getPath(await loadUser(), rest);
+            }
+            case 'created':
+                return createdIssues ? createdIssues[rest[0]] : undefined;
+            case 'answerTable':
+                return buildAnswerTable(flow, answers);
+            default:
+                console.warn(`Unknown template variable: ${path}`);
+                return undefined;
+        }
+    };
+
+    return async (value) => {
+        if (!hasTemplatePlaceholders(value)) {
+            return value;
+        }
+
+        let rendered = '';
+        let lastIndex = 0;
+
+        for (const match of value.matchAll(PLACEHOLDER_PATTERN)) {
+            const { path, filters } = parsePlaceholder(match[1]);
+
+            let resolved = await resolveVariable(path);
+            for (const { name, arg } of filters) {
+                const filter = FILTERS[name];
+                if (!filter) {
+                    console.warn(`Unknown template filter: ${name}`);
+                    continue;
+                }
+                resolved = arg === undefined ? filter(resolved) : filter(resolved, arg);
+            }
+
+            rendered += value.slice(lastIndex, match.index) + stringifyValue(resolved);
+            lastIndex = match.index + match[0].length;
+        }
+
+        return rendered + value.slice(lastIndex);
+    };
+}
+
+/**
+ * Find placeholders in a template that cannot be resolved in a flow
+ * @param {string} value - The template
+ * @param {Object} flow - The flow definition
+ * @returns {Array<string>} Messages describing unknown variables and filters (empty if none)
+ */
+export function findTemplateProblems(value, flow) {
+    if (!hasTemplatePlaceholders(value)) {
+        return [];
+    }
+
+    const questionIds = new Set(
+        (flow.nodes || []).filter(node => node.type === 'question').map(node => node.id)
+    );
+    const createIssueIds = new Set(
+        (flow.nodes || [])
+            .filter(node => node.type === 'action' && node.data.actionType === 'createIssue')
+            .map(node => node.id)
+    );
+    const messages = [];
+
+    for (const match of value.matchAll(PLACEHOLDER_PATTERN)) {
+        const { path, filters } = parsePlaceholder(match[1]);
+        const [root, first, second] = path.split('.');
+
+        if (root === 'answers') {
+            if (!questionIds.has(first)) {
+                messages.push(`{{${match[1]}}} refers to a question that is not in this flow.`);
+            } else if (second !== undefined && !ANSWER_PROPERTIES.includes(second)) {
+                messages.push(`{{${match[1]}}} uses an unknown answer property "${second}".`);
+            }
+        } else if (root === 'user') {
+            if (!USER_PROPERTIES.includes(first)) {
+                messages.push(`{{${match[1]}}} uses an unknown user property "${first}".`);
+            }
+        } else if (root === 'created') {
+            if (!createIssueIds.has(first)) {
+                messages.push(`{{${match[1]}}} refers to a Create Issue action that is not in this flow.`);
+            }
+        } else if (root === 'answerTable') {
+            if (first !== undefined) {
+                messages.push(`{{${match[1]}}} is not a known variable.`);
+            }
+        } else if (root !== 'issue' || !first) {
+            messages.push(`{{${match[1]}}} is not a known variable.`);
+        }
+
+        filters
+            .filter(({ name }) => !FILTERS[name])
+            .forEach(({ name }) => messages.push(`{{${match[1]}}} uses an unknown filter "${name}".`));
+    }
+
+    return messages;
+}
+
+/**
+ * Split a placeholder expression into a variable path and filters
+ * @param {string} expression - e.g. `answers.node-2 | join:" / "`
+ * @returns {Object} `{ path, filters: [{ name, arg }] }`
+ */
+function parsePlaceholder(expression) {
+    // Split on pipes that are not inside quotes
+    const parts = expression.match(/(?:"[^"]*"|'[^']*'|[^|])+/g) || [''];
+    const [path, ...filterParts] = parts.map(part => part.trim());
+
+    const filters = filterParts.map(part => {
+        const separatorIndex = part.indexOf(':');
+        if (separatorIndex === -1) {
+            return { name: part, arg: undefined };
+        }
+        const name = part.slice(0, separatorIndex).trim();
+        const arg = part.slice(separatorIndex + 1).trim().replace(/^(["'])([\s\S]*)\1$/, '$2');
+        return { name, arg };
+    });
+
+    return { path, filters };
+}
+
+/**
+ * Get the option label(s) of a choice answer
+ * Choice answers hold option values (see questionOptions.js).
+ * @param {Object} flow - The flow definition
+ * @param {string} nodeId - The question node ID
+ * @param {any} answer - The stored answer
+ * @returns {any} Label, list of labels, or the answer itself for other question types
+ */
+export function getAnswerLabel(flow, nodeId, answer) {
+    const node = flow && (flow.nodes || []).find(item => item.id === nodeId);
+    const options = getQuestionOptions(node);
+
+    const labelFor = (value) => {
+        const option = findOption(options, value);
+        return option ? option.label : value;
+    };
+
+    return Array.isArray(answer) ? answer.map(labelFor) : labelFor(answer);
+}
+
+/**
+ * Build a Markdown table of the answered questions, in flow order
+ * @param {Object} flow - The flow definition
+ * @param {Object} answers - All user answers
+ * @returns {string} Markdown table, or an empty string if nothing is answered
+ */
+function buildAnswerTable(flow, answers) {
+    const answered = ((flow && flow.nodes) || [])
+        .filter(node => node.type === 'question' && answers && answers[node.id] !== undefined);
+
+    if (answered.length === 0) {
+        return '';
+    }
+
+    // Keep each value on one line and inside its cell
+    const cell = (value) => stringifyValue(value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+    const rows = answered.map(node =>
+        `| ${cell(node.data.question || node.id)} | ${cell(getAnswerLabel(flow, node.id, answers[node.id]))} |`
+    );
+
+    return ['| Question | Answer |', '| --- | --- |', ...rows].join('\n');
+}
+
+/**
+ * Read a nested property
+ * @param {Object} object - The object to read from
+ * @param {Array<string>} path - Property names
+ * @returns {any} The value, or undefined if any step is missing
+ */
+function getPath(object, path) {
+    return path.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+/**
+ * Check whether a value should be treated as empty by the `default` filter
+ * @param {any} value - The value
+ * @returns {boolean} True for null, undefined, empty strings and empty lists
+ */
+function isEmptyValue(value) {
+    return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Convert a resolved value to text
+ * Jira objects (users, statuses, options) are shown by their display name.
+ * @param {any} value - The value
+ * @returns {string} Text
+ */
+function stringifyValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (Array.isArray(value)) {
+        return value.map(stringifyValue).join(', ');
+    }
+    if (typeof value === 'object') {
+        const display = value.displayName || value.name || value.value || value.key;
+        return display !== undefined ? String(display) : JSON.stringify(value);
+    }
+    return String(value);
+}
+
+/**
+ * Format a date value
+ * Dates are formatted in UTC so that date-only values keep their day.
+ * @param {any} value - A date string or Date
+ * @param {string} format - Format pattern
+ * @returns {any} Formatted date, or the value unchanged if it is not a date
+ */
+function formatDate(value, format) {
+    if (isEmptyValue(value)) {
+        return value;
+    }
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+        return value;
+    }
+
+    const pad = (number) => String(number).padStart(2, '0');
+    const tokens = {
+        yyyy: String(date.getUTCFullYear()),
+        yy: String(date.getUTCFullYear()).slice(-2),
+        MMMM: MONTH_NAMES[date.getUTCMonth()],
+        MMM: MONTH_NAMES[date.getUTCMonth()].slice(0, 3),
+        MM: pad(date.getUTCMonth() + 1),
+        M: String(date.getUTCMonth() + 1),
+        dd: pad(date.getUTCDate()),
+        d: String(date.getUTCDate()),
+        HH: pad(date.getUTCHours()),
+        mm: pad(date.getUTCMinutes())
+    };
+
+    return format.replace(/yyyy|yy|MMMM|MMM|MM|M|dd|d|HH|mm/g, (token) => tokens[token]);
+}
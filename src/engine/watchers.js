@@ -0,0 +1,118 @@
+/**
+ * Watcher Resolution
+ *
+ * Works out which users an Add Watchers action adds to an issue. The users
+ * are configured by `watcherSource` on the action node:
+ *
+ * - `user`    Fixed users (`watchers`: `[{ accountId, displayName }]`)
+ * - `answer`  The user(s) selected in a question answer (`watcherQuestionNodeId`)
+ * - `group`   The active members of a group (`groupId`), at most MAX_GROUP_WATCHERS
+ */
+
+import { getDisplayName } from './assignees.js';
+
+export const WATCHER_SOURCES = ['user', 'answer', 'group'];
+
+// Upper bound on the members of a group added as watchers
+export const MAX_GROUP_WATCHERS = 100;
+
+/**
+ * Resolve the users an Add Watchers action adds
+ * @param {Object} jira - Jira adapter
+ * @param {Object} data - The action node data
+ * @param {Object} answers - All user answers
+ * @returns {Promise<Object>} `{ users: [{ accountId, displayName }], source }` or `{ error }`
+ */
+export async function resolveWatchers(jira, data, answers) {
+    const source = data.watcherSource || 'user';
+    let users;
+
+    switch (source) {
+        case 'user':
+            users = (data.watchers || []).filter(user => user && user.accountId);
+            break;
+        case 'answer':
+            users = getAnswerUsers(answers ? answers[data.watcherQuestionNodeId] : undefined);
+            if (users.length === 0) {
+                return { error: 'The question that selects the watchers has not been answered with a user' };
+            }
+            for (const user of users) {
+                user.displayName = user.displayName || await getDisplayName(jira, user.accountId);
+            }
+            break;
+        case 'group': {
+            if (!data.groupId) {
+                return { error: 'No group configured' };
+            }
+            const members = await fetchGroupMembers(jira, data.groupId, data.groupName);
+            if (members.error) {
+                return members;
+            }
+            users = members.users;
+            break;
+        }
+        default:
+            return { error: `Unknown watcher source: ${source}` };
+    }
+
+    // A user selected twice is only added once
+    const seen = new Set();
+    users = users.filter(user => !seen.has(user.accountId) && seen.add(user.accountId));
+
+    if (users.length === 0) {
+        return { error: 'No watchers to add' };
+    }
+
+    return { users, source };
+}
+
+/**
+ * Get the users from a question answer
+ * Answers may be an account ID, a user object or a list of either.
+ * @param {any} answer - The stored answer
+ * @returns {Array<Object>} Users: `{ accountId, displayName }` (the display name may be missing)
+ */
+function getAnswerUsers(answer) {
+    const values = Array.isArray(answer) ? answer : [answer];
+    return values
+        .filter(Boolean)
+        .map(value => (typeof value === 'object'
+            ? { accountId: value.accountId, displayName: value.displayName }
+            : { accountId: String(value) }))
+        .filter(user => user.accountId);
+}
+
+/**
+ * Fetch the active human members of a group
+ * @param {Object} jira - Jira adapter
+ * @param {string} groupId - The group ID
+ * @param {string} groupName - The group name, for messages
+ * @returns {Promise<Object>} `{ users }` or `{ error }`
+ */
+async function fetchGroupMembers(jira, groupId, groupName) {
+    const users = [];
+    let startAt = 0;
+
+    for (;;) {
+        const response = await jira.getGroupMembers(groupId, startAt);
+        if (!response.ok) {
+            return { error: `Failed to fetch group members: ${response.status}` };
+        }
+
+        const page = await response.json();
+        const values = page.values || [];
+        values
+            .filter(member => member.accountType === 'atlassian')
+            .forEach(member => users.push({ accountId: member.accountId, displayName: member.displayName }));
+
+        if (users.length > MAX_GROUP_WATCHERS) {
+            return {
+                error: `Group ${groupName || groupId} has more than ${MAX_GROUP_WATCHERS} members; choose a smaller group`
+            };
+        }
+        if (page.isLast || values.length === 0) {
+            return { users };
+        }
+        startAt += values.length;
+    }
+}
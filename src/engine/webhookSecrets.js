@@ -0,0 +1,62 @@
+/**
+ * Webhook Signing Secrets
+ *
+ * Webhook action nodes can sign their requests with a shared secret. Flow
+ * definitions are sent to the issue panel, so the secret is not part of the
+ * node data: it is kept in encrypted secret storage, and the node only
+ * records `hasSigningSecret`.
+ *
+ * - `webhook-secret:{flowId}:{nodeId}`   The secret (secret storage)
+ * - `webhook-secrets:{flowId}`           IDs of the flow's nodes with a secret, so they can be deleted with the flow
+ *
+ * The storage adapter must provide `getSecret`, `setSecret` and `deleteSecret`.
+ */
+
+import { webhookSecretKey, webhookSecretsKey } from './storageKeys.js';
+
+/**
+ * Save or remove the signing secret of a webhook node
+ * @param {Object} storage - Storage adapter
+ * @param {string} flowId - The flow ID
+ * @param {string} nodeId - The webhook action node ID
+ * @param {string} secret - The secret (empty to remove it)
+ * @returns {Promise<void>}
+ */
+export async function saveWebhookSecret(storage, flowId, nodeId, secret) {
+    const nodeIds = (await storage.get(webhookSecretsKey(flowId))) || [];
+
+    if (secret) {
+        await storage.setSecret(webhookSecretKey(flowId, nodeId), secret);
+        if (!nodeIds.includes(nodeId)) {
+            await storage.set(webhookSecretsKey(flowId), [...nodeIds, nodeId]);
+        }
+    } else {
+        await storage.deleteSecret(webhookSecretKey(flowId, nodeId));
+        await storage.set(webhookSecretsKey(flowId), nodeIds.filter(id => id !== nodeId));
+    }
+}
+
+/**
+ * Load the signing secret of a webhook node
+ * @param {Object} storage - Storage adapter
+ * @param {string} flowId - The flow ID
+ * @param {string} nodeId - The webhook action node ID
+ * @returns {Promise<string|null>} The secret, or null if none is set
+ */
+export async function loadWebhookSecret(storage, flowId, nodeId) {
+    return (await storage.getSecret(webhookSecretKey(flowId, nodeId))) || null;
+}
+
+/**
+ * Delete the signing secrets of all webhook nodes of a flow
+ * @param {Object} storage - Storage adapter
+ * @param {string} flowId - The flow ID
+ * @returns {Promise<void>}
+ */
+export async function deleteWebhookSecrets(storage, flowId) {
+    const nodeIds = (await storage.get(webhookSecretsKey(flowId))) || [];
+    for (const nodeId of nodeIds) {
+        await storage.deleteSecret(webhookSecretKey(flowId, nodeId));
+    }
+    await storage.delete(webhookSecretsKey(flowId));
+}
@@ -0,0 +1,203 @@
+/**
+ * Webhook Delivery
+ *
+ * Sends the JSON payload of a webhook action node to its URL through the
+ * injected HTTP adapter (`{ fetch(url, options) }`, fetch-style responses),
+ * so deliveries can be tested against a local stub server.
+ *
+ * - Each attempt is aborted after `timeoutMs`
+ * - Network errors, timeouts, 429 and 5xx responses are retried up to
+ *   `maxRetries` times, waiting `retryDelayMs` and doubling the wait each time
+ * - A delivery, its waits included, ends after WEBHOOK_DELIVERY_BUDGET_MS or
+ *   at the request's deadline, whichever comes first: attempts are cut short
+ *   and no retry is made once the wait would not leave time for it
+ * - With a signing secret, requests carry `X-Decision-Flow-Timestamp` and
+ *   `X-Decision-Flow-Signature: sha256=<hex>`, the HMAC-SHA256 of
+ *   `<timestamp>.<body>`, so receivers can check the sender and reject replays
+ *
+ * Forge only lets the app call the hosts listed under
+ * `permissions.external.fetch.backend` in manifest.yml. WEBHOOK_ALLOWED_HOSTS
+ * repeats that list so flows can be checked against it when they are saved.
+ */
+
+import { createHmac } from 'node:crypto';
+import { isRetryableStatus, clampToLimit, sleep, createDeadline } from './retryPolicy.js';
+
+// Limits on the settings of a webhook node. Taken together they allow more than a resolver's run time
+// (4 attempts of 10s plus 35s of waits), so deliveries are also bounded by WEBHOOK_DELIVERY_BUDGET_MS.
+export const WEBHOOK_LIMITS = {
+    timeoutMs: { min: 1000, max: 10000, default: 5000 },
+    maxRetries: { min: 0, max: 3, default: 2 },
+    retryDelayMs: { min: 0, max: 5000, default: 1000 }
+};
+
+// Hosts webhook actions may call: keep in step with permissions.external.fetch.backend in manifest.yml.
+// `*.example.com` allows the subdomains of example.com.
+export const WEBHOOK_ALLOWED_HOSTS = ['hooks.example.com'];
+
+// Time one delivery may take, attempts and waits included. It leaves part of the request's budget
+// (REQUEST_TIME_BUDGET_MS) for the rest of the flow.
+export const WEBHOOK_DELIVERY_BUDGET_MS = 15000;
+
+// Length of the response body kept in the audit log
+const RESPONSE_BODY_LIMIT = 1000;
+
+/**
+ * Get the host a webhook URL points at
+ * @param {string} url - The configured URL
+ * @returns {string|null} The host name in lower case, or null if the host is only known once placeholders are filled in
+ */
+export function getWebhookHost(url) {
+    const authority = String(url).trim().replace(/^https?:\/\//i, '').split(/[/?#]/)[0];
+    if (!authority || authority.includes('{{')) {
+        return null;
+    }
+    // Drop credentials and the port
+    return authority.split('@').pop().replace(/:\d*$/, '').toLowerCase();
+}
+
+/**
+ * Check whether the app is allowed to call a host
+ * @param {string} host - The host name
+ * @param {Array<string>} allowedHosts - Host patterns, as in the manifest (defaults to WEBHOOK_ALLOWED_HOSTS)
+ * @returns {boolean} True if a pattern matches the host
+ */
+export function isAllowedWebhookHost(host, allowedHosts = WEBHOOK_ALLOWED_HOSTS) {
+    return allowedHosts.some(pattern => {
+        const allowed = pattern.toLowerCase().replace(/^https?:\/\//, '');
+        return allowed.startsWith('*.') ? host.endsWith(allowed.slice(1)) : host === allowed;
+    });
+}
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - The signing secret
+ * @param {string} timestamp - Unix time in seconds, as sent in the timestamp header
+ * @param {string} body - The request body
+ * @returns {string} Signature header value: `sha256=<hex>`
+ */
+export function signWebhookBody(secret, timestamp, body) {
+    return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Deliver a webhook, retrying failed attempts
+ * @param {Object} http - HTTP adapter
+ * @param {Object} request - The delivery
+ * @param {string} request.url - Target URL
+ * @param {Object} request.headers - Extra request headers
+ * @param {Object} request.payload - JSON payload
+ * @param {string} request.secret - Signing secret (optional)
+ * @param {number} request.timeoutMs - Per-attempt timeout
+ * @param {number} request.maxRetries - Retries after the first attempt
+ * @param {number} request.retryDelayMs - Wait before the first retry
+ * @param {Object} request.deadline - The request's deadline (see createDeadline), if any
+ * @returns {Promise<Object>} Result object; `data` holds the final status, response body and every attempt
+ */
+export async function sendWebhook(http, { url, headers = {}, payload, secret, timeoutMs, maxRetries, retryDelayMs, deadline = null }) {
+    const body = JSON.stringify(payload);
+    const attempts = [];
+    const timeout = clampToLimit(timeoutMs, WEBHOOK_LIMITS.timeoutMs);
+    const retries = clampToLimit(maxRetries, WEBHOOK_LIMITS.maxRetries);
+    const delivery = createDeadline(WEBHOOK_DELIVERY_BUDGET_MS, deadline);
+    let delay = clampToLimit(retryDelayMs, WEBHOOK_LIMITS.retryDelayMs);
+    let outOfTime = false;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        if (attempt > 0) {
+            // Only wait if an attempt can still be made afterwards
+            if (delay >= delivery.remainingMs()) {
+                outOfTime = true;
+                break;
+            }
+            await sleep(delay);
+            delay *= 2;
+        }
+
+        const attemptTimeout = Math.min(timeout, delivery.remainingMs());
+        if (attemptTimeout === 0) {
+            outOfTime = true;
+            break;
+        }
+
+        const requestHeaders = { 'Content-Type': 'application/json', ...headers };
+        if (secret) {
+            // Signed per attempt so the timestamp is fresh on retries
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            requestHeaders['X-Decision-Flow-Timestamp'] = timestamp;
+            requestHeaders['X-Decision-Flow-Signature'] = signWebhookBody(secret, timestamp, body);
+        }
+
+        const startedAt = Date.now();
+        try {
+            console.log(`Sending webhook to ${url} (attempt ${attempt + 1} of ${retries + 1})`);
+            const response = await fetchWithTimeout(http, url, { method: 'POST', headers: requestHeaders, body }, attemptTimeout);
+            const responseBody = (await readBody(response)).slice(0, RESPONSE_BODY_LIMIT);
+            attempts.push({ status: response.status, durationMs: Date.now() - startedAt });
+
+            if (response.ok) {
+                return { success: true, data: { url, status: response.status, responseBody, attempts } };
+            }
+            if (!isRetryableStatus(response.status)) {
+                return {
+                    success: false,
+                    error: `Webhook returned ${response.status}`,
+                    data: { url, status: response.status, responseBody, attempts }
+                };
+            }
+        } catch (error) {
+            console.error(`Webhook attempt failed: ${error.message}`);
+            attempts.push({ error: error.message, durationMs: Date.now() - startedAt });
+        }
+    }
+
+    if (attempts.length === 0) {
+        return { success: false, error: 'Webhook not sent: no time was left for the request', data: { url, status: null, attempts } };
+    }
+
+    const last = attempts[attempts.length - 1];
+    const reason = outOfTime ? ' (no time left to retry)' : '';
+    return {
+        success: false,
+        error: `Webhook failed after ${attempts.length} attempt${attempts.length === 1 ? '' : 's'}${reason}: ${last.error || `status ${last.status}`}`,
+        data: { url, status: last.status || null, attempts }
+    };
+}
+
+/**
+ * Make a request that is aborted after a timeout
+ * @param {Object} http - HTTP adapter
+ * @param {string} url - Target URL
+ * @param {Object} options - Request options
+ * @param {number} timeoutMs - Timeout
+ * @returns {Promise<Object>} The response
+ */
+async function fetchWithTimeout(http, url, options, timeoutMs) {
+    const controller = new AbortController();
+    let timer;
+    const timedOut = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            reject(new Error(`Timed out after ${timeoutMs}ms`));
+        }, timeoutMs);
+    });
+
+    try {
+        return await Promise.race([http.fetch(url, { ...options, signal: controller.signal }), timedOut]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Read a response body as text, ignoring bodies that cannot be read
+ * @param {Object} response - The response
+ * @returns {Promise<string>} The body
+ */
+async function readBody(response) {
+    try {
+        return await response.text();
+    } catch (error) {
+        return '';
+    }
+}
@@ -1,11 +1,39 @@
 import Resolver from '@forge/resolver';
-import api, { route } from '@forge/api';
 import { storage } from '@forge/api';
-import { evaluateDateExpression } from './utils/dateExpressionEvaluator.js';
-import { parseDateExpression } from './utils/dateExpressionParser.js';
+import { createFlowEngine } from './engine/flowEngine.js';
+import { auditKey } from './engine/audit.js';
+import { summarizeValidationErrors } from './engine/flowValidation.js';
+import {
+    loadFlowVersion,
+    listFlowVersions,
+    rollbackFlowToVersion,
+    deleteFlowVersions
+} from './engine/flowVersions.js';
+import {
+    saveFlowDraft,
+    loadFlowWorkingCopy,
+    publishFlowDraft,
+    discardFlowDraft
+} from './engine/flowDrafts.js';
+import { saveWebhookSecret, deleteWebhookSecrets } from './engine/webhookSecrets.js';
+import { simulateFlow } from './engine/simulation.js';
+import { validateSubflowReferences } from './engine/subflows.js';
+import { migrateFlowOptions } from './engine/questionOptions.js';
+import { runStorageMigrations } from './engine/storageMigrations.js';
+import { createForgeJiraAdapter, forgeStorageAdapter, forgeHttpAdapter } from './adapters/forgeAdapters.js';
 
 const resolver = new Resolver();
 
+// Jira adapter acting as the current user
+const jira = createForgeJiraAdapter();
+
+// Flow execution engine bound to the Forge Jira, storage and fetch APIs
+const engine = createFlowEngine({
+    jira,
+    storage: forgeStorageAdapter,
+    http: forgeHttpAdapter
+});
+
 resolver.define('getText', (req) => {
     console.log(req);
 
@@ -34,188 +62,18 @@ function extractProjectKey(issueKey) {
 }
 
 /**
- * Find the start node in a flow
- * @param {Array} nodes - Array of flow nodes
- * @returns {Object|null} The start node or null if not found
- */
-function findStartNode(nodes) {
-    return nodes.find(node => node.type === 'start') || null;
-}
-
-/**
- * Find the next node connected to the current node
- * @param {string} currentNodeId - Current node ID
- * @param {Array} edges - Array of flow edges
- * @param {string} edgeLabel - Optional edge label to filter by (e.g., 'true', 'false')
- * @param {Object} currentNode - Optional current node object for option-based routing
- * @param {any} answer - Optional answer value for option-based routing
- * @returns {string|null} Next node ID or null
- */
-function findNextNode(currentNodeId, edges, edgeLabel = null, currentNode = null, answer = null) {
-    // For single choice question nodes with options, route based on the selected option
-    if (currentNode && currentNode.type === 'question' && 
-        currentNode.data.questionType === 'single' && 
-        currentNode.data.options && 
-        currentNode.data.options.length > 0 &&
-        answer !== null && answer !== undefined) {
-        
-        // Find the index of the selected option
-        const optionIndex = currentNode.data.options.indexOf(answer);
-        
-        if (optionIndex !== -1) {
-            // Look for an edge with sourceHandle matching the option index
-            const optionHandleId = `option-${optionIndex}`;
-            const edge = edges.find(e => 
-                e.source === currentNodeId && 
-                e.sourceHandle === optionHandleId
-            );
-            
-            if (edge) {
-                console.log(`Found option-based edge for option "${answer}" (index ${optionIndex})`);
-                return edge.target;
-            }
-            
-            console.log(`No edge found for option "${answer}" (handle: ${optionHandleId})`);
-        }
-    }
-    
-    // Default behavior: find edge by label or sourceHandle
-    const edge = edges.find(e =>
-        e.source === currentNodeId &&
-        (edgeLabel === null || e.label === edgeLabel || e.sourceHandle === edgeLabel)
-    );
-    return edge ? edge.target : null;
-}
-
-/**
- * Evaluate a logic condition against issue field value
- * @param {any} fieldValue - The actual field value from the issue
- * @param {string} operator - Comparison operator
- * @param {any} expectedValue - The expected value to compare against
- * @param {boolean} isDateComparison - Whether this is a date field comparison
- * @returns {boolean} Result of the comparison
- */
-function evaluateCondition(fieldValue, operator, expectedValue, isDateComparison = false) {
-    // Handle date comparisons specially
-    if (isDateComparison) {
-        return evaluateDateCondition(fieldValue, operator, expectedValue);
-    }
-
-    // Standard comparisons for non-date fields
-    switch (operator) {
-        case 'equals':
-            return fieldValue == expectedValue;
-        case 'notEquals':
-            return fieldValue != expectedValue;
-        case 'contains':
-            return String(fieldValue).includes(String(expectedValue));
-        case 'greaterThan':
-            return Number(fieldValue) > Number(expectedValue);
-        case 'lessThan':
-            return Number(fieldValue) < Number(expectedValue);
-        case 'isEmpty':
-            return !fieldValue || fieldValue === '' || (Array.isArray(fieldValue) && fieldValue.length === 0);
-        case 'isNotEmpty':
-            return !!(fieldValue && fieldValue !== '' && fieldValue !== null && (!Array.isArray(fieldValue) || fieldValue.length > 0));
-        default:
-            console.error(`Unknown operator: ${operator}`);
-            return false;
-    }
-}
-
-/**
- * Evaluate a date comparison condition
- * @param {any} fieldValue - The date field value from the issue (ISO string or Date)
- * @param {string} operator - Comparison operator
- * @param {any} expectedValue - The expected date value (ISO string, Date, or date expression)
- * @returns {boolean} Result of the date comparison
+ * Validate a flow definition, including the flows its sub-flow nodes run
+ * @param {Object} flow - The flow definition
+ * @param {Object} options - Validation options (see flowValidation.js)
+ * @returns {Promise<Object>} `{ valid, issues }`
  */
-function evaluateDateCondition(fieldValue, operator, expectedValue) {
-    // Handle isEmpty and isNotEmpty operators
-    if (operator === 'isEmpty') {
-        return !fieldValue || fieldValue === '' || fieldValue === null;
-    }
-    
-    if (operator === 'isNotEmpty') {
-        return !!(fieldValue && fieldValue !== '' && fieldValue !== null);
-    }
-
-    // For other operators, we need both values to be valid dates
-    if (!fieldValue) {
-        console.log('Field value is empty, comparison returns false');
-        return false;
-    }
-
-    // Parse the field value to a Date object
-    let fieldDate;
-    try {
-        fieldDate = new Date(fieldValue);
-        if (isNaN(fieldDate.getTime())) {
-            console.error('Invalid field date value:', fieldValue);
-            return false;
-        }
-    } catch (error) {
-        console.error('Error parsing field date:', error);
-        return false;
-    }
-
-    // Parse the expected value to a Date object
-    // It could be a date expression, ISO string, or Date object
-    let expectedDate;
-    try {
-        // Check if it's a date expression (contains functions or units)
-        if (typeof expectedValue === 'string' && 
-            (expectedValue.includes('()') || /\d+[dwmy]/.test(expectedValue))) {
-            // Evaluate the date expression
-            expectedDate = evaluateDateExpression(expectedValue);
-            console.log(`Evaluated date expression "${expectedValue}" to ${expectedDate.toISOString()}`);
-        } else {
-            // Parse as a regular date
-            expectedDate = new Date(expectedValue);
-            if (isNaN(expectedDate.getTime())) {
-                console.error('Invalid expected date value:', expectedValue);
-                return false;
-            }
-        }
-    } catch (error) {
-        console.error('Error parsing expected date:', error);
-        return false;
-    }
-
-    // Normalize dates to day level for equals comparison
-    // This ensures that dates with different times but same day are considered equal
-    const normalizeToDay = (date) => {
-        const normalized = new Date(date);
-        normalized.setHours(0, 0, 0, 0);
-        return normalized;
-    };
-
-    // Perform the comparison based on operator
-    switch (operator) {
-        case 'equals':
-            // Compare at day level (ignore time component)
-            const fieldDay = normalizeToDay(fieldDate);
-            const expectedDay = normalizeToDay(expectedDate);
-            return fieldDay.getTime() === expectedDay.getTime();
-        
-        case 'notEquals':
-            // Compare at day level (ignore time component)
-            const fieldDay2 = normalizeToDay(fieldDate);
-            const expectedDay2 = normalizeToDay(expectedDate);
-            return fieldDay2.getTime() !== expectedDay2.getTime();
-        
-        case 'greaterThan':
-            // Field date is after expected date
-            return fieldDate.getTime() > expectedDate.getTime();
-        
-        case 'lessThan':
-            // Field date is before expected date
-            return fieldDate.getTime() < expectedDate.getTime();
-        
-        default:
-            console.error(`Unsupported date comparison operator: ${operator}`);
-            return false;
-    }
+async function validateFlowDefinition(flow, options = {}) {
+    const validation = engine.validateFlow(flow, options);
+    const issues = [
+        ...validation.issues,
+        ...await validateSubflowReferences(forgeStorageAdapter, flow, options)
+    ];
+    return { valid: !issues.some(issue => issue.severity === 'error'), issues };
 }
 
 // ============================================================================
@@ -224,7 +82,7 @@ function evaluateDateCondition(fieldValue, operator, expectedValue) {
 
 /**
  * Get all flow definitions
- * Returns an array of all flows stored in the system
+ * Returns the working copy (draft or published) of every flow, annotated with its publish status
  */
 resolver.define('getFlows', async (req) => {
     try {
@@ -237,7 +95,7 @@ resolver.define('getFlows', async (req) => {
         // Retrieve each flow
         const flows = [];
         for (const flowId of flowIds) {
-            const flow = await storage.get(`flow:${flowId}`);
+            const flow = await loadFlowWorkingCopy(forgeStorageAdapter, flowId);
             if (flow) {
                 flows.push(flow);
             }
@@ -252,18 +110,22 @@ resolver.define('getFlows', async (req) => {
 
 /**
  * Get a single flow definition by ID
+ * Without a version, returns the working copy that admins edit (the draft, if any)
  * @param {string} flowId - The flow ID to retrieve
+ * @param {number} version - Optional published revision number
  */
 resolver.define('getFlow', async (req) => {
     try {
-        const { flowId } = req.payload;
-        console.log(`getFlow called for flowId: ${flowId}`);
+        const { flowId, version } = req.payload;
+        console.log(`getFlow called for flowId: ${flowId}, version: ${version || 'working copy'}`);
 
         if (!flowId) {
             return { error: 'flowId is required' };
         }
 
-        const flow = await storage.get(`flow:${flowId}`);
+        const flow = version
+            ? await loadFlowVersion(forgeStorageAdapter, flowId, version)
+            : await loadFlowWorkingCopy(forgeStorageAdapter, flowId);
         return flow || null;
     } catch (error) {
         console.error('Error in getFlow:', error);
@@ -272,7 +134,11 @@ resolver.define('getFlow', async (req) => {
 });
 
 /**
- * Save (create or update) a flow definition
+ * Save (create or update) the draft of a flow definition
+ * Drafts are not visible on issues until they are published with publishFlow.
+ * The flow graph is validated first: broken structure, or sub-flow nodes that would
+ * make the flow run itself, rejects the save, and the remaining per-node warnings
+ * are returned as `validationIssues`.
  * @param {Object} flow - The flow object to save
  */
 resolver.define('saveFlow', async (req) => {
@@ -289,27 +155,36 @@ resolver.define('saveFlow', async (req) => {
             return { error: 'At least one project key is required' };
         }
 
+        // Validate the flow graph
+        const validation = await validateFlowDefinition(flow);
+        if (!validation.valid) {
+            console.log(`saveFlow rejected: ${validation.issues.length} validation issues`);
+            return {
+                error: summarizeValidationErrors(validation.issues),
+                validationIssues: validation.issues
+            };
+        }
+
         // Generate ID if new flow
         if (!flow.id) {
             flow.id = generateId();
             flow.createdAt = new Date().toISOString();
         }
 
-        // Update timestamp
-        flow.updatedAt = new Date().toISOString();
-
-        // Save the flow
-        await storage.set(`flow:${flow.id}`, flow);
+        // Save the flow as a draft
+        const savedFlow = await saveFlowDraft(forgeStorageAdapter, flow, {
+            savedBy: req.context.accountId
+        });
 
         // Update the flow list
         const flowIds = await storage.get('decision-flows') || [];
-        if (!flowIds.includes(flow.id)) {
-            flowIds.push(flow.id);
+        if (!flowIds.includes(savedFlow.id)) {
+            flowIds.push(savedFlow.id);
             await storage.set('decision-flows', flowIds);
         }
 
-        console.log(`Flow saved with ID: ${flow.id}`);
-        return flow;
+        console.log(`Flow draft saved with ID: ${savedFlow.id}, status: ${savedFlow.status}`);
+        return { ...savedFlow, validationIssues: validation.issues };
     } catch (error) {
         console.error('Error in saveFlow:', error);
         return { error: error.message };
@@ -329,8 +204,10 @@ resolver.define('deleteFlow', async (req) => {
             return { error: 'flowId is required' };
         }
 
-        // Delete the flow
-        await storage.delete(`flow:${flowId}`);
+        // Delete the flow, its draft, and all of its revisions
+        await discardFlowDraft(forgeStorageAdapter, flowId);
+        await deleteFlowVersions(forgeStorageAdapter, flowId);
+        await deleteWebhookSecrets(forgeStorageAdapter, flowId);
 
         // Remove from flow list
         const flowIds = await storage.get('decision-flows') || [];
@@ -345,12 +222,160 @@ resolver.define('deleteFlow', async (req) => {
     }
 });
 
+/**
+ * Set or remove the signing secret of a webhook action node
+ * The secret is kept in secret storage, never in the flow definition.
+ * @param {string} flowId - The flow ID
+ * @param {string} nodeId - The webhook action node ID
+ * @param {string} secret - The secret (empty to remove it)
+ */
+resolver.define('setWebhookSecret', async (req) => {
+    try {
+        const { flowId, nodeId, secret } = req.payload;
+        console.log(`setWebhookSecret called for flowId: ${flowId}, nodeId: ${nodeId}`);
+
+        if (!flowId || !nodeId) {
+            return { error: 'flowId and nodeId are required' };
+        }
+
+        await saveWebhookSecret(forgeStorageAdapter, flowId, nodeId, secret ? String(secret) : '');
+        return { success: true, hasSigningSecret: Boolean(secret) };
+    } catch (error) {
+        console.error('Error in setWebhookSecret:', error);
+        return { error: error.message };
+    }
+});
+
+/**
+ * Publish the draft of a flow
+ * The draft becomes a new immutable revision and is what issues see from now on.
+ * Publishing is refused while the draft has any validation errors, including incomplete nodes.
+ * @param {string} flowId - The flow ID
+ */
+resolver.define('publishFlow', async (req) => {
+    try {
+        const { flowId } = req.payload;
+        console.log(`publishFlow called for flowId: ${flowId}`);
+
+        if (!flowId) {
+            return { error: 'flowId is required' };
+        }
+
+        const draft = await loadFlowWorkingCopy(forgeStorageAdapter, flowId);
+        if (draft && draft.status !== 'published') {
+            const validation = await validateFlowDefinition(draft, { publishing: true });
+            if (!validation.valid) {
+                console.log(`publishFlow rejected: ${validation.issues.length} validation issues`);
+                return {
+                    error: summarizeValidationErrors(validation.issues),
+                    validationIssues: validation.issues
+                };
+            }
+        }
+
+        const flow = await publishFlowDraft(forgeStorageAdapter, flowId, req.context.accountId);
+        if (flow.error) {
+            return flow;
+        }
+
+        console.log(`Flow ${flowId} published as version ${flow.version}`);
+        return flow;
+    } catch (error) {
+        console.error('Error in publishFlow:', error);
+        return { error: error.message };
+    }
+});
+
+/**
+ * Discard the unpublished draft of a flow
+ * The published revision is left untouched
+ * @param {string} flowId - The flow ID
+ */
+resolver.define('discardFlowDraft', async (req) => {
+    try {
+        const { flowId } = req.payload;
+        console.log(`discardFlowDraft called for flowId: ${flowId}`);
+
+        if (!flowId) {
+            return { error: 'flowId is required' };
+        }
+
+        await discardFlowDraft(forgeStorageAdapter, flowId);
+
+        const flow = await loadFlowWorkingCopy(forgeStorageAdapter, flowId);
+        if (!flow) {
+            // Never-published flows have nothing left once the draft is gone, webhook secrets included
+            await deleteWebhookSecrets(forgeStorageAdapter, flowId);
+            const flowIds = await storage.get('decision-flows') || [];
+            await storage.set('decision-flows', flowIds.filter(id => id !== flowId));
+            return { success: true };
+        }
+
+        return flow;
+    } catch (error) {
+        console.error('Error in discardFlowDraft:', error);
+        return { error: error.message };
+    }
+});
+
+/**
+ * List the revisions of a flow, newest first
+ * @param {string} flowId - The flow ID
+ */
+resolver.define('getFlowVersions', async (req) => {
+    try {
+        const { flowId } = req.payload;
+        console.log(`getFlowVersions called for flowId: ${flowId}`);
+
+        if (!flowId) {
+            return { error: 'flowId is required' };
+        }
+
+        return await listFlowVersions(forgeStorageAdapter, flowId);
+    } catch (error) {
+        console.error('Error in getFlowVersions:', error);
+        return { error: error.message };
+    }
+});
+
+/**
+ * Roll a flow back to a prior revision
+ * The restored content is published as a new revision and any unpublished draft is discarded;
+ * in-progress executions stay on their pinned revision
+ * @param {string} flowId - The flow ID
+ * @param {number} version - The revision to restore
+ */
+resolver.define('rollbackFlow', async (req) => {
+    try {
+        const { flowId, version } = req.payload;
+        console.log(`rollbackFlow called for flowId: ${flowId}, version: ${version}`);
+
+        if (!flowId || !version) {
+            return { error: 'flowId and version are required' };
+        }
+
+        const flow = await rollbackFlowToVersion(forgeStorageAdapter, flowId, version, req.context.accountId);
+        if (flow.error) {
+            return flow;
+        }
+
+        await discardFlowDraft(forgeStorageAdapter, flowId);
+
+        console.log(`Flow ${flowId} rolled back to version ${version} as version ${flow.version}`);
+        return flow;
+    } catch (error) {
+        console.error('Error in rollbackFlow:', error);
+        return { error: error.message };
+    }
+});
+
 // ============================================================================
 // ISSUE PANEL RESOLVERS
 // ============================================================================
 
 /**
  * Get flows applicable to a specific issue based on project key
+ * Only published revisions are returned; drafts are never visible on issues
  * @param {string} issueKey - The Jira issue key
  */
 resolver.define('getFlowsForIssue', async (req) => {
@@ -374,7 +399,7 @@ resolver.define('getFlowsForIssue', async (req) => {
         for (const flowId of flowIds) {
             const flow = await storage.get(`flow:${flowId}`);
             if (flow && flow.projectKeys && flow.projectKeys.includes(projectKey)) {
-                applicableFlows.push(flow);
+                applicableFlows.push(migrateFlowOptions(flow));
             }
         }
 
@@ -400,32 +425,31 @@ resolver.define('getExecutionState', async (req) => {
             return { error: 'issueKey and flowId are required' };
         }
 
-        // Get execution state
-        const state = await storage.get(`exec:${issueKey}:${flowId}`);
-
-        // If no state exists, create default state
-        if (!state) {
-            const flow = await storage.get(`flow:${flowId}`);
-            if (!flow) {
-                return { error: 'Flow not found' };
-            }
+        return await engine.getExecutionState(issueKey, flowId);
+    } catch (error) {
+        console.error('Error in getExecutionState:', error);
+        return { error: error.message };
+    }
+});
 
-            const startNode = findStartNode(flow.nodes);
-            if (!startNode) {
-                return { error: 'Start node not found in flow' };
-            }
+/**
+ * Preview what an action node will do on an issue before it is executed
+ * @param {string} issueKey - The Jira issue key
+ * @param {string} flowId - The flow ID
+ * @param {string} nodeId - The action node ID
+ */
+resolver.define('previewAction', async (req) => {
+    try {
+        const { issueKey, flowId, nodeId } = req.payload;
+        console.log(`previewAction called for issueKey: ${issueKey}, flowId: ${flowId}, nodeId: ${nodeId}`);
 
-            return {
-                completed: false,
-                currentNodeId: startNode.id,
-                answers: {},
-                path: []
-            };
+        if (!issueKey || !flowId || !nodeId) {
+            return { error: 'issueKey, flowId, and nodeId are required' };
         }
 
-        return state;
+        return await engine.previewAction({ issueKey, flowId, nodeId, context: req.context });
     } catch (error) {
-        console.error('Error in getExecutionState:', error);
+        console.error('Error in previewAction:', error);
         return { error: error.message };
     }
 });
@@ -450,141 +474,13 @@ resolver.define('submitAnswer', async (req) => {
             return { error: 'issueKey, flowId, and nodeId are required' };
         }
 
-        // Load flow
-        const flow = await storage.get(`flow:${flowId}`);
-        if (!flow) {
-            return { error: 'Flow not found' };
-        }
-
-        // Load or create execution state
-        let state = await storage.get(`exec:${issueKey}:${flowId}`);
-        if (!state) {
-            const startNode = findStartNode(flow.nodes);
-            state = {
-                completed: false,
-                currentNodeId: startNode.id,
-                answers: {},
-                path: []
-            };
-        }
-
-        // Get the current node to determine its type
-        const currentNode = flow.nodes.find(n => n.id === nodeId);
-        if (!currentNode) {
-            return { error: 'Current node not found' };
-        }
-
-        // Store the answer (if applicable)
-        if (answer !== null && answer !== undefined) {
-            // For date question nodes, store the answer as a Date object
-            if (currentNode.type === 'question' && currentNode.data.questionType === 'date') {
-                try {
-                    // Validate and convert the date string to a Date object
-                    const dateAnswer = new Date(answer);
-                    
-                    // Check if the date is valid
-                    if (isNaN(dateAnswer.getTime())) {
-                        console.error(`Invalid date format provided: ${answer}`);
-                        return { error: 'Invalid date format. Please provide a valid date.' };
-                    }
-                    
-                    // Store as ISO string for consistency with Jira date fields
-                    state.answers[nodeId] = dateAnswer.toISOString();
-                    console.log(`Stored date answer for node ${nodeId}: ${state.answers[nodeId]}`);
-                } catch (dateError) {
-                    console.error('Error parsing date answer:', dateError);
-                    return { error: 'Invalid date format. Please provide a valid date.' };
-                }
-            } else {
-                // For non-date questions, store the answer as-is
-                state.answers[nodeId] = answer;
-            }
-        }
-        state.path.push(nodeId);
-
-        // Handle different node types
-        if (currentNode.type === 'logic') {
-            // Evaluate logic node and determine next path
-            console.log(`Evaluating logic node: ${nodeId}`);
-            const result = await evaluateLogicNodeInternal(issueKey, currentNode, req.context, flowId, state);
-            const edgeLabel = result ? 'true' : 'false';
-            console.log(`Logic evaluation result: ${result}, looking for edge with label: ${edgeLabel}`);
-
-            const nextNodeId = findNextNode(nodeId, flow.edges, edgeLabel);
-            console.log(`Next node after logic: ${nextNodeId}`);
-
-            if (!nextNodeId) {
-                console.error(`No edge found from logic node ${nodeId} with label '${edgeLabel}'`);
-                return {
-                    error: `Logic node has no '${edgeLabel}' path configured. Please check the flow configuration.`,
-                    currentNodeId: nodeId,
-                    answers: state.answers,
-                    path: state.path,
-                    completed: false
-                };
-            }
-
-            // Update current node to the next node
-            state.currentNodeId = nextNodeId;
-        } 
-        else if (currentNode.type === 'action') {
-            // Execute action node
-            console.log(`Executing action node: ${nodeId}`);
-            
-            // Execute the action
-            const actionResult = await executeAction(issueKey, currentNode, state.answers, req.context);
-
-            // Log the action with actor information
-            await logAuditInternal(issueKey, flowId, {
-                nodeId: nodeId,
-                action: currentNode.data,
-                result: actionResult,
-                timestamp: new Date().toISOString(),
-                answers: state.answers,
-                actor: {
-                    accountId: req.context.accountId,
-                    accountType: req.context.accountType
-                }
-            }, req.context);
-
-            // Check if there are more connecting nodes after this action
-            const nextNodeId = findNextNode(nodeId, flow.edges);
-            console.log(`Checking for next node after action ${nodeId}: ${nextNodeId}`);
-
-            if (!nextNodeId) {
-                // No more nodes, mark as completed
-                console.log('No more nodes after action, marking flow as completed');
-                state.completed = true;
-            } else {
-                // Move to next node
-                state.currentNodeId = nextNodeId;
-            }
-        }
-        else {
-            // For question and start nodes, move to the next node
-            // Pass the current node and answer for option-based routing
-            const nextNodeId = findNextNode(nodeId, flow.edges, null, currentNode, answer);
-            console.log(`Finding next node from ${nodeId}, found: ${nextNodeId}`);
-
-            if (!nextNodeId) {
-                console.error(`No next node found from ${nodeId}`);
-                return {
-                    error: `No path configured from this node. Please check the flow configuration.`,
-                    currentNodeId: nodeId,
-                    answers: state.answers,
-                    path: state.path,
-                    completed: false
-                };
-            }
-
-            state.currentNodeId = nextNodeId;
-        }
-
-        // Save execution state
-        await storage.set(`exec:${issueKey}:${flowId}`, state);
-
-        console.log(`Execution state updated, current node: ${state.currentNodeId}, completed: ${state.completed}`);
-        return state;
+        return await engine.submitAnswer({
+            issueKey,
+            flowId,
+            nodeId,
+            answer,
+            context: req.context
+        });
     } catch (error) {
         console.error('Error in submitAnswer:', error);
         return { error: error.message };
@@ -592,357 +488,187 @@ resolver.define('submitAnswer', async (req) => {
 });
 
 /**
- * Reset execution state and return to start
+ * Go back to the last question answered, discarding the path after it
  * @param {string} issueKey - The Jira issue key
  * @param {string} flowId - The flow ID
  */
-resolver.define('resetExecution', async (req) => {
+resolver.define('goBack', async (req) => {
     try {
         const { issueKey, flowId } = req.payload;
-        console.log(`resetExecution called for issueKey: ${issueKey}, flowId: ${flowId}`);
+        console.log(`goBack called for issueKey: ${issueKey}, flowId: ${flowId}`);
 
         if (!issueKey || !flowId) {
             return { error: 'issueKey and flowId are required' };
         }
 
-        // Delete execution state
-        await storage.delete(`exec:${issueKey}:${flowId}`);
-
-        // Return default state
-        const flow = await storage.get(`flow:${flowId}`);
-        if (!flow) {
-            return { error: 'Flow not found' };
-        }
-
-        const startNode = findStartNode(flow.nodes);
-        if (!startNode) {
-            return { error: 'Start node not found in flow' };
-        }
-
-        const resetState = {
-            completed: false,
-            currentNodeId: startNode.id,
-            answers: {},
-            path: []
-        };
-
-        console.log('Execution state reset');
-        return resetState;
+        return await engine.revisitNode({ issueKey, flowId, context: req.context });
     } catch (error) {
-        console.error('Error in resetExecution:', error);
+        console.error('Error in goBack:', error);
         return { error: error.message };
     }
 });
 
 /**
- * Internal helper to evaluate a logic node
+ * Rewind to a question answered earlier so it can be answered again
+ * Answers given after the question are discarded; refused if actions have run since.
  * @param {string} issueKey - The Jira issue key
- * @param {Object} logicNode - The logic node object
- * @param {Object} context - The request context
- * @param {string} flowId - The flow ID (optional, needed for question answer lookup)
- * @param {Object} executionState - The execution state (optional, needed for question answer lookup)
- * @returns {boolean} Evaluation result
+ * @param {string} flowId - The flow ID
+ * @param {string} nodeId - The question node ID
+ * @param {number} iteration - Which pass through a looped question (optional; defaults to the latest)
  */
-async function evaluateLogicNodeInternal(issueKey, logicNode, context, flowId = null, executionState = null) {
+resolver.define('revisitNode', async (req) => {
     try {
-        const { fieldKey, operator, expectedValue, valueSource, questionNodeId } = logicNode.data;
+        const { issueKey, flowId, nodeId, iteration = null } = req.payload;
+        console.log(`revisitNode called for issueKey: ${issueKey}, flowId: ${flowId}, nodeId: ${nodeId}`);
 
-        // Fetch issue data from Jira API
-        const response = await api.asUser().requestJira(route`/rest/api/3/issue/${issueKey}`, {
-            headers: {
-                'Accept': 'application/json'
-            }
-        });
-
-        if (!response.ok) {
-            console.error(`Failed to fetch issue: ${response.status}`);
-            return false;
-        }
-
-        const issue = await response.json();
-
-        // Extract field value
-        const fieldValue = issue.fields[fieldKey];
-        console.log(`Field ${fieldKey} value:`, fieldValue);
-
-        // Determine if this is a date field by checking the field schema
-        let isDateField = false;
-        try {
-            // Fetch field metadata to determine field type
-            const fieldResponse = await api.asUser().requestJira(route`/rest/api/3/field`, {
-                headers: {
-                    'Accept': 'application/json'
-                }
-            });
-
-            if (fieldResponse.ok) {
-                const fields = await fieldResponse.json();
-                const fieldMetadata = fields.find(f => f.id === fieldKey || f.key === fieldKey);
-                
-                if (fieldMetadata && fieldMetadata.schema) {
-                    // Check if the field type is date or datetime
-                    isDateField = fieldMetadata.schema.type === 'date' || 
-                                  fieldMetadata.schema.type === 'datetime';
-                    console.log(`Field ${fieldKey} is date field: ${isDateField}`);
-                }
-            }
-        } catch (fieldError) {
-            console.warn('Could not fetch field metadata, assuming non-date field:', fieldError);
-        }
-
-        // Determine the comparison value
-        let comparisonValue = expectedValue;
-        
-        // If using question answer as the comparison value
-        if (valueSource === 'question' && questionNodeId && executionState) {
-            // Look up the answer from the execution state
-            const questionAnswer = executionState.answers[questionNodeId];
-            
-            if (questionAnswer !== undefined && questionAnswer !== null) {
-                comparisonValue = questionAnswer;
-                console.log(`Using answer from question node ${questionNodeId}: ${comparisonValue}`);
-            } else {
-                console.warn(`No answer found for question node ${questionNodeId}, using static value`);
-            }
+        if (!issueKey || !flowId || !nodeId) {
+            return { error: 'issueKey, flowId, and nodeId are required' };
         }
 
-        // Evaluate condition with date awareness
-        const result = evaluateCondition(fieldValue, operator, comparisonValue, isDateField);
-        console.log(`Condition evaluation: ${fieldValue} ${operator} ${comparisonValue} = ${result}`);
-
-        return result;
+        return await engine.revisitNode({ issueKey, flowId, nodeId, iteration, context: req.context });
     } catch (error) {
-        console.error('Error evaluating logic node:', error);
-        return false;
+        console.error('Error in revisitNode:', error);
+        return { error: error.message };
     }
-}
-
-// ============================================================================
-// ACTION EXECUTION FUNCTIONS
-// ============================================================================
+});
 
 /**
- * Execute an action node
+ * Reset execution state and return to start
  * @param {string} issueKey - The Jira issue key
- * @param {Object} actionNode - The action node object
- * @param {Object} answers - All user answers
- * @param {Object} context - The request context
- * @returns {Object} Result object with success status
+ * @param {string} flowId - The flow ID
  */
-async function executeAction(issueKey, actionNode, answers, context) {
+resolver.define('resetExecution', async (req) => {
     try {
-        const { actionType, fieldKey, fieldValue, label, comment } = actionNode.data;
-
-        console.log(`Executing action: ${actionType}`);
+        const { issueKey, flowId } = req.payload;
+        console.log(`resetExecution called for issueKey: ${issueKey}, flowId: ${flowId}`);
 
-        switch (actionType) {
-            case 'setField':
-                return await setIssueField(issueKey, fieldKey, fieldValue);
-            case 'addLabel':
-                return await addIssueLabel(issueKey, label);
-            case 'addComment':
-                return await addIssueComment(issueKey, comment);
-            default:
-                return { success: false, error: `Unknown action type: ${actionType}` };
+        if (!issueKey || !flowId) {
+            return { error: 'issueKey and flowId are required' };
         }
+
+        const resetState = await engine.resetExecution(issueKey, flowId);
+
+        console.log('Execution state reset');
+        return resetState;
     } catch (error) {
-        console.error('Error executing action:', error);
-        return { success: false, error: error.message };
+        console.error('Error in resetExecution:', error);
+        return { error: error.message };
     }
-}
+});
 
 /**
- * Update a Jira issue field
+ * Describe what reverting the current run would undo, and whether the user may revert it
  * @param {string} issueKey - The Jira issue key
- * @param {string} fieldKey - The field key to update
- * @param {any} value - The new field value (can be a date expression for date fields)
- * @returns {Object} Result object
+ * @param {string} flowId - The flow ID
  */
-async function setIssueField(issueKey, fieldKey, value) {
+resolver.define('previewRevert', async (req) => {
     try {
-        console.log(`Setting field ${fieldKey} to ${value} on issue ${issueKey}`);
-
-        // Determine if this is a date field and if the value is a date expression
-        let processedValue = value;
-        
-        try {
-            // Fetch field metadata to determine field type
-            const fieldResponse = await api.asUser().requestJira(route`/rest/api/3/field`, {
-                headers: {
-                    'Accept': 'application/json'
-                }
-            });
-
-            if (fieldResponse.ok) {
-                const fields = await fieldResponse.json();
-                const fieldMetadata = fields.find(f => f.id === fieldKey || f.key === fieldKey);
-                
-                if (fieldMetadata && fieldMetadata.schema) {
-                    const isDateField = fieldMetadata.schema.type === 'date' || 
-                                        fieldMetadata.schema.type === 'datetime';
-                    
-                    // If it's a date field and the value looks like a date expression
-                    if (isDateField && typeof value === 'string') {
-                        // Check if it's a date expression (contains functions or units)
-                        if (value.includes('()') || /\d+[dwmy]/.test(value)) {
-                            try {
-                                // Evaluate the date expression
-                                const evaluatedDate = evaluateDateExpression(value);
-                                console.log(`Evaluated date expression "${value}" to ${evaluatedDate.toISOString()}`);
-                                
-                                // Format date according to Jira requirements (YYYY-MM-DD)
-                                const year = evaluatedDate.getFullYear();
-                                const month = String(evaluatedDate.getMonth() + 1).padStart(2, '0');
-                                const day = String(evaluatedDate.getDate()).padStart(2, '0');
-                                processedValue = `${year}-${month}-${day}`;
-                                
-                                console.log(`Formatted date for Jira: ${processedValue}`);
-                            } catch (evalError) {
-                                console.error('Error evaluating date expression:', evalError);
-                                // If evaluation fails, try to use the value as-is
-                                // Jira will reject it if it's invalid
-                            }
-                        } else {
-                            // It's a date field but not an expression, ensure proper format
-                            try {
-                                const dateValue = new Date(value);
-                                if (!isNaN(dateValue.getTime())) {
-                                    const year = dateValue.getFullYear();
-                                    const month = String(dateValue.getMonth() + 1).padStart(2, '0');
-                                    const day = String(dateValue.getDate()).padStart(2, '0');
-                                    processedValue = `${year}-${month}-${day}`;
-                                    console.log(`Formatted date for Jira: ${processedValue}`);
-                                }
-                            } catch (dateError) {
-                                console.warn('Could not parse date value, using as-is:', dateError);
-                            }
-                        }
-                    }
-                }
-            }
-        } catch (fieldError) {
-            console.warn('Could not fetch field metadata, using value as-is:', fieldError);
-        }
-
-        const response = await api.asUser().requestJira(route`/rest/api/3/issue/${issueKey}`, {
-            method: 'PUT',
-            headers: {
-                'Accept': 'application/json',
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                fields: {
-                    [fieldKey]: processedValue
-                }
-            })
-        });
+        const { issueKey, flowId } = req.payload;
+        console.log(`previewRevert called for issueKey: ${issueKey}, flowId: ${flowId}`);
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error(`Failed to set field: ${response.status} - ${errorText}`);
-            return { success: false, error: `API error: ${response.status}`, data: errorText };
+        if (!issueKey || !flowId) {
+            return { error: 'issueKey and flowId are required' };
         }
 
-        console.log('Field updated successfully');
-        return { success: true, data: { fieldKey, value: processedValue } };
+        return await engine.previewRevert({ issueKey, flowId, context: req.context });
     } catch (error) {
-        console.error('Error setting field:', error);
-        return { success: false, error: error.message };
+        console.error('Error in previewRevert:', error);
+        return { error: error.message };
     }
-}
+});
 
 /**
- * Add a label to a Jira issue
+ * Revert the field values, labels and comments changed by the current run, then reset it
  * @param {string} issueKey - The Jira issue key
- * @param {string} label - The label to add
- * @returns {Object} Result object
+ * @param {string} flowId - The flow ID
  */
-async function addIssueLabel(issueKey, label) {
+resolver.define('revertRun', async (req) => {
     try {
-        console.log(`Adding label ${label} to issue ${issueKey}`);
-
-        const response = await api.asUser().requestJira(route`/rest/api/3/issue/${issueKey}`, {
-            method: 'PUT',
-            headers: {
-                'Accept': 'application/json',
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                update: {
-                    labels: [{ add: label }]
-                }
-            })
-        });
+        const { issueKey, flowId } = req.payload;
+        console.log(`revertRun called for issueKey: ${issueKey}, flowId: ${flowId}`);
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error(`Failed to add label: ${response.status} - ${errorText}`);
-            return { success: false, error: `API error: ${response.status}`, data: errorText };
+        if (!issueKey || !flowId) {
+            return { error: 'issueKey and flowId are required' };
         }
 
-        console.log('Label added successfully');
-        return { success: true, data: { label } };
+        return await engine.revertRun({ issueKey, flowId, context: req.context });
     } catch (error) {
-        console.error('Error adding label:', error);
-        return { success: false, error: error.message };
+        console.error('Error in revertRun:', error);
+        return { error: error.message };
     }
-}
+});
+
+// ============================================================================
+// SIMULATION RESOLVERS
+// ============================================================================
 
 /**
- * Add a comment to a Jira issue
- * @param {string} issueKey - The Jira issue key
- * @param {string} commentText - The comment text to add
- * @returns {Object} Result object
+ * Simulate a flow on an issue snapshot without writing to Jira or storage
+ * Returns the nodes visited, how each logic and switch node decided, and the
+ * Jira requests and webhooks each action would make (see engine/simulation.js).
+ * @param {Object} flow - The flow to simulate (e.g. unsaved changes in the flow builder); or
+ * @param {string} flowId - The ID of a saved flow (its working copy is simulated)
+ * @param {Object} issue - The issue snapshot (`{ key, fields }`); or
+ * @param {string} issueKey - The issue to take the snapshot from (the snapshot is returned as `issue`)
+ * @param {Array} answers - Scripted answers, in the order the questions are reached
+ * @param {string} now - The simulated current date/time as an ISO string (defaults to now)
  */
-async function addIssueComment(issueKey, commentText) {
+resolver.define('simulateFlow', async (req) => {
     try {
-        console.log(`Adding comment to issue ${issueKey}`);
-
-        // Format comment in Atlassian Document Format (ADF)
-        const adfComment = {
-            type: 'doc',
-            version: 1,
-            content: [
-                {
-                    type: 'paragraph',
-                    content: [
-                        {
-                            type: 'text',
-                            text: commentText
-                        }
-                    ]
-                }
-            ]
-        };
-
-        const response = await api.asUser().requestJira(route`/rest/api/3/issue/${issueKey}/comment`, {
-            method: 'POST',
-            headers: {
-                'Accept': 'application/json',
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                body: adfComment
-            })
-        });
+        const { flowId, issueKey, answers = [], now } = req.payload;
+        console.log(`simulateFlow called for flowId: ${flowId || 'unsaved flow'}, issueKey: ${issueKey || 'issue snapshot'}`);
+
+        const flow = req.payload.flow || (flowId ? await loadFlowWorkingCopy(forgeStorageAdapter, flowId) : null);
+        if (!flow) {
+            return { error: flowId ? 'Flow not found' : 'flow or flowId is required' };
+        }
+
+        if (!Array.isArray(answers)) {
+            return { error: 'answers must be a list' };
+        }
+
+        const simulatedNow = now ? new Date(now) : new Date();
+        if (isNaN(simulatedNow.getTime())) {
+            return { error: `"now" is not a valid date: ${now}` };
+        }
+
+        let { issue } = req.payload;
+        const fetched = !issue;
+        if (fetched) {
+            if (!issueKey) {
+                return { error: 'issue or issueKey is required' };
+            }
+
+            const response = await jira.getIssue(issueKey);
+            if (!response.ok) {
+                return { error: `Failed to fetch issue ${issueKey}: ${response.status}` };
+            }
+            issue = await response.json();
+        }
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error(`Failed to add comment: ${response.status} - ${errorText}`);
-            return { success: false, error: `API error: ${response.status}`, data: errorText };
+        if (!issue || typeof issue !== 'object' || !issue.fields || typeof issue.fields !== 'object') {
+            return { error: 'The issue snapshot must be an object with "fields"' };
         }
 
-        const result = await response.json();
-        console.log('Comment added successfully');
-        return { success: true, data: result };
+        const result = await simulateFlow({
+            flow,
+            issue,
+            answers,
+            now: simulatedNow,
+            jira,
+            storage: forgeStorageAdapter,
+            context: req.context
+        });
+
+        return fetched ? { ...result, issue: { key: issue.key, fields: issue.fields } } : result;
     } catch (error) {
-        console.error('Error adding comment:', error);
-        return { success: false, error: error.message };
+        console.error('Error in simulateFlow:', error);
+        return { error: error.message };
     }
-}
+});
 
 // ============================================================================
-// AUDIT LOGGING FUNCTIONS
+// AUDIT LOG RESOLVERS
 // ============================================================================
 
 /**
@@ -959,7 +685,7 @@ resolver.define('getAuditLogs', async (req) => {
             return { error: 'issueKey and flowId are required' };
         }
 
-        const logs = await storage.get(`audit:${issueKey}:${flowId}`) || [];
+        const logs = await storage.get(auditKey(issueKey, flowId)) || [];
         console.log(`Found ${logs.length} audit log entries`);
 
         return logs;
@@ -969,53 +695,17 @@ resolver.define('getAuditLogs', async (req) => {
     }
 });
 
+export const handler = resolver.getDefinitions();
+
 /**
- * Internal helper to log an audit entry
- * @param {string} issueKey - The Jira issue key
- * @param {string} flowId - The flow ID
- * @param {Object} entry - The audit log entry
- * @param {Object} context - The request context containing user information
+ * Trigger handler for app installs and upgrades: runs the storage migrations that have not run yet
+ * Errors are logged; the migrations that did not complete run again on the next upgrade.
  */
-async function logAuditInternal(issueKey, flowId, entry, context) {
+export async function migrateStorage() {
     try {
-        const key = `audit:${issueKey}:${flowId}`;
-        const logs = await storage.get(key) || [];
-
-        // Fetch user display name if actor information is available
-        if (entry.actor && entry.actor.accountId) {
-            try {
-                // Get user information from Jira API
-                const userResponse = await api.asUser().requestJira(
-                    route`/rest/api/3/user?accountId=${entry.actor.accountId}`,
-                    {
-                        headers: {
-                            'Accept': 'application/json'
-                        }
-                    }
-                );
-
-                if (userResponse.ok) {
-                    const userData = await userResponse.json();
-                    entry.actor.displayName = userData.displayName || 'Unknown User';
-                    entry.actor.emailAddress = userData.emailAddress || null;
-                } else {
-                    console.warn('Failed to fetch user data:', userResponse.status);
-                    entry.actor.displayName = 'Unknown User';
-                }
-            } catch (userError) {
-                console.error('Error fetching user information:', userError);
-                entry.actor.displayName = 'Unknown User';
-            }
-        }
-
-        logs.push(entry);
-
-        await storage.set(key, logs);
-        console.log('Audit log entry added with actor information');
+        const ran = await runStorageMigrations(forgeStorageAdapter);
+        console.log(`Storage migrations run: ${ran.map(migration => migration.id).join(', ') || 'none'}`);
     } catch (error) {
-        console.error('Error logging audit entry:', error);
+        console.error('Error running storage migrations:', error);
     }
 }
-
-export const handler = resolver.getDefinitions();
-
@@ -0,0 +1,96 @@
+import Select from '@atlaskit/select';
+import Textfield from '@atlaskit/textfield';
+import { Box, Stack } from '@atlaskit/primitives';
+import { token } from '@atlaskit/tokens';
+
+const labelStyle = {
+    display: 'block',
+    marginBottom: token('space.050'),
+    fontWeight: 'bold',
+    fontSize: '12px'
+};
+
+const helpTextStyle = {
+    fontSize: '11px',
+    color: token('color.text.subtlest'),
+    marginTop: token('space.050')
+};
+
+// What happens when the action fails and its error handle is not connected
+const errorModeOptions = [
+    { label: 'Stop the flow', value: 'halt' },
+    { label: 'Continue as if it succeeded', value: 'continue' }
+];
+
+// Retry settings; the limits match RETRY_LIMITS in src/engine/retryPolicy.js
+const retrySettings = [
+    { key: 'maxRetries', label: 'Retries', min: 0, max: 5, placeholder: '0' },
+    { key: 'retryDelayMs', label: 'First Retry Delay (ms)', min: 100, max: 5000, placeholder: '500' }
+];
+
+/**
+ * ActionFailureSettings Component
+ *
+ * Edits how an action node handles failure: how often Jira requests that are
+ * rate limited (429) or fail with a server error (5xx) are retried (requests
+ * that are not safe to repeat only on 429, see retryPolicy.js), and what
+ * happens when the action still fails. Connecting the node's error handle
+ * routes failures down that path instead.
+ *
+ * Webhook actions configure their retries in the webhook editor, so only the
+ * failure mode is shown for them.
+ *
+ * @param {Object} data - The action node data
+ * @param {Function} onChange - Called with an object of updated node data properties
+ */
+function ActionFailureSettings({ data, onChange }) {
+    const showRetries = data.actionType !== 'webhook';
+
+    return (
+        <Stack space="space.200">
+            {showRetries && retrySettings.map(setting => (
+                <Box key={setting.key}>
+                    <label htmlFor={`action-failure-${setting.key}`} style={labelStyle}>
+                        {setting.label}
+                    </label>
+                    <Textfield
+                        id={`action-failure-${setting.key}`}
+                        type="number"
+                        min={setting.min}
+                        max={setting.max}
+                        value={data[setting.key] === undefined ? '' : data[setting.key]}
+                        onChange={(e) => onChange({
+                            [setting.key]: e.target.value === '' ? undefined : Number(e.target.value)
+                        })}
+                        placeholder={setting.placeholder}
+                    />
+                </Box>
+            ))}
+            {showRetries && (
+                <div style={helpTextStyle}>
+                    Jira requests that are rate limited or fail with a server error are retried, doubling the delay each time.
+                    Requests that add a comment, issue, link or watcher or transition the issue are only retried when rate
+                    limited, so they are never made twice
+                </div>
+            )}
+
+            <Box>
+                <label htmlFor="action-failure-mode" style={labelStyle}>
+                    If the Action Fails
+                </label>
+                <Select
+                    inputId="action-failure-mode"
+                    options={errorModeOptions}
+                    value={errorModeOptions.find(opt => opt.value === (data.onError || 'halt'))}
+                    onChange={(option) => onChange({ onError: option.value })}
+                />
+                <div style={helpTextStyle}>
+                    Connect the node's error handle to take another path when the action fails.
+                    A stopped flow shows the error to the user, who can retry the action or start over.
+                </div>
+            </Box>
+        </Stack>
+    );
+}
+
+export default ActionFailureSettings;
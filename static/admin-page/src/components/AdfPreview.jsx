@@ -0,0 +1,180 @@
+import { useState, useEffect } from 'react';
+import { requestJira } from '@forge/bridge';
+import { token } from '@atlaskit/tokens';
+
+const cellStyle = {
+    border: `${token('border.width')} solid ${token('color.border')}`,
+    padding: token('space.050'),
+    textAlign: 'left',
+    verticalAlign: 'top'
+};
+
+const codeStyle = {
+    fontFamily: 'monospace',
+    backgroundColor: token('color.background.neutral'),
+    borderRadius: token('border.radius'),
+    padding: '0 2px'
+};
+
+/**
+ * Collect the account IDs mentioned in an ADF document
+ * Mentions of template variables are only filled in when the action runs.
+ * @param {Object} node - ADF node
+ * @param {Set<string>} accountIds - Collected IDs
+ * @returns {Set<string>} The collected IDs
+ */
+function collectMentions(node, accountIds = new Set()) {
+    if (node.type === 'mention' && !node.attrs.id.includes('{{')) {
+        accountIds.add(node.attrs.id);
+    }
+    (node.content || []).forEach(child => collectMentions(child, accountIds));
+    return accountIds;
+}
+
+/**
+ * Wrap text in the elements for its marks
+ * @param {Object} node - ADF text node
+ * @returns {JSX.Element|string} The marked-up text
+ */
+function renderText(node) {
+    return (node.marks || []).reduce((children, mark) => {
+        switch (mark.type) {
+            case 'strong':
+                return <strong>{children}</strong>;
+            case 'em':
+                return <em>{children}</em>;
+            case 'strike':
+                return <s>{children}</s>;
+            case 'code':
+                return <code style={codeStyle}>{children}</code>;
+            case 'link':
+                return <a href={mark.attrs.href} target="_blank" rel="noreferrer">{children}</a>;
+            default:
+                return children;
+        }
+    }, node.text);
+}
+
+/**
+ * AdfPreview Component
+ *
+ * Shows roughly how an Atlassian Document Format (ADF) document will look in
+ * Jira. Covers the nodes produced by utils/markdownToAdf.js; mentioned users
+ * are looked up to show their names.
+ *
+ * @param {Object} document - The ADF document
+ */
+function AdfPreview({ document }) {
+    const [userNames, setUserNames] = useState({});
+    const mentionIds = [...collectMentions(document)].sort().join(',');
+
+    /**
+     * Look up the names of mentioned users
+     */
+    useEffect(() => {
+        if (!mentionIds) {
+            return;
+        }
+
+        let isCancelled = false;
+
+        Promise.all(mentionIds.split(',').map(async (accountId) => {
+            try {
+                const response = await requestJira(`/rest/api/3/user?accountId=${encodeURIComponent(accountId)}`);
+                const user = response.ok ? await response.json() : null;
+                return [accountId, user ? user.displayName : accountId];
+            } catch (error) {
+                console.error('Error fetching mentioned user:', error);
+                return [accountId, accountId];
+            }
+        })).then(entries => {
+            if (!isCancelled) {
+                setUserNames(Object.fromEntries(entries));
+            }
+        });
+
+        return () => {
+            isCancelled = true;
+        };
+    }, [mentionIds]);
+
+    /**
+     * Render an ADF node and its children
+     * @param {Object} node - ADF node
+     * @param {number} index - Position among its siblings (used as the React key)
+     * @returns {JSX.Element|string|null} Rendered node
+     */
+    const renderNode = (node, index) => {
+        const children = (node.content || []).map(renderNode);
+
+        switch (node.type) {
+            case 'doc':
+                return <div key={index}>{children}</div>;
+            case 'paragraph':
+                return <p key={index} style={{ margin: `0 0 ${token('space.100')}` }}>{children}</p>;
+            case 'heading': {
+                const Heading = `h${node.attrs.level}`;
+                return <Heading key={index} style={{ margin: `0 0 ${token('space.100')}` }}>{children}</Heading>;
+            }
+            case 'text':
+                return <span key={index}>{renderText(node)}</span>;
+            case 'hardBreak':
+                return <br key={index} />;
+            case 'mention':
+                return (
+                    <span key={index} style={{ color: token('color.link') }}>
+                        @{userNames[node.attrs.id] || node.attrs.id}
+                    </span>
+                );
+            case 'bulletList':
+                return <ul key={index}>{children}</ul>;
+            case 'orderedList':
+                return <ol key={index} start={node.attrs ? node.attrs.order : 1}>{children}</ol>;
+            case 'listItem':
+                return <li key={index}>{children}</li>;
+            case 'blockquote':
+                return (
+                    <blockquote
+                        key={index}
+                        style={{
+                            margin: `0 0 ${token('space.100')}`,
+                            paddingLeft: token('space.100'),
+                            borderLeft: `2px solid ${token('color.border')}`
+                        }}
+                    >
+                        {children}
+                    </blockquote>
+                );
+            case 'codeBlock':
+                return (
+                    <pre key={index} style={{ ...codeStyle, padding: token('space.100'), overflowX: 'auto' }}>
+                        {(node.content || []).map(child => child.text).join('')}
+                    </pre>
+                );
+            case 'rule':
+                return <hr key={index} />;
+            case 'table':
+                return (
+                    <table key={index} style={{ borderCollapse: 'collapse', marginBottom: token('space.100') }}>
+                        <tbody>{children}</tbody>
+                    </table>
+                );
+            case 'tableRow':
+                return <tr key={index}>{children}</tr>;
+            case 'tableHeader':
+                return <th key={index} style={cellStyle}>{children}</th>;
+            case 'tableCell':
+                return <td key={index} style={cellStyle}>{children}</td>;
+            default:
+                return null;
+        }
+    };
+
+    return (
+        <div style={{ fontSize: '12px', overflowWrap: 'anywhere' }}>
+            {renderNode(document, 0)}
+        </div>
+    );
+}
+
+export default AdfPreview;
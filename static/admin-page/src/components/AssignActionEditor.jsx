@@ -0,0 +1,175 @@
+import { useState, useEffect } from 'react';
+import { requestJira } from '@forge/bridge';
+import Select from '@atlaskit/select';
+import { Box, Stack } from '@atlaskit/primitives';
+import { token } from '@atlaskit/tokens';
+import UserSelect from './UserSelect.jsx';
+
+const labelStyle = {
+    display: 'block',
+    marginBottom: token('space.050'),
+    fontWeight: 'bold',
+    fontSize: '12px'
+};
+
+const helpTextStyle = {
+    fontSize: '11px',
+    color: token('color.text.subtlest'),
+    marginTop: token('space.050')
+};
+
+// Where the assignee comes from
+const assigneeSourceOptions = [
+    { label: 'A specific user', value: 'user' },
+    { label: 'User selected in a question', value: 'answer' },
+    { label: 'User running the flow', value: 'currentUser' },
+    { label: 'Project lead', value: 'projectLead' },
+    { label: 'Component lead', value: 'componentLead' }
+];
+
+// Component lead option used when no specific component is chosen
+const ANY_COMPONENT_OPTION = { label: "The issue's first component with a lead", value: '' };
+
+/**
+ * AssignActionEditor Component
+ *
+ * Edits an Assign Issue action: where the assignee comes from and, depending
+ * on the source, the user, the question whose answer selects the user, or
+ * the component whose lead is assigned.
+ *
+ * @param {Object} data - The action node data
+ * @param {Function} onChange - Called with an object of updated node data properties
+ * @param {Array} projectKeys - The flow's bound project keys (for component names)
+ * @param {Array} flowNodes - All nodes in the flow (for question selection)
+ */
+function AssignActionEditor({ data, onChange, projectKeys = [], flowNodes = [] }) {
+    const [componentOptions, setComponentOptions] = useState([ANY_COMPONENT_OPTION]);
+    const assigneeSource = data.assigneeSource || 'user';
+    const projectKeysParam = projectKeys.join(',');
+
+    /**
+     * Fetch the component names of the bound projects when component lead is selected
+     */
+    useEffect(() => {
+        if (assigneeSource !== 'componentLead' || !projectKeysParam) {
+            return;
+        }
+
+        let isCancelled = false;
+
+        const fetchComponents = async () => {
+            try {
+                const componentLists = await Promise.all(projectKeysParam.split(',').map(async (key) => {
+                    const response = await requestJira(`/rest/api/3/project/${encodeURIComponent(key)}/components`);
+                    if (!response.ok) {
+                        throw new Error(`Failed to fetch components: ${response.status} ${response.statusText}`);
+                    }
+                    return response.json();
+                }));
+
+                const names = [...new Set(componentLists.flat().map(component => component.name))].sort();
+                if (!isCancelled) {
+                    setComponentOptions([ANY_COMPONENT_OPTION, ...names.map(name => ({ label: name, value: name }))]);
+                }
+            } catch (error) {
+                console.error('Error fetching components:', error);
+            }
+        };
+
+        fetchComponents();
+
+        return () => {
+            isCancelled = true;
+        };
+    }, [assigneeSource, projectKeysParam]);
+
+    const questionOptions = flowNodes
+        .filter(node => node.type === 'question')
+        .map(node => ({ label: node.data.question || `Question ${node.id}`, value: node.id }));
+
+    return (
+        <Stack space="space.200">
+            {/* Assignee Source */}
+            <Box>
+                <label htmlFor="action-assignee-source" style={labelStyle}>
+                    Assign To *
+                </label>
+                <Select
+                    inputId="action-assignee-source"
+                    options={assigneeSourceOptions}
+                    value={assigneeSourceOptions.find(opt => opt.value === assigneeSource)}
+                    onChange={(option) => onChange({ assigneeSource: option.value })}
+                />
+            </Box>
+
+            {assigneeSource === 'user' && (
+                <Box>
+                    <label htmlFor="action-assignee" style={labelStyle}>
+                        User *
+                    </label>
+                    <UserSelect
+                        inputId="action-assignee"
+                        value={data.assigneeAccountId
+                            ? { label: data.assigneeDisplayName || data.assigneeAccountId, value: data.assigneeAccountId }
+                            : null}
+                        onChange={(option) => onChange({
+                            assigneeAccountId: option ? option.value : '',
+                            assigneeDisplayName: option ? option.label : ''
+                        })}
+                    />
+                </Box>
+            )}
+
+            {assigneeSource === 'answer' && (
+                <Box>
+                    <label htmlFor="action-assignee-question" style={labelStyle}>
+                        Question *
+                    </label>
+                    <Select
+                        inputId="action-assignee-question"
+                        options={questionOptions}
+                        value={questionOptions.find(opt => opt.value === data.assigneeQuestionNodeId)}
+                        onChange={(option) => onChange({ assigneeQuestionNodeId: option ? option.value : '' })}
+                        placeholder="Select a question"
+                        isClearable={true}
+                    />
+                    <div style={helpTextStyle}>
+                        The question whose answer is the user to assign
+                    </div>
+                </Box>
+            )}
+
+            {assigneeSource === 'componentLead' && (
+                <Box>
+                    <label htmlFor="action-assignee-component" style={labelStyle}>
+                        Component
+                    </label>
+                    <Select
+                        inputId="action-assignee-component"
+                        options={componentOptions}
+                        value={componentOptions.find(opt => opt.value === (data.componentName || ''))
+                            || { label: data.componentName, value: data.componentName }}
+                        onChange={(option) => onChange({ componentName: option ? option.value : '' })}
+                    />
+                    <div style={helpTextStyle}>
+                        The issue must have this component, and the component must have a lead
+                    </div>
+                </Box>
+            )}
+
+            {assigneeSource === 'projectLead' && (
+                <div style={helpTextStyle}>
+                    The issue is assigned to the lead of its project
+                </div>
+            )}
+
+            {assigneeSource === 'currentUser' && (
+                <div style={helpTextStyle}>
+                    The issue is assigned to the user who runs the action
+                </div>
+            )}
+        </Stack>
+    );
+}
+
+export default AssignActionEditor;
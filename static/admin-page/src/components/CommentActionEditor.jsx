@@ -0,0 +1,227 @@
+import { useState, useEffect } from 'react';
+import { requestJira } from '@forge/bridge';
+import Button from '@atlaskit/button/new';
+import Select from '@atlaskit/select';
+import { Box, Stack, Flex } from '@atlaskit/primitives';
+import { token } from '@atlaskit/tokens';
+import TemplateInput from './TemplateInput.jsx';
+import UserSelect from './UserSelect.jsx';
+import GroupSelect from './GroupSelect.jsx';
+import AdfPreview from './AdfPreview.jsx';
+import { markdownToAdf } from '../utils/markdownToAdf.js';
+
+const labelStyle = {
+    display: 'block',
+    marginBottom: token('space.050'),
+    fontWeight: 'bold',
+    fontSize: '12px'
+};
+
+const helpTextStyle = {
+    fontSize: '11px',
+    color: token('color.text.subtlest'),
+    marginTop: token('space.050')
+};
+
+// Who can see the comment
+const visibilityOptions = [
+    { label: 'Everyone who can see the issue', value: '' },
+    { label: 'A project role', value: 'role' },
+    { label: 'A group', value: 'group' }
+];
+
+/**
+ * CommentActionEditor Component
+ *
+ * Edits an Add Comment action: the comment, written in Markdown with `{{ }}`
+ * template variables and `[~accountid:...]` mentions, a preview of how it
+ * will look in Jira, and an optional restriction of the comment to a
+ * project role or group.
+ *
+ * @param {Object} data - The action node data
+ * @param {Function} onChange - Called with an object of updated node data properties
+ * @param {Array} jiraFields - Jira field options (for template variables)
+ * @param {Array} flowNodes - All nodes in the flow (for template variables)
+ */
+function CommentActionEditor({ data, onChange, jiraFields, flowNodes }) {
+    const [isPreviewing, setIsPreviewing] = useState(false);
+    const [roleOptions, setRoleOptions] = useState([]);
+
+    const comment = data.comment || '';
+    const visibility = data.commentVisibility || null;
+    const visibilityType = visibility ? visibility.type : '';
+
+    /**
+     * Fetch the project roles when the comment is restricted to a role
+     */
+    useEffect(() => {
+        if (visibilityType !== 'role') {
+            return;
+        }
+
+        let isCancelled = false;
+
+        const fetchRoles = async () => {
+            try {
+                const response = await requestJira('/rest/api/3/role');
+                if (!response.ok) {
+                    throw new Error(`Failed to fetch project roles: ${response.status} ${response.statusText}`);
+                }
+                const roles = await response.json();
+                if (!isCancelled) {
+                    setRoleOptions(roles
+                        .map(role => ({ label: role.name, value: role.name }))
+                        .sort((a, b) => a.label.localeCompare(b.label)));
+                }
+            } catch (error) {
+                console.error('Error fetching project roles:', error);
+            }
+        };
+
+        fetchRoles();
+
+        return () => {
+            isCancelled = true;
+        };
+    }, [visibilityType]);
+
+    /**
+     * Append a mention of a user to the comment
+     * @param {Object|null} option - The chosen user option
+     */
+    const insertMention = (option) => {
+        if (!option) {
+            return;
+        }
+        const separator = comment === '' || /\s$/.test(comment) ? '' : ' ';
+        onChange({ comment: `${comment}${separator}[~accountid:${option.value}]` });
+    };
+
+    return (
+        <Stack space="space.200">
+            {/* Comment text */}
+            <Box>
+                <Flex justifyContent="space-between" alignItems="center">
+                    <label htmlFor="action-comment" style={labelStyle}>
+                        Comment Text *
+                    </label>
+                    <Flex gap="space.050">
+                        <Button
+                            appearance="subtle"
+                            spacing="compact"
+                            isSelected={!isPreviewing}
+                            onClick={() => setIsPreviewing(false)}
+                        >
+                            Write
+                        </Button>
+                        <Button
+                            appearance="subtle"
+                            spacing="compact"
+                            isSelected={isPreviewing}
+                            onClick={() => setIsPreviewing(true)}
+                        >
+                            Preview
+                        </Button>
+                    </Flex>
+                </Flex>
+                {isPreviewing ? (
+                    <Box
+                        padding="space.100"
+                        style={{
+                            border: `${token('border.width')} solid ${token('color.border')}`,
+                            borderRadius: token('border.radius'),
+                            minHeight: '80px'
+                        }}
+                    >
+                        <AdfPreview document={markdownToAdf(comment)} />
+                    </Box>
+                ) : (
+                    <TemplateInput
+                        id="action-comment"
+                        value={comment}
+                        onChange={(value) => onChange({ comment: value })}
+                        flowNodes={flowNodes}
+                        jiraFields={jiraFields}
+                        placeholder="Enter comment text"
+                        isMultiline={true}
+                        minimumRows={6}
+                    />
+                )}
+                <div style={helpTextStyle}>
+                    Markdown: # heading, **bold**, *italic*, `code`, [link](url), - lists, | tables |.
+                    Use {'{{answerTable}}'} for a table of the answers. Template variables are filled in when the action runs.
+                </div>
+            </Box>
+
+            {/* Mentions */}
+            <Box>
+                <label htmlFor="action-comment-mention" style={labelStyle}>
+                    Mention a User
+                </label>
+                <UserSelect
+                    inputId="action-comment-mention"
+                    value={null}
+                    onChange={insertMention}
+                    placeholder="Search for a user to mention"
+                />
+                <div style={helpTextStyle}>
+                    Adds [~accountid:...] to the comment. To mention a user chosen in a question,
+                    write [~accountid:{'{{answers.<nodeId>}}'}].
+                </div>
+            </Box>
+
+            {/* Visibility */}
+            <Box>
+                <label htmlFor="action-comment-visibility" style={labelStyle}>
+                    Visible To
+                </label>
+                <Select
+                    inputId="action-comment-visibility"
+                    options={visibilityOptions}
+                    value={visibilityOptions.find(opt => opt.value === visibilityType)}
+                    onChange={(option) => onChange({
+                        commentVisibility: option.value ? { type: option.value, value: '' } : null
+                    })}
+                />
+            </Box>
+
+            {visibilityType === 'role' && (
+                <Box>
+                    <label htmlFor="action-comment-role" style={labelStyle}>
+                        Project Role *
+                    </label>
+                    <Select
+                        inputId="action-comment-role"
+                        options={roleOptions}
+                        value={visibility.value ? { label: visibility.value, value: visibility.value } : null}
+                        onChange={(option) => onChange({
+                            commentVisibility: { type: 'role', value: option ? option.value : '' }
+                        })}
+                        placeholder="Select a role"
+                    />
+                </Box>
+            )}
+
+            {visibilityType === 'group' && (
+                <Box>
+                    <label htmlFor="action-comment-group" style={labelStyle}>
+                        Group *
+                    </label>
+                    <GroupSelect
+                        inputId="action-comment-group"
+                        value={visibility.identifier ? { label: visibility.value, value: visibility.identifier } : null}
+                        onChange={(option) => onChange({
+                            commentVisibility: {
+                                type: 'group',
+                                identifier: option ? option.value : '',
+                                value: option ? option.label : ''
+                            }
+                        })}
+                    />
+                </Box>
+            )}
+        </Stack>
+    );
+}
+
+export default CommentActionEditor;
@@ -0,0 +1,513 @@
+import { useState, useEffect } from 'react';
+import Button, { IconButton } from '@atlaskit/button/new';
+import Textfield from '@atlaskit/textfield';
+import TextArea from '@atlaskit/textarea';
+import Select from '@atlaskit/select';
+import { Box, Stack, Flex, Text } from '@atlaskit/primitives';
+import { token } from '@atlaskit/tokens';
+import CrossIcon from '@atlaskit/icon/core/cross';
+import DateExpressionInput from './DateExpressionInput.jsx';
+import { getFieldMetadata } from '../utils/fieldMetadata.js';
+import { validateJql } from '../utils/jqlValidation.js';
+import {
+    createCondition,
+    createConditionGroup,
+    updateConditionTreeItem,
+    removeConditionTreeItem
+} from '../utils/conditionGroups.js';
+
+/**
+ * Maximum nesting depth of condition groups (the root group is depth 0)
+ * Keeps the editor usable within the width of the properties panel
+ */
+const MAX_GROUP_DEPTH = 2;
+
+// Logic operator options for Select component
+const operatorOptions = [
+    { label: 'Equals', value: 'equals' },
+    { label: 'Not Equals', value: 'notEquals' },
+    { label: 'Contains', value: 'contains' },
+    { label: 'Greater Than', value: 'greaterThan' },
+    { label: 'Less Than', value: 'lessThan' },
+    { label: 'Is Empty', value: 'isEmpty' },
+    { label: 'Is Not Empty', value: 'isNotEmpty' }
+];
+
+// Condition type options
+const conditionTypeOptions = [
+    { label: 'Field comparison', value: 'field' },
+    { label: 'Issue matches JQL', value: 'jql' }
+];
+
+// Value source options
+const valueSourceOptions = [
+    { label: 'Static Value', value: 'static' },
+    { label: 'Question Answer', value: 'question' }
+];
+
+// Group combinator options
+const combinatorOptions = [
+    { label: 'All of (AND)', value: 'and' },
+    { label: 'Any of (OR)', value: 'or' }
+];
+
+const labelStyle = {
+    display: 'block',
+    marginBottom: token('space.050'),
+    fontWeight: 'bold',
+    fontSize: '12px'
+};
+
+const helpTextStyle = {
+    fontSize: '11px',
+    color: token('color.text.subtlest'),
+    marginTop: token('space.050')
+};
+
+/**
+ * ConditionEditor Component
+ *
+ * Edits a single condition of a logic node: the Jira field, the comparison
+ * operator, and the value to compare against (static or a question answer).
+ * Date fields get a DateExpressionInput and only offer date questions.
+ * JQL conditions instead take a query, which is checked with Jira's JQL parser as it is typed.
+ *
+ * @param {Object} condition - The condition being edited
+ * @param {Function} onChange - Called with the updated condition
+ * @param {Function} onRemove - Called to remove the condition (omit to hide the remove button)
+ * @param {Array} jiraFields - Jira field options for the field Select
+ * @param {boolean} isLoadingFields - Whether Jira fields are still loading
+ * @param {Array} questionNodes - Question nodes in the flow
+ */
+function ConditionEditor({ condition, onChange, onRemove, jiraFields, isLoadingFields, questionNodes }) {
+    // State for field metadata (to detect date fields)
+    const [fieldMetadata, setFieldMetadata] = useState(null);
+    const [isLoadingFieldMetadata, setIsLoadingFieldMetadata] = useState(false);
+
+    // State for JQL validation
+    const [jqlValidation, setJqlValidation] = useState(null);
+    const [isValidatingJql, setIsValidatingJql] = useState(false);
+
+    const isJqlCondition = condition.conditionType === 'jql';
+
+    /**
+     * Fetch field metadata when the condition's fieldKey changes
+     * This determines if the field is a date field to show DateExpressionInput
+     */
+    useEffect(() => {
+        if (isJqlCondition || !condition.fieldKey) {
+            setFieldMetadata(null);
+            return;
+        }
+
+        const fetchFieldMetadata = async () => {
+            setIsLoadingFieldMetadata(true);
+            try {
+                const metadata = await getFieldMetadata(condition.fieldKey);
+                setFieldMetadata(metadata);
+            } catch (error) {
+                console.error('Error fetching field metadata:', error);
+                setFieldMetadata(null);
+            } finally {
+                setIsLoadingFieldMetadata(false);
+            }
+        };
+
+        fetchFieldMetadata();
+    }, [condition.fieldKey, isJqlCondition]);
+
+    /**
+     * Validate the JQL query as it is typed (500ms debounce)
+     */
+    useEffect(() => {
+        if (!isJqlCondition) {
+            setJqlValidation(null);
+            return;
+        }
+
+        let isCancelled = false;
+        const timer = setTimeout(async () => {
+            setIsValidatingJql(true);
+            const result = await validateJql(condition.jql);
+            if (!isCancelled) {
+                setJqlValidation(result);
+                setIsValidatingJql(false);
+            }
+        }, 500);
+
+        return () => {
+            isCancelled = true;
+            clearTimeout(timer);
+        };
+    }, [condition.jql, isJqlCondition]);
+
+    /**
+     * Update one property of the condition
+     * @param {string} fieldName - The property to update
+     * @param {any} value - The new value
+     */
+    const handleChange = (fieldName, value) => {
+        onChange({ ...condition, [fieldName]: value });
+    };
+
+    // Determine if we're working with a date field
+    const isDateField = fieldMetadata?.fieldType === 'date';
+
+    // For date fields, only show date questions
+    const filteredQuestionNodes = isDateField
+        ? questionNodes.filter(n => n.data.questionType === 'date')
+        : questionNodes;
+
+    const questionNodeOptions = filteredQuestionNodes.map(node => ({
+        label: node.data.question || `Question ${node.id}`,
+        value: node.id
+    }));
+
+    const inputId = (name) => `${name}-${condition.id}`;
+
+    /**
+     * Switch between a field comparison and a JQL condition
+     * Only the properties of the chosen condition type are kept.
+     * @param {string} conditionType - 'field' or 'jql'
+     */
+    const handleConditionTypeChange = (conditionType) => {
+        if (conditionType === 'jql') {
+            onChange({ type: 'condition', id: condition.id, conditionType: 'jql', jql: '' });
+        } else {
+            onChange({
+                type: 'condition',
+                id: condition.id,
+                fieldKey: '',
+                operator: 'equals',
+                expectedValue: '',
+                valueSource: 'static'
+            });
+        }
+    };
+
+    const removeButton = onRemove && (
+        <IconButton
+            icon={CrossIcon}
+            label="Remove condition"
+            appearance="subtle"
+            spacing="compact"
+            onClick={onRemove}
+        />
+    );
+
+    return (
+        <Box style={{
+            padding: token('space.100'),
+            backgroundColor: token('elevation.surface'),
+            border: `${token('border.width')} solid ${token('color.border')}`,
+            borderRadius: token('border.radius')
+        }}>
+            <Stack space="space.150">
+                {/* Condition Type */}
+                <Box>
+                    <Flex justifyContent="space-between" alignItems="center">
+                        <label htmlFor={inputId('condition-type')} style={labelStyle}>
+                            Condition Type
+                        </label>
+                        {removeButton}
+                    </Flex>
+                    <Select
+                        inputId={inputId('condition-type')}
+                        options={conditionTypeOptions}
+                        value={conditionTypeOptions.find(opt => opt.value === (isJqlCondition ? 'jql' : 'field'))}
+                        onChange={(option) => handleConditionTypeChange(option.value)}
+                        spacing="compact"
+                    />
+                </Box>
+
+                {isJqlCondition ? (
+                    <Box>
+                        <label htmlFor={inputId('jql')} style={labelStyle}>
+                            JQL Query *
+                        </label>
+                        <TextArea
+                            id={inputId('jql')}
+                            value={condition.jql || ''}
+                            onChange={(e) => handleChange('jql', e.target.value)}
+                            placeholder='e.g., priority in (High, Highest) AND labels = "customer"'
+                            minimumRows={3}
+                            isInvalid={jqlValidation && !jqlValidation.valid}
+                        />
+                        {isValidatingJql && (
+                            <div style={helpTextStyle}>Checking JQL...</div>
+                        )}
+                        {!isValidatingJql && jqlValidation && !jqlValidation.valid && (
+                            <div style={{ ...helpTextStyle, color: token('color.text.danger') }}>
+                                {jqlValidation.errors.join(' ')}
+                            </div>
+                        )}
+                        {!isValidatingJql && jqlValidation && jqlValidation.warning && (
+                            <div style={helpTextStyle}>
+                                Could not check the query: {jqlValidation.warning}
+                            </div>
+                        )}
+                        <div style={helpTextStyle}>
+                            The condition is true when the current issue matches this query. You can paste the JQL of an existing filter.
+                        </div>
+                    </Box>
+                ) : (
+                    <>
+                        {/* Field Key */}
+                        <Box>
+                            <label htmlFor={inputId('field-key')} style={labelStyle}>
+                                Jira Field Key *
+                            </label>
+                            <Select
+                                inputId={inputId('field-key')}
+                                options={jiraFields}
+                                value={jiraFields.find(opt => opt.value === condition.fieldKey)}
+                                onChange={(option) => handleChange('fieldKey', option ? option.value : '')}
+                                placeholder={isLoadingFields ? "Loading fields..." : "Select a Jira field"}
+                                isLoading={isLoadingFields}
+                                isSearchable={true}
+                                isClearable={true}
+                            />
+                            {isLoadingFieldMetadata && (
+                                <div style={helpTextStyle}>Detecting field type...</div>
+                            )}
+                        </Box>
+
+                        {/* Operator */}
+                        <Box>
+                            <label htmlFor={inputId('operator')} style={labelStyle}>
+                                Comparison Operator *
+                            </label>
+                            <Select
+                                inputId={inputId('operator')}
+                                options={operatorOptions}
+                                value={operatorOptions.find(opt => opt.value === condition.operator)}
+                                onChange={(option) => handleChange('operator', option.value)}
+                                placeholder="Select operator"
+                            />
+                        </Box>
+
+                        {/* Expected Value (not needed for isEmpty/isNotEmpty) */}
+                        {condition.operator !== 'isEmpty' && condition.operator !== 'isNotEmpty' && (
+                            <>
+                                {/* Value Source Selection */}
+                                <Box>
+                                    <label htmlFor={inputId('value-source')} style={labelStyle}>
+                                        Value Source *
+                                    </label>
+                                    <Select
+                                        inputId={inputId('value-source')}
+                                        options={valueSourceOptions}
+                                        value={valueSourceOptions.find(opt => opt.value === (condition.valueSource || 'static'))}
+                                        onChange={(option) => handleChange('valueSource', option.value)}
+                                        placeholder="Select value source"
+                                    />
+                                </Box>
+
+                                {/* Static Value Input */}
+                                {(!condition.valueSource || condition.valueSource === 'static') && (
+                                    <Box>
+                                        <label htmlFor={inputId('expected-value')} style={labelStyle}>
+                                            Expected Value *
+                                        </label>
+
+                                        {/* Show DateExpressionInput for date fields */}
+                                        {isDateField ? (
+                                            <>
+                                                <DateExpressionInput
+                                                    value={condition.expectedValue || ''}
+                                                    onChange={(value) => handleChange('expectedValue', value)}
+                                                    placeholder="e.g., 7d, today(), startofweek() + 3d"
+                                                    isRequired={true}
+                                                    testId={inputId('logic-expected-value')}
+                                                />
+                                                <div style={helpTextStyle}>
+                                                    Enter a date expression (e.g., 7d, today(), startofweek() + 3d)
+                                                </div>
+                                            </>
+                                        ) : (
+                                            <Textfield
+                                                id={inputId('expected-value')}
+                                                value={condition.expectedValue || ''}
+                                                onChange={(e) => handleChange('expectedValue', e.target.value)}
+                                                placeholder="Enter value to compare against"
+                                            />
+                                        )}
+                                    </Box>
+                                )}
+
+                                {/* Question Node Selection */}
+                                {condition.valueSource === 'question' && (
+                                    <Box>
+                                        <label htmlFor={inputId('question-node-id')} style={labelStyle}>
+                                            Question Node *
+                                        </label>
+                                        <Select
+                                            inputId={inputId('question-node-id')}
+                                            options={questionNodeOptions}
+                                            value={questionNodeOptions.find(opt => opt.value === condition.questionNodeId)}
+                                            onChange={(option) => handleChange('questionNodeId', option ? option.value : '')}
+                                            placeholder={
+                                                isDateField && filteredQuestionNodes.length === 0
+                                                    ? "No date questions available"
+                                                    : "Select a question node"
+                                            }
+                                            isClearable={true}
+                                            isDisabled={isDateField && filteredQuestionNodes.length === 0}
+                                        />
+                                        <div style={helpTextStyle}>
+                                            {isDateField
+                                                ? 'Select a date question whose answer will be used for comparison'
+                                                : 'Select the question whose answer will be used for comparison'
+                                            }
+                                        </div>
+                                    </Box>
+                                )}
+                            </>
+                        )}
+                    </>
+                )}
+            </Stack>
+        </Box>
+    );
+}
+
+/**
+ * ConditionGroupEditor Component
+ *
+ * Edits the condition tree of a logic node. Each group combines its
+ * conditions and nested groups with AND or OR, and can be negated with NOT.
+ *
+ * @param {Object} conditionTree - The root condition group
+ * @param {Function} onChange - Called with the updated root group
+ * @param {Array} jiraFields - Jira field options for the field Select
+ * @param {boolean} isLoadingFields - Whether Jira fields are still loading
+ * @param {Array} questionNodes - Question nodes in the flow
+ */
+function ConditionGroupEditor({ conditionTree, onChange, jiraFields, isLoadingFields, questionNodes }) {
+    /**
+     * Replace one group or condition in the tree
+     * @param {string} itemId - ID of the item to replace
+     * @param {Function} updater - (item) => updated item
+     */
+    const updateItem = (itemId, updater) => {
+        onChange(updateConditionTreeItem(conditionTree, itemId, updater));
+    };
+
+    /**
+     * Remove one group or condition from the tree
+     * @param {string} itemId - ID of the item to remove
+     */
+    const removeItem = (itemId) => {
+        onChange(removeConditionTreeItem(conditionTree, itemId));
+    };
+
+    /**
+     * Append a condition or group to a group
+     * @param {string} groupId - ID of the group
+     * @param {Object} child - The condition or group to add
+     */
+    const addChild = (groupId, child) => {
+        updateItem(groupId, (group) => ({ ...group, children: [...group.children, child] }));
+    };
+
+    /**
+     * Render a group and its children
+     * @param {Object} group - The group to render
+     * @param {number} depth - Nesting depth (0 for the root group)
+     */
+    const renderGroup = (group, depth) => {
+        // The last remaining condition of the root group cannot be removed
+        const canRemoveChild = depth > 0 || group.children.length > 1;
+
+        return (
+            <Box
+                key={group.id}
+                style={{
+                    padding: token('space.100'),
+                    backgroundColor: depth % 2 === 0
+                        ? token('color.background.neutral.subtle')
+                        : token('elevation.surface.sunken'),
+                    border: `${token('border.width')} solid ${token(group.not ? 'color.border.danger' : 'color.border.discovery')}`,
+                    borderRadius: token('border.radius')
+                }}
+            >
+                <Stack space="space.100">
+                    {/* Group header: NOT toggle, combinator and remove button */}
+                    <Flex gap="space.050" alignItems="center">
+                        <Button
+                            appearance="subtle"
+                            spacing="compact"
+                            isSelected={!!group.not}
+                            onClick={() => updateItem(group.id, (item) => ({ ...item, not: !item.not }))}
+                        >
+                            NOT
+                        </Button>
+                        <Box style={{ flex: 1 }}>
+                            <Select
+                                inputId={`combinator-${group.id}`}
+                                options={combinatorOptions}
+                                value={combinatorOptions.find(opt => opt.value === (group.combinator || 'and'))}
+                                onChange={(option) => updateItem(group.id, (item) => ({ ...item, combinator: option.value }))}
+                                spacing="compact"
+                            />
+                        </Box>
+                        {depth > 0 && (
+                            <IconButton
+                                icon={CrossIcon}
+                                label="Remove group"
+                                appearance="subtle"
+                                spacing="compact"
+                                onClick={() => removeItem(group.id)}
+                            />
+                        )}
+                    </Flex>
+
+                    {group.children.length === 0 && (
+                        <Text size="small" color="color.text.subtlest">
+                            This group has no conditions yet.
+                        </Text>
+                    )}
+
+                    {group.children.map((child) => (
+                        child.type === 'group'
+                            ? renderGroup(child, depth + 1)
+                            : (
+                                <ConditionEditor
+                                    key={child.id}
+                                    condition={child}
+                                    onChange={(updated) => updateItem(child.id, () => updated)}
+                                    onRemove={canRemoveChild ? () => removeItem(child.id) : null}
+                                    jiraFields={jiraFields}
+                                    isLoadingFields={isLoadingFields}
+                                    questionNodes={questionNodes}
+                                />
+                            )
+                    ))}
+
+                    <Flex gap="space.100">
+                        <Button
+                            appearance="default"
+                            spacing="compact"
+                            onClick={() => addChild(group.id, createCondition())}
+                        >
+                            Add condition
+                        </Button>
+                        {depth < MAX_GROUP_DEPTH && (
+                            <Button
+                                appearance="default"
+                                spacing="compact"
+                                onClick={() => addChild(group.id, createConditionGroup(group.combinator === 'or' ? 'and' : 'or'))}
+                            >
+                                Add group
+                            </Button>
+                        )}
+                    </Flex>
+                </Stack>
+            </Box>
+        );
+    };
+
+    return renderGroup(conditionTree, 0);
+}
+
+export default ConditionGroupEditor;
@@ -0,0 +1,263 @@
+import { useState, useEffect } from 'react';
+import { requestJira } from '@forge/bridge';
+import Select, { AsyncSelect } from '@atlaskit/select';
+import SectionMessage from '@atlaskit/section-message';
+import { Box, Stack } from '@atlaskit/primitives';
+import { token } from '@atlaskit/tokens';
+import TemplateInput from './TemplateInput.jsx';
+import FieldValueListEditor from './FieldValueListEditor.jsx';
+import { getIssueLinkOptions, findIssueLinkOption } from '../utils/issueLinkTypes.js';
+
+const labelStyle = {
+    display: 'block',
+    marginBottom: token('space.050'),
+    fontWeight: 'bold',
+    fontSize: '12px'
+};
+
+const helpTextStyle = {
+    fontSize: '11px',
+    color: token('color.text.subtlest'),
+    marginTop: token('space.050')
+};
+
+// How the new issue relates to the current issue
+const createModeOptions = [
+    { label: 'Subtask of the current issue', value: 'subtask' },
+    { label: 'Linked issue in the same project', value: 'linked' },
+    { label: 'Issue in another project', value: 'project' }
+];
+
+/**
+ * Search Jira projects for Select options
+ * @param {string} query - Search text
+ * @returns {Promise<Array>} Options: { label, value: projectKey }
+ */
+async function searchProjects(query) {
+    const response = await requestJira(
+        `/rest/api/3/project/search?maxResults=50${query ? `&query=${encodeURIComponent(query)}` : ''}`
+    );
+
+    if (!response.ok) {
+        throw new Error(`Failed to fetch projects: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.values.map(project => ({ label: `${project.name} (${project.key})`, value: project.key }));
+}
+
+/**
+ * CreateIssueActionEditor Component
+ *
+ * Edits a Create Issue action: whether the new issue is a subtask, a linked
+ * issue in the same project or an issue in another project, its issue type,
+ * summary and description, further field values, and how it is linked to
+ * the current issue. Text values accept `{{ }}` template variables.
+ *
+ * @param {Object} data - The action node data
+ * @param {Function} onChange - Called with an object of updated node data properties
+ * @param {Array} jiraFields - Jira field options for the field Select
+ * @param {boolean} isLoadingFields - Whether Jira fields are still loading
+ * @param {Array} flowNodes - All nodes in the flow (for template variables)
+ */
+function CreateIssueActionEditor({ data, onChange, jiraFields, isLoadingFields, flowNodes }) {
+    const [issueTypes, setIssueTypes] = useState([]);
+    const [linkOptions, setLinkOptions] = useState([]);
+    const [loadError, setLoadError] = useState(null);
+
+    const createMode = data.createMode || 'subtask';
+
+    /**
+     * Fetch the issue types and issue link types
+     */
+    useEffect(() => {
+        let isCancelled = false;
+
+        const fetchOptions = async () => {
+            try {
+                const response = await requestJira('/rest/api/3/issuetype');
+                if (!response.ok) {
+                    throw new Error(`Failed to fetch issue types: ${response.status} ${response.statusText}`);
+                }
+                const types = await response.json();
+                const links = await getIssueLinkOptions();
+
+                if (!isCancelled) {
+                    setIssueTypes(types);
+                    setLinkOptions(links);
+                }
+            } catch (error) {
+                console.error('Error fetching issue types:', error);
+                if (!isCancelled) {
+                    setLoadError(error.message || 'Failed to load issue types');
+                }
+            }
+        };
+
+        fetchOptions();
+
+        return () => {
+            isCancelled = true;
+        };
+    }, []);
+
+    // Subtasks need a subtask issue type, other issues a standard one
+    const issueTypeOptions = [...new Set(
+        issueTypes
+            .filter(type => Boolean(type.subtask) === (createMode === 'subtask'))
+            .map(type => type.name)
+    )].sort().map(name => ({ label: name, value: name }));
+
+    /**
+     * Change the create mode, clearing settings that no longer apply
+     * @param {Object} option - The chosen mode option
+     */
+    const handleModeChange = (option) => {
+        const isSubtask = option.value === 'subtask';
+        onChange({
+            createMode: option.value,
+            // Subtask and standard issue types are not interchangeable
+            ...(isSubtask !== (createMode === 'subtask') ? { issueTypeName: '' } : {}),
+            ...(option.value !== 'project' ? { targetProjectKey: '' } : {})
+        });
+    };
+
+    return (
+        <Stack space="space.200">
+            {loadError && (
+                <SectionMessage appearance="error" title="Error loading issue types">
+                    <p>{loadError}</p>
+                </SectionMessage>
+            )}
+
+            {/* Create Mode */}
+            <Box>
+                <label htmlFor="action-create-mode" style={labelStyle}>
+                    Create *
+                </label>
+                <Select
+                    inputId="action-create-mode"
+                    options={createModeOptions}
+                    value={createModeOptions.find(opt => opt.value === createMode)}
+                    onChange={handleModeChange}
+                />
+            </Box>
+
+            {createMode === 'project' && (
+                <Box>
+                    <label htmlFor="action-create-project" style={labelStyle}>
+                        Project *
+                    </label>
+                    <AsyncSelect
+                        inputId="action-create-project"
+                        defaultOptions={true}
+                        loadOptions={(inputValue) => searchProjects(inputValue).catch((error) => {
+                            console.error('Error searching projects:', error);
+                            return [];
+                        })}
+                        value={data.targetProjectKey
+                            ? { label: data.targetProjectKey, value: data.targetProjectKey }
+                            : null}
+                        onChange={(option) => onChange({ targetProjectKey: option ? option.value : '' })}
+                        placeholder="Search for a project"
+                    />
+                </Box>
+            )}
+
+            {/* Issue Type */}
+            <Box>
+                <label htmlFor="action-create-issue-type" style={labelStyle}>
+                    Issue Type *
+                </label>
+                <Select
+                    inputId="action-create-issue-type"
+                    options={issueTypeOptions}
+                    value={data.issueTypeName ? { label: data.issueTypeName, value: data.issueTypeName } : null}
+                    onChange={(option) => onChange({ issueTypeName: option ? option.value : '' })}
+                    placeholder="Select an issue type"
+                    isSearchable={true}
+                />
+                <div style={helpTextStyle}>
+                    The issue type must be available in the project the issue is created in
+                </div>
+            </Box>
+
+            {/* Summary */}
+            <Box>
+                <label htmlFor="action-create-summary" style={labelStyle}>
+                    Summary *
+                </label>
+                <TemplateInput
+                    id="action-create-summary"
+                    value={data.summary || ''}
+                    onChange={(value) => onChange({ summary: value })}
+                    flowNodes={flowNodes}
+                    jiraFields={jiraFields}
+                    placeholder="e.g., Security review for {{issue.key}}"
+                />
+            </Box>
+
+            {/* Description */}
+            <Box>
+                <label htmlFor="action-create-description" style={labelStyle}>
+                    Description
+                </label>
+                <TemplateInput
+                    id="action-create-description"
+                    value={data.description || ''}
+                    onChange={(value) => onChange({ description: value })}
+                    flowNodes={flowNodes}
+                    jiraFields={jiraFields}
+                    placeholder="Enter the description"
+                    isMultiline={true}
+                    minimumRows={4}
+                />
+                <div style={helpTextStyle}>
+                    Markdown is supported, e.g. **bold**, - lists and {'{{answerTable}}'}
+                </div>
+            </Box>
+
+            {/* Further fields */}
+            <Box>
+                <label style={labelStyle}>Fields</label>
+                <FieldValueListEditor
+                    idPrefix="create-field"
+                    fields={data.createFields || []}
+                    onChange={(fields) => onChange({ createFields: fields })}
+                    jiraFields={jiraFields}
+                    isLoadingFields={isLoadingFields}
+                    flowNodes={flowNodes}
+                    valuePlaceholder="e.g., {{answers.node-2}}"
+                />
+                <div style={helpTextStyle}>
+                    Fields must be on the create screen. Use JSON for object values, e.g. {'{"name": "High"}'} for a priority.
+                </div>
+            </Box>
+
+            {/* Link */}
+            {createMode !== 'subtask' && (
+                <Box>
+                    <label htmlFor="action-create-link" style={labelStyle}>
+                        Link {createMode === 'linked' ? '*' : ''}
+                    </label>
+                    <Select
+                        inputId="action-create-link"
+                        options={linkOptions}
+                        value={findIssueLinkOption(linkOptions, data.linkTypeName, data.linkDirection)}
+                        onChange={(option) => onChange({
+                            linkTypeName: option ? option.linkTypeName : '',
+                            linkDirection: option ? option.linkDirection : 'outward'
+                        })}
+                        placeholder="Select a link"
+                        isClearable={createMode === 'project'}
+                    />
+                    <div style={helpTextStyle}>
+                        How the current issue relates to the new issue, e.g. "is blocked by"
+                    </div>
+                </Box>
+            )}
+        </Stack>
+    );
+}
+
+export default CreateIssueActionEditor;
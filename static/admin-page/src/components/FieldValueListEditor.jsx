@@ -0,0 +1,102 @@
+import Button, { IconButton } from '@atlaskit/button/new';
+import Select from '@atlaskit/select';
+import { Box, Stack, Flex } from '@atlaskit/primitives';
+import { token } from '@atlaskit/tokens';
+import CrossIcon from '@atlaskit/icon/core/cross';
+import TemplateInput from './TemplateInput.jsx';
+
+/**
+ * FieldValueListEditor Component
+ *
+ * Edits a list of `{ fieldKey, value }` rows: a Jira field and the value to
+ * set it to. Values accept `{{ }}` template variables, and JSON for object
+ * values.
+ *
+ * @param {string} idPrefix - Prefix for the input element IDs
+ * @param {Array} fields - The field rows
+ * @param {Function} onChange - Called with the updated list of rows
+ * @param {Array} jiraFields - Jira field options for the field Select
+ * @param {boolean} isLoadingFields - Whether Jira fields are still loading
+ * @param {Array} flowNodes - All nodes in the flow (for template variables)
+ * @param {string} addLabel - Text of the add button
+ * @param {string} valuePlaceholder - Placeholder of the value inputs
+ */
+function FieldValueListEditor({
+    idPrefix,
+    fields = [],
+    onChange,
+    jiraFields,
+    isLoadingFields,
+    flowNodes,
+    addLabel = 'Add field',
+    valuePlaceholder = ''
+}) {
+    /**
+     * Update one field row
+     * @param {number} index - Row index
+     * @param {Object} updates - Properties to update
+     */
+    const updateField = (index, updates) => {
+        onChange(fields.map((field, fieldIndex) =>
+            fieldIndex === index ? { ...field, ...updates } : field
+        ));
+    };
+
+    return (
+        <Stack space="space.100">
+            {fields.map((field, index) => (
+                <Box
+                    key={index}
+                    style={{
+                        padding: token('space.100'),
+                        border: `${token('border.width')} solid ${token('color.border')}`,
+                        borderRadius: token('border.radius')
+                    }}
+                >
+                    <Stack space="space.100">
+                        <Flex gap="space.050" alignItems="center">
+                            <Box style={{ flex: 1 }}>
+                                <Select
+                                    inputId={`${idPrefix}-key-${index}`}
+                                    options={jiraFields}
+                                    value={jiraFields.find(opt => opt.value === field.fieldKey)}
+                                    onChange={(option) => updateField(index, { fieldKey: option ? option.value : '' })}
+                                    placeholder={isLoadingFields ? 'Loading fields...' : 'Select a field'}
+                                    isLoading={isLoadingFields}
+                                    isSearchable={true}
+                                    spacing="compact"
+                                />
+                            </Box>
+                            <IconButton
+                                icon={CrossIcon}
+                                label="Remove field"
+                                appearance="subtle"
+                                spacing="compact"
+                                onClick={() => onChange(fields.filter((_, fieldIndex) => fieldIndex !== index))}
+                            />
+                        </Flex>
+                        <TemplateInput
+                            id={`${idPrefix}-value-${index}`}
+                            value={field.value || ''}
+                            onChange={(value) => updateField(index, { value })}
+                            flowNodes={flowNodes}
+                            jiraFields={jiraFields}
+                            placeholder={valuePlaceholder}
+                        />
+                    </Stack>
+                </Box>
+            ))}
+            <Box>
+                <Button
+                    appearance="default"
+                    spacing="compact"
+                    onClick={() => onChange([...fields, { fieldKey: '', value: '' }])}
+                >
+                    {addLabel}
+                </Button>
+            </Box>
+        </Stack>
+    );
+}
+
+export default FieldValueListEditor;
@@ -14,12 +14,17 @@ import '@xyflow/react/dist/style.css';
 import Button from '@atlaskit/button/new';
 import Spinner from '@atlaskit/spinner';
 import Heading from '@atlaskit/heading';
+import Lozenge from '@atlaskit/lozenge';
 import SectionMessage from '@atlaskit/section-message';
 import { Box, Flex, Stack, Text, xcss } from '@atlaskit/primitives';
 import { getGlobalTheme, token } from '@atlaskit/tokens';
-import { StartNode, QuestionNode, LogicNode, ActionNode } from './nodes/index.jsx';
+import { StartNode, QuestionNode, LogicNode, ActionNode, SwitchNode, SubflowNode } from './nodes/index.jsx';
 import NodePropertiesPanel from './NodePropertiesPanel.jsx';
 import FlowSettings from './FlowSettings.jsx';
+import FlowSimulation from './FlowSimulation.jsx';
+import { createConditionGroup, createSwitchCase } from '../utils/conditionGroups.js';
+import { questionRouteHandle, isQuestionRouteHandle } from '../utils/questionRoutes.js';
+import { getQuestionOptions, questionOptionHandle, isQuestionOptionHandle } from '../utils/questionOptions.js';
 
 /**
  * FlowBuilder Component
@@ -29,9 +34,11 @@ import FlowSettings from './FlowSettings.jsx';
  * 
  * Features:
  * - ReactFlow canvas for visual flow design
- * - Node palette for adding different node types (Start, Question, Logic, Action)
+ * - Node palette for adding different node types (Start, Question, Logic, Switch, Action, Sub-flow)
  * - Node dragging and edge connection
- * - Settings, Save, and Cancel actions
+ * - Settings, Simulate, Save draft, Publish, and Cancel actions
+ * - Draft/published status of the flow being edited
+ * - Highlighting of nodes with validation issues reported by the backend
  * - Integration with backend via @forge/bridge
  * - Custom node components with Atlaskit design tokens
  */
@@ -42,7 +49,9 @@ function FlowBuilder({ flowId, onCancel }) {
         start: StartNode,
         question: QuestionNode,
         logic: LogicNode,
-        action: ActionNode
+        action: ActionNode,
+        switch: SwitchNode,
+        subflow: SubflowNode
     }), []);
 
     // ReactFlow state management for nodes and edges
@@ -53,14 +62,28 @@ function FlowBuilder({ flowId, onCancel }) {
     const [flowMetadata, setFlowMetadata] = useState({
         name: '',
         description: '',
-        projectKeys: []
+        projectKeys: [],
+        maxIterations: undefined
     });
 
+    // Publish status of the flow being edited (a new flow starts as a draft)
+    const [publishState, setPublishState] = useState({
+        status: 'draft',
+        publishedVersion: null
+    });
+
+    // ID assigned to a new flow by its first save, so later saves update the same flow
+    const [savedFlowId, setSavedFlowId] = useState(null);
+
+    // Validation issues returned by the last save or publish ({ severity, code, message, nodeId?, edgeId? })
+    const [validationIssues, setValidationIssues] = useState([]);
+
     // UI state
     const [isLoading, setIsLoading] = useState(false);
     const [isSaving, setIsSaving] = useState(false);
     const [selectedNode, setSelectedNode] = useState(null);
     const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+    const [isSimulationOpen, setIsSimulationOpen] = useState(false);
     const [error, setError] = useState(null);
     const [saveError, setSaveError] = useState(null);
     const [startNodeError, setStartNodeError] = useState(null);
@@ -91,7 +114,12 @@ function FlowBuilder({ flowId, onCancel }) {
                 setFlowMetadata({
                     name: flow.name || '',
                     description: flow.description || '',
-                    projectKeys: flow.projectKeys || []
+                    projectKeys: flow.projectKeys || [],
+                    maxIterations: flow.maxIterations
+                });
+                setPublishState({
+                    status: flow.status || 'published',
+                    publishedVersion: flow.publishedVersion || flow.version || null
                 });
                 setNodes(flow.nodes || []);
                 setEdges(flow.edges || []);
@@ -264,7 +292,29 @@ function FlowBuilder({ flowId, onCancel }) {
             }
             return prevSelected;
         });
-    }, [setNodes]);
+
+        // Remove edges left behind by switch cases that were deleted
+        if (Array.isArray(newData.cases)) {
+            const handles = new Set(['default', ...newData.cases.map((switchCase) => `case-${switchCase.id}`)]);
+            setEdges((eds) => eds.filter((edge) => edge.source !== nodeId || handles.has(edge.sourceHandle)));
+        }
+
+        // Remove edges left behind by question routes that were deleted
+        if (Array.isArray(newData.routes)) {
+            const handles = new Set(newData.routes.map((route) => questionRouteHandle(route.id)));
+            setEdges((eds) => eds.filter((edge) =>
+                edge.source !== nodeId || !isQuestionRouteHandle(edge.sourceHandle) || handles.has(edge.sourceHandle)
+            ));
+        }
+
+        // Remove edges left behind by question options that were deleted
+        if (Array.isArray(newData.options)) {
+            const handles = new Set(getQuestionOptions(newData).map((option) => questionOptionHandle(option.id)));
+            setEdges((eds) => eds.filter((edge) =>
+                edge.source !== nodeId || !isQuestionOptionHandle(edge.sourceHandle) || handles.has(edge.sourceHandle)
+            ));
+        }
+    }, [setNodes, setEdges]);
 
     /**
      * Delete a node and its connected edges
@@ -283,7 +333,7 @@ function FlowBuilder({ flowId, onCancel }) {
 
     /**
      * Add a new node to the canvas
-     * @param {string} nodeType - Type of node to add (start, question, logic, action)
+     * @param {string} nodeType - Type of node to add (start, question, logic, switch, action, subflow)
      */
     const addNode = (nodeType) => {
         // Check if adding Start node and one already exists
@@ -342,9 +392,19 @@ function FlowBuilder({ flowId, onCancel }) {
                     type: 'logic',
                     position,
                     data: {
-                        fieldKey: '',
-                        operator: 'equals',
-                        expectedValue: ''
+                        conditionGroup: createConditionGroup('and')
+                    }
+                };
+                break;
+
+            case 'switch':
+                newNode = {
+                    id,
+                    type: 'switch',
+                    position,
+                    data: {
+                        label: 'Switch',
+                        cases: [createSwitchCase('Case 1'), createSwitchCase('Case 2')]
                     }
                 };
                 break;
@@ -362,6 +422,20 @@ function FlowBuilder({ flowId, onCancel }) {
                 };
                 break;
 
+            case 'subflow':
+                newNode = {
+                    id,
+                    type: 'subflow',
+                    position,
+                    data: {
+                        label: 'Sub-flow',
+                        subflowId: '',
+                        subflowName: '',
+                        outcomes: []
+                    }
+                };
+                break;
+
             default:
                 return;
         }
@@ -370,11 +444,14 @@ function FlowBuilder({ flowId, onCancel }) {
     };
 
     /**
-     * Save the flow to the backend
+     * Save the flow to the backend as a draft, optionally publishing it
+     * Drafts are only visible in the admin page; publishing makes the flow live on issues
+     * @param {boolean} publish - Whether to publish the draft after saving it
      */
-    const handleSave = async () => {
+    const handleSave = async (publish = false) => {
         // Clear previous save errors
         setSaveError(null);
+        setValidationIssues([]);
         
         // Validate flow metadata
         if (!flowMetadata.name || flowMetadata.name.trim() === '') {
@@ -397,13 +474,14 @@ function FlowBuilder({ flowId, onCancel }) {
         setIsSaving(true);
         try {
             const flowData = {
-                id: flowId || `flow-${Date.now()}`,
+                id: flowId || savedFlowId || `flow-${Date.now()}`,
                 name: flowMetadata.name,
                 description: flowMetadata.description,
                 projectKeys: flowMetadata.projectKeys,
+                maxIterations: flowMetadata.maxIterations,
                 nodes,
                 edges,
-                createdAt: flowId ? undefined : new Date().toISOString(),
+                createdAt: flowId || savedFlowId ? undefined : new Date().toISOString(),
                 updatedAt: new Date().toISOString()
             };
 
@@ -412,6 +490,30 @@ function FlowBuilder({ flowId, onCancel }) {
             // Check if backend returned an error
             if (result && result.error) {
                 setSaveError(result.error);
+                setValidationIssues(result.validationIssues || []);
+                setIsSaving(false);
+                return;
+            }
+
+            // The draft is saved from here on, so keep editing the same flow
+            setSavedFlowId(result.id);
+            setPublishState({
+                status: result.status,
+                publishedVersion: result.publishedVersion
+            });
+
+            if (publish) {
+                const published = await invoke('publishFlow', { flowId: result.id });
+
+                if (published && published.error) {
+                    setSaveError(`Draft saved, but publishing failed: ${published.error}`);
+                    setValidationIssues(published.validationIssues || []);
+                    setIsSaving(false);
+                    return;
+                }
+            } else if (result.validationIssues && result.validationIssues.length > 0) {
+                // Stay in the builder so the warnings can be fixed
+                setValidationIssues(result.validationIssues);
                 setIsSaving(false);
                 return;
             }
@@ -420,12 +522,54 @@ function FlowBuilder({ flowId, onCancel }) {
             onCancel();
         } catch (err) {
             console.error('Error saving flow:', err);
-            setSaveError(err.message || 'Failed to save flow. Please try again.');
+            setSaveError(err.message || `Failed to ${publish ? 'publish' : 'save'} flow. Please try again.`);
         } finally {
             setIsSaving(false);
         }
     };
 
+    /**
+     * Nodes rendered on the canvas, outlined when the last save reported issues for them
+     * The outline is display-only and is never saved with the flow
+     */
+    const displayNodes = useMemo(() => {
+        if (validationIssues.length === 0) {
+            return nodes;
+        }
+
+        return nodes.map((node) => {
+            const nodeIssues = validationIssues.filter(issue => issue.nodeId === node.id);
+            if (nodeIssues.length === 0) {
+                return node;
+            }
+
+            const hasError = nodeIssues.some(issue => issue.severity === 'error');
+            return {
+                ...node,
+                style: {
+                    ...node.style,
+                    outline: `2px solid ${token(hasError ? 'color.border.danger' : 'color.border.warning')}`,
+                    outlineOffset: '4px',
+                    borderRadius: token('border.radius')
+                }
+            };
+        });
+    }, [nodes, validationIssues]);
+
+    /**
+     * Get a short, human-readable name for a node in validation messages
+     * @param {string} nodeId - The node ID
+     * @returns {string} Node name
+     */
+    const getNodeDisplayName = (nodeId) => {
+        const node = nodes.find(n => n.id === nodeId);
+        if (!node) {
+            return nodeId;
+        }
+        const name = node.data.label || node.data.question || node.data.actionType || node.data.fieldKey;
+        return name ? `${node.type} "${name}"` : `${node.type} ${node.id}`;
+    };
+
     /**
      * Handle Settings button click
      * Opens the FlowSettings modal
@@ -437,13 +581,14 @@ function FlowBuilder({ flowId, onCancel }) {
     /**
      * Handle settings save
      * Updates flow metadata with values from the modal
-     * @param {Object} settings - Settings object with name, description, and projectKeys
+     * @param {Object} settings - Settings object with name, description, projectKeys and maxIterations
      */
     const handleSettingsSave = (settings) => {
         setFlowMetadata({
             name: settings.name,
             description: settings.description,
-            projectKeys: settings.projectKeys
+            projectKeys: settings.projectKeys,
+            maxIterations: settings.maxIterations
         });
     };
 
@@ -506,11 +651,22 @@ function FlowBuilder({ flowId, onCancel }) {
                     alignItems="center"
                     gap="space.150"
                 >
-                    <Box>
+                    <Flex gap="space.100" alignItems="center">
                         <Heading size="small">
-                            {flowId ? `Edit Flow: ${flowMetadata.name || 'Untitled'}` : 'Create New Flow'}
+                            {flowId
+                                ? `Edit Flow: ${flowMetadata.name || 'Untitled'}${publishState.publishedVersion ? ` (v${publishState.publishedVersion})` : ''}`
+                                : 'Create New Flow'}
                         </Heading>
-                    </Box>
+                        {publishState.status === 'draft' && (
+                            <Lozenge appearance="default">Draft</Lozenge>
+                        )}
+                        {publishState.status === 'unpublishedChanges' && (
+                            <Lozenge appearance="moved">Unpublished changes</Lozenge>
+                        )}
+                        {publishState.status === 'published' && (
+                            <Lozenge appearance="success">Published</Lozenge>
+                        )}
+                    </Flex>
 
                     <Flex gap="space.100">
                         <Button
@@ -519,12 +675,25 @@ function FlowBuilder({ flowId, onCancel }) {
                         >
                             Settings
                         </Button>
+                        <Button
+                            appearance="subtle"
+                            onClick={() => setIsSimulationOpen(true)}
+                        >
+                            Simulate
+                        </Button>
+                        <Button
+                            appearance="default"
+                            onClick={() => handleSave(false)}
+                            isDisabled={isSaving}
+                        >
+                            {isSaving ? 'Saving...' : 'Save draft'}
+                        </Button>
                         <Button
                             appearance="primary"
-                            onClick={handleSave}
+                            onClick={() => handleSave(true)}
                             isDisabled={isSaving}
                         >
-                            {isSaving ? 'Saving...' : 'Save'}
+                            Publish
                         </Button>
                         <Button
                             appearance="subtle"
@@ -545,6 +714,27 @@ function FlowBuilder({ flowId, onCancel }) {
                     </Box>
                 )}
 
+                {/* Validation Issues */}
+                {validationIssues.length > 0 && (
+                    <Box padding="space.150">
+                        <SectionMessage
+                            appearance={validationIssues.some(issue => issue.severity === 'error') ? 'error' : 'warning'}
+                            title={`Flow validation found ${validationIssues.length} issue${validationIssues.length === 1 ? '' : 's'}`}
+                        >
+                            <ul style={{ margin: 0, paddingLeft: token('space.200') }}>
+                                {validationIssues.map((issue, index) => (
+                                    <li key={`${issue.code}-${issue.nodeId || issue.edgeId || 'flow'}-${index}`}>
+                                        <Text>
+                                            {issue.severity === 'error' ? 'Error' : 'Warning'}
+                                            {issue.nodeId ? ` (${getNodeDisplayName(issue.nodeId)})` : ''}: {issue.message}
+                                        </Text>
+                                    </li>
+                                ))}
+                            </ul>
+                        </SectionMessage>
+                    </Box>
+                )}
+
                 {/* Start Node Error Message */}
                 {startNodeError && (
                     <Box padding="space.150">
@@ -589,12 +779,26 @@ function FlowBuilder({ flowId, onCancel }) {
                             ⚡ Logic
                         </Button>
 
+                        <Button
+                            appearance="default"
+                            onClick={() => addNode('switch')}
+                        >
+                            🔀 Switch
+                        </Button>
+
                         <Button
                             appearance="default"
                             onClick={() => addNode('action')}
                         >
                             ⚙️ Action
                         </Button>
+
+                        <Button
+                            appearance="default"
+                            onClick={() => addNode('subflow')}
+                        >
+                            🧩 Sub-flow
+                        </Button>
                     </Stack>
 
                     {/* Info section */}
@@ -626,7 +830,7 @@ function FlowBuilder({ flowId, onCancel }) {
                 {/* ReactFlow Canvas */}
                 <Box style={{ flex: 1 }}>
                     <ReactFlow
-                        nodes={nodes}
+                        nodes={displayNodes}
                         edges={edges}
                         onNodesChange={onNodesChange}
                         onEdgesChange={onEdgesChange}
@@ -655,6 +859,8 @@ function FlowBuilder({ flowId, onCancel }) {
                         onUpdateNode={handleUpdateNode}
                         onDeleteNode={handleDeleteNode}
                         onClose={() => setSelectedNode(null)}
+                        projectKeys={flowMetadata.projectKeys}
+                        flowId={flowId || savedFlowId}
                     />}
             </Box>
 
@@ -665,6 +871,14 @@ function FlowBuilder({ flowId, onCancel }) {
                 onSave={handleSettingsSave}
                 initialValues={flowMetadata}
             />
+
+            {/* Flow Simulation Modal (simulates the flow as edited, saved or not) */}
+            <FlowSimulation
+                isOpen={isSimulationOpen}
+                flow={{ id: flowId || savedFlowId || undefined, name: flowMetadata.name, maxIterations: flowMetadata.maxIterations, nodes, edges }}
+                describeNode={getNodeDisplayName}
+                onClose={() => setIsSimulationOpen(false)}
+            />
         </Box>
     );
 }
@@ -9,12 +9,25 @@ import SectionMessage from '@atlaskit/section-message';
 import { token } from '@atlaskit/tokens';
 import EditIcon from '@atlaskit/icon/core/edit';
 import TrashIcon from '@atlaskit/icon/core/delete';
+import ClockIcon from '@atlaskit/icon/core/clock';
 import { Box, Text, Stack } from '@atlaskit/primitives';
+import FlowVersionHistory from './FlowVersionHistory.jsx';
+
+/**
+ * Lozenge label and appearance for each flow publish status
+ */
+const STATUS_LOZENGES = {
+    draft: { label: 'Draft', appearance: 'default' },
+    published: { label: 'Published', appearance: 'success' },
+    unpublishedChanges: { label: 'Unpublished changes', appearance: 'moved' }
+};
 
 /**
  * FlowList Component
  * 
- * Displays a list of all decision flows in a table format with actions to create, edit, and delete flows.
+ * Displays a list of all decision flows in a table format with actions to create, edit, and delete flows,
+ * and to view a flow's version history and roll it back to a prior version.
+ * Each flow shows whether it is a draft, published, or published with unpublished changes.
  * This component serves as the main landing page for the admin interface.
  */
 function FlowList({ onCreateFlow, onEditFlow }) {
@@ -23,6 +36,9 @@ function FlowList({ onCreateFlow, onEditFlow }) {
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState(null);
 
+    // Flow whose version history is open (null when the modal is closed)
+    const [historyFlow, setHistoryFlow] = useState(null);
+
     /**
      * Load all flows from the backend on component mount
      */
@@ -85,17 +101,22 @@ function FlowList({ onCreateFlow, onEditFlow }) {
                 key: 'name',
                 content: 'Flow Name',
                 isSortable: true,
-                width: 25,
+                width: 20,
             },
             {
                 key: 'description',
                 content: 'Description',
-                width: 35,
+                width: 25,
+            },
+            {
+                key: 'status',
+                content: 'Status',
+                width: 20,
             },
             {
                 key: 'projects',
                 content: 'Projects',
-                width: 20,
+                width: 15,
             },
             {
                 key: 'actions',
@@ -119,6 +140,19 @@ function FlowList({ onCreateFlow, onEditFlow }) {
                 key: 'description',
                 content: flow.description || '-',
             },
+            {
+                key: 'status',
+                content: (
+                    <Box style={{ display: 'flex', gap: '4px', flexWrap: 'wrap', alignItems: 'center' }}>
+                        <Lozenge appearance={(STATUS_LOZENGES[flow.status] || STATUS_LOZENGES.published).appearance}>
+                            {(STATUS_LOZENGES[flow.status] || STATUS_LOZENGES.published).label}
+                        </Lozenge>
+                        {flow.publishedVersion && (
+                            <Text size="small" color="color.text.subtlest">v{flow.publishedVersion}</Text>
+                        )}
+                    </Box>
+                ),
+            },
             {
                 key: 'projects',
                 content: (
@@ -144,6 +178,11 @@ function FlowList({ onCreateFlow, onEditFlow }) {
                             label="Edit flow"
                             onClick={() => onEditFlow(flow.id)}
                         />
+                        <IconButton
+                            icon={ClockIcon}
+                            label="Version history"
+                            onClick={() => setHistoryFlow(flow)}
+                        />
                         <IconButton
                             icon={TrashIcon}
                             label="Delete flow"
@@ -256,6 +295,15 @@ function FlowList({ onCreateFlow, onEditFlow }) {
                     defaultSortOrder="ASC"
                 />
             )}
+
+            {/* Version History Modal */}
+            <FlowVersionHistory
+                isOpen={historyFlow !== null}
+                flowId={historyFlow?.id}
+                flowName={historyFlow?.name}
+                onClose={() => setHistoryFlow(null)}
+                onRestored={loadFlows}
+            />
         </Box>
     );
 }
@@ -15,6 +15,10 @@ import { Stack } from '@atlaskit/primitives';
 import Select from '@atlaskit/select';
 import SectionMessage from '@atlaskit/section-message';
 
+// Loop guard; the default and limits match src/engine/iterations.js
+const DEFAULT_MAX_ITERATIONS = 10;
+const MAX_ITERATIONS_LIMITS = { min: 1, max: 100 };
+
 /**
  * FlowSettings Component
  * 
@@ -24,20 +28,22 @@ import SectionMessage from '@atlaskit/section-message';
  * - Flow name input (required)
  * - Flow description textarea (optional)
  * - Project keys input (comma-separated, required)
+ * - Maximum loop iterations (optional): how often a run may pass through any one node
  * - Form validation
  * - Save and Cancel actions
  * 
  * Props:
  * @param {boolean} isOpen - Controls modal visibility
  * @param {function} onClose - Callback when modal is closed
- * @param {function} onSave - Callback when settings are saved, receives { name, description, projectKeys }
- * @param {Object} initialValues - Initial values for the form { name, description, projectKeys }
+ * @param {function} onSave - Callback when settings are saved, receives { name, description, projectKeys, maxIterations }
+ * @param {Object} initialValues - Initial values for the form { name, description, projectKeys, maxIterations }
  */
 function FlowSettings({ isOpen, onClose, onSave, initialValues = {} }) {
     // Form state
     const [name, setName] = useState('');
     const [description, setDescription] = useState('');
     const [selectedProjects, setSelectedProjects] = useState([]);
+    const [maxIterations, setMaxIterations] = useState('');
 
     // Project options state
     const [projectOptions, setProjectOptions] = useState([]);
@@ -47,6 +53,7 @@ function FlowSettings({ isOpen, onClose, onSave, initialValues = {} }) {
     // Validation error state
     const [nameError, setNameError] = useState('');
     const [projectKeysError, setProjectKeysError] = useState('');
+    const [maxIterationsError, setMaxIterationsError] = useState('');
 
     /**
      * Fetch projects from Jira API
@@ -93,10 +100,12 @@ function FlowSettings({ isOpen, onClose, onSave, initialValues = {} }) {
         if (isOpen) {
             setName(initialValues.name || '');
             setDescription(initialValues.description || '');
+            setMaxIterations(initialValues.maxIterations ? String(initialValues.maxIterations) : '');
 
             // Clear errors when opening
             setNameError('');
             setProjectKeysError('');
+            setMaxIterationsError('');
 
             // Fetch projects and set initial selection
             fetchProjects().then(options => {
@@ -136,6 +145,16 @@ function FlowSettings({ isOpen, onClose, onSave, initialValues = {} }) {
             setProjectKeysError('');
         }
 
+        // Validate the loop guard (optional, a whole number within the limits)
+        const iterations = Number(maxIterations);
+        if (maxIterations.trim() !== '' && (!Number.isInteger(iterations)
+            || iterations < MAX_ITERATIONS_LIMITS.min || iterations > MAX_ITERATIONS_LIMITS.max)) {
+            setMaxIterationsError(`Enter a whole number between ${MAX_ITERATIONS_LIMITS.min} and ${MAX_ITERATIONS_LIMITS.max}`);
+            isValid = false;
+        } else {
+            setMaxIterationsError('');
+        }
+
         return isValid;
     };
 
@@ -155,7 +174,8 @@ function FlowSettings({ isOpen, onClose, onSave, initialValues = {} }) {
         onSave({
             name: name.trim(),
             description: description.trim(),
-            projectKeys
+            projectKeys,
+            maxIterations: maxIterations.trim() === '' ? undefined : Number(maxIterations)
         });
 
         // Close modal
@@ -170,8 +190,10 @@ function FlowSettings({ isOpen, onClose, onSave, initialValues = {} }) {
         setName('');
         setDescription('');
         setSelectedProjects([]);
+        setMaxIterations('');
         setNameError('');
         setProjectKeysError('');
+        setMaxIterationsError('');
 
         // Close modal
         onClose();
@@ -316,6 +338,34 @@ function FlowSettings({ isOpen, onClose, onSave, initialValues = {} }) {
                                     </>
                                 )}
                             </Field>
+
+                            {/* Loop Guard Field */}
+                            <Field
+                                name="maxIterations"
+                                label="Maximum Loop Iterations"
+                            >
+                                {() => (
+                                    <>
+                                        <Textfield
+                                            name="maxIterations"
+                                            type="number"
+                                            min={MAX_ITERATIONS_LIMITS.min}
+                                            max={MAX_ITERATIONS_LIMITS.max}
+                                            value={maxIterations}
+                                            onChange={(e) => setMaxIterations(e.target.value)}
+                                            placeholder={String(DEFAULT_MAX_ITERATIONS)}
+                                            isInvalid={!!maxIterationsError}
+                                        />
+                                        {maxIterationsError && <ErrorMessage>{maxIterationsError}</ErrorMessage>}
+                                        {!maxIterationsError && (
+                                            <HelperMessage>
+                                                How often a run may pass through any one node when the flow loops back.
+                                                A run that would go further stops with an error.
+                                            </HelperMessage>
+                                        )}
+                                    </>
+                                )}
+                            </Field>
                         </Stack>
                     </ModalBody>
 
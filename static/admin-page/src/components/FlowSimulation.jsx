@@ -0,0 +1,380 @@
+import { useState, useEffect } from 'react';
+import { invoke, requestJira } from '@forge/bridge';
+import Modal, {
+    ModalBody,
+    ModalFooter,
+    ModalHeader,
+    ModalTitle,
+    ModalTransition,
+} from '@atlaskit/modal-dialog';
+import Button from '@atlaskit/button/new';
+import Textfield from '@atlaskit/textfield';
+import TextArea from '@atlaskit/textarea';
+import Lozenge from '@atlaskit/lozenge';
+import SectionMessage from '@atlaskit/section-message';
+import { Field, HelperMessage } from '@atlaskit/form';
+import { Box, Flex, Stack, Text } from '@atlaskit/primitives';
+import Heading from '@atlaskit/heading';
+import { token } from '@atlaskit/tokens';
+
+const codeStyle = {
+    margin: 0,
+    padding: token('space.100'),
+    backgroundColor: token('color.background.neutral'),
+    borderRadius: token('border.radius'),
+    fontSize: '11px',
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-word'
+};
+
+/**
+ * Format a value compared by a condition
+ * @param {any} value - The value
+ * @returns {string} Short text
+ */
+function formatValue(value) {
+    if (value === undefined || value === null || value === '') {
+        return 'empty';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Describe a condition the simulation evaluated
+ * @param {Object} condition - Condition record from the simulation
+ * @returns {string} e.g. `duedate (2026-01-05) lessThan "today() + 7d"`
+ */
+function describeCondition(condition) {
+    if (condition.conditionType === 'jql') {
+        return condition.error
+            ? `JQL "${condition.jql}": ${condition.error}`
+            : `JQL "${condition.jql}" matches the issue`;
+    }
+    const source = condition.valueSource === 'question' ? ' (answer)' : '';
+    return `${condition.fieldKey} (${formatValue(condition.fieldValue)}) ${condition.operator} ${formatValue(condition.comparisonValue)}${source}`;
+}
+
+/**
+ * Describe the branch a logic, switch or routed question node took
+ * @param {Object} evaluation - Evaluation record from the simulation
+ * @returns {string} e.g. `true`, `case "Urgent"` or `route "Over budget"`
+ */
+function describeBranch(evaluation) {
+    if (evaluation.error) {
+        return `none, the conditions could not be checked: ${evaluation.error}`;
+    }
+    if (evaluation.nodeType === 'logic') {
+        return evaluation.edgeLabel;
+    }
+    if (evaluation.nodeType === 'question') {
+        return evaluation.routeId ? `route "${evaluation.routeLabel || evaluation.routeId}"` : 'default';
+    }
+    const matched = evaluation.cases.find(evaluatedCase => evaluatedCase.matched);
+    return matched ? `case "${matched.caseLabel}"` : 'default';
+}
+
+/**
+ * FlowSimulation Component
+ *
+ * Modal dialog that runs the flow being edited, including unsaved changes,
+ * against an issue snapshot without changing anything. The snapshot can be
+ * fetched from an issue and edited as JSON. Questions take the scripted
+ * answers in order, and date expressions use the given "now".
+ *
+ * Shows the nodes visited, how each logic and switch node and routed question
+ * decided and the Jira requests and webhooks each action would make. Sub-flows run at their
+ * published version, with their nodes listed in the path.
+ *
+ * Props:
+ * @param {boolean} isOpen - Controls modal visibility
+ * @param {Object} flow - The flow to simulate ({ id, name, maxIterations, nodes, edges })
+ * @param {function} describeNode - Returns a display name for a node ID
+ * @param {function} onClose - Callback when modal is closed
+ */
+function FlowSimulation({ isOpen, flow, describeNode, onClose }) {
+    const [issueKey, setIssueKey] = useState('');
+    const [issueJson, setIssueJson] = useState('{\n    "key": "",\n    "fields": {}\n}');
+    const [answersJson, setAnswersJson] = useState('[]');
+    const [now, setNow] = useState('');
+    const [isFetching, setIsFetching] = useState(false);
+    const [isRunning, setIsRunning] = useState(false);
+    const [error, setError] = useState(null);
+    const [result, setResult] = useState(null);
+
+    /**
+     * Start from the current time and clear the last result when the dialog opens
+     */
+    useEffect(() => {
+        if (isOpen) {
+            setNow(new Date().toISOString());
+            setResult(null);
+            setError(null);
+        }
+    }, [isOpen]);
+
+    /**
+     * Fetch an issue and use its fields as the snapshot
+     */
+    const handleFetchIssue = async () => {
+        setIsFetching(true);
+        setError(null);
+        try {
+            const response = await requestJira(`/rest/api/3/issue/${encodeURIComponent(issueKey.trim())}`);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch issue: ${response.status} ${response.statusText}`);
+            }
+
+            const issue = await response.json();
+            setIssueJson(JSON.stringify({ key: issue.key, fields: issue.fields }, null, 4));
+        } catch (err) {
+            console.error('Error fetching issue:', err);
+            setError(err.message || 'Failed to fetch the issue');
+        } finally {
+            setIsFetching(false);
+        }
+    };
+
+    /**
+     * Run the simulation with the snapshot, answers and "now" as entered
+     */
+    const handleRun = async () => {
+        setError(null);
+        setResult(null);
+
+        let issue;
+        let answers;
+        try {
+            issue = JSON.parse(issueJson);
+        } catch (err) {
+            setError(`The issue snapshot is not valid JSON: ${err.message}`);
+            return;
+        }
+        try {
+            answers = JSON.parse(answersJson || '[]');
+        } catch (err) {
+            setError(`The answers are not valid JSON: ${err.message}`);
+            return;
+        }
+
+        setIsRunning(true);
+        try {
+            const simulation = await invoke('simulateFlow', { flow, issue, answers, now });
+            if (simulation && simulation.error) {
+                setError(simulation.error);
+                return;
+            }
+            setResult(simulation);
+        } catch (err) {
+            console.error('Error simulating flow:', err);
+            setError(err.message || 'Failed to simulate the flow');
+        } finally {
+            setIsRunning(false);
+        }
+    };
+
+    /**
+     * Render the outcome of the simulation
+     */
+    const renderResult = () => (
+        <Stack space="space.200">
+            {result.completed ? (
+                <SectionMessage appearance="success" title="The flow completed">
+                    <p>Simulated at {result.now} on {result.issueKey}.</p>
+                </SectionMessage>
+            ) : (
+                <SectionMessage appearance={result.failed ? 'error' : 'warning'} title="The flow did not complete">
+                    <p>
+                        Stopped at {describeNode(result.stoppedAt.nodeId)}: {result.stoppedAt.reason}
+                    </p>
+                </SectionMessage>
+            )}
+            {result.unusedAnswers.length > 0 && (
+                <Text color="color.text.subtlest">
+                    {result.unusedAnswers.length} scripted answer{result.unusedAnswers.length === 1 ? ' was' : 's were'} not used.
+                </Text>
+            )}
+
+            <Heading size="xsmall">Path</Heading>
+            <ol style={{ margin: 0, paddingLeft: token('space.300') }}>
+                {result.path.map((step, index) => (
+                    <li key={`${step.nodeId}-${index}`}>
+                        <Text>
+                            {step.subflow
+                                ? `${step.type} "${step.label || step.nodeId}" in sub-flow "${step.subflow.flowName}"`
+                                : describeNode(step.nodeId)}
+                        </Text>
+                        {result.answers[step.nodeId] !== undefined && step.type === 'question' && (
+                            <Text color="color.text.subtlest"> — answered {formatValue(result.answers[step.nodeId])}</Text>
+                        )}
+                    </li>
+                ))}
+            </ol>
+
+            {result.evaluations.length > 0 && (
+                <>
+                    <Heading size="xsmall">Logic evaluations</Heading>
+                    {result.evaluations.map((evaluation, index) => (
+                        <Box key={`${evaluation.nodeId}-${index}`}>
+                            <Text weight="bold">
+                                {describeNode(evaluation.nodeId)} → {describeBranch(evaluation)}
+                            </Text>
+                            <ul style={{ margin: 0, paddingLeft: token('space.300') }}>
+                                {(evaluation.nodeType === 'logic'
+                                    ? [{ conditions: evaluation.conditions }]
+                                    : evaluation.cases || []
+                                ).map((group, groupIndex) => (
+                                    group.conditions.map((condition, conditionIndex) => (
+                                        <li key={`${groupIndex}-${conditionIndex}`}>
+                                            <Text>
+                                                {group.caseLabel ? `${group.caseLabel}: ` : ''}
+                                                {describeCondition(condition)}
+                                            </Text>{' '}
+                                            <Lozenge appearance={condition.result ? 'success' : 'removed'}>
+                                                {condition.result ? 'true' : 'false'}
+                                            </Lozenge>
+                                        </li>
+                                    ))
+                                ))}
+                            </ul>
+                        </Box>
+                    ))}
+                </>
+            )}
+
+            <Heading size="xsmall">Actions</Heading>
+            {result.actions.length === 0 ? (
+                <Text color="color.text.subtlest">No actions would run.</Text>
+            ) : result.actions.map((action, index) => (
+                <Stack key={`${action.nodeId}-${index}`} space="space.050">
+                    <Flex gap="space.100" alignItems="center">
+                        <Text weight="bold">{describeNode(action.nodeId)}</Text>
+                        <Lozenge appearance={action.success ? 'success' : 'removed'}>
+                            {action.success ? 'would run' : 'would fail'}
+                        </Lozenge>
+                    </Flex>
+                    {action.error && <Text color="color.text.danger">{action.error}</Text>}
+                    {action.requests.map((request, requestIndex) => (
+                        <pre key={requestIndex} style={codeStyle}>
+                            {request.request === 'webhook'
+                                ? `${request.method} ${request.url}\n${JSON.stringify(request.body, null, 2)}`
+                                : `${request.request}\n${JSON.stringify(request.args, null, 2)}`}
+                        </pre>
+                    ))}
+                </Stack>
+            ))}
+        </Stack>
+    );
+
+    return (
+        <ModalTransition>
+            {isOpen && (
+                <Modal onClose={onClose} width="x-large">
+                    <ModalHeader>
+                        <ModalTitle>Simulate Flow</ModalTitle>
+                    </ModalHeader>
+
+                    <ModalBody>
+                        <Stack space="space.200">
+                            <SectionMessage appearance="information">
+                                <p>
+                                    Runs the flow as it is in the builder, including unsaved changes.
+                                    Nothing is written to Jira and no webhooks are sent.
+                                </p>
+                            </SectionMessage>
+
+                            <Field name="issueKey" label="Take the snapshot from an issue">
+                                {() => (
+                                    <Flex gap="space.100">
+                                        <Textfield
+                                            name="issueKey"
+                                            value={issueKey}
+                                            onChange={(e) => setIssueKey(e.target.value)}
+                                            placeholder="PROJ-123"
+                                        />
+                                        <Button
+                                            onClick={handleFetchIssue}
+                                            isDisabled={!issueKey.trim() || isFetching}
+                                        >
+                                            {isFetching ? 'Fetching...' : 'Fetch'}
+                                        </Button>
+                                    </Flex>
+                                )}
+                            </Field>
+
+                            <Field name="issue" label="Issue snapshot">
+                                {() => (
+                                    <>
+                                        <TextArea
+                                            name="issue"
+                                            value={issueJson}
+                                            onChange={(e) => setIssueJson(e.target.value)}
+                                            minimumRows={8}
+                                            maxHeight="240px"
+                                            isMonospaced
+                                        />
+                                        <HelperMessage>
+                                            Edit field values to try other cases. JQL conditions run against the issue with this key in Jira.
+                                        </HelperMessage>
+                                    </>
+                                )}
+                            </Field>
+
+                            <Field name="answers" label="Scripted answers">
+                                {() => (
+                                    <>
+                                        <TextArea
+                                            name="answers"
+                                            value={answersJson}
+                                            onChange={(e) => setAnswersJson(e.target.value)}
+                                            minimumRows={3}
+                                            isMonospaced
+                                        />
+                                        <HelperMessage>
+                                            A JSON list used in order by the questions reached, e.g.
+                                            [&quot;Yes&quot;, {'{'}&quot;nodeId&quot;: &quot;node-3&quot;, &quot;answer&quot;: &quot;2026-01-31&quot;{'}'}]
+                                        </HelperMessage>
+                                    </>
+                                )}
+                            </Field>
+
+                            <Field name="now" label="Now">
+                                {() => (
+                                    <>
+                                        <Textfield
+                                            name="now"
+                                            value={now}
+                                            onChange={(e) => setNow(e.target.value)}
+                                            placeholder="2026-01-31T09:00:00Z"
+                                        />
+                                        <HelperMessage>
+                                            The date and time date expressions such as today() are relative to
+                                        </HelperMessage>
+                                    </>
+                                )}
+                            </Field>
+
+                            {error && (
+                                <SectionMessage appearance="error" title="Simulation failed">
+                                    <p>{error}</p>
+                                </SectionMessage>
+                            )}
+
+                            {result && renderResult()}
+                        </Stack>
+                    </ModalBody>
+
+                    <ModalFooter>
+                        <Button appearance="subtle" onClick={onClose}>
+                            Close
+                        </Button>
+                        <Button appearance="primary" onClick={handleRun} isDisabled={isRunning}>
+                            {isRunning ? 'Simulating...' : 'Run simulation'}
+                        </Button>
+                    </ModalFooter>
+                </Modal>
+            )}
+        </ModalTransition>
+    );
+}
+
+export default FlowSimulation;
@@ -0,0 +1,218 @@
+import { useState, useEffect, useCallback } from 'react';
+import { invoke } from '@forge/bridge';
+import Modal, {
+    ModalBody,
+    ModalFooter,
+    ModalHeader,
+    ModalTitle,
+    ModalTransition,
+} from '@atlaskit/modal-dialog';
+import Button from '@atlaskit/button/new';
+import DynamicTable from '@atlaskit/dynamic-table';
+import Lozenge from '@atlaskit/lozenge';
+import Spinner from '@atlaskit/spinner';
+import SectionMessage from '@atlaskit/section-message';
+import { Box, Stack, Text } from '@atlaskit/primitives';
+
+/**
+ * FlowVersionHistory Component
+ *
+ * Modal dialog listing every published revision of a flow, newest first,
+ * with the option to roll the flow back to any prior revision.
+ *
+ * Rolling back publishes the chosen revision's content as a new revision
+ * and discards any unpublished draft.
+ * Executions already in progress stay on the revision they started on.
+ *
+ * Props:
+ * @param {boolean} isOpen - Controls modal visibility
+ * @param {string} flowId - The ID of the flow whose history is shown
+ * @param {string} flowName - The flow name (for the modal title)
+ * @param {function} onClose - Callback when modal is closed
+ * @param {function} onRestored - Callback after a successful rollback, receives the new head flow
+ */
+function FlowVersionHistory({ isOpen, flowId, flowName, onClose, onRestored }) {
+    const [versions, setVersions] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [restoringVersion, setRestoringVersion] = useState(null);
+    const [error, setError] = useState(null);
+
+    /**
+     * Fetch the revision list from the backend
+     */
+    const loadVersions = useCallback(async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            const result = await invoke('getFlowVersions', { flowId });
+
+            if (result && result.error) {
+                setError(result.error);
+                setVersions([]);
+                return;
+            }
+
+            setVersions(Array.isArray(result) ? result : []);
+        } catch (err) {
+            console.error('Error loading flow versions:', err);
+            setError(err.message || 'Failed to load version history.');
+        } finally {
+            setIsLoading(false);
+        }
+    }, [flowId]);
+
+    /**
+     * Load versions whenever the modal opens
+     */
+    useEffect(() => {
+        if (isOpen && flowId) {
+            loadVersions();
+        }
+    }, [isOpen, flowId, loadVersions]);
+
+    /**
+     * Roll the flow back to the given revision after confirmation
+     * @param {number} version - The revision to restore
+     */
+    const handleRestore = async (version) => {
+        if (!window.confirm(`Restore version ${version}? This publishes a copy of version ${version} as the latest version and discards any unpublished changes. Runs already in progress are not affected.`)) {
+            return;
+        }
+
+        setRestoringVersion(version);
+        setError(null);
+        try {
+            const result = await invoke('rollbackFlow', { flowId, version });
+
+            if (result && result.error) {
+                setError(result.error);
+                return;
+            }
+
+            await loadVersions();
+            if (onRestored) {
+                onRestored(result);
+            }
+        } catch (err) {
+            console.error('Error rolling back flow:', err);
+            setError(err.message || 'Failed to restore version.');
+        } finally {
+            setRestoringVersion(null);
+        }
+    };
+
+    /**
+     * Format timestamp for display
+     * @param {string} timestamp - ISO timestamp string
+     * @returns {string} Formatted timestamp
+     */
+    const formatTimestamp = (timestamp) => {
+        if (!timestamp) return '-';
+        return new Date(timestamp).toLocaleString();
+    };
+
+    const latestVersion = versions.length > 0 ? versions[0].version : null;
+
+    const head = {
+        cells: [
+            { key: 'version', content: 'Version', width: 20 },
+            { key: 'savedAt', content: 'Saved', width: 35 },
+            { key: 'nodes', content: 'Nodes', width: 15 },
+            { key: 'actions', content: '', width: 30 },
+        ],
+    };
+
+    const rows = versions.map((entry) => ({
+        key: `version-${entry.version}`,
+        cells: [
+            {
+                key: 'version',
+                content: (
+                    <Box style={{ display: 'flex', gap: '4px', flexWrap: 'wrap' }}>
+                        <Text>v{entry.version}</Text>
+                        {entry.version === latestVersion && (
+                            <Lozenge appearance="success">Latest</Lozenge>
+                        )}
+                    </Box>
+                ),
+            },
+            {
+                key: 'savedAt',
+                content: (
+                    <Stack space="space.025">
+                        <Text>{formatTimestamp(entry.savedAt)}</Text>
+                        {entry.restoredFrom && (
+                            <Text size="small" color="color.text.subtlest">
+                                Restored from v{entry.restoredFrom}
+                            </Text>
+                        )}
+                    </Stack>
+                ),
+            },
+            {
+                key: 'nodes',
+                content: entry.nodeCount,
+            },
+            {
+                key: 'actions',
+                content: entry.version !== latestVersion && (
+                    <Button
+                        appearance="default"
+                        onClick={() => handleRestore(entry.version)}
+                        isDisabled={restoringVersion !== null}
+                    >
+                        {restoringVersion === entry.version ? 'Restoring...' : 'Restore'}
+                    </Button>
+                ),
+            },
+        ],
+    }));
+
+    return (
+        <ModalTransition>
+            {isOpen && (
+                <Modal onClose={onClose} width="large">
+                    <ModalHeader>
+                        <ModalTitle>Version History: {flowName}</ModalTitle>
+                    </ModalHeader>
+
+                    <ModalBody>
+                        <Stack space="space.200">
+                            {error && (
+                                <SectionMessage appearance="error" title="Version history error">
+                                    <p>{error}</p>
+                                </SectionMessage>
+                            )}
+
+                            {isLoading ? (
+                                <Box style={{ display: 'flex', justifyContent: 'center', padding: '20px' }}>
+                                    <Spinner size="large" />
+                                </Box>
+                            ) : versions.length === 0 ? (
+                                <Text color="color.text.subtlest">
+                                    No published versions yet. A version is created every time this flow is published.
+                                </Text>
+                            ) : (
+                                <DynamicTable
+                                    head={head}
+                                    rows={rows}
+                                    rowsPerPage={10}
+                                    defaultPage={1}
+                                    isFixedSize
+                                />
+                            )}
+                        </Stack>
+                    </ModalBody>
+
+                    <ModalFooter>
+                        <Button appearance="subtle" onClick={onClose}>
+                            Close
+                        </Button>
+                    </ModalFooter>
+                </Modal>
+            )}
+        </ModalTransition>
+    );
+}
+
+export default FlowVersionHistory;
@@ -0,0 +1,62 @@
+import { requestJira } from '@forge/bridge';
+import { AsyncSelect } from '@atlaskit/select';
+
+/**
+ * Search Jira groups for Select options
+ * @param {string} query - Search text
+ * @returns {Promise<Array>} Options: { label: groupName, value: groupId }
+ */
+async function searchGroups(query) {
+    const response = await requestJira(
+        `/rest/api/3/groups/picker?maxResults=20&query=${encodeURIComponent(query || '')}`
+    );
+
+    if (!response.ok) {
+        throw new Error(`Failed to search groups: ${response.status} ${response.statusText}`);
+    }
+
+    const { groups = [] } = await response.json();
+    return groups.map(group => ({ label: group.name, value: group.groupId }));
+}
+
+/**
+ * GroupSelect Component
+ *
+ * A searchable picker of Jira groups. Values are group IDs; group names are
+ * passed in alongside them so saved selections can be shown without looking
+ * the groups up again.
+ *
+ * @param {string} inputId - ID of the input element
+ * @param {Object|null} value - Selected option: { label: groupName, value: groupId }
+ * @param {Function} onChange - Called with the selected option (null when cleared)
+ * @param {string} placeholder - Placeholder text
+ */
+function GroupSelect({ inputId, value, onChange, placeholder = 'Search for a group' }) {
+    /**
+     * Load options for the text typed so far
+     * @param {string} inputValue - Search text
+     * @returns {Promise<Array>} Options
+     */
+    const loadOptions = async (inputValue) => {
+        try {
+            return await searchGroups(inputValue);
+        } catch (error) {
+            console.error('Error searching groups:', error);
+            return [];
+        }
+    };
+
+    return (
+        <AsyncSelect
+            inputId={inputId}
+            defaultOptions={true}
+            loadOptions={loadOptions}
+            value={value}
+            onChange={onChange}
+            isClearable={true}
+            placeholder={placeholder}
+        />
+    );
+}
+
+export default GroupSelect;
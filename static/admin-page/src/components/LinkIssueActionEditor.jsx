@@ -0,0 +1,220 @@
+import { useState, useEffect } from 'react';
+import Select from '@atlaskit/select';
+import SectionMessage from '@atlaskit/section-message';
+import { Box, Stack } from '@atlaskit/primitives';
+import { token } from '@atlaskit/tokens';
+import TemplateInput from './TemplateInput.jsx';
+import { getIssueLinkOptions, findIssueLinkOption } from '../utils/issueLinkTypes.js';
+import { validateJql } from '../utils/jqlValidation.js';
+
+const labelStyle = {
+    display: 'block',
+    marginBottom: token('space.050'),
+    fontWeight: 'bold',
+    fontSize: '12px'
+};
+
+const helpTextStyle = {
+    fontSize: '11px',
+    color: token('color.text.subtlest'),
+    marginTop: token('space.050')
+};
+
+// Where the issues to link come from
+const targetSourceOptions = [
+    { label: 'Issue key', value: 'static' },
+    { label: 'Issue selected in a question', value: 'answer' },
+    { label: 'Issues found with JQL', value: 'jql' }
+];
+
+/**
+ * LinkIssueActionEditor Component
+ *
+ * Edits a Link Issue action: the link type and direction, and where the
+ * issues to link come from — typed issue keys, a question answer, or a JQL
+ * search. Issue keys and JQL accept `{{ }}` template variables.
+ *
+ * @param {Object} data - The action node data
+ * @param {Function} onChange - Called with an object of updated node data properties
+ * @param {Array} jiraFields - Jira field options (for template variables)
+ * @param {Array} flowNodes - All nodes in the flow (for question selection and template variables)
+ */
+function LinkIssueActionEditor({ data, onChange, jiraFields, flowNodes = [] }) {
+    const [linkOptions, setLinkOptions] = useState([]);
+    const [linkLoadError, setLinkLoadError] = useState(null);
+    const [jqlValidation, setJqlValidation] = useState(null);
+    const [isValidatingJql, setIsValidatingJql] = useState(false);
+
+    const targetSource = data.targetSource || 'static';
+
+    /**
+     * Fetch the issue link types
+     */
+    useEffect(() => {
+        let isCancelled = false;
+
+        getIssueLinkOptions()
+            .then(options => {
+                if (!isCancelled) {
+                    setLinkOptions(options);
+                }
+            })
+            .catch(error => {
+                console.error('Error fetching issue link types:', error);
+                if (!isCancelled) {
+                    setLinkLoadError(error.message || 'Failed to load issue link types');
+                }
+            });
+
+        return () => {
+            isCancelled = true;
+        };
+    }, []);
+
+    /**
+     * Validate the JQL query as it is typed (500ms debounce)
+     * Queries with template placeholders can only be checked when the action runs.
+     */
+    useEffect(() => {
+        if (targetSource !== 'jql' || (data.targetJql || '').includes('{{')) {
+            setJqlValidation(null);
+            return;
+        }
+
+        let isCancelled = false;
+        const timer = setTimeout(async () => {
+            setIsValidatingJql(true);
+            const result = await validateJql(data.targetJql);
+            if (!isCancelled) {
+                setJqlValidation(result);
+                setIsValidatingJql(false);
+            }
+        }, 500);
+
+        return () => {
+            isCancelled = true;
+            clearTimeout(timer);
+        };
+    }, [data.targetJql, targetSource]);
+
+    const questionOptions = flowNodes
+        .filter(node => node.type === 'question')
+        .map(node => ({ label: node.data.question || `Question ${node.id}`, value: node.id }));
+
+    return (
+        <Stack space="space.200">
+            {linkLoadError && (
+                <SectionMessage appearance="error" title="Error loading link types">
+                    <p>{linkLoadError}</p>
+                </SectionMessage>
+            )}
+
+            {/* Link type and direction */}
+            <Box>
+                <label htmlFor="action-link-type" style={labelStyle}>
+                    Link *
+                </label>
+                <Select
+                    inputId="action-link-type"
+                    options={linkOptions}
+                    value={findIssueLinkOption(linkOptions, data.linkTypeName, data.linkDirection)}
+                    onChange={(option) => onChange({
+                        linkTypeName: option ? option.linkTypeName : '',
+                        linkDirection: option ? option.linkDirection : 'outward'
+                    })}
+                    placeholder="Select a link"
+                />
+                <div style={helpTextStyle}>
+                    How the current issue relates to the linked issues, e.g. "is blocked by"
+                </div>
+            </Box>
+
+            {/* Target source */}
+            <Box>
+                <label htmlFor="action-link-target-source" style={labelStyle}>
+                    Link To *
+                </label>
+                <Select
+                    inputId="action-link-target-source"
+                    options={targetSourceOptions}
+                    value={targetSourceOptions.find(opt => opt.value === targetSource)}
+                    onChange={(option) => onChange({ targetSource: option.value })}
+                />
+            </Box>
+
+            {targetSource === 'static' && (
+                <Box>
+                    <label htmlFor="action-link-target-key" style={labelStyle}>
+                        Issue Key *
+                    </label>
+                    <TemplateInput
+                        id="action-link-target-key"
+                        value={data.targetIssueKey || ''}
+                        onChange={(value) => onChange({ targetIssueKey: value })}
+                        flowNodes={flowNodes}
+                        jiraFields={jiraFields}
+                        placeholder="e.g., PROJ-123 or {{created.node-5}}"
+                    />
+                    <div style={helpTextStyle}>
+                        Separate several keys with commas
+                    </div>
+                </Box>
+            )}
+
+            {targetSource === 'answer' && (
+                <Box>
+                    <label htmlFor="action-link-target-question" style={labelStyle}>
+                        Question *
+                    </label>
+                    <Select
+                        inputId="action-link-target-question"
+                        options={questionOptions}
+                        value={questionOptions.find(opt => opt.value === data.targetQuestionNodeId)}
+                        onChange={(option) => onChange({ targetQuestionNodeId: option ? option.value : '' })}
+                        placeholder="Select a question"
+                        isClearable={true}
+                    />
+                    <div style={helpTextStyle}>
+                        The question whose answer is the issue (or issues) to link
+                    </div>
+                </Box>
+            )}
+
+            {targetSource === 'jql' && (
+                <Box>
+                    <label htmlFor="action-link-target-jql" style={labelStyle}>
+                        JQL Query *
+                    </label>
+                    <TemplateInput
+                        id="action-link-target-jql"
+                        value={data.targetJql || ''}
+                        onChange={(value) => onChange({ targetJql: value })}
+                        flowNodes={flowNodes}
+                        jiraFields={jiraFields}
+                        placeholder='e.g., project = OPS AND summary ~ "{{issue.key}}"'
+                        isMultiline={true}
+                        minimumRows={3}
+                    />
+                    {isValidatingJql && (
+                        <div style={helpTextStyle}>Checking JQL...</div>
+                    )}
+                    {!isValidatingJql && jqlValidation && !jqlValidation.valid && (
+                        <div style={{ ...helpTextStyle, color: token('color.text.danger') }}>
+                            {jqlValidation.errors.join(' ')}
+                        </div>
+                    )}
+                    {!isValidatingJql && jqlValidation && jqlValidation.warning && (
+                        <div style={helpTextStyle}>
+                            Could not check the query: {jqlValidation.warning}
+                        </div>
+                    )}
+                    <div style={helpTextStyle}>
+                        Every matching issue is linked, up to 20. The action fails if more issues match.
+                    </div>
+                </Box>
+            )}
+        </Stack>
+    );
+}
+
+export default LinkIssueActionEditor;
@@ -9,9 +9,29 @@ import SectionMessage from '@atlaskit/section-message';
 import { Box, Stack, Flex, Text } from '@atlaskit/primitives';
 import { token } from '@atlaskit/tokens';
 import CrossIcon from '@atlaskit/icon/core/cross';
+import ArrowUpIcon from '@atlaskit/icon/core/arrow-up';
+import ArrowDownIcon from '@atlaskit/icon/core/arrow-down';
 import DateExpressionInput from './DateExpressionInput.jsx';
 import SelectFieldDropdown from './SelectFieldDropdown.jsx';
+import ConditionGroupEditor from './ConditionGroupEditor.jsx';
+import TemplateInput from './TemplateInput.jsx';
+import CommentActionEditor from './CommentActionEditor.jsx';
+import TransitionActionEditor from './TransitionActionEditor.jsx';
+import AssignActionEditor from './AssignActionEditor.jsx';
+import CreateIssueActionEditor from './CreateIssueActionEditor.jsx';
+import LinkIssueActionEditor from './LinkIssueActionEditor.jsx';
+import WatchersActionEditor from './WatchersActionEditor.jsx';
+import WebhookActionEditor from './WebhookActionEditor.jsx';
+import ActionFailureSettings from './ActionFailureSettings.jsx';
+import SubflowEditor from './SubflowEditor.jsx';
+import QuestionValidationEditor from './QuestionValidationEditor.jsx';
+import PickerQuestionSettings from './PickerQuestionSettings.jsx';
+import QuestionRoutesEditor from './QuestionRoutesEditor.jsx';
+import QuestionOptionsEditor from './QuestionOptionsEditor.jsx';
 import { getFieldMetadata } from '../utils/fieldMetadata.js';
+import { getConditionTree, createSwitchCase } from '../utils/conditionGroups.js';
+import { ROUTED_QUESTION_TYPES } from '../utils/questionRoutes.js';
+import { CHOICE_QUESTION_TYPES } from '../utils/questionOptions.js';
 
 /**
  * NodePropertiesPanel Component
@@ -29,16 +49,23 @@ import { getFieldMetadata } from '../utils/fieldMetadata.js';
  * 
  * Node Type Configurations:
  * - Start: Non-editable (no properties to configure)
- * - Question: question text, question type, answer options
- * - Logic: field key, comparison operator, expected value
- * - Action: action type, conditional fields based on action type
+ * - Question: question text, question type, answer options with their labels and values (or the users or issues
+ *   a picker offers), the routes multiple choice, number and date answers take and the rules answers must meet,
+ *   with their error messages
+ * - Logic: condition tree of AND/OR/NOT groups, each condition with field key, operator, expected value
+ * - Switch: ordered cases, each with a label and a condition tree; unmatched issues take the default path
+ * - Action: action type, conditional fields based on action type; text values accept {{ }} template variables;
+ *   whether it waits for the user to confirm it, retries and what happens when the action fails
+ * - Sub-flow: label and the published flow it runs (flows that would make this flow run itself are not offered)
  * 
  * @param {Object} selectedNode - The currently selected node object from ReactFlow
  * @param {Function} onUpdateNode - Callback to update node data
  * @param {Function} onDeleteNode - Callback to delete the node
  * @param {Function} onClose - Callback to close the panel and deselect node
+ * @param {Array} projectKeys - The flow's bound project keys (for workflow transitions and components)
+ * @param {string} flowId - The flow ID, once the flow has been saved (for webhook signing secrets and sub-flows)
  */
-function NodePropertiesPanel({ selectedNode, onUpdateNode, onDeleteNode, onClose }) {
+function NodePropertiesPanel({ selectedNode, onUpdateNode, onDeleteNode, onClose, projectKeys = [], flowId = null }) {
     // Local state for form fields
     const [formData, setFormData] = useState({});
     
@@ -47,10 +74,6 @@ function NodePropertiesPanel({ selectedNode, onUpdateNode, onDeleteNode, onClose
     const [isLoadingFields, setIsLoadingFields] = useState(false);
     const [fieldLoadError, setFieldLoadError] = useState(null);
     
-    // State for field metadata (for Logic nodes with date fields)
-    const [fieldMetadata, setFieldMetadata] = useState(null);
-    const [isLoadingFieldMetadata, setIsLoadingFieldMetadata] = useState(false);
-    
     // State for Action node field metadata (for dynamic input rendering)
     const [actionFieldMetadata, setActionFieldMetadata] = useState(null);
     const [isLoadingActionFieldMetadata, setIsLoadingActionFieldMetadata] = useState(false);
@@ -138,33 +161,6 @@ function NodePropertiesPanel({ selectedNode, onUpdateNode, onDeleteNode, onClose
         }
     }, [selectedNode]);
 
-    /**
-     * Fetch field metadata when fieldKey changes for Logic nodes
-     * This determines if the field is a date field to show DateExpressionInput
-     */
-    useEffect(() => {
-        // Only fetch metadata for Logic nodes with a fieldKey
-        if (selectedNode?.type !== 'logic' || !formData.fieldKey) {
-            setFieldMetadata(null);
-            return;
-        }
-
-        const fetchFieldMetadata = async () => {
-            setIsLoadingFieldMetadata(true);
-            try {
-                const metadata = await getFieldMetadata(formData.fieldKey);
-                setFieldMetadata(metadata);
-            } catch (error) {
-                console.error('Error fetching field metadata:', error);
-                setFieldMetadata(null);
-            } finally {
-                setIsLoadingFieldMetadata(false);
-            }
-        };
-
-        fetchFieldMetadata();
-    }, [selectedNode?.type, formData.fieldKey]);
-
     /**
      * Fetch field metadata when fieldKey changes for Action nodes
      * This determines the field type to render the appropriate input component
@@ -213,26 +209,63 @@ function NodePropertiesPanel({ selectedNode, onUpdateNode, onDeleteNode, onClose
     };
 
     /**
-     * Handle options array changes for Question nodes
-     * Store the raw text value to allow multi-line editing
+     * Update several node data properties at once
+     * @param {Object} updates - Properties to update
      */
-    const handleOptionsChange = (value) => {
-        // Split by newline and filter empty lines for the options array
-        const optionsArray = value
-            .split('\n')
-            .map(opt => opt.trim())
-            .filter(opt => opt.length > 0);
-        
-        // Update both the raw text and the parsed array
+    const handleFieldsChange = (updates) => {
         const updatedData = {
             ...formData,
-            optionsText: value,
-            options: optionsArray
+            ...updates
+        };
+        setFormData(updatedData);
+        onUpdateNode(selectedNode.id, updatedData);
+    };
+
+    /**
+     * Handle condition tree changes for Logic nodes
+     * Saving the tree replaces the legacy single-condition fields
+     * @param {Object} conditionTree - The updated root condition group
+     */
+    const handleConditionTreeChange = (conditionTree) => {
+        const {
+            fieldKey: _fieldKey,
+            operator: _operator,
+            expectedValue: _expectedValue,
+            valueSource: _valueSource,
+            questionNodeId: _questionNodeId,
+            ...rest
+        } = formData;
+        const updatedData = {
+            ...rest,
+            conditionGroup: conditionTree
         };
         setFormData(updatedData);
         onUpdateNode(selectedNode.id, updatedData);
     };
 
+    /**
+     * Handle case list changes for Switch nodes
+     * @param {Array} cases - The updated, ordered cases
+     */
+    const handleCasesChange = (cases) => {
+        handleFieldChange('cases', cases);
+    };
+
+    /**
+     * Move a Switch node case up or down in evaluation order
+     * @param {number} index - Current index of the case
+     * @param {number} direction - -1 to move up, 1 to move down
+     */
+    const moveCase = (index, direction) => {
+        const cases = [...(formData.cases || [])];
+        const targetIndex = index + direction;
+        if (targetIndex < 0 || targetIndex >= cases.length) {
+            return;
+        }
+        [cases[index], cases[targetIndex]] = [cases[targetIndex], cases[index]];
+        handleCasesChange(cases);
+    };
+
     /**
      * Handle delete node action
      */
@@ -267,25 +300,30 @@ function NodePropertiesPanel({ selectedNode, onUpdateNode, onDeleteNode, onClose
         { label: 'Single Choice', value: 'single' },
         { label: 'Multiple Choice', value: 'multiple' },
         { label: 'Date', value: 'date' },
-        { label: 'Number', value: 'number' }
-    ];
-
-    // Logic operator options for Select component
-    const operatorOptions = [
-        { label: 'Equals', value: 'equals' },
-        { label: 'Not Equals', value: 'notEquals' },
-        { label: 'Contains', value: 'contains' },
-        { label: 'Greater Than', value: 'greaterThan' },
-        { label: 'Less Than', value: 'lessThan' },
-        { label: 'Is Empty', value: 'isEmpty' },
-        { label: 'Is Not Empty', value: 'isNotEmpty' }
+        { label: 'Number', value: 'number' },
+        { label: 'Text', value: 'text' },
+        { label: 'Long Text', value: 'longtext' },
+        { label: 'User', value: 'user' },
+        { label: 'Issue', value: 'issue' }
     ];
 
     // Action type options for Select component
     const actionTypeOptions = [
         { label: 'Set Field', value: 'setField' },
         { label: 'Add Label', value: 'addLabel' },
-        { label: 'Add Comment', value: 'addComment' }
+        { label: 'Add Comment', value: 'addComment' },
+        { label: 'Transition Issue', value: 'transitionIssue' },
+        { label: 'Assign Issue', value: 'assignIssue' },
+        { label: 'Create Issue', value: 'createIssue' },
+        { label: 'Link Issue', value: 'linkIssue' },
+        { label: 'Add Watchers', value: 'addWatchers' },
+        { label: 'Webhook', value: 'webhook' }
+    ];
+
+    // Whether the issue panel runs the action as soon as the flow reaches it
+    const confirmationOptions = [
+        { label: 'Run automatically', value: false },
+        { label: 'Wait for the user to confirm', value: true }
     ];
 
     /**
@@ -338,68 +376,62 @@ function NodePropertiesPanel({ selectedNode, onUpdateNode, onDeleteNode, onClose
                                 inputId="question-type"
                                 options={questionTypeOptions}
                                 value={questionTypeOptions.find(opt => opt.value === formData.questionType)}
-                                onChange={(option) => handleFieldChange('questionType', option.value)}
+                                onChange={(option) => handleFieldsChange({
+                                    questionType: option.value,
+                                    // Routes are specific to the question type
+                                    ...(formData.routes ? { routes: [] } : {})
+                                })}
                                 placeholder="Select question type"
                             />
                         </Box>
 
                         {/* Options (only for single/multiple choice) */}
-                        {(formData.questionType === 'single' || formData.questionType === 'multiple') && (
-                            <Box>
-                                <label htmlFor="question-options" style={{
-                                    display: 'block',
-                                    marginBottom: token('space.050'),
-                                    fontWeight: 'bold',
-                                    fontSize: '12px'
-                                }}>
-                                    Answer Options *
-                                </label>
-                                <TextArea
-                                    id="question-options"
-                                    value={formData.optionsText !== undefined ? formData.optionsText : (formData.options || []).join('\n')}
-                                    onChange={(e) => handleOptionsChange(e.target.value)}
-                                    placeholder="Enter one option per line"
-                                    resize="auto"
-                                    minimumRows={4}
+                        {CHOICE_QUESTION_TYPES.includes(formData.questionType) && (
+                            <QuestionOptionsEditor
+                                data={formData}
+                                onChange={handleFieldsChange}
+                            />
+                        )}
+
+                        {/* Users or issues offered (only for user/issue pickers) */}
+                        {(formData.questionType === 'user' || formData.questionType === 'issue') && (
+                            <PickerQuestionSettings
+                                data={formData}
+                                onChange={handleFieldsChange}
+                            />
+                        )}
+
+                        {/* Routes by answer (only for multiple choice, number and date) */}
+                        {ROUTED_QUESTION_TYPES.includes(formData.questionType) && (
+                            <Box paddingBlockStart="space.100" style={{
+                                borderTop: `${token('border.width')} solid ${token('color.border')}`
+                            }}>
+                                <QuestionRoutesEditor
+                                    data={formData}
+                                    onChange={handleFieldsChange}
+                                />
+                            </Box>
+                        )}
+
+                        {/* Answer validation rules */}
+                        {formData.questionType && (
+                            <Box paddingBlockStart="space.100" style={{
+                                borderTop: `${token('border.width')} solid ${token('color.border')}`
+                            }}>
+                                <QuestionValidationEditor
+                                    data={formData}
+                                    onChange={handleFieldsChange}
                                 />
-                                <div style={{
-                                    fontSize: '11px',
-                                    color: token('color.text.subtlest'),
-                                    marginTop: token('space.050')
-                                }}>
-                                    Enter one option per line
-                                </div>
                             </Box>
                         )}
                     </Stack>
                 );
 
             case 'logic':
-                // Get all question nodes that appear before this logic node in the flow
-                // This requires access to the flow structure, which we'll need to pass as a prop
+                // Question nodes whose answers conditions can compare against
                 const questionNodes = selectedNode.flowNodes 
                     ? selectedNode.flowNodes.filter(n => n.type === 'question')
                     : [];
-                
-                // Determine if we're working with a date field
-                const isDateField = fieldMetadata?.fieldType === 'date';
-                
-                // Filter question nodes based on field type
-                // For date fields, only show date questions
-                const filteredQuestionNodes = isDateField
-                    ? questionNodes.filter(n => n.data.questionType === 'date')
-                    : questionNodes;
-                
-                const questionNodeOptions = filteredQuestionNodes.map(node => ({
-                    label: node.data.question || `Question ${node.id}`,
-                    value: node.id
-                }));
-
-                // Value source options
-                const valueSourceOptions = [
-                    { label: 'Static Value', value: 'static' },
-                    { label: 'Question Answer', value: 'question' }
-                ];
 
                 return (
                     <Stack space="space.200">
@@ -412,195 +444,161 @@ function NodePropertiesPanel({ selectedNode, onUpdateNode, onDeleteNode, onClose
                                 </Button>
                             </SectionMessage>
                         )}
-                        {/* Field Key */}
+
+                        {/* Condition tree */}
                         <Box>
-                            <label htmlFor="field-key" style={{
+                            <label style={{
                                 display: 'block',
                                 marginBottom: token('space.050'),
                                 fontWeight: 'bold',
                                 fontSize: '12px'
                             }}>
-                                Jira Field Key *
+                                Conditions *
                             </label>
-                            <Select
-                                inputId="field-key"
-                                options={jiraFields}
-                                value={jiraFields.find(opt => opt.value === formData.fieldKey)}
-                                onChange={(option) => handleFieldChange('fieldKey', option ? option.value : '')}
-                                placeholder={isLoadingFields ? "Loading fields..." : "Select a Jira field"}
-                                isLoading={isLoadingFields}
-                                isSearchable={true}
-                                isClearable={true}
+                            <ConditionGroupEditor
+                                conditionTree={getConditionTree(formData)}
+                                onChange={handleConditionTreeChange}
+                                jiraFields={jiraFields}
+                                isLoadingFields={isLoadingFields}
+                                questionNodes={questionNodes}
                             />
                             <div style={{
                                 fontSize: '11px',
                                 color: token('color.text.subtlest'),
                                 marginTop: token('space.050')
                             }}>
-                                Select the Jira field to evaluate
-                                {isLoadingFieldMetadata && ' (Detecting field type...)'}
+                                Combine conditions with AND/OR groups; use NOT to negate a group
                             </div>
                         </Box>
 
-                        {/* Operator */}
+                        {/* Info box about edge labels */}
+                        <Box style={{
+                            padding: token('space.150'),
+                            backgroundColor: token('color.background.information'),
+                            borderRadius: token('border.radius'),
+                            fontSize: '12px'
+                        }}>
+                            <strong>Note:</strong> Connect the right handle for TRUE and left handle for FALSE outcomes.
+                        </Box>
+                    </Stack>
+                );
+
+            case 'switch':
+                const switchCases = formData.cases || [];
+                const switchQuestionNodes = selectedNode.flowNodes
+                    ? selectedNode.flowNodes.filter(n => n.type === 'question')
+                    : [];
+
+                return (
+                    <Stack space="space.200">
+                        {/* Field Load Error Message */}
+                        {fieldLoadError && (
+                            <SectionMessage appearance="error" title="Error loading fields">
+                                <p>{fieldLoadError}</p>
+                                <Button appearance="link" onClick={retryLoadFields}>
+                                    Retry
+                                </Button>
+                            </SectionMessage>
+                        )}
+
+                        {/* Node Label */}
                         <Box>
-                            <label htmlFor="operator" style={{
+                            <label htmlFor="switch-label" style={{
                                 display: 'block',
                                 marginBottom: token('space.050'),
                                 fontWeight: 'bold',
                                 fontSize: '12px'
                             }}>
-                                Comparison Operator *
+                                Label
                             </label>
-                            <Select
-                                inputId="operator"
-                                options={operatorOptions}
-                                value={operatorOptions.find(opt => opt.value === formData.operator)}
-                                onChange={(option) => handleFieldChange('operator', option.value)}
-                                placeholder="Select operator"
+                            <Textfield
+                                id="switch-label"
+                                value={formData.label || ''}
+                                onChange={(e) => handleFieldChange('label', e.target.value)}
+                                placeholder="e.g., Route by issue type"
                             />
                         </Box>
 
-                        {/* Expected Value (not needed for isEmpty/isNotEmpty) */}
-                        {formData.operator !== 'isEmpty' && formData.operator !== 'isNotEmpty' && (
-                            <>
-                                {/* Value Source Selection */}
-                                <Box>
-                                    <label htmlFor="value-source" style={{
-                                        display: 'block',
-                                        marginBottom: token('space.050'),
-                                        fontWeight: 'bold',
-                                        fontSize: '12px'
-                                    }}>
-                                        Value Source *
-                                    </label>
-                                    <Select
-                                        inputId="value-source"
-                                        options={valueSourceOptions}
-                                        value={valueSourceOptions.find(opt => opt.value === (formData.valueSource || 'static'))}
-                                        onChange={(option) => handleFieldChange('valueSource', option.value)}
-                                        placeholder="Select value source"
+                        {/* Cases, in evaluation order */}
+                        {switchCases.map((switchCase, index) => (
+                            <Box
+                                key={switchCase.id}
+                                style={{
+                                    padding: token('space.100'),
+                                    border: `${token('border.width')} solid ${token('color.border.accent.teal')}`,
+                                    borderRadius: token('border.radius')
+                                }}
+                            >
+                                <Stack space="space.100">
+                                    <Flex gap="space.050" alignItems="center">
+                                        <Text weight="bold">{index + 1}.</Text>
+                                        <Box style={{ flex: 1 }}>
+                                            <Textfield
+                                                aria-label={`Case ${index + 1} label`}
+                                                value={switchCase.label || ''}
+                                                onChange={(e) => handleCasesChange(switchCases.map(c =>
+                                                    c.id === switchCase.id ? { ...c, label: e.target.value } : c
+                                                ))}
+                                                placeholder={`Case ${index + 1}`}
+                                                isCompact
+                                            />
+                                        </Box>
+                                        <IconButton
+                                            icon={ArrowUpIcon}
+                                            label="Move case up"
+                                            appearance="subtle"
+                                            spacing="compact"
+                                            isDisabled={index === 0}
+                                            onClick={() => moveCase(index, -1)}
+                                        />
+                                        <IconButton
+                                            icon={ArrowDownIcon}
+                                            label="Move case down"
+                                            appearance="subtle"
+                                            spacing="compact"
+                                            isDisabled={index === switchCases.length - 1}
+                                            onClick={() => moveCase(index, 1)}
+                                        />
+                                        <IconButton
+                                            icon={CrossIcon}
+                                            label="Remove case"
+                                            appearance="subtle"
+                                            spacing="compact"
+                                            onClick={() => handleCasesChange(switchCases.filter(c => c.id !== switchCase.id))}
+                                        />
+                                    </Flex>
+                                    <ConditionGroupEditor
+                                        conditionTree={switchCase.conditionGroup}
+                                        onChange={(conditionGroup) => handleCasesChange(switchCases.map(c =>
+                                            c.id === switchCase.id ? { ...c, conditionGroup } : c
+                                        ))}
+                                        jiraFields={jiraFields}
+                                        isLoadingFields={isLoadingFields}
+                                        questionNodes={switchQuestionNodes}
                                     />
-                                    <div style={{
-                                        fontSize: '11px',
-                                        color: token('color.text.subtlest'),
-                                        marginTop: token('space.050')
-                                    }}>
-                                        Choose whether to use a static value or an answer from a previous question
-                                    </div>
-                                </Box>
+                                </Stack>
+                            </Box>
+                        ))}
 
-                                {/* Static Value Input */}
-                                {(!formData.valueSource || formData.valueSource === 'static') && (
-                                    <Box>
-                                        <label htmlFor="expected-value" style={{
-                                            display: 'block',
-                                            marginBottom: token('space.050'),
-                                            fontWeight: 'bold',
-                                            fontSize: '12px'
-                                        }}>
-                                            Expected Value *
-                                        </label>
-                                        
-                                        {/* Show DateExpressionInput for date fields */}
-                                        {isDateField ? (
-                                            <>
-                                                <DateExpressionInput
-                                                    value={formData.expectedValue || ''}
-                                                    onChange={(value) => handleFieldChange('expectedValue', value)}
-                                                    placeholder="e.g., 7d, today(), startofweek() + 3d"
-                                                    isRequired={true}
-                                                    testId="logic-expected-value"
-                                                />
-                                                <div style={{
-                                                    fontSize: '11px',
-                                                    color: token('color.text.subtlest'),
-                                                    marginTop: token('space.050')
-                                                }}>
-                                                    Enter a date expression (e.g., 7d, today(), startofweek() + 3d)
-                                                </div>
-                                            </>
-                                        ) : (
-                                            <>
-                                                <Textfield
-                                                    id="expected-value"
-                                                    value={formData.expectedValue || ''}
-                                                    onChange={(e) => handleFieldChange('expectedValue', e.target.value)}
-                                                    placeholder="Enter value to compare against"
-                                                />
-                                                <div style={{
-                                                    fontSize: '11px',
-                                                    color: token('color.text.subtlest'),
-                                                    marginTop: token('space.050')
-                                                }}>
-                                                    The value to compare the field against
-                                                </div>
-                                            </>
-                                        )}
-                                    </Box>
-                                )}
-
-                                {/* Question Node Selection */}
-                                {formData.valueSource === 'question' && (
-                                    <Box>
-                                        <label htmlFor="question-node-id" style={{
-                                            display: 'block',
-                                            marginBottom: token('space.050'),
-                                            fontWeight: 'bold',
-                                            fontSize: '12px'
-                                        }}>
-                                            Question Node *
-                                        </label>
-                                        
-                                        {/* Show info message if no compatible questions available */}
-                                        {isDateField && filteredQuestionNodes.length === 0 && (
-                                            <Box style={{
-                                                padding: token('space.150'),
-                                                backgroundColor: token('color.background.information'),
-                                                borderRadius: token('border.radius'),
-                                                fontSize: '12px',
-                                                marginBottom: token('space.100')
-                                            }}>
-                                                No date questions available. Add a Question node with type "Date" to use this option.
-                                            </Box>
-                                        )}
-                                        
-                                        <Select
-                                            inputId="question-node-id"
-                                            options={questionNodeOptions}
-                                            value={questionNodeOptions.find(opt => opt.value === formData.questionNodeId)}
-                                            onChange={(option) => handleFieldChange('questionNodeId', option ? option.value : '')}
-                                            placeholder={
-                                                isDateField && filteredQuestionNodes.length === 0
-                                                    ? "No date questions available"
-                                                    : "Select a question node"
-                                            }
-                                            isClearable={true}
-                                            isDisabled={isDateField && filteredQuestionNodes.length === 0}
-                                        />
-                                        <div style={{
-                                            fontSize: '11px',
-                                            color: token('color.text.subtlest'),
-                                            marginTop: token('space.050')
-                                        }}>
-                                            {isDateField 
-                                                ? 'Select a date question whose answer will be used for comparison'
-                                                : 'Select the question whose answer will be used for comparison'
-                                            }
-                                        </div>
-                                    </Box>
-                                )}
-                            </>
-                        )}
+                        <Box>
+                            <Button
+                                appearance="default"
+                                onClick={() => handleCasesChange([...switchCases, createSwitchCase(`Case ${switchCases.length + 1}`)])}
+                            >
+                                Add case
+                            </Button>
+                        </Box>
 
-                        {/* Info box about edge labels */}
+                        {/* Info box about case order and the default handle */}
                         <Box style={{
                             padding: token('space.150'),
                             backgroundColor: token('color.background.information'),
                             borderRadius: token('border.radius'),
                             fontSize: '12px'
                         }}>
-                            <strong>Note:</strong> Connect the right handle for TRUE and left handle for FALSE outcomes.
+                            <strong>Note:</strong> Cases are checked from top to bottom and the first match wins.
+                            Connect each case handle, plus the <em>default</em> handle used when no case matches.
+                            Removing a case also removes its connection.
                         </Box>
                     </Stack>
                 );
@@ -738,10 +736,12 @@ function NodePropertiesPanel({ selectedNode, onUpdateNode, onDeleteNode, onClose
                                     {/* Render standard Textfield for other field types (Requirement 5.2) */}
                                     {!isLoadingActionFieldMetadata && actionFieldMetadata && actionFieldMetadata.fieldType !== 'date' && actionFieldMetadata.fieldType !== 'select' && actionFieldMetadata.fieldType !== 'multiselect' && (
                                         <>
-                                            <Textfield
+                                            <TemplateInput
                                                 id="action-field-value"
                                                 value={formData.fieldValue || ''}
-                                                onChange={(e) => handleFieldChange('fieldValue', e.target.value)}
+                                                onChange={(value) => handleFieldChange('fieldValue', value)}
+                                                flowNodes={selectedNode.flowNodes}
+                                                jiraFields={jiraFields}
                                                 placeholder="Enter the value to set"
                                             />
                                             <div style={{
@@ -757,10 +757,12 @@ function NodePropertiesPanel({ selectedNode, onUpdateNode, onDeleteNode, onClose
                                     {/* Fallback to Textfield if no field selected yet or metadata unavailable */}
                                     {!isLoadingActionFieldMetadata && !actionFieldMetadata && (
                                         <>
-                                            <Textfield
+                                            <TemplateInput
                                                 id="action-field-value"
                                                 value={formData.fieldValue || ''}
-                                                onChange={(e) => handleFieldChange('fieldValue', e.target.value)}
+                                                onChange={(value) => handleFieldChange('fieldValue', value)}
+                                                flowNodes={selectedNode.flowNodes}
+                                                jiraFields={jiraFields}
                                                 placeholder="Enter the value to set"
                                             />
                                             <div style={{
@@ -786,10 +788,12 @@ function NodePropertiesPanel({ selectedNode, onUpdateNode, onDeleteNode, onClose
                                 }}>
                                     Label *
                                 </label>
-                                <Textfield
+                                <TemplateInput
                                     id="action-label"
                                     value={formData.label || ''}
-                                    onChange={(e) => handleFieldChange('label', e.target.value)}
+                                    onChange={(value) => handleFieldChange('label', value)}
+                                    flowNodes={selectedNode.flowNodes}
+                                    jiraFields={jiraFields}
                                     placeholder="Enter label to add"
                                 />
                                 <div style={{
@@ -803,35 +807,122 @@ function NodePropertiesPanel({ selectedNode, onUpdateNode, onDeleteNode, onClose
                         )}
 
                         {formData.actionType === 'addComment' && (
+                            <CommentActionEditor
+                                data={formData}
+                                onChange={handleFieldsChange}
+                                jiraFields={jiraFields}
+                                flowNodes={selectedNode.flowNodes}
+                            />
+                        )}
+
+                        {formData.actionType === 'transitionIssue' && (
+                            <TransitionActionEditor
+                                data={formData}
+                                onChange={handleFieldsChange}
+                                projectKeys={projectKeys}
+                                jiraFields={jiraFields}
+                                isLoadingFields={isLoadingFields}
+                                flowNodes={selectedNode.flowNodes}
+                            />
+                        )}
+
+                        {formData.actionType === 'assignIssue' && (
+                            <AssignActionEditor
+                                data={formData}
+                                onChange={handleFieldsChange}
+                                projectKeys={projectKeys}
+                                flowNodes={selectedNode.flowNodes}
+                            />
+                        )}
+
+                        {formData.actionType === 'createIssue' && (
+                            <CreateIssueActionEditor
+                                data={formData}
+                                onChange={handleFieldsChange}
+                                jiraFields={jiraFields}
+                                isLoadingFields={isLoadingFields}
+                                flowNodes={selectedNode.flowNodes}
+                            />
+                        )}
+
+                        {formData.actionType === 'linkIssue' && (
+                            <LinkIssueActionEditor
+                                data={formData}
+                                onChange={handleFieldsChange}
+                                jiraFields={jiraFields}
+                                flowNodes={selectedNode.flowNodes}
+                            />
+                        )}
+
+                        {formData.actionType === 'addWatchers' && (
+                            <WatchersActionEditor
+                                data={formData}
+                                onChange={handleFieldsChange}
+                                flowNodes={selectedNode.flowNodes}
+                            />
+                        )}
+
+                        {formData.actionType === 'webhook' && (
+                            <WebhookActionEditor
+                                data={formData}
+                                onChange={handleFieldsChange}
+                                jiraFields={jiraFields}
+                                flowNodes={selectedNode.flowNodes}
+                                flowId={flowId}
+                                nodeId={selectedNode.id}
+                            />
+                        )}
+
+                        {/* Confirmation before running */}
+                        {formData.actionType && (
                             <Box>
-                                <label htmlFor="action-comment" style={{
+                                <label htmlFor="action-require-confirmation" style={{
                                     display: 'block',
                                     marginBottom: token('space.050'),
                                     fontWeight: 'bold',
                                     fontSize: '12px'
                                 }}>
-                                    Comment Text *
+                                    When Reached
                                 </label>
-                                <TextArea
-                                    id="action-comment"
-                                    value={formData.comment || ''}
-                                    onChange={(e) => handleFieldChange('comment', e.target.value)}
-                                    placeholder="Enter comment text"
-                                    resize="auto"
-                                    minimumRows={4}
+                                <Select
+                                    inputId="action-require-confirmation"
+                                    options={confirmationOptions}
+                                    value={confirmationOptions.find(opt => opt.value === Boolean(formData.requireConfirmation))}
+                                    onChange={(option) => handleFieldChange('requireConfirmation', option.value || undefined)}
                                 />
                                 <div style={{
                                     fontSize: '11px',
                                     color: token('color.text.subtlest'),
                                     marginTop: token('space.050')
                                 }}>
-                                    The comment to add to the issue
+                                    Actions that wait are shown to the user, who reviews them and runs them with Execute Action
                                 </div>
                             </Box>
                         )}
+
+                        {/* Retries and failure handling */}
+                        {formData.actionType && (
+                            <Box paddingBlockStart="space.100" style={{
+                                borderTop: `${token('border.width')} solid ${token('color.border')}`
+                            }}>
+                                <ActionFailureSettings
+                                    data={formData}
+                                    onChange={handleFieldsChange}
+                                />
+                            </Box>
+                        )}
                     </Stack>
                 );
 
+            case 'subflow':
+                return (
+                    <SubflowEditor
+                        data={formData}
+                        onChange={handleFieldsChange}
+                        flowId={flowId}
+                    />
+                );
+
             default:
                 return null;
         }
@@ -0,0 +1,220 @@
+import { useState, useEffect } from 'react';
+import { requestJira } from '@forge/bridge';
+import Select from '@atlaskit/select';
+import TextArea from '@atlaskit/textarea';
+import { Box, Stack } from '@atlaskit/primitives';
+import { token } from '@atlaskit/tokens';
+import GroupSelect from './GroupSelect.jsx';
+import { validateJql } from '../utils/jqlValidation.js';
+
+const labelStyle = {
+    display: 'block',
+    marginBottom: token('space.050'),
+    fontWeight: 'bold',
+    fontSize: '12px'
+};
+
+const helpTextStyle = {
+    fontSize: '11px',
+    color: token('color.text.subtlest'),
+    marginTop: token('space.050')
+};
+
+// How many users or issues can be picked
+const allowMultipleOptions = [
+    { label: 'One', value: false },
+    { label: 'One or more', value: true }
+];
+
+// Which users can be picked; these match USER_RESTRICTIONS in src/engine/pickerAnswers.js
+const userRestrictionOptions = [
+    { label: 'Any user', value: '' },
+    { label: 'Members of a group', value: 'group' },
+    { label: 'Members of a project role', value: 'role' }
+];
+
+/**
+ * PickerQuestionSettings Component
+ *
+ * Edits what a user or issue question offers: whether one or several can be
+ * picked, and which users (any, the members of a group, or the members of a
+ * project role in the issue's project) or issues (those matching a JQL
+ * filter). Answers are account IDs or issue keys, which Assign Issue, Add
+ * Watchers and Link Issue actions can take from the question.
+ *
+ * @param {Object} data - The question node data
+ * @param {Function} onChange - Called with an object of updated node data properties
+ */
+function PickerQuestionSettings({ data, onChange }) {
+    const [roleOptions, setRoleOptions] = useState([]);
+    const [jqlValidation, setJqlValidation] = useState(null);
+    const [isValidatingJql, setIsValidatingJql] = useState(false);
+
+    const isUserQuestion = data.questionType === 'user';
+    const userRestriction = data.userRestriction || '';
+
+    /**
+     * Fetch the project roles when the question is restricted to a role
+     */
+    useEffect(() => {
+        if (!isUserQuestion || userRestriction !== 'role') {
+            return;
+        }
+
+        let isCancelled = false;
+
+        const fetchRoles = async () => {
+            try {
+                const response = await requestJira('/rest/api/3/role');
+                if (!response.ok) {
+                    throw new Error(`Failed to fetch project roles: ${response.status} ${response.statusText}`);
+                }
+                const roles = await response.json();
+                if (!isCancelled) {
+                    setRoleOptions(roles
+                        .map(role => ({ label: role.name, value: String(role.id) }))
+                        .sort((a, b) => a.label.localeCompare(b.label)));
+                }
+            } catch (error) {
+                console.error('Error fetching project roles:', error);
+            }
+        };
+
+        fetchRoles();
+
+        return () => {
+            isCancelled = true;
+        };
+    }, [isUserQuestion, userRestriction]);
+
+    /**
+     * Validate the issue filter as it is typed (500ms debounce)
+     */
+    useEffect(() => {
+        if (isUserQuestion || !(data.issueJql || '').trim()) {
+            setJqlValidation(null);
+            return;
+        }
+
+        let isCancelled = false;
+        const timer = setTimeout(async () => {
+            setIsValidatingJql(true);
+            const result = await validateJql(data.issueJql);
+            if (!isCancelled) {
+                setJqlValidation(result);
+                setIsValidatingJql(false);
+            }
+        }, 500);
+
+        return () => {
+            isCancelled = true;
+            clearTimeout(timer);
+        };
+    }, [data.issueJql, isUserQuestion]);
+
+    return (
+        <Stack space="space.200">
+            {/* One or several */}
+            <Box>
+                <label htmlFor="question-allow-multiple" style={labelStyle}>
+                    {isUserQuestion ? 'Users to Pick' : 'Issues to Pick'}
+                </label>
+                <Select
+                    inputId="question-allow-multiple"
+                    options={allowMultipleOptions}
+                    value={allowMultipleOptions.find(opt => opt.value === Boolean(data.allowMultiple))}
+                    onChange={(option) => onChange({ allowMultiple: option.value || undefined })}
+                />
+                <div style={helpTextStyle}>
+                    {isUserQuestion
+                        ? 'The answer is the account ID of the user, or a list of them'
+                        : 'The answer is the issue key, or a list of them'}
+                </div>
+            </Box>
+
+            {/* Which users */}
+            {isUserQuestion && (
+                <Box>
+                    <label htmlFor="question-user-restriction" style={labelStyle}>
+                        Users Offered
+                    </label>
+                    <Select
+                        inputId="question-user-restriction"
+                        options={userRestrictionOptions}
+                        value={userRestrictionOptions.find(opt => opt.value === userRestriction)}
+                        onChange={(option) => onChange({ userRestriction: option.value || undefined })}
+                    />
+                </Box>
+            )}
+
+            {isUserQuestion && userRestriction === 'group' && (
+                <Box>
+                    <label htmlFor="question-user-group" style={labelStyle}>
+                        Group *
+                    </label>
+                    <GroupSelect
+                        inputId="question-user-group"
+                        value={data.groupId ? { label: data.groupName || data.groupId, value: data.groupId } : null}
+                        onChange={(option) => onChange({
+                            groupId: option ? option.value : '',
+                            groupName: option ? option.label : ''
+                        })}
+                    />
+                </Box>
+            )}
+
+            {isUserQuestion && userRestriction === 'role' && (
+                <Box>
+                    <label htmlFor="question-user-role" style={labelStyle}>
+                        Project Role *
+                    </label>
+                    <Select
+                        inputId="question-user-role"
+                        options={roleOptions}
+                        value={data.roleId ? { label: data.roleName || data.roleId, value: data.roleId } : null}
+                        onChange={(option) => onChange({ roleId: option.value, roleName: option.label })}
+                        placeholder="Select a project role"
+                    />
+                    <div style={helpTextStyle}>
+                        Users in the role in the issue&apos;s project, directly or through a group
+                    </div>
+                </Box>
+            )}
+
+            {/* Which issues */}
+            {!isUserQuestion && (
+                <Box>
+                    <label htmlFor="question-issue-jql" style={labelStyle}>
+                        Issue Filter (JQL)
+                    </label>
+                    <TextArea
+                        id="question-issue-jql"
+                        value={data.issueJql || ''}
+                        onChange={(e) => onChange({ issueJql: e.target.value })}
+                        placeholder="e.g., issuetype = Epic AND statusCategory != Done"
+                        resize="auto"
+                        minimumRows={2}
+                    />
+                    {isValidatingJql && (
+                        <div style={helpTextStyle}>Checking JQL...</div>
+                    )}
+                    {!isValidatingJql && jqlValidation && !jqlValidation.valid && (
+                        <div style={{ ...helpTextStyle, color: token('color.text.danger') }}>
+                            {jqlValidation.errors.join(' ')}
+                        </div>
+                    )}
+                    {!isValidatingJql && jqlValidation && jqlValidation.warning && (
+                        <div style={helpTextStyle}>
+                            Could not check the query: {jqlValidation.warning}
+                        </div>
+                    )}
+                    <div style={helpTextStyle}>
+                        Only issues matching the filter can be picked. Leave it empty to offer any issue.
+                    </div>
+                </Box>
+            )}
+        </Stack>
+    );
+}
+
+export default PickerQuestionSettings;
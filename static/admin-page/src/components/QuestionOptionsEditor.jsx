@@ -0,0 +1,138 @@
+import Button, { IconButton } from '@atlaskit/button/new';
+import Textfield from '@atlaskit/textfield';
+import { Box, Stack, Flex, Text } from '@atlaskit/primitives';
+import { token } from '@atlaskit/tokens';
+import CrossIcon from '@atlaskit/icon/core/cross';
+import ArrowUpIcon from '@atlaskit/icon/core/arrow-up';
+import ArrowDownIcon from '@atlaskit/icon/core/arrow-down';
+import { getQuestionOptions, createQuestionOption } from '../utils/questionOptions.js';
+
+const helpTextStyle = {
+    fontSize: '11px',
+    color: token('color.text.subtlest')
+};
+
+/**
+ * QuestionOptionsEditor Component
+ *
+ * Edits the options of a single or multiple choice question. Each option has
+ * a label, shown in the issue panel, and a value, stored as the answer. Edges
+ * and routes refer to options by an ID that never changes, so options can be
+ * reordered and relabelled without reconnecting them.
+ *
+ * @param {Object} data - The question node data
+ * @param {Function} onChange - Called with an object of updated node data properties
+ */
+function QuestionOptionsEditor({ data, onChange }) {
+    const options = getQuestionOptions(data);
+
+    /**
+     * Replace the options
+     * @param {Array} updatedOptions - The updated, ordered options
+     */
+    const handleOptionsChange = (updatedOptions) => {
+        onChange({ options: updatedOptions });
+    };
+
+    /**
+     * Update properties of one option
+     * @param {string} optionId - The option ID
+     * @param {Object} changes - Updated option properties
+     */
+    const updateOption = (optionId, changes) => {
+        handleOptionsChange(options.map(option => (option.id === optionId ? { ...option, ...changes } : option)));
+    };
+
+    /**
+     * Move an option up or down
+     * @param {number} index - Current index of the option
+     * @param {number} direction - -1 to move up, 1 to move down
+     */
+    const moveOption = (index, direction) => {
+        const reordered = [...options];
+        const targetIndex = index + direction;
+        if (targetIndex < 0 || targetIndex >= reordered.length) {
+            return;
+        }
+        [reordered[index], reordered[targetIndex]] = [reordered[targetIndex], reordered[index]];
+        handleOptionsChange(reordered);
+    };
+
+    return (
+        <Stack space="space.100">
+            <Text weight="bold" size="small">Answer Options *</Text>
+
+            {options.length > 0 && (
+                <Flex gap="space.050">
+                    <Box style={{ flex: 1, ...helpTextStyle }}>Label</Box>
+                    <Box style={{ flex: 1, ...helpTextStyle }}>Value</Box>
+                    {/* Room for the option buttons */}
+                    <Box style={{ width: '84px' }} />
+                </Flex>
+            )}
+
+            {options.map((option, index) => (
+                <Flex key={option.id} gap="space.050" alignItems="center">
+                    <Box style={{ flex: 1 }}>
+                        <Textfield
+                            aria-label={`Option ${index + 1} label`}
+                            value={option.label}
+                            onChange={(e) => updateOption(option.id, { label: e.target.value })}
+                            placeholder={`Option ${index + 1}`}
+                            isCompact
+                        />
+                    </Box>
+                    <Box style={{ flex: 1 }}>
+                        <Textfield
+                            aria-label={`Option ${index + 1} value`}
+                            value={option.value}
+                            onChange={(e) => updateOption(option.id, { value: e.target.value })}
+                            placeholder="Value"
+                            isCompact
+                        />
+                    </Box>
+                    <IconButton
+                        icon={ArrowUpIcon}
+                        label="Move option up"
+                        appearance="subtle"
+                        spacing="compact"
+                        isDisabled={index === 0}
+                        onClick={() => moveOption(index, -1)}
+                    />
+                    <IconButton
+                        icon={ArrowDownIcon}
+                        label="Move option down"
+                        appearance="subtle"
+                        spacing="compact"
+                        isDisabled={index === options.length - 1}
+                        onClick={() => moveOption(index, 1)}
+                    />
+                    <IconButton
+                        icon={CrossIcon}
+                        label="Remove option"
+                        appearance="subtle"
+                        spacing="compact"
+                        onClick={() => handleOptionsChange(options.filter(o => o.id !== option.id))}
+                    />
+                </Flex>
+            ))}
+
+            <Box>
+                <Button
+                    appearance="default"
+                    onClick={() => handleOptionsChange([...options, createQuestionOption(`Option ${options.length + 1}`)])}
+                >
+                    Add option
+                </Button>
+            </Box>
+
+            <div style={helpTextStyle}>
+                The value is stored as the answer and is what conditions and templates compare against.
+                Changing a label or the order keeps connections and answers already given; changing a value
+                does not update answers already given. Removing an option also removes its connection.
+            </div>
+        </Stack>
+    );
+}
+
+export default QuestionOptionsEditor;
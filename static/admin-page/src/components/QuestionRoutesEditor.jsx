@@ -0,0 +1,252 @@
+import Button, { IconButton } from '@atlaskit/button/new';
+import Textfield from '@atlaskit/textfield';
+import Select from '@atlaskit/select';
+import { Box, Stack, Flex, Text } from '@atlaskit/primitives';
+import { token } from '@atlaskit/tokens';
+import CrossIcon from '@atlaskit/icon/core/cross';
+import ArrowUpIcon from '@atlaskit/icon/core/arrow-up';
+import ArrowDownIcon from '@atlaskit/icon/core/arrow-down';
+import DateExpressionInput from './DateExpressionInput.jsx';
+import {
+    ROUTE_MATCH_OPTIONS,
+    ROUTE_DATE_OPERATOR_OPTIONS,
+    createQuestionRoute
+} from '../utils/questionRoutes.js';
+import { getQuestionOptions } from '../utils/questionOptions.js';
+
+const labelStyle = {
+    display: 'block',
+    marginBottom: token('space.050'),
+    fontWeight: 'bold',
+    fontSize: '12px'
+};
+
+/**
+ * QuestionRoutesEditor Component
+ *
+ * Edits the routes of a multiple choice, number or date question. Routes are
+ * checked from top to bottom against the answer and the first match is
+ * followed through its own handle: for multiple choice when any or all of
+ * some options are picked, for numbers when the answer falls in a range, and
+ * for dates when the answer compares with a date expression. Answers that
+ * match no route take the question's default handle.
+ *
+ * @param {Object} data - The question node data
+ * @param {Function} onChange - Called with an object of updated node data properties
+ */
+function QuestionRoutesEditor({ data, onChange }) {
+    const routes = data.routes || [];
+    const questionType = data.questionType;
+    const optionChoices = getQuestionOptions(data).map(option => ({ label: option.label, value: option.id }));
+
+    /**
+     * Replace the routes
+     * @param {Array} updatedRoutes - The updated, ordered routes
+     */
+    const handleRoutesChange = (updatedRoutes) => {
+        onChange({ routes: updatedRoutes });
+    };
+
+    /**
+     * Update properties of one route
+     * @param {string} routeId - The route ID
+     * @param {Object} changes - Updated route properties
+     */
+    const updateRoute = (routeId, changes) => {
+        handleRoutesChange(routes.map(route => (route.id === routeId ? { ...route, ...changes } : route)));
+    };
+
+    /**
+     * Move a route up or down in evaluation order
+     * @param {number} index - Current index of the route
+     * @param {number} direction - -1 to move up, 1 to move down
+     */
+    const moveRoute = (index, direction) => {
+        const reordered = [...routes];
+        const targetIndex = index + direction;
+        if (targetIndex < 0 || targetIndex >= reordered.length) {
+            return;
+        }
+        [reordered[index], reordered[targetIndex]] = [reordered[targetIndex], reordered[index]];
+        handleRoutesChange(reordered);
+    };
+
+    /**
+     * Render the rule inputs of a route
+     * @param {Object} route - The route
+     */
+    const renderRule = (route) => {
+        switch (questionType) {
+            case 'multiple':
+                return (
+                    <Flex gap="space.100" alignItems="start">
+                        <Box style={{ width: '100px' }}>
+                            <Select
+                                aria-label="Match"
+                                options={ROUTE_MATCH_OPTIONS}
+                                value={ROUTE_MATCH_OPTIONS.find(opt => opt.value === (route.match || 'any'))}
+                                onChange={(option) => updateRoute(route.id, { match: option.value })}
+                                spacing="compact"
+                            />
+                        </Box>
+                        <Box style={{ flex: 1 }}>
+                            <Select
+                                aria-label="Options"
+                                isMulti
+                                options={optionChoices}
+                                value={(route.options || []).map(optionId => (
+                                    optionChoices.find(choice => choice.value === optionId) || { label: optionId, value: optionId }
+                                ))}
+                                onChange={(selected) => updateRoute(route.id, {
+                                    options: (selected || []).map(option => option.value)
+                                })}
+                                placeholder="Select options"
+                                spacing="compact"
+                            />
+                        </Box>
+                    </Flex>
+                );
+
+            case 'number':
+                return (
+                    <Flex gap="space.100">
+                        <Box style={{ flex: 1 }}>
+                            <label htmlFor={`route-${route.id}-min`} style={labelStyle}>From</label>
+                            <Textfield
+                                id={`route-${route.id}-min`}
+                                type="number"
+                                value={route.min === undefined ? '' : route.min}
+                                onChange={(e) => updateRoute(route.id, {
+                                    min: e.target.value === '' ? undefined : Number(e.target.value)
+                                })}
+                                placeholder="No minimum"
+                                isCompact
+                            />
+                        </Box>
+                        <Box style={{ flex: 1 }}>
+                            <label htmlFor={`route-${route.id}-max`} style={labelStyle}>Up to (not including)</label>
+                            <Textfield
+                                id={`route-${route.id}-max`}
+                                type="number"
+                                value={route.max === undefined ? '' : route.max}
+                                onChange={(e) => updateRoute(route.id, {
+                                    max: e.target.value === '' ? undefined : Number(e.target.value)
+                                })}
+                                placeholder="No maximum"
+                                isCompact
+                            />
+                        </Box>
+                    </Flex>
+                );
+
+            case 'date':
+                return (
+                    <Stack space="space.050">
+                        <Select
+                            aria-label="Comparison"
+                            options={ROUTE_DATE_OPERATOR_OPTIONS}
+                            value={ROUTE_DATE_OPERATOR_OPTIONS.find(opt => opt.value === route.operator)}
+                            onChange={(option) => updateRoute(route.id, { operator: option.value })}
+                            spacing="compact"
+                        />
+                        <DateExpressionInput
+                            value={route.date || ''}
+                            onChange={(expression) => updateRoute(route.id, { date: expression.trim() })}
+                            label="Date"
+                            placeholder="e.g. today() + 7d"
+                            testId={`route-${route.id}-date`}
+                        />
+                    </Stack>
+                );
+
+            default:
+                return null;
+        }
+    };
+
+    return (
+        <Stack space="space.200">
+            <Text weight="bold" size="small">Routes</Text>
+
+            {/* Routes, in evaluation order */}
+            {routes.map((route, index) => (
+                <Box
+                    key={route.id}
+                    style={{
+                        padding: token('space.100'),
+                        border: `${token('border.width')} solid ${token('color.border.information')}`,
+                        borderRadius: token('border.radius')
+                    }}
+                >
+                    <Stack space="space.100">
+                        <Flex gap="space.050" alignItems="center">
+                            <Text weight="bold">{index + 1}.</Text>
+                            <Box style={{ flex: 1 }}>
+                                <Textfield
+                                    aria-label={`Route ${index + 1} label`}
+                                    value={route.label || ''}
+                                    onChange={(e) => updateRoute(route.id, { label: e.target.value })}
+                                    placeholder={`Route ${index + 1}`}
+                                    isCompact
+                                />
+                            </Box>
+                            <IconButton
+                                icon={ArrowUpIcon}
+                                label="Move route up"
+                                appearance="subtle"
+                                spacing="compact"
+                                isDisabled={index === 0}
+                                onClick={() => moveRoute(index, -1)}
+                            />
+                            <IconButton
+                                icon={ArrowDownIcon}
+                                label="Move route down"
+                                appearance="subtle"
+                                spacing="compact"
+                                isDisabled={index === routes.length - 1}
+                                onClick={() => moveRoute(index, 1)}
+                            />
+                            <IconButton
+                                icon={CrossIcon}
+                                label="Remove route"
+                                appearance="subtle"
+                                spacing="compact"
+                                onClick={() => handleRoutesChange(routes.filter(r => r.id !== route.id))}
+                            />
+                        </Flex>
+                        {renderRule(route)}
+                    </Stack>
+                </Box>
+            ))}
+
+            <Box>
+                <Button
+                    appearance="default"
+                    onClick={() => handleRoutesChange([...routes, createQuestionRoute(questionType, `Route ${routes.length + 1}`)])}
+                >
+                    Add route
+                </Button>
+            </Box>
+
+            {/* Info box about route order and the default handle */}
+            <Box style={{
+                padding: token('space.150'),
+                backgroundColor: token('color.background.information'),
+                borderRadius: token('border.radius'),
+                fontSize: '12px'
+            }}>
+                {routes.length === 0 ? (
+                    <>Without routes, every answer takes the question&apos;s single path.</>
+                ) : (
+                    <>
+                        <strong>Note:</strong> Routes are checked from top to bottom and the first match wins.
+                        Connect each route handle, plus the <em>otherwise</em> handle used when no route matches
+                        or the question is left empty. Removing a route also removes its connection.
+                    </>
+                )}
+            </Box>
+        </Stack>
+    );
+}
+
+export default QuestionRoutesEditor;
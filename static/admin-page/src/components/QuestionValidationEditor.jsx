@@ -0,0 +1,231 @@
+import Select from '@atlaskit/select';
+import Textfield from '@atlaskit/textfield';
+import { Box, Stack } from '@atlaskit/primitives';
+import { token } from '@atlaskit/tokens';
+import DateExpressionInput from './DateExpressionInput.jsx';
+
+const labelStyle = {
+    display: 'block',
+    marginBottom: token('space.050'),
+    fontWeight: 'bold',
+    fontSize: '12px'
+};
+
+const helpTextStyle = {
+    fontSize: '11px',
+    color: token('color.text.subtlest'),
+    marginTop: token('space.050')
+};
+
+const errorTextStyle = {
+    fontSize: '11px',
+    color: token('color.text.danger'),
+    marginTop: token('space.050')
+};
+
+// Whether the question must be answered
+const requiredOptions = [
+    { label: 'Required', value: true },
+    { label: 'Optional', value: false }
+];
+
+// The rules each question type offers besides Required; these match QUESTION_TYPE_RULES in src/engine/answerValidation.js
+const typeRules = {
+    single: [],
+    multiple: [],
+    text: ['minLength', 'maxLength', 'pattern'],
+    longtext: ['minLength', 'maxLength', 'pattern'],
+    number: ['min', 'max', 'step'],
+    date: ['minDate', 'maxDate'],
+    user: [],
+    issue: []
+};
+
+// How each rule is edited
+const ruleSettings = {
+    minLength: { label: 'Minimum Length', input: 'number', min: 0, placeholder: 'No minimum' },
+    maxLength: { label: 'Maximum Length', input: 'number', min: 0, placeholder: 'No maximum' },
+    pattern: { label: 'Pattern', input: 'pattern', placeholder: 'e.g. [A-Z]+-\\d+' },
+    min: { label: 'Minimum', input: 'number', placeholder: 'No minimum' },
+    max: { label: 'Maximum', input: 'number', placeholder: 'No maximum' },
+    step: { label: 'Step', input: 'number', placeholder: 'Any number' },
+    minDate: { label: 'Earliest Date', input: 'date', placeholder: 'e.g. today()' },
+    maxDate: { label: 'Latest Date', input: 'date', placeholder: 'e.g. today() + 30d' }
+};
+
+/**
+ * Check a pattern rule
+ * @param {string} pattern - The regular expression
+ * @returns {string|null} Why it is not a valid regular expression, or null
+ */
+function getPatternError(pattern) {
+    try {
+        new RegExp(pattern);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * QuestionValidationEditor Component
+ *
+ * Edits the rules a question's answers must meet: whether it must be
+ * answered, and depending on the question type the length and pattern of a
+ * text answer, the range and step of a number, or the earliest and latest
+ * date (as date expressions, evaluated when the question is answered). Each
+ * rule can have its own error message, shown instead of the default one when
+ * an answer breaks it.
+ *
+ * The issue panel checks the rules before an answer is submitted and the
+ * backend checks them again.
+ *
+ * @param {Object} data - The question node data
+ * @param {Function} onChange - Called with an object of updated node data properties
+ */
+function QuestionValidationEditor({ data, onChange }) {
+    const validation = data.validation || {};
+    const messages = validation.messages || {};
+    const rules = typeRules[data.questionType] || [];
+    const isSingleChoice = data.questionType === 'single';
+    const isRequired = isSingleChoice || validation.required !== false;
+
+    /**
+     * Set a rule, dropping it when it is cleared
+     * @param {string} rule - The rule name
+     * @param {any} value - The rule's value ('' or undefined to clear it)
+     */
+    const handleRuleChange = (rule, value) => {
+        const { [rule]: _previous, ...rest } = validation;
+        onChange({
+            validation: value === '' || value === undefined ? rest : { ...rest, [rule]: value }
+        });
+    };
+
+    /**
+     * Set the error message of a rule, dropping it when it is cleared
+     * @param {string} rule - The rule name
+     * @param {string} message - The custom error message
+     */
+    const handleMessageChange = (rule, message) => {
+        const { [rule]: _previous, ...rest } = messages;
+        onChange({
+            validation: { ...validation, messages: message === '' ? rest : { ...rest, [rule]: message } }
+        });
+    };
+
+    /**
+     * Render the custom error message input of a rule
+     * @param {string} rule - The rule name
+     */
+    const renderMessageInput = (rule) => (
+        <Box paddingBlockStart="space.050">
+            <Textfield
+                id={`question-validation-${rule}-message`}
+                value={messages[rule] || ''}
+                onChange={(e) => handleMessageChange(rule, e.target.value)}
+                placeholder="Error message (optional)"
+                aria-label={`${rule} error message`}
+            />
+        </Box>
+    );
+
+    /**
+     * Render the input of a rule
+     * @param {string} rule - The rule name
+     */
+    const renderRuleInput = (rule) => {
+        const setting = ruleSettings[rule];
+        const value = validation[rule];
+
+        switch (setting.input) {
+            case 'date':
+                return (
+                    <DateExpressionInput
+                        value={value || ''}
+                        onChange={(expression) => handleRuleChange(rule, expression.trim())}
+                        label={setting.label}
+                        placeholder={setting.placeholder}
+                        testId={`question-validation-${rule}`}
+                    />
+                );
+
+            case 'pattern': {
+                const patternError = value ? getPatternError(value) : null;
+                return (
+                    <>
+                        <Textfield
+                            id={`question-validation-${rule}`}
+                            value={value || ''}
+                            onChange={(e) => handleRuleChange(rule, e.target.value)}
+                            placeholder={setting.placeholder}
+                            isInvalid={Boolean(patternError)}
+                        />
+                        {patternError ? (
+                            <div style={errorTextStyle}>{patternError}</div>
+                        ) : (
+                            <div style={helpTextStyle}>
+                                A regular expression the whole answer must match
+                            </div>
+                        )}
+                    </>
+                );
+            }
+
+            default:
+                return (
+                    <Textfield
+                        id={`question-validation-${rule}`}
+                        type="number"
+                        min={setting.min}
+                        value={value === undefined ? '' : value}
+                        onChange={(e) => handleRuleChange(rule, e.target.value === '' ? undefined : Number(e.target.value))}
+                        placeholder={setting.placeholder}
+                    />
+                );
+        }
+    };
+
+    return (
+        <Stack space="space.200">
+            {/* Required */}
+            <Box>
+                <label htmlFor="question-validation-required" style={labelStyle}>
+                    Answer
+                </label>
+                <Select
+                    inputId="question-validation-required"
+                    options={requiredOptions}
+                    value={requiredOptions.find(opt => opt.value === isRequired)}
+                    onChange={(option) => handleRuleChange('required', option.value ? undefined : false)}
+                    isDisabled={isSingleChoice}
+                />
+                {isSingleChoice && (
+                    <div style={helpTextStyle}>
+                        Single choice questions are always required, as the answer chooses the path
+                    </div>
+                )}
+                {isRequired && renderMessageInput('required')}
+            </Box>
+
+            {/* Rules of the question type */}
+            {rules.map(rule => (
+                <Box key={rule}>
+                    <label htmlFor={`question-validation-${rule}`} style={labelStyle}>
+                        {ruleSettings[rule].label}
+                    </label>
+                    {renderRuleInput(rule)}
+                    {validation[rule] !== undefined && renderMessageInput(rule)}
+                </Box>
+            ))}
+
+            {data.questionType === 'date' && (
+                <div style={helpTextStyle}>
+                    Date limits are evaluated when the question is answered, e.g. today() + 1d for tomorrow onwards
+                </div>
+            )}
+        </Stack>
+    );
+}
+
+export default QuestionValidationEditor;
@@ -0,0 +1,178 @@
+import { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+import Select from '@atlaskit/select';
+import Textfield from '@atlaskit/textfield';
+import SectionMessage from '@atlaskit/section-message';
+import { Box, Stack } from '@atlaskit/primitives';
+import { token } from '@atlaskit/tokens';
+import { getSubflowOutcomes, findFlowsRunning } from '../utils/subflows.js';
+
+const labelStyle = {
+    display: 'block',
+    marginBottom: token('space.050'),
+    fontWeight: 'bold',
+    fontSize: '12px'
+};
+
+const helpTextStyle = {
+    fontSize: '11px',
+    color: token('color.text.subtlest'),
+    marginTop: token('space.050')
+};
+
+/**
+ * SubflowEditor Component
+ *
+ * Edits a sub-flow node: its label and the flow it runs. Only published
+ * flows can be run, and flows that run the flow being edited (directly or
+ * through other flows) are not offered, as the flow would run itself.
+ *
+ * The name and outcomes of the selected flow are copied onto the node so the
+ * canvas can show a handle per outcome; they are refreshed whenever the node
+ * is edited.
+ *
+ * @param {Object} data - The sub-flow node data
+ * @param {Function} onChange - Called with an object of updated node data properties
+ * @param {string} flowId - The ID of the flow being edited (null until it is first saved)
+ */
+function SubflowEditor({ data, onChange, flowId = null }) {
+    const [flows, setFlows] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [loadError, setLoadError] = useState(null);
+
+    /**
+     * Load the flows that can be run
+     */
+    useEffect(() => {
+        const loadFlows = async () => {
+            setIsLoading(true);
+            setLoadError(null);
+            try {
+                const result = await invoke('getFlows');
+                if (result && result.error) {
+                    throw new Error(result.error);
+                }
+                setFlows(result || []);
+            } catch (error) {
+                console.error('Error loading flows:', error);
+                setLoadError(error.message || 'Failed to load flows');
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadFlows();
+    }, []);
+
+    const selectedFlow = flows.find(flow => flow.id === data.subflowId) || null;
+
+    /**
+     * Refresh the copied name and outcomes when the selected flow has changed since
+     * Runs again whenever they change, but only calls onChange while they differ from the flow.
+     */
+    useEffect(() => {
+        if (!selectedFlow) {
+            return;
+        }
+        const outcomes = getSubflowOutcomes(selectedFlow);
+        if (selectedFlow.name !== data.subflowName || JSON.stringify(outcomes) !== JSON.stringify(data.outcomes || [])) {
+            onChange({ subflowName: selectedFlow.name, outcomes });
+        }
+    }, [selectedFlow, data.subflowName, data.outcomes, onChange]);
+
+    // Flows that run this flow would end up running themselves
+    const excludedFlowIds = findFlowsRunning(flows, flowId);
+    const flowOptions = flows
+        .filter(flow => !excludedFlowIds.has(flow.id))
+        .map(flow => ({
+            label: flow.status === 'draft' ? `${flow.name} (not published)` : flow.name,
+            value: flow.id,
+            isDisabled: flow.status === 'draft'
+        }));
+
+    const selectedOption = data.subflowId
+        ? flowOptions.find(option => option.value === data.subflowId) || { label: data.subflowName || data.subflowId, value: data.subflowId }
+        : null;
+
+    /**
+     * Select the flow to run
+     * @param {Object} option - The selected flow option
+     */
+    const handleFlowChange = (option) => {
+        const flow = flows.find(candidate => candidate.id === option.value);
+        onChange({
+            subflowId: option.value,
+            subflowName: flow ? flow.name : option.label,
+            outcomes: flow ? getSubflowOutcomes(flow) : []
+        });
+    };
+
+    const outcomes = data.outcomes || [];
+
+    return (
+        <Stack space="space.200">
+            {/* Label */}
+            <Box>
+                <label htmlFor="subflow-label" style={labelStyle}>
+                    Label
+                </label>
+                <Textfield
+                    id="subflow-label"
+                    value={data.label || ''}
+                    onChange={(e) => onChange({ label: e.target.value })}
+                    placeholder="Sub-flow"
+                />
+            </Box>
+
+            {/* Flow to run */}
+            <Box>
+                <label htmlFor="subflow-flow" style={labelStyle}>
+                    Flow to Run *
+                </label>
+                <Select
+                    inputId="subflow-flow"
+                    options={flowOptions}
+                    value={selectedOption}
+                    onChange={handleFlowChange}
+                    isLoading={isLoading}
+                    placeholder="Select a flow"
+                    noOptionsMessage={() => 'No other flows can be run from this flow'}
+                />
+                <div style={helpTextStyle}>
+                    The flow runs at its latest published version when the issue reaches this node. Flows that
+                    run this flow are not listed.
+                </div>
+            </Box>
+
+            {loadError && (
+                <SectionMessage appearance="warning">
+                    <p>Could not load the flows: {loadError}</p>
+                </SectionMessage>
+            )}
+
+            {/* Outcomes of the selected flow */}
+            {data.subflowId && (
+                <Box>
+                    <label style={labelStyle}>
+                        Outcomes
+                    </label>
+                    {outcomes.length === 0 ? (
+                        <div style={helpTextStyle}>The selected flow has no node it can end on.</div>
+                    ) : (
+                        <ul style={{ margin: 0, paddingLeft: token('space.200'), fontSize: '12px' }}>
+                            {outcomes.map(outcome => (
+                                <li key={outcome.nodeId}>{outcome.label}</li>
+                            ))}
+                        </ul>
+                    )}
+                    <div style={helpTextStyle}>
+                        Connect an outcome&apos;s handle to branch when the flow ends on that node. Other outcomes take
+                        the default handle; without it, this flow ends with the sub-flow.
+                    </div>
+                </Box>
+            )}
+        </Stack>
+    );
+}
+
+export default SubflowEditor;
@@ -0,0 +1,198 @@
+/**
+ * TemplateInput Component
+ *
+ * A text input for action values that can contain `{{ }}` template
+ * placeholders. Typing `{{` opens a list of the variables available in the
+ * flow (question answers, issue fields and the current user); picking one
+ * inserts the complete placeholder. The list can be used with the mouse or
+ * with the arrow keys, Enter and Escape.
+ */
+
+import { useState, useEffect, useRef, useMemo } from 'react';
+import Textfield from '@atlaskit/textfield';
+import TextArea from '@atlaskit/textarea';
+import { Box, Stack } from '@atlaskit/primitives';
+import { token } from '@atlaskit/tokens';
+import {
+    getTemplateVariables,
+    findTemplateQuery,
+    filterTemplateVariables,
+    insertTemplateVariable,
+    TEMPLATE_FILTER_EXAMPLES
+} from '../utils/templateVariables.js';
+
+/**
+ * TemplateInput Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.id - ID of the input element
+ * @param {string} props.value - Current value
+ * @param {Function} props.onChange - Callback when value changes (receives new value string)
+ * @param {Array} props.flowNodes - All nodes in the flow (for answer variables)
+ * @param {Array} props.jiraFields - Jira field options (for issue variables)
+ * @param {string} [props.placeholder] - Placeholder text
+ * @param {boolean} [props.isMultiline] - Render a TextArea instead of a Textfield
+ * @param {number} [props.minimumRows] - Minimum rows for multiline inputs
+ */
+export default function TemplateInput({
+    id,
+    value = '',
+    onChange,
+    flowNodes = [],
+    jiraFields = [],
+    placeholder,
+    isMultiline = false,
+    minimumRows = 4
+}) {
+    const inputRef = useRef(null);
+
+    // Cursor position, used to find the placeholder being typed
+    const [cursor, setCursor] = useState(null);
+    const [highlightedIndex, setHighlightedIndex] = useState(0);
+    const [isDismissed, setIsDismissed] = useState(false);
+
+    // Cursor position to restore after a variable is inserted
+    const [pendingCursor, setPendingCursor] = useState(null);
+
+    const variables = useMemo(
+        () => getTemplateVariables(flowNodes, jiraFields),
+        [flowNodes, jiraFields]
+    );
+
+    const templateQuery = cursor === null ? null : findTemplateQuery(value, cursor);
+    const suggestions = templateQuery && !isDismissed
+        ? filterTemplateVariables(variables, templateQuery.query)
+        : [];
+
+    // Restore the cursor after inserting a variable
+    useEffect(() => {
+        if (pendingCursor !== null && inputRef.current) {
+            inputRef.current.focus();
+            inputRef.current.setSelectionRange(pendingCursor, pendingCursor);
+            setCursor(pendingCursor);
+            setPendingCursor(null);
+        }
+    }, [pendingCursor]);
+
+    /**
+     * Track the cursor position as the user types or moves around
+     * @param {Object} e - Input event
+     */
+    const updateCursor = (e) => {
+        setCursor(e.target.selectionStart);
+    };
+
+    /**
+     * Handle typing in the input
+     * @param {Object} e - Change event
+     */
+    const handleChange = (e) => {
+        onChange(e.target.value);
+        setCursor(e.target.selectionStart);
+        setHighlightedIndex(0);
+        setIsDismissed(false);
+    };
+
+    /**
+     * Insert the chosen variable in place of the placeholder being typed
+     * @param {Object} variable - The variable to insert
+     */
+    const selectVariable = (variable) => {
+        const result = insertTemplateVariable(value, cursor, templateQuery, variable.value);
+        onChange(result.text);
+        setPendingCursor(result.cursor);
+    };
+
+    /**
+     * Keyboard navigation of the suggestion list
+     * @param {Object} e - Keyboard event
+     */
+    const handleKeyDown = (e) => {
+        if (suggestions.length === 0) {
+            return;
+        }
+
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setHighlightedIndex((highlightedIndex + 1) % suggestions.length);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setHighlightedIndex((highlightedIndex - 1 + suggestions.length) % suggestions.length);
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            selectVariable(suggestions[Math.min(highlightedIndex, suggestions.length - 1)]);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            setIsDismissed(true);
+        }
+    };
+
+    const inputProps = {
+        id,
+        ref: inputRef,
+        value: value || '',
+        onChange: handleChange,
+        onKeyDown: handleKeyDown,
+        onKeyUp: updateCursor,
+        onClick: updateCursor,
+        onBlur: () => setIsDismissed(true),
+        onFocus: () => setIsDismissed(false),
+        placeholder
+    };
+
+    return (
+        <Stack space="space.050">
+            {isMultiline
+                ? <TextArea {...inputProps} resize="auto" minimumRows={minimumRows} />
+                : <Textfield {...inputProps} />}
+
+            {/* Variable suggestions */}
+            {suggestions.length > 0 && (
+                <Box
+                    role="listbox"
+                    aria-label="Template variables"
+                    style={{
+                        backgroundColor: token('elevation.surface.overlay'),
+                        boxShadow: token('elevation.shadow.overlay'),
+                        borderRadius: token('border.radius'),
+                        maxHeight: '200px',
+                        overflowY: 'auto'
+                    }}
+                >
+                    {suggestions.map((variable, index) => (
+                        <div
+                            key={variable.value}
+                            role="option"
+                            aria-selected={index === highlightedIndex}
+                            // Use mousedown so the choice is made before the input loses focus
+                            onMouseDown={(e) => {
+                                e.preventDefault();
+                                selectVariable(variable);
+                            }}
+                            onMouseEnter={() => setHighlightedIndex(index)}
+                            style={{
+                                padding: `${token('space.050')} ${token('space.100')}`,
+                                cursor: 'pointer',
+                                backgroundColor: index === highlightedIndex
+                                    ? token('color.background.neutral.subtle.hovered')
+                                    : 'transparent'
+                            }}
+                        >
+                            <div style={{ fontSize: '12px' }}>{variable.label}</div>
+                            <div style={{ fontSize: '11px', color: token('color.text.subtlest'), fontFamily: 'monospace' }}>
+                                {`{{${variable.value}}}`}
+                            </div>
+                        </div>
+                    ))}
+                </Box>
+            )}
+
+            <div style={{
+                fontSize: '11px',
+                color: token('color.text.subtlest')
+            }}>
+                Type {'{{'} to insert an answer, issue field or user. Filters: {TEMPLATE_FILTER_EXAMPLES.join(', ')}
+            </div>
+        </Stack>
+    );
+}
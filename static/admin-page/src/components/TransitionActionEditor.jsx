@@ -0,0 +1,158 @@
+import { useState, useEffect } from 'react';
+import Select from '@atlaskit/select';
+import SectionMessage from '@atlaskit/section-message';
+import { Box, Stack } from '@atlaskit/primitives';
+import { token } from '@atlaskit/tokens';
+import FieldValueListEditor from './FieldValueListEditor.jsx';
+import { getTransitionsForProjects } from '../utils/workflowTransitions.js';
+
+const labelStyle = {
+    display: 'block',
+    marginBottom: token('space.050'),
+    fontWeight: 'bold',
+    fontSize: '12px'
+};
+
+const helpTextStyle = {
+    fontSize: '11px',
+    color: token('color.text.subtlest'),
+    marginTop: token('space.050')
+};
+
+/**
+ * TransitionActionEditor Component
+ *
+ * Edits a Transition Issue action: the workflow transition to perform,
+ * chosen from the workflows of the flow's bound projects, and optional
+ * values for fields on the transition screen. Screen field values accept
+ * `{{ }}` template variables, and JSON for object values such as
+ * `{"name": "Fixed"}` for a resolution.
+ *
+ * @param {Object} data - The action node data
+ * @param {Function} onChange - Called with an object of updated node data properties
+ * @param {Array} projectKeys - The flow's bound project keys
+ * @param {Array} jiraFields - Jira field options for the field Select
+ * @param {boolean} isLoadingFields - Whether Jira fields are still loading
+ * @param {Array} flowNodes - All nodes in the flow (for template variables)
+ */
+function TransitionActionEditor({ data, onChange, projectKeys = [], jiraFields, isLoadingFields, flowNodes }) {
+    const [transitionOptions, setTransitionOptions] = useState([]);
+    const [isLoadingTransitions, setIsLoadingTransitions] = useState(false);
+    const [transitionLoadError, setTransitionLoadError] = useState(null);
+
+    const projectKeysParam = projectKeys.join(',');
+
+    /**
+     * Fetch the transitions of the bound projects' workflows
+     */
+    useEffect(() => {
+        let isCancelled = false;
+
+        const fetchTransitions = async () => {
+            setIsLoadingTransitions(true);
+            setTransitionLoadError(null);
+            try {
+                const options = await getTransitionsForProjects(projectKeysParam ? projectKeysParam.split(',') : []);
+                if (!isCancelled) {
+                    setTransitionOptions(options);
+                }
+            } catch (error) {
+                console.error('Error fetching workflow transitions:', error);
+                if (!isCancelled) {
+                    setTransitionLoadError(error.message || 'Failed to load workflow transitions');
+                    setTransitionOptions([]);
+                }
+            } finally {
+                if (!isCancelled) {
+                    setIsLoadingTransitions(false);
+                }
+            }
+        };
+
+        fetchTransitions();
+
+        return () => {
+            isCancelled = true;
+        };
+    }, [projectKeysParam]);
+
+    const transitionFields = data.transitionFields || [];
+
+    // Match the saved transition by workflow and ID, falling back to ID only
+    const selectedTransition =
+        transitionOptions.find(opt => opt.workflowName === data.workflowName && opt.transitionId === data.transitionId) ||
+        transitionOptions.find(opt => opt.transitionId === data.transitionId) ||
+        (data.transitionId
+            ? { value: data.transitionId, label: `${data.transitionName || data.transitionId} → ${data.toStatusName || '?'}` }
+            : null);
+
+    /**
+     * Select a transition
+     * @param {Object|null} option - The chosen transition option
+     */
+    const handleTransitionChange = (option) => {
+        onChange({
+            transitionId: option ? option.transitionId : '',
+            transitionName: option ? option.transitionName : '',
+            toStatusName: option ? option.toStatusName : '',
+            workflowName: option ? option.workflowName : ''
+        });
+    };
+
+    return (
+        <Stack space="space.200">
+            {projectKeys.length === 0 && (
+                <SectionMessage appearance="warning">
+                    <p>Bind the flow to at least one project in Flow Settings to list its workflow transitions.</p>
+                </SectionMessage>
+            )}
+
+            {transitionLoadError && (
+                <SectionMessage appearance="error" title="Error loading transitions">
+                    <p>{transitionLoadError}</p>
+                </SectionMessage>
+            )}
+
+            {/* Transition */}
+            <Box>
+                <label htmlFor="action-transition" style={labelStyle}>
+                    Transition *
+                </label>
+                <Select
+                    inputId="action-transition"
+                    options={transitionOptions}
+                    value={selectedTransition}
+                    onChange={handleTransitionChange}
+                    placeholder={isLoadingTransitions ? 'Loading transitions...' : 'Select a transition'}
+                    isLoading={isLoadingTransitions}
+                    isSearchable={true}
+                    isClearable={true}
+                />
+                <div style={helpTextStyle}>
+                    The workflow transition to perform. If the issue's workflow uses a different ID,
+                    the transition with the same name and target status is used.
+                </div>
+            </Box>
+
+            {/* Transition screen fields */}
+            <Box>
+                <label style={labelStyle}>Screen Fields</label>
+                <FieldValueListEditor
+                    idPrefix="transition-field"
+                    fields={transitionFields}
+                    onChange={(fields) => onChange({ transitionFields: fields })}
+                    jiraFields={jiraFields}
+                    isLoadingFields={isLoadingFields}
+                    flowNodes={flowNodes}
+                    addLabel="Add screen field"
+                    valuePlaceholder='e.g., {"name": "Fixed"}'
+                />
+                <div style={helpTextStyle}>
+                    Fields must be on the transition screen. Use JSON for object values, e.g. {'{"name": "Fixed"}'} for a resolution.
+                </div>
+            </Box>
+        </Stack>
+    );
+}
+
+export default TransitionActionEditor;
@@ -0,0 +1,78 @@
+import { useState, useEffect } from 'react';
+import { requestJira } from '@forge/bridge';
+import { AsyncSelect } from '@atlaskit/select';
+
+/**
+ * Search Jira users for Select options
+ * @param {string} query - Search text
+ * @returns {Promise<Array>} Options: { label, value: accountId }
+ */
+async function searchUsers(query) {
+    const response = await requestJira(
+        `/rest/api/3/user/search?maxResults=20&query=${encodeURIComponent(query || '')}`
+    );
+
+    if (!response.ok) {
+        throw new Error(`Failed to search users: ${response.status} ${response.statusText}`);
+    }
+
+    const users = await response.json();
+    return users
+        .filter(user => user.accountType === 'atlassian')
+        .map(user => ({ label: user.displayName, value: user.accountId }));
+}
+
+/**
+ * UserSelect Component
+ *
+ * A searchable picker of Jira users. Values are account IDs; display names
+ * are passed in alongside them so saved selections can be shown without
+ * looking the users up again.
+ *
+ * @param {string} inputId - ID of the input element
+ * @param {Object|Array|null} value - Selected option(s): { label: displayName, value: accountId }
+ * @param {Function} onChange - Called with the selected option(s)
+ * @param {boolean} isMulti - Allow selecting several users
+ * @param {string} placeholder - Placeholder text
+ */
+function UserSelect({ inputId, value, onChange, isMulti = false, placeholder = 'Search for a user' }) {
+    const [defaultOptions, setDefaultOptions] = useState([]);
+
+    /**
+     * Load an initial list of users so the menu is not empty before typing
+     */
+    useEffect(() => {
+        searchUsers('')
+            .then(setDefaultOptions)
+            .catch(error => console.error('Error loading users:', error));
+    }, []);
+
+    /**
+     * Load options for the text typed so far
+     * @param {string} inputValue - Search text
+     * @returns {Promise<Array>} Options
+     */
+    const loadOptions = async (inputValue) => {
+        try {
+            return await searchUsers(inputValue);
+        } catch (error) {
+            console.error('Error searching users:', error);
+            return [];
+        }
+    };
+
+    return (
+        <AsyncSelect
+            inputId={inputId}
+            defaultOptions={defaultOptions}
+            loadOptions={loadOptions}
+            value={value}
+            onChange={onChange}
+            isMulti={isMulti}
+            isClearable={true}
+            placeholder={placeholder}
+        />
+    );
+}
+
+export default UserSelect;
@@ -0,0 +1,128 @@
+import Select from '@atlaskit/select';
+import { Box, Stack } from '@atlaskit/primitives';
+import { token } from '@atlaskit/tokens';
+import UserSelect from './UserSelect.jsx';
+import GroupSelect from './GroupSelect.jsx';
+
+const labelStyle = {
+    display: 'block',
+    marginBottom: token('space.050'),
+    fontWeight: 'bold',
+    fontSize: '12px'
+};
+
+const helpTextStyle = {
+    fontSize: '11px',
+    color: token('color.text.subtlest'),
+    marginTop: token('space.050')
+};
+
+// Where the watchers come from
+const watcherSourceOptions = [
+    { label: 'Specific users', value: 'user' },
+    { label: 'Users selected in a question', value: 'answer' },
+    { label: 'Members of a group', value: 'group' }
+];
+
+/**
+ * WatchersActionEditor Component
+ *
+ * Edits an Add Watchers action: where the watchers come from and, depending
+ * on the source, the users, the question whose answer selects them, or the
+ * group whose members are added.
+ *
+ * @param {Object} data - The action node data
+ * @param {Function} onChange - Called with an object of updated node data properties
+ * @param {Array} flowNodes - All nodes in the flow (for question selection)
+ */
+function WatchersActionEditor({ data, onChange, flowNodes = [] }) {
+    const watcherSource = data.watcherSource || 'user';
+
+    const questionOptions = flowNodes
+        .filter(node => node.type === 'question')
+        .map(node => ({ label: node.data.question || `Question ${node.id}`, value: node.id }));
+
+    return (
+        <Stack space="space.200">
+            {/* Watcher Source */}
+            <Box>
+                <label htmlFor="action-watcher-source" style={labelStyle}>
+                    Add *
+                </label>
+                <Select
+                    inputId="action-watcher-source"
+                    options={watcherSourceOptions}
+                    value={watcherSourceOptions.find(opt => opt.value === watcherSource)}
+                    onChange={(option) => onChange({ watcherSource: option.value })}
+                />
+            </Box>
+
+            {watcherSource === 'user' && (
+                <Box>
+                    <label htmlFor="action-watchers" style={labelStyle}>
+                        Users *
+                    </label>
+                    <UserSelect
+                        inputId="action-watchers"
+                        isMulti={true}
+                        placeholder="Search for users"
+                        value={(data.watchers || []).map(user => ({
+                            label: user.displayName || user.accountId,
+                            value: user.accountId
+                        }))}
+                        onChange={(options) => onChange({
+                            watchers: (options || []).map(option => ({
+                                accountId: option.value,
+                                displayName: option.label
+                            }))
+                        })}
+                    />
+                </Box>
+            )}
+
+            {watcherSource === 'answer' && (
+                <Box>
+                    <label htmlFor="action-watcher-question" style={labelStyle}>
+                        Question *
+                    </label>
+                    <Select
+                        inputId="action-watcher-question"
+                        options={questionOptions}
+                        value={questionOptions.find(opt => opt.value === data.watcherQuestionNodeId)}
+                        onChange={(option) => onChange({ watcherQuestionNodeId: option ? option.value : '' })}
+                        placeholder="Select a question"
+                        isClearable={true}
+                    />
+                    <div style={helpTextStyle}>
+                        The question whose answer is the user (or users) to add
+                    </div>
+                </Box>
+            )}
+
+            {watcherSource === 'group' && (
+                <Box>
+                    <label htmlFor="action-watcher-group" style={labelStyle}>
+                        Group *
+                    </label>
+                    <GroupSelect
+                        inputId="action-watcher-group"
+                        value={data.groupId ? { label: data.groupName || data.groupId, value: data.groupId } : null}
+                        onChange={(option) => onChange({
+                            groupId: option ? option.value : '',
+                            groupName: option ? option.label : ''
+                        })}
+                    />
+                    <div style={helpTextStyle}>
+                        Active members are added when the action runs. Groups with more than 100 members are rejected.
+                    </div>
+                </Box>
+            )}
+
+            <div style={helpTextStyle}>
+                Users who already watch the issue are left as they are
+            </div>
+        </Stack>
+    );
+}
+
+export default WatchersActionEditor;
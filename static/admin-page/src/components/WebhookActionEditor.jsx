@@ -0,0 +1,270 @@
+import { useState } from 'react';
+import { invoke } from '@forge/bridge';
+import Button, { IconButton } from '@atlaskit/button/new';
+import Textfield from '@atlaskit/textfield';
+import SectionMessage from '@atlaskit/section-message';
+import { Box, Stack, Flex } from '@atlaskit/primitives';
+import { token } from '@atlaskit/tokens';
+import CrossIcon from '@atlaskit/icon/core/cross';
+import TemplateInput from './TemplateInput.jsx';
+
+const labelStyle = {
+    display: 'block',
+    marginBottom: token('space.050'),
+    fontWeight: 'bold',
+    fontSize: '12px'
+};
+
+const helpTextStyle = {
+    fontSize: '11px',
+    color: token('color.text.subtlest'),
+    marginTop: token('space.050')
+};
+
+// Delivery settings; the limits match WEBHOOK_LIMITS in src/engine/webhooks.js
+const deliverySettings = [
+    { key: 'timeoutMs', label: 'Timeout (ms)', min: 1000, max: 10000, placeholder: '5000' },
+    { key: 'maxRetries', label: 'Retries', min: 0, max: 3, placeholder: '2' },
+    { key: 'retryDelayMs', label: 'First Retry Delay (ms)', min: 0, max: 5000, placeholder: '1000' }
+];
+
+/**
+ * WebhookActionEditor Component
+ *
+ * Edits a Webhook action: the URL the JSON payload is POSTed to, the outcome
+ * it reports, extra request headers, an optional HMAC signing secret, and the
+ * timeout and retry settings. The URL, outcome and header values accept
+ * `{{ }}` template variables.
+ *
+ * The signing secret is saved straight to secret storage through the
+ * setWebhookSecret resolver; the node only records `hasSigningSecret`.
+ *
+ * @param {Object} data - The action node data
+ * @param {Function} onChange - Called with an object of updated node data properties
+ * @param {Array} jiraFields - Jira field options (for template variables)
+ * @param {Array} flowNodes - All nodes in the flow (for template variables)
+ * @param {string} flowId - The flow ID (null until the flow is first saved)
+ * @param {string} nodeId - The webhook action node ID
+ */
+function WebhookActionEditor({ data, onChange, jiraFields, flowNodes, flowId, nodeId }) {
+    const [secret, setSecret] = useState('');
+    const [isSavingSecret, setIsSavingSecret] = useState(false);
+    const [secretError, setSecretError] = useState(null);
+
+    const headers = data.webhookHeaders || [];
+
+    /**
+     * Update one header row
+     * @param {number} index - Row index
+     * @param {Object} updates - Properties to update
+     */
+    const updateHeader = (index, updates) => {
+        onChange({
+            webhookHeaders: headers.map((header, headerIndex) =>
+                headerIndex === index ? { ...header, ...updates } : header
+            )
+        });
+    };
+
+    /**
+     * Save or remove the signing secret
+     * @param {string} value - The secret (empty to remove it)
+     */
+    const saveSecret = async (value) => {
+        setIsSavingSecret(true);
+        setSecretError(null);
+
+        try {
+            const result = await invoke('setWebhookSecret', { flowId, nodeId, secret: value });
+            if (result.error) {
+                throw new Error(result.error);
+            }
+            onChange({ hasSigningSecret: result.hasSigningSecret });
+            setSecret('');
+        } catch (error) {
+            console.error('Error saving webhook secret:', error);
+            setSecretError(error.message || 'Failed to save the signing secret');
+        } finally {
+            setIsSavingSecret(false);
+        }
+    };
+
+    return (
+        <Stack space="space.200">
+            {/* URL */}
+            <Box>
+                <label htmlFor="action-webhook-url" style={labelStyle}>
+                    URL *
+                </label>
+                <TemplateInput
+                    id="action-webhook-url"
+                    value={data.webhookUrl || ''}
+                    onChange={(value) => onChange({ webhookUrl: value })}
+                    flowNodes={flowNodes}
+                    jiraFields={jiraFields}
+                    placeholder="https://example.com/hooks/decision"
+                />
+                <div style={helpTextStyle}>
+                    The host must be allowed under permissions.external.fetch in the app manifest; flows that call other hosts
+                    cannot be published
+                </div>
+            </Box>
+
+            {/* Outcome */}
+            <Box>
+                <label htmlFor="action-webhook-outcome" style={labelStyle}>
+                    Outcome
+                </label>
+                <TemplateInput
+                    id="action-webhook-outcome"
+                    value={data.webhookOutcome || ''}
+                    onChange={(value) => onChange({ webhookOutcome: value })}
+                    flowNodes={flowNodes}
+                    jiraFields={jiraFields}
+                    placeholder="e.g., approved"
+                />
+                <div style={helpTextStyle}>
+                    Sent as "outcome" with the flow, issue key, answers and path. Defaults to the node label.
+                </div>
+            </Box>
+
+            {/* Headers */}
+            <Box>
+                <label style={labelStyle}>Headers</label>
+                <Stack space="space.100">
+                    {headers.map((header, index) => (
+                        <Box
+                            key={index}
+                            style={{
+                                padding: token('space.100'),
+                                border: `${token('border.width')} solid ${token('color.border')}`,
+                                borderRadius: token('border.radius')
+                            }}
+                        >
+                            <Stack space="space.100">
+                                <Flex gap="space.050" alignItems="center">
+                                    <Box style={{ flex: 1 }}>
+                                        <Textfield
+                                            id={`webhook-header-name-${index}`}
+                                            value={header.name || ''}
+                                            onChange={(e) => updateHeader(index, { name: e.target.value.trim() })}
+                                            placeholder="Header name"
+                                            isCompact={true}
+                                        />
+                                    </Box>
+                                    <IconButton
+                                        icon={CrossIcon}
+                                        label="Remove header"
+                                        appearance="subtle"
+                                        spacing="compact"
+                                        onClick={() => onChange({
+                                            webhookHeaders: headers.filter((_, headerIndex) => headerIndex !== index)
+                                        })}
+                                    />
+                                </Flex>
+                                <TemplateInput
+                                    id={`webhook-header-value-${index}`}
+                                    value={header.value || ''}
+                                    onChange={(value) => updateHeader(index, { value })}
+                                    flowNodes={flowNodes}
+                                    jiraFields={jiraFields}
+                                    placeholder="Header value"
+                                />
+                            </Stack>
+                        </Box>
+                    ))}
+                    <Box>
+                        <Button
+                            appearance="default"
+                            spacing="compact"
+                            onClick={() => onChange({ webhookHeaders: [...headers, { name: '', value: '' }] })}
+                        >
+                            Add header
+                        </Button>
+                    </Box>
+                </Stack>
+                <div style={helpTextStyle}>
+                    Header values are stored in the flow, which users running it can read. Use the signing
+                    secret rather than putting credentials in headers.
+                </div>
+            </Box>
+
+            {/* Signing secret */}
+            <Box>
+                <label htmlFor="action-webhook-secret" style={labelStyle}>
+                    Signing Secret
+                </label>
+                {flowId ? (
+                    <Stack space="space.100">
+                        <Flex gap="space.050" alignItems="center">
+                            <Box style={{ flex: 1 }}>
+                                <Textfield
+                                    id="action-webhook-secret"
+                                    type="password"
+                                    value={secret}
+                                    onChange={(e) => setSecret(e.target.value)}
+                                    placeholder={data.hasSigningSecret ? 'A secret is set' : 'Enter a secret'}
+                                    isCompact={true}
+                                />
+                            </Box>
+                            <Button
+                                appearance="primary"
+                                spacing="compact"
+                                isDisabled={!secret || isSavingSecret}
+                                onClick={() => saveSecret(secret)}
+                            >
+                                {data.hasSigningSecret ? 'Replace' : 'Set'}
+                            </Button>
+                            {data.hasSigningSecret && (
+                                <Button
+                                    appearance="subtle"
+                                    spacing="compact"
+                                    isDisabled={isSavingSecret}
+                                    onClick={() => saveSecret('')}
+                                >
+                                    Remove
+                                </Button>
+                            )}
+                        </Flex>
+                        {secretError && (
+                            <SectionMessage appearance="error">
+                                <p>{secretError}</p>
+                            </SectionMessage>
+                        )}
+                    </Stack>
+                ) : (
+                    <div style={helpTextStyle}>Save the flow to set a signing secret</div>
+                )}
+                <div style={helpTextStyle}>
+                    Requests are signed with X-Decision-Flow-Signature: sha256=HMAC(secret, "timestamp.body"),
+                    using the X-Decision-Flow-Timestamp header. The secret is saved immediately.
+                </div>
+            </Box>
+
+            {/* Delivery */}
+            {deliverySettings.map(setting => (
+                <Box key={setting.key}>
+                    <label htmlFor={`action-webhook-${setting.key}`} style={labelStyle}>
+                        {setting.label}
+                    </label>
+                    <Textfield
+                        id={`action-webhook-${setting.key}`}
+                        type="number"
+                        min={setting.min}
+                        max={setting.max}
+                        value={data[setting.key] === undefined ? '' : data[setting.key]}
+                        onChange={(e) => onChange({
+                            [setting.key]: e.target.value === '' ? undefined : Number(e.target.value)
+                        })}
+                        placeholder={setting.placeholder}
+                    />
+                </Box>
+            ))}
+            <div style={helpTextStyle}>
+                Timeouts, network errors, 429 and 5xx responses are retried, doubling the delay each time
+            </div>
+        </Stack>
+    );
+}
+
+export default WebhookActionEditor;
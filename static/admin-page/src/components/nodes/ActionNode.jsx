@@ -21,6 +21,7 @@ import { evaluateDateExpression } from '../../utils/dateExpressionEvaluator.js';
  * Handles:
  * - One target handle at the top for incoming connections
  * - One source handle at the bottom (for chaining multiple actions or terminal node)
+ * - One error handle on the right, followed instead when the action fails (optional)
  * 
  * Features:
  * - Uses Atlaskit design tokens for consistent theming
@@ -32,13 +33,22 @@ import { evaluateDateExpression } from '../../utils/dateExpressionEvaluator.js';
  * - setField: Update a Jira field with a specific value
  * - addLabel: Add a label to the Jira issue
  * - addComment: Add a comment to the Jira issue
+ * - transitionIssue: Move the Jira issue through a workflow transition
+ * - assignIssue: Assign the Jira issue to a fixed, answer-selected or role-based user
+ * - createIssue: Create a subtask, a linked issue or an issue in another project
+ * - linkIssue: Link the Jira issue to issues given by key, answer or JQL
+ * - addWatchers: Add users, answer-selected users or group members as watchers
+ * - webhook: POST the flow's answers, path and outcome to an external URL
  * 
  * @param {Object} data - Node data containing action configuration
- * @param {string} data.actionType - Type of action (setField, addLabel, addComment)
+ * @param {string} data.actionType - Type of action (setField, addLabel, addComment, transitionIssue, assignIssue, createIssue, linkIssue, addWatchers, webhook)
  * @param {string} data.fieldKey - Field key for setField action
  * @param {any} data.fieldValue - Field value for setField action
  * @param {string} data.label - Label text for addLabel action
  * @param {string} data.comment - Comment text for addComment action
+ * @param {string} data.transitionName - Transition name for transitionIssue action
+ * @param {string} data.toStatusName - Target status name for transitionIssue action
+ * @param {boolean} data.requireConfirmation - Whether the action waits for the user to confirm it
  * @param {boolean} isConnectable - Whether the node can be connected to other nodes
  */
 function ActionNode({ data, isConnectable }) {
@@ -53,7 +63,43 @@ function ActionNode({ data, isConnectable }) {
     const actionTypeLabels = {
         setField: 'Set Field',
         addLabel: 'Add Label',
-        addComment: 'Add Comment'
+        addComment: 'Add Comment',
+        transitionIssue: 'Transition',
+        assignIssue: 'Assign',
+        createIssue: 'Create',
+        linkIssue: 'Link',
+        addWatchers: 'Watch',
+        webhook: 'Webhook'
+    };
+
+    // Describe where a Link Issue action's issues come from
+    const linkTargetSummaries = {
+        static: () => data.targetIssueKey,
+        answer: () => 'the issue chosen in a question',
+        jql: () => 'issues matching JQL'
+    };
+
+    // Describe where an Add Watchers action's users come from
+    const watcherSummaries = {
+        user: () => (data.watchers || []).map(user => user.displayName).join(', '),
+        answer: () => 'the users chosen in a question',
+        group: () => data.groupName && `members of ${data.groupName}`
+    };
+
+    // Describe what a Create Issue action creates
+    const createModeSummaries = {
+        subtask: 'subtask',
+        linked: 'linked issue',
+        project: 'issue'
+    };
+
+    // Describe where an Assign Issue action's assignee comes from
+    const assigneeSummaries = {
+        user: () => data.assigneeDisplayName || 'a user',
+        answer: () => 'the user chosen in a question',
+        currentUser: () => 'the user running the flow',
+        projectLead: () => 'the project lead',
+        componentLead: () => (data.componentName ? `the ${data.componentName} component lead` : 'the component lead')
     };
 
     /**
@@ -118,6 +164,38 @@ function ActionNode({ data, isConnectable }) {
                 return comment 
                     ? `Add comment: "${comment.substring(0, 30)}${comment.length > 30 ? '...' : ''}"`
                     : 'Configure comment';
+            case 'transitionIssue':
+                return data.transitionId
+                    ? `${data.transitionName || 'Transition'} → ${data.toStatusName || '?'}`
+                    : 'Configure transition';
+            case 'assignIssue': {
+                const summarizeAssignee = assigneeSummaries[data.assigneeSource || 'user'];
+                return summarizeAssignee ? `Assign to ${summarizeAssignee()}` : 'Configure assignee';
+            }
+            case 'createIssue': {
+                if (!data.summary) {
+                    return 'Configure new issue';
+                }
+                const createMode = data.createMode || 'subtask';
+                const target = createMode === 'project' && data.targetProjectKey ? ` in ${data.targetProjectKey}` : '';
+                return `Create ${createModeSummaries[createMode] || 'issue'}${target}: "${data.summary}"`;
+            }
+            case 'linkIssue': {
+                const summarizeTarget = linkTargetSummaries[data.targetSource || 'static'];
+                const target = summarizeTarget && summarizeTarget();
+                return data.linkTypeName && target
+                    ? `Link (${data.linkTypeName}, ${data.linkDirection || 'outward'}) to ${target}`
+                    : 'Configure link';
+            }
+            case 'addWatchers': {
+                const summarizeWatchers = watcherSummaries[data.watcherSource || 'user'];
+                const watchers = summarizeWatchers && summarizeWatchers();
+                return watchers ? `Add watchers: ${watchers}` : 'Configure watchers';
+            }
+            case 'webhook':
+                return data.webhookUrl
+                    ? `POST to ${data.webhookUrl}${data.hasSigningSecret ? ' (signed)' : ''}`
+                    : 'Configure webhook';
             default:
                 return 'Configure action';
         }
@@ -181,6 +259,10 @@ function ActionNode({ data, isConnectable }) {
                 <Text size="small" opacity="0.8">{comment.length} characters</Text>
             )}
 
+            {data.requireConfirmation && (
+                <Text size="small" opacity="0.8">Waits for confirmation</Text>
+            )}
+
             {/* Source handle at the bottom for outgoing connections (optional chaining) */}
             <Handle
                 type="source"
@@ -194,6 +276,37 @@ function ActionNode({ data, isConnectable }) {
                     height: '4px',
                 }}
             />
+
+            {/* Error handle on the right, followed when the action fails */}
+            <Handle
+                type="source"
+                position={Position.Right}
+                id="error"
+                isConnectable={isConnectable}
+                style={{
+                    background: token('color.background.danger.bold'),
+                    border: `2px solid ${token('color.border.danger')}`,
+                    width: '4px',
+                    height: '4px',
+                }}
+            />
+
+            {/* Label for error handle */}
+            <div style={{
+                position: 'absolute',
+                left: '100%',
+                top: '50%',
+                transform: 'translate(6px, -50%)',
+                fontSize: '10px',
+                fontWeight: 'bold',
+                color: token('color.text.danger'),
+                backgroundColor: token('elevation.surface'),
+                padding: '0px 4px',
+                borderRadius: '3px',
+                border: `1px solid ${token('color.border.danger')}`,
+            }}>
+                error
+            </div>
         </div>
     );
 }
@@ -4,6 +4,7 @@ import { token } from '@atlaskit/tokens';
 import { Text } from '@atlaskit/primitives';
 import { validateDateExpression } from '../../utils/dateExpressionValidator.js';
 import { evaluateDateExpression } from '../../utils/dateExpressionEvaluator.js';
+import { getConditionTree, summarizeCondition, summarizeConditionTree } from '../../utils/conditionGroups.js';
 
 /**
  * LogicNode Component
@@ -14,7 +15,7 @@ import { evaluateDateExpression } from '../../utils/dateExpressionEvaluator.js';
  * 
  * Visual Design:
  * - Purple diamond shape with lightning bolt icon
- * - Displays condition summary (e.g., "status equals Done")
+ * - Displays condition summary (e.g., "status = Done AND NOT (priority = Low OR labels is empty)")
  * - Two source handles for true/false paths
  * 
  * Handles:
@@ -37,31 +38,15 @@ import { evaluateDateExpression } from '../../utils/dateExpressionEvaluator.js';
  * - isNotEmpty: Field value is not empty or null
  * 
  * @param {Object} data - Node data containing logic configuration
- * @param {string} data.fieldKey - Jira field key to evaluate (e.g., 'status', 'priority')
- * @param {string} data.operator - Comparison operator
- * @param {any} data.expectedValue - Value to compare against
+ * @param {Object} data.conditionGroup - Condition tree of AND/OR/NOT groups (see utils/conditionGroups.js)
+ * @param {string} data.fieldKey - Legacy single-condition Jira field key (e.g., 'status', 'priority')
+ * @param {string} data.operator - Legacy single-condition comparison operator
+ * @param {any} data.expectedValue - Legacy single-condition value to compare against
  * @param {boolean} isConnectable - Whether the node can be connected to other nodes
  */
 function LogicNode({ data, isConnectable }) {
-    // Extract logic configuration with defaults
-    const fieldKey = data.fieldKey || 'field';
-    const operator = data.operator || 'equals';
-    const expectedValue = data.expectedValue || '';
-
-    // Map operators to human-readable labels
-    const operatorLabels = {
-        equals: '=',
-        notEquals: '≠',
-        contains: 'contains',
-        greaterThan: '>',
-        lessThan: '<',
-        isEmpty: 'is empty',
-        isNotEmpty: 'is not empty'
-    };
-
-    // Extract value source configuration
-    const valueSource = data.valueSource || 'static';
-    const questionNodeId = data.questionNodeId;
+    // Condition tree (legacy single-condition nodes are read as a one-condition group)
+    const conditionTree = getConditionTree(data);
 
     /**
      * Check if a value is a date expression
@@ -107,21 +92,11 @@ function LogicNode({ data, isConnectable }) {
         return value;
     };
 
-    // Build condition summary text
-    const conditionSummary = () => {
-        if (operator === 'isEmpty' || operator === 'isNotEmpty') {
-            return `${fieldKey} ${operatorLabels[operator]}`;
-        }
-        
-        // If using question answer, show that instead of static value
-        if (valueSource === 'question' && questionNodeId) {
-            return `${fieldKey} ${operatorLabels[operator]} [Answer from Question]`;
-        }
-        
-        // Use the display value which includes date expression preview
-        const displayValue = getDisplayValue(expectedValue);
-        return `${fieldKey} ${operatorLabels[operator]} ${displayValue}`;
-    };
+    // Build condition summary text for the whole tree
+    const conditionSummary = () => summarizeConditionTree(
+        conditionTree,
+        (condition) => summarizeCondition(condition, getDisplayValue)
+    );
 
     return (
         <div
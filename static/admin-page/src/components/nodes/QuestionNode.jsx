@@ -3,6 +3,8 @@ import { Handle, Position } from '@xyflow/react';
 import { token } from '@atlaskit/tokens';
 import Lozenge from '@atlaskit/lozenge';
 import { Text } from '@atlaskit/primitives';
+import { ROUTED_QUESTION_TYPES, summarizeQuestionRoute } from '../../utils/questionRoutes.js';
+import { getQuestionOptions, questionOptionHandle } from '../../utils/questionOptions.js';
 
 /**
  * QuestionNode Component
@@ -19,6 +21,8 @@ import { Text } from '@atlaskit/primitives';
  * Handles:
  * - One target handle at the top for incoming connections
  * - For single choice questions: Multiple source handles (one per option) for branching paths
+ * - For multiple choice, number and date questions with routes: One source handle per route (`route-{routeId}`),
+ *   in route order, plus the "otherwise" handle (`source`) for answers that match no route
  * - For other question types: One source handle at the bottom for outgoing connections
  * 
  * Features:
@@ -29,28 +33,44 @@ import { Text } from '@atlaskit/primitives';
  * 
  * @param {Object} data - Node data containing question configuration
  * @param {string} data.question - The question text to display to users
- * @param {string} data.questionType - Type of question (single, multiple, date, number)
- * @param {string[]} data.options - Answer options for single/multiple choice questions
+ * @param {string} data.questionType - Type of question (single, multiple, date, number, text, longtext, user, issue)
+ * @param {Object[]} data.options - Answer options for single/multiple choice questions: { id, label, value }
+ * @param {Array} data.routes - Ordered routes of multiple choice, number and date questions: [{ id, label, ...rule }]
  * @param {boolean} isConnectable - Whether the node can be connected to other nodes
  */
 function QuestionNode({ data, isConnectable }) {
     // Extract question data with defaults
     const question = data.question || 'Enter your question';
     const questionType = data.questionType || 'single';
-    const options = data.options || [];
+    const options = getQuestionOptions(data);
 
     // Map question types to display labels
     const questionTypeLabels = {
         single: 'Single Choice',
         multiple: 'Multiple Choice',
         date: 'Date',
-        number: 'Number'
+        number: 'Number',
+        text: 'Text',
+        longtext: 'Long Text',
+        user: 'User',
+        issue: 'Issue'
     };
 
     // For single choice questions with options, we'll create multiple source handles
     // Each handle corresponds to one option for branching logic
     const shouldShowMultipleHandles = questionType === 'single' && options.length > 0;
 
+    // Routes plus the otherwise branch, in handle order (none for questions without routes)
+    const routes = ROUTED_QUESTION_TYPES.includes(questionType) ? (data.routes || []) : [];
+    const branches = routes.length === 0 ? [] : [
+        ...routes.map((route, index) => ({
+            handleId: `route-${route.id}`,
+            label: route.label || `Route ${index + 1}`,
+            isDefault: false
+        })),
+        { handleId: 'source', label: 'otherwise', isDefault: true }
+    ];
+
     return (
         <div
             style={{
@@ -59,8 +79,9 @@ function QuestionNode({ data, isConnectable }) {
                 border: `1px solid ${token('color.border.information')}`,
                 borderRadius: '5%',
                 padding: '8px',
-                minWidth: '180px',
-                maxWidth: '250px',
+                paddingBottom: branches.length > 0 ? '20px' : '8px',
+                minWidth: `${Math.max(180, branches.length * 60)}px`,
+                maxWidth: `${Math.max(250, branches.length * 70)}px`,
                 boxShadow: token('elevation.shadow.raised'),
                 cursor: 'grab',
             }}
@@ -114,9 +135,9 @@ function QuestionNode({ data, isConnectable }) {
                         flexWrap: 'wrap',
                         gap: '4px'
                     }}>
-                        {options.slice(0, 3).map((option, index) => (
-                            <Lozenge key={index} appearance="default">
-                                {option}
+                        {options.slice(0, 3).map(option => (
+                            <Lozenge key={option.id} appearance="default">
+                                {option.label}
                             </Lozenge>
                         ))}
                         {options.length > 3 && (
@@ -128,8 +149,64 @@ function QuestionNode({ data, isConnectable }) {
                 </div>
             )}
 
-            {/* Source handles - multiple for single choice with options, single for others */}
-            {shouldShowMultipleHandles ? (
+            {/* Routes in evaluation order */}
+            {routes.length > 0 && (
+                <div style={{ marginTop: '8px', lineHeight: '1.2' }}>
+                    {routes.map((route, index) => (
+                        <div key={route.id} style={{ wordWrap: 'break-word', marginBottom: '2px' }}>
+                            <Text size="small">
+                                {index + 1}. <strong>{route.label || `Route ${index + 1}`}</strong>
+                                {`: ${summarizeQuestionRoute(questionType, route, options)}`}
+                            </Text>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {/* Source handles - one per option for single choice, one per route plus otherwise for routed questions,
+                single for others */}
+            {branches.length > 0 ? (
+                // One handle per route plus the otherwise handle, evenly distributed along the bottom
+                branches.map((branch, index) => {
+                    const leftPercent = ((index + 1) / (branches.length + 1)) * 100;
+                    const color = branch.isDefault ? 'color.border' : 'color.border.information';
+
+                    return (
+                        <div key={branch.handleId}>
+                            <Handle
+                                type="source"
+                                position={Position.Bottom}
+                                id={branch.handleId}
+                                isConnectable={isConnectable}
+                                style={{
+                                    background: token('color.background.inverse.subtle'),
+                                    border: `2px solid ${token(color)}`,
+                                    width: '4px',
+                                    height: '4px',
+                                    left: `${leftPercent}%`,
+                                }}
+                                title={branch.label}
+                            />
+                            <div style={{
+                                position: 'absolute',
+                                left: `${leftPercent}%`,
+                                bottom: '4px',
+                                transform: 'translateX(-50%)',
+                                maxWidth: '60px',
+                                overflow: 'hidden',
+                                textOverflow: 'ellipsis',
+                                whiteSpace: 'nowrap',
+                                fontSize: '10px',
+                                fontWeight: 'bold',
+                                fontStyle: branch.isDefault ? 'italic' : 'normal',
+                                color: token('color.text.subtle'),
+                            }}>
+                                {branch.label}
+                            </div>
+                        </div>
+                    );
+                })
+            ) : shouldShowMultipleHandles ? (
                 // Multiple handles for single choice questions - one per option
                 // These are positioned along the bottom edge, evenly distributed
                 options.map((option, index) => {
@@ -140,10 +217,10 @@ function QuestionNode({ data, isConnectable }) {
                     
                     return (
                         <Handle
-                            key={`option-${index}`}
+                            key={option.id}
                             type="source"
                             position={Position.Bottom}
-                            id={`option-${index}`}
+                            id={questionOptionHandle(option.id)}
                             isConnectable={isConnectable}
                             style={{
                                 background: token('color.background.inverse.subtle'),
@@ -154,7 +231,7 @@ function QuestionNode({ data, isConnectable }) {
                                 top: '96%',
                                 transform: 'translateX(-50%)',
                             }}
-                            title={option} // Tooltip showing which option this handle represents
+                            title={option.label} // Tooltip showing which option this handle represents
                         />
                     );
                 })
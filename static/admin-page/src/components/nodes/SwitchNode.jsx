@@ -0,0 +1,138 @@
+import { memo } from 'react';
+import { Handle, Position } from '@xyflow/react';
+import { token } from '@atlaskit/tokens';
+import { Text } from '@atlaskit/primitives';
+import { summarizeCondition, summarizeConditionTree } from '../../utils/conditionGroups.js';
+
+/**
+ * SwitchNode Component
+ * 
+ * Represents a multi-way branch. Each case holds its own condition; cases are
+ * evaluated in order during flow execution and the first matching case's path
+ * is taken. When no case matches, the default path is taken.
+ * 
+ * Visual Design:
+ * - Teal rounded rectangle with a branching icon
+ * - Lists the cases in evaluation order with a condition summary
+ * 
+ * Handles:
+ * - One target handle at the top for incoming connections
+ * - One source handle per case (`case-{caseId}`), in case order along the bottom edge
+ * - A mandatory "default" source handle at the bottom right
+ * 
+ * @param {Object} data - Node data containing switch configuration
+ * @param {Array} data.cases - Ordered cases: [{ id, label, conditionGroup }]
+ * @param {boolean} isConnectable - Whether the node can be connected to other nodes
+ */
+function SwitchNode({ data, isConnectable }) {
+    const cases = data.cases || [];
+
+    // Cases plus the default branch, in handle order
+    const branches = [
+        ...cases.map((switchCase, index) => ({
+            handleId: `case-${switchCase.id}`,
+            label: switchCase.label || `Case ${index + 1}`,
+            isDefault: false
+        })),
+        { handleId: 'default', label: 'default', isDefault: true }
+    ];
+
+    return (
+        <div
+            style={{
+                backgroundColor: token('color.background.accent.teal.subtlest'),
+                border: `1px solid ${token('color.border.accent.teal')}`,
+                borderRadius: '5%',
+                padding: '8px',
+                paddingBottom: '20px',
+                minWidth: `${Math.max(180, branches.length * 60)}px`,
+                maxWidth: `${Math.max(250, branches.length * 70)}px`,
+                boxShadow: token('elevation.shadow.raised'),
+                cursor: 'grab',
+            }}
+        >
+            {/* Target handle at the top for incoming connections */}
+            <Handle
+                type="target"
+                position={Position.Top}
+                id="target"
+                isConnectable={isConnectable}
+                style={{
+                    background: token('color.background.inverse.subtle'),
+                    border: `2px solid ${token('color.border.accent.teal')}`,
+                    width: '4px',
+                    height: '4px',
+                }}
+            />
+
+            {/* Node header */}
+            <div style={{ marginBottom: '4px' }}>
+                <Text size="small" weight="bold">🔀 {data.label || 'Switch'}</Text>
+            </div>
+
+            {/* Cases in evaluation order */}
+            <div style={{ lineHeight: '1.2' }}>
+                {cases.length === 0 ? (
+                    <Text size="small" color="color.text.subtlest">No cases configured</Text>
+                ) : (
+                    cases.map((switchCase, index) => (
+                        <div key={switchCase.id} style={{ wordWrap: 'break-word', marginBottom: '2px' }}>
+                            <Text size="small">
+                                {index + 1}. <strong>{switchCase.label || `Case ${index + 1}`}</strong>
+                                {switchCase.conditionGroup && `: ${summarizeConditionTree(
+                                    switchCase.conditionGroup,
+                                    (condition) => summarizeCondition(condition)
+                                )}`}
+                            </Text>
+                        </div>
+                    ))
+                )}
+            </div>
+
+            {/* One source handle per case, plus the default handle, evenly distributed along the bottom */}
+            {branches.map((branch, index) => {
+                const leftPercent = ((index + 1) / (branches.length + 1)) * 100;
+                const color = branch.isDefault ? 'color.border' : 'color.border.accent.teal';
+
+                return (
+                    <div key={branch.handleId}>
+                        <Handle
+                            type="source"
+                            position={Position.Bottom}
+                            id={branch.handleId}
+                            isConnectable={isConnectable}
+                            style={{
+                                background: token('color.background.inverse.subtle'),
+                                border: `2px solid ${token(color)}`,
+                                width: '4px',
+                                height: '4px',
+                                left: `${leftPercent}%`,
+                            }}
+                            title={branch.label}
+                        />
+                        <div style={{
+                            position: 'absolute',
+                            left: `${leftPercent}%`,
+                            bottom: '4px',
+                            transform: 'translateX(-50%)',
+                            maxWidth: '60px',
+                            overflow: 'hidden',
+                            textOverflow: 'ellipsis',
+                            whiteSpace: 'nowrap',
+                            fontSize: '10px',
+                            fontWeight: 'bold',
+                            fontStyle: branch.isDefault ? 'italic' : 'normal',
+                            color: token('color.text.subtle'),
+                        }}>
+                            {branch.label}
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+// Memoize the component to prevent unnecessary re-renders
+// This is important for performance in large flows
+export default memo(SwitchNode);
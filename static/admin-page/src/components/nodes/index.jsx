@@ -10,17 +10,21 @@
  * - QuestionNode: User input node (blue rectangle with question preview)
  * - LogicNode: Conditional branching node (purple diamond with condition)
  * - ActionNode: Jira action node (orange rectangle with action details)
+ * - SwitchNode: Multi-way branching node (teal rectangle with ordered cases and a default path)
+ * - SubflowNode: Runs another flow inline (magenta rectangle with a handle per outcome of that flow)
  * 
  * Usage:
  * Import these components and register them with ReactFlow using the nodeTypes prop:
  * 
- * import { StartNode, QuestionNode, LogicNode, ActionNode } from './components/nodes';
+ * import { StartNode, QuestionNode, LogicNode, ActionNode, SwitchNode, SubflowNode } from './components/nodes';
  * 
  * const nodeTypes = {
  *   start: StartNode,
  *   question: QuestionNode,
  *   logic: LogicNode,
- *   action: ActionNode
+ *   action: ActionNode,
+ *   switch: SwitchNode,
+ *   subflow: SubflowNode
  * };
  * 
  * <ReactFlow nodeTypes={nodeTypes} ... />
@@ -30,3 +34,5 @@ export { default as StartNode } from './StartNode.jsx';
 export { default as QuestionNode } from './QuestionNode.jsx';
 export { default as LogicNode } from './LogicNode.jsx';
 export { default as ActionNode } from './ActionNode.jsx';
+export { default as SwitchNode } from './SwitchNode.jsx';
+export { default as SubflowNode } from './SubflowNode.jsx';
@@ -0,0 +1,223 @@
+/**
+ * Condition Group Utilities
+ *
+ * Helpers for the condition trees held by logic nodes. A tree is made of
+ * AND/OR groups, which may be negated (NOT), and individual conditions:
+ *
+ * Group:     { type: 'group', id, combinator: 'and' | 'or', not: boolean, children: [...] }
+ * Condition: { type: 'condition', id, fieldKey, operator, expectedValue, valueSource?, questionNodeId? }
+ *            { type: 'condition', id, conditionType: 'jql', jql }
+ *
+ * The tree is stored on the node as `data.conditionGroup`. These helpers
+ * mirror src/engine/conditionGroups.js on the backend.
+ */
+
+/**
+ * Generate a unique ID for a condition or group
+ * @returns {string} UUID-like string
+ */
+function generateConditionId() {
+  return `cond-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Create an empty condition
+ * @returns {Object} New condition
+ */
+export function createCondition() {
+  return {
+    type: 'condition',
+    id: generateConditionId(),
+    fieldKey: '',
+    operator: 'equals',
+    expectedValue: '',
+    valueSource: 'static'
+  };
+}
+
+/**
+ * Create a condition group containing one empty condition
+ * @param {string} combinator - 'and' or 'or'
+ * @returns {Object} New group
+ */
+export function createConditionGroup(combinator = 'and') {
+  return {
+    type: 'group',
+    id: generateConditionId(),
+    combinator,
+    not: false,
+    children: [createCondition()]
+  };
+}
+
+/**
+ * Create a switch node case with one empty condition
+ * @param {string} label - The case label
+ * @returns {Object} New case: { id, label, conditionGroup }
+ */
+export function createSwitchCase(label) {
+  return {
+    id: generateConditionId(),
+    label,
+    conditionGroup: createConditionGroup('and')
+  };
+}
+
+/**
+ * Get the root condition group of a logic node
+ * Logic nodes saved before condition groups existed hold a single
+ * fieldKey/operator/expectedValue triple; those are read as a one-condition AND group.
+ * @param {Object} data - The logic node data
+ * @returns {Object} Root condition group
+ */
+export function getConditionTree(data) {
+  if (data.conditionGroup) {
+    return data.conditionGroup;
+  }
+
+  const { fieldKey, operator, expectedValue, valueSource, questionNodeId } = data;
+  return {
+    type: 'group',
+    id: 'root',
+    combinator: 'and',
+    not: false,
+    children: [{
+      type: 'condition',
+      id: 'condition-1',
+      fieldKey,
+      operator,
+      expectedValue,
+      valueSource,
+      questionNodeId
+    }]
+  };
+}
+
+/**
+ * List every condition in a tree, depth first
+ * @param {Object} tree - Condition group or condition
+ * @returns {Array} Conditions
+ */
+export function collectConditions(tree) {
+  if (!tree) {
+    return [];
+  }
+  if (tree.type !== 'group') {
+    return [tree];
+  }
+  return (tree.children || []).flatMap(collectConditions);
+}
+
+/**
+ * Get the only condition of a tree that is a plain single comparison
+ * @param {Object} tree - Root condition group
+ * @returns {Object|null} The condition, or null for compound or negated trees
+ */
+export function getSingleCondition(tree) {
+  const children = tree.children || [];
+  if (!tree.not && children.length === 1 && children[0].type === 'condition') {
+    return children[0];
+  }
+  return null;
+}
+
+// Short operator labels used in condition summaries
+const OPERATOR_LABELS = {
+  equals: '=',
+  notEquals: '≠',
+  contains: 'contains',
+  greaterThan: '>',
+  lessThan: '<',
+  isEmpty: 'is empty',
+  isNotEmpty: 'is not empty'
+};
+
+/**
+ * Build a short summary of a single condition, e.g. "priority = High"
+ * @param {Object} condition - The condition
+ * @param {Function} formatValue - Optional formatter for the expected value
+ * @returns {string} Summary text
+ */
+export function summarizeCondition(condition, formatValue = (value) => value) {
+  if (condition.conditionType === 'jql') {
+    return `matches JQL "${condition.jql || ''}"`;
+  }
+
+  const fieldKey = condition.fieldKey || 'field';
+  const operator = condition.operator || 'equals';
+  const operatorLabel = OPERATOR_LABELS[operator] || operator;
+
+  if (operator === 'isEmpty' || operator === 'isNotEmpty') {
+    return `${fieldKey} ${operatorLabel}`;
+  }
+
+  // If using question answer, show that instead of static value
+  if (condition.valueSource === 'question' && condition.questionNodeId) {
+    return `${fieldKey} ${operatorLabel} [Answer from Question]`;
+  }
+
+  return `${fieldKey} ${operatorLabel} ${formatValue(condition.expectedValue || '')}`;
+}
+
+/**
+ * Build a one-line summary of a condition tree,
+ * e.g. "priority = High AND NOT (duedate < endofweek() OR labels is empty)"
+ * @param {Object} tree - Condition group or condition
+ * @param {Function} summarizeCondition - (condition) => string
+ * @returns {string} Summary text
+ */
+export function summarizeConditionTree(tree, summarizeCondition) {
+  const summarize = (item, isNested) => {
+    if (item.type !== 'group') {
+      return summarizeCondition(item);
+    }
+
+    const parts = (item.children || []).map(child => summarize(child, true));
+    const joined = parts.join(item.combinator === 'or' ? ' OR ' : ' AND ');
+    const text = isNested && parts.length > 1 ? `(${joined})` : joined;
+    if (!item.not) {
+      return text;
+    }
+    return parts.length > 1 && !isNested ? `NOT (${text})` : `NOT ${text}`;
+  };
+
+  return summarize(tree, false);
+}
+
+/**
+ * Return a copy of a tree with one item replaced
+ * @param {Object} tree - Condition group or condition
+ * @param {string} itemId - ID of the item to replace
+ * @param {Function} updater - (item) => updated item
+ * @returns {Object} Updated tree
+ */
+export function updateConditionTreeItem(tree, itemId, updater) {
+  if (tree.id === itemId) {
+    return updater(tree);
+  }
+  if (tree.type !== 'group') {
+    return tree;
+  }
+  return {
+    ...tree,
+    children: tree.children.map(child => updateConditionTreeItem(child, itemId, updater))
+  };
+}
+
+/**
+ * Return a copy of a tree with one item removed
+ * @param {Object} tree - Root condition group
+ * @param {string} itemId - ID of the item to remove
+ * @returns {Object} Updated tree
+ */
+export function removeConditionTreeItem(tree, itemId) {
+  if (tree.type !== 'group') {
+    return tree;
+  }
+  return {
+    ...tree,
+    children: tree.children
+      .filter(child => child.id !== itemId)
+      .map(child => removeConditionTreeItem(child, itemId))
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * Issue Link Types Utility
+ *
+ * Lists the Jira issue link types as Select options for actions that link
+ * issues. Each link type is offered in both directions, described from the
+ * current issue's point of view: for "Blocks", "blocks" (outward) and
+ * "is blocked by" (inward).
+ */
+
+import { requestJira } from '@forge/bridge';
+
+/**
+ * Get the issue link options, two per link type
+ *
+ * @returns {Promise<Array<Object>>} Grouped link options
+ *
+ * Returns:
+ * [{
+ *   label: string,               // link type name
+ *   options: [{
+ *     value: string,             // {linkTypeName}:{direction}
+ *     label: string,             // e.g. "is blocked by"
+ *     linkTypeName: string,
+ *     linkDirection: string      // 'outward' or 'inward'
+ *   }]
+ * }]
+ */
+export async function getIssueLinkOptions() {
+  const response = await requestJira('/rest/api/3/issueLinkType', {
+    headers: {
+      'Accept': 'application/json'
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch issue link types: ${response.status} ${response.statusText}`);
+  }
+
+  const { issueLinkTypes = [] } = await response.json();
+
+  return issueLinkTypes
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(linkType => ({
+      label: linkType.name,
+      options: [
+        createLinkOption(linkType.name, 'outward', linkType.outward),
+        // Symmetric link types (e.g. "relates to") only need one option
+        ...(linkType.inward !== linkType.outward ? [createLinkOption(linkType.name, 'inward', linkType.inward)] : [])
+      ]
+    }));
+}
+
+/**
+ * Find the option for a saved link type and direction
+ * @param {Array<Object>} groupedOptions - Options from getIssueLinkOptions
+ * @param {string} linkTypeName - Saved link type name
+ * @param {string} linkDirection - Saved direction
+ * @returns {Object|null} The option, a placeholder option if the link type is not listed, or null if none is saved
+ */
+export function findIssueLinkOption(groupedOptions, linkTypeName, linkDirection = 'outward') {
+  if (!linkTypeName) {
+    return null;
+  }
+
+  const value = `${linkTypeName}:${linkDirection}`;
+  for (const group of groupedOptions) {
+    const option = group.options.find(opt => opt.value === value)
+      // Symmetric link types have no inward option
+      || group.options.find(opt => opt.linkTypeName === linkTypeName);
+    if (option) {
+      return option;
+    }
+  }
+
+  return createLinkOption(linkTypeName, linkDirection, `${linkTypeName} (${linkDirection})`);
+}
+
+/**
+ * Create a link option
+ * @param {string} linkTypeName - Link type name
+ * @param {string} linkDirection - 'outward' or 'inward'
+ * @param {string} label - The direction's description
+ * @returns {Object} Option
+ */
+function createLinkOption(linkTypeName, linkDirection, label) {
+  return {
+    value: `${linkTypeName}:${linkDirection}`,
+    label,
+    linkTypeName,
+    linkDirection
+  };
+}
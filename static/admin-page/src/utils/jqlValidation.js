@@ -0,0 +1,53 @@
+/**
+ * JQL Validation Utility
+ *
+ * Checks JQL queries used by logic node conditions with Jira's JQL parser,
+ * so syntax errors and unknown fields are reported while the flow is being
+ * designed rather than when it runs on an issue.
+ */
+
+import { requestJira } from '@forge/bridge';
+
+/**
+ * Validate a JQL query
+ *
+ * @param {string} jql - The JQL query
+ * @returns {Promise<Object>} Validation result
+ *
+ * Returns:
+ * {
+ *   valid: boolean,
+ *   errors: Array<string>,
+ *   warning?: string // set when the query could not be checked
+ * }
+ */
+export async function validateJql(jql) {
+  if (!jql || !jql.trim()) {
+    return { valid: false, errors: ['Enter a JQL query'] };
+  }
+
+  try {
+    const response = await requestJira('/rest/api/3/jql/parse?validation=strict', {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ queries: [jql] })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to validate JQL: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    const errors = (data.queries && data.queries[0] && data.queries[0].errors) || [];
+
+    return { valid: errors.length === 0, errors };
+  } catch (error) {
+    console.error('[JqlValidation] Error validating JQL:', error);
+
+    // Don't block the admin if Jira cannot be reached; the query is checked again when it runs
+    return { valid: true, errors: [], warning: error.message };
+  }
+}
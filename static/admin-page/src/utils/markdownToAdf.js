@@ -0,0 +1,388 @@
+/**
+ * Markdown to ADF Converter
+ *
+ * Converts the Markdown used to write comments and descriptions into
+ * Atlassian Document Format (ADF), the rich-text format of the Jira REST API.
+ *
+ * Supported syntax:
+ * - Headings (`#` to `######`), horizontal rules (`---`) and blockquotes (`>`)
+ * - Bullet (`-`, `*`, `+`) and ordered (`1.`) lists, nested by indentation
+ * - Fenced code blocks (```` ```lang ````) and inline `code`
+ * - **bold**, *italic* / _italic_, ~~strikethrough~~
+ * - Links (`[text](url)`) and bare http(s) URLs
+ * - Pipe tables with a `| --- |` separator line below the header row
+ * - User mentions written as `[~accountid:<accountId>]`
+ *
+ * Single line breaks inside a paragraph are kept as hard breaks. A backslash
+ * escapes a Markdown character.
+ */
+
+const FENCE_PATTERN = /^\s*```\s*([\w+#.-]*)\s*$/;
+const HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE_PATTERN = /^\s{0,3}>\s?(.*)$/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Inline syntax, tried in order at each position of the text
+const INLINE_RULES = [
+    { pattern: /\\([\\`*_~[\]()#>|!+.-])/y, toNodes: (match, marks) => [textNode(match[1], marks)] },
+    {
+        pattern: /`([^`]+)`/y,
+        // The code mark can only be combined with links
+        toNodes: (match, marks) => [textNode(match[1], [...marks.filter(mark => mark.type === 'link'), { type: 'code' }])]
+    },
+    { pattern: /\[~accountid:([^\]\s]+)\]/y, toNodes: (match) => [{ type: 'mention', attrs: { id: match[1] } }] },
+    {
+        pattern: /\[([^\]]+)\]\(([^)\s]+)\)/y,
+        toNodes: (match, marks) => parseInline(match[1], [...marks, { type: 'link', attrs: { href: match[2] } }])
+    },
+    { pattern: /\*\*(?=\S)(.+?)\*\*/y, toNodes: (match, marks) => parseInline(match[1], [...marks, { type: 'strong' }]) },
+    { pattern: /__(?=\S)(.+?)__/y, toNodes: (match, marks) => parseInline(match[1], [...marks, { type: 'strong' }]) },
+    { pattern: /~~(?=\S)(.+?)~~/y, toNodes: (match, marks) => parseInline(match[1], [...marks, { type: 'strike' }]) },
+    { pattern: /\*(?=\S)(.+?)\*/y, toNodes: (match, marks) => parseInline(match[1], [...marks, { type: 'em' }]) },
+    {
+        pattern: /(?<![\w])_(?=\S)(.+?)_(?![\w])/y,
+        toNodes: (match, marks) => parseInline(match[1], [...marks, { type: 'em' }])
+    },
+    {
+        pattern: /https?:\/\/[^\s<>()]+[^\s<>().,;:!?'"]/y,
+        toNodes: (match, marks) => [textNode(match[0], [...marks, { type: 'link', attrs: { href: match[0] } }])]
+    }
+];
+
+/**
+ * Convert Markdown to an ADF document
+ * @param {string} markdown - The Markdown text
+ * @returns {Object} ADF document
+ */
+export function markdownToAdf(markdown) {
+    const lines = String(markdown === null || markdown === undefined ? '' : markdown)
+        .replace(/\r\n?/g, '\n')
+        .split('\n');
+
+    return {
+        type: 'doc',
+        version: 1,
+        content: parseBlocks(lines)
+    };
+}
+
+/**
+ * Parse lines into ADF block nodes
+ * @param {Array<string>} lines - Markdown lines
+ * @returns {Array<Object>} Block nodes
+ */
+function parseBlocks(lines) {
+    const blocks = [];
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index];
+
+        if (line.trim() === '') {
+            index++;
+            continue;
+        }
+
+        const fence = FENCE_PATTERN.exec(line);
+        if (fence) {
+            const codeLines = [];
+            index++;
+            while (index < lines.length && !FENCE_PATTERN.test(lines[index])) {
+                codeLines.push(lines[index]);
+                index++;
+            }
+            index++; // Skip the closing fence
+            blocks.push(codeBlockNode(codeLines.join('\n'), fence[1]));
+            continue;
+        }
+
+        const heading = HEADING_PATTERN.exec(line);
+        if (heading) {
+            blocks.push({ type: 'heading', attrs: { level: heading[1].length }, content: parseInline(heading[2]) });
+            index++;
+            continue;
+        }
+
+        if (RULE_PATTERN.test(line)) {
+            blocks.push({ type: 'rule' });
+            index++;
+            continue;
+        }
+
+        if (QUOTE_PATTERN.test(line)) {
+            const quoteLines = [];
+            while (index < lines.length && QUOTE_PATTERN.test(lines[index])) {
+                quoteLines.push(QUOTE_PATTERN.exec(lines[index])[1]);
+                index++;
+            }
+            const content = parseBlocks(quoteLines);
+            if (content.length > 0) {
+                blocks.push({ type: 'blockquote', content });
+            }
+            continue;
+        }
+
+        if (isTableStart(lines, index)) {
+            const tableLines = [];
+            while (index < lines.length && lines[index].includes('|') && lines[index].trim() !== '') {
+                tableLines.push(lines[index]);
+                index++;
+            }
+            blocks.push(tableNode(tableLines));
+            continue;
+        }
+
+        const listItem = LIST_ITEM_PATTERN.exec(line);
+        if (listItem) {
+            const list = parseList(lines, index, listItem[1].length);
+            blocks.push(list.node);
+            index = list.nextIndex;
+            continue;
+        }
+
+        // Paragraph: consecutive lines up to a blank line or another block
+        const paragraphLines = [];
+        while (index < lines.length && lines[index].trim() !== '' && (paragraphLines.length === 0 || !startsBlock(lines, index))) {
+            paragraphLines.push(lines[index].trim());
+            index++;
+        }
+        blocks.push(paragraphNode(paragraphLines));
+    }
+
+    return blocks;
+}
+
+/**
+ * Check whether a line starts a block other than a paragraph
+ * @param {Array<string>} lines - Markdown lines
+ * @param {number} index - Line index
+ * @returns {boolean} True if the line ends a paragraph
+ */
+function startsBlock(lines, index) {
+    const line = lines[index];
+    return FENCE_PATTERN.test(line)
+        || HEADING_PATTERN.test(line)
+        || RULE_PATTERN.test(line)
+        || QUOTE_PATTERN.test(line)
+        || LIST_ITEM_PATTERN.test(line)
+        || isTableStart(lines, index);
+}
+
+/**
+ * Check whether a table starts at a line: a row followed by a separator line
+ * @param {Array<string>} lines - Markdown lines
+ * @param {number} index - Line index
+ * @returns {boolean} True if a table starts here
+ */
+function isTableStart(lines, index) {
+    return lines[index].includes('|')
+        && index + 1 < lines.length
+        && lines[index + 1].includes('-')
+        && TABLE_SEPARATOR_PATTERN.test(lines[index + 1]);
+}
+
+/**
+ * Parse a list starting at a line, including lists nested in its items
+ * @param {Array<string>} lines - Markdown lines
+ * @param {number} startIndex - Index of the first item
+ * @param {number} indent - Indentation of the list's items
+ * @returns {Object} `{ node, nextIndex }`
+ */
+function parseList(lines, startIndex, indent) {
+    const firstMarker = LIST_ITEM_PATTERN.exec(lines[startIndex])[2];
+    const isOrdered = /\d/.test(firstMarker);
+    const items = [];
+    let index = startIndex;
+
+    while (index < lines.length) {
+        const line = lines[index];
+        const match = LIST_ITEM_PATTERN.exec(line);
+
+        if (!match) {
+            // Indented lines continue the current item's text
+            if (items.length > 0 && line.trim() !== '' && indentOf(line) > indent) {
+                items[items.length - 1].lines.push(line.trim());
+                index++;
+                continue;
+            }
+            break;
+        }
+
+        const itemIndent = match[1].length;
+        if (itemIndent < indent) {
+            break;
+        }
+        if (itemIndent > indent && items.length > 0) {
+            const nested = parseList(lines, index, itemIndent);
+            items[items.length - 1].children.push(nested.node);
+            index = nested.nextIndex;
+            continue;
+        }
+        if (/\d/.test(match[2]) !== isOrdered) {
+            break;
+        }
+
+        items.push({ lines: [match[3].trim()], children: [] });
+        index++;
+    }
+
+    const node = {
+        type: isOrdered ? 'orderedList' : 'bulletList',
+        content: items.map(item => ({
+            type: 'listItem',
+            content: [paragraphNode(item.lines), ...item.children]
+        }))
+    };
+    if (isOrdered) {
+        node.attrs = { order: parseInt(firstMarker, 10) };
+    }
+
+    return { node, nextIndex: index };
+}
+
+/**
+ * Count the leading whitespace of a line (a tab counts as four spaces)
+ * @param {string} line - The line
+ * @returns {number} Indentation
+ */
+function indentOf(line) {
+    return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+}
+
+/**
+ * Build a table from its lines (header row, separator line, body rows)
+ * @param {Array<string>} tableLines - The table lines
+ * @returns {Object} ADF table node
+ */
+function tableNode(tableLines) {
+    const [headerLine, , ...bodyLines] = tableLines;
+    const headers = splitTableRow(headerLine);
+
+    const row = (cells, cellType) => ({
+        type: 'tableRow',
+        content: headers.map((_, cellIndex) => ({
+            type: cellType,
+            attrs: {},
+            content: [paragraphNode([cells[cellIndex] || ''])]
+        }))
+    });
+
+    return {
+        type: 'table',
+        attrs: { isNumberColumnEnabled: false, layout: 'default' },
+        content: [
+            row(headers, 'tableHeader'),
+            ...bodyLines.map(line => row(splitTableRow(line), 'tableCell'))
+        ]
+    };
+}
+
+/**
+ * Split a table row into cell texts, honouring escaped pipes
+ * @param {string} line - The table row
+ * @returns {Array<string>} Cell texts
+ */
+function splitTableRow(line) {
+    const trimmed = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+    return trimmed.split(/(?<!\\)\|/).map(cell => cell.trim());
+}
+
+/**
+ * Build a paragraph from lines, joined by hard breaks
+ * @param {Array<string>} paragraphLines - The lines
+ * @returns {Object} ADF paragraph node
+ */
+function paragraphNode(paragraphLines) {
+    const content = [];
+    paragraphLines.forEach((line, lineIndex) => {
+        if (lineIndex > 0) {
+            content.push({ type: 'hardBreak' });
+        }
+        content.push(...parseInline(line));
+    });
+    return { type: 'paragraph', content };
+}
+
+/**
+ * Build a code block
+ * @param {string} code - The code
+ * @param {string} language - Language name (optional)
+ * @returns {Object} ADF codeBlock node
+ */
+function codeBlockNode(code, language) {
+    const node = { type: 'codeBlock' };
+    if (language) {
+        node.attrs = { language };
+    }
+    if (code) {
+        node.content = [{ type: 'text', text: code }];
+    }
+    return node;
+}
+
+/**
+ * Parse inline Markdown into ADF inline nodes
+ * @param {string} text - The text
+ * @param {Array<Object>} marks - Marks applied to all of the text
+ * @returns {Array<Object>} Inline nodes
+ */
+function parseInline(text, marks = []) {
+    const nodes = [];
+    let plain = '';
+    let index = 0;
+
+    const flushPlain = () => {
+        if (plain) {
+            nodes.push(textNode(plain, marks));
+            plain = '';
+        }
+    };
+
+    while (index < text.length) {
+        let matched = false;
+
+        for (const rule of INLINE_RULES) {
+            rule.pattern.lastIndex = index;
+            const match = rule.pattern.exec(text);
+            if (match) {
+                flushPlain();
+                // Nested text is parsed with the same patterns, so take the end position first
+                index = match.index + match[0].length;
+                nodes.push(...rule.toNodes(match, marks));
+                matched = true;
+                break;
+            }
+        }
+
+        if (!matched) {
+            plain += text[index];
+            index++;
+        }
+    }
+
+    flushPlain();
+
+    // Join neighbouring text with the same marks (e.g. around escaped characters)
+    return nodes.reduce((merged, node) => {
+        const previous = merged[merged.length - 1];
+        if (previous && previous.type === 'text' && node.type === 'text'
+            && JSON.stringify(previous.marks) === JSON.stringify(node.marks)) {
+            previous.text += node.text;
+        } else {
+            merged.push(node);
+        }
+        return merged;
+    }, []);
+}
+
+/**
+ * Build a text node
+ * @param {string} text - The text
+ * @param {Array<Object>} marks - Marks to apply
+ * @returns {Object} ADF text node
+ */
+function textNode(text, marks = []) {
+    return marks.length > 0 ? { type: 'text', text, marks } : { type: 'text', text };
+}
@@ -0,0 +1,63 @@
+/**
+ * Question Option Utilities
+ *
+ * Helpers for the options of single and multiple choice questions, stored on
+ * the node as `data.options`. These mirror src/engine/questionOptions.js on
+ * the backend.
+ *
+ * Option: { id, label, value }
+ * - id     Never changes; keys the option's source handle (`option-{id}`) and
+ *          the multiple choice routes that refer to the option
+ * - label  What the issue panel shows
+ * - value  What is stored as the answer
+ *
+ * Options saved as plain strings (before option IDs) take their position as
+ * ID and their text as label and value.
+ */
+
+// Question types that have options
+export const CHOICE_QUESTION_TYPES = ['single', 'multiple'];
+
+/**
+ * Get the options of a question
+ * @param {Object} data - The question node data
+ * @returns {Array<Object>} Options: { id, label, value }
+ */
+export function getQuestionOptions(data) {
+  return ((data && data.options) || []).map((option, index) => (
+    option && typeof option === 'object'
+      ? option
+      : { id: String(index), label: String(option), value: String(option) }
+  ));
+}
+
+/**
+ * Build the source handle ID for a single choice option
+ * @param {string} optionId - The option ID
+ * @returns {string} Source handle ID
+ */
+export function questionOptionHandle(optionId) {
+  return `option-${optionId}`;
+}
+
+/**
+ * Check whether a source handle is one of a question's option handles
+ * @param {string|null} handle - The source handle ID
+ * @returns {boolean} True for option handles
+ */
+export function isQuestionOptionHandle(handle) {
+  return (handle || '').startsWith('option-');
+}
+
+/**
+ * Create an option
+ * @param {string} label - The option label, also used as its value
+ * @returns {Object} New option
+ */
+export function createQuestionOption(label) {
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    label,
+    value: label
+  };
+}
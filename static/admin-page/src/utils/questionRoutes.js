@@ -0,0 +1,110 @@
+/**
+ * Question Route Utilities
+ *
+ * Helpers for the routes of multiple choice, number and date questions,
+ * stored on the node as `data.routes`. Each route has its own source handle
+ * (`route-{routeId}`); answers that match no route take the question's
+ * default handle (`source`). These mirror src/engine/questionRoutes.js on
+ * the backend.
+ *
+ * Route: { id, label, match, options }  multiple: any or all of the options (by ID) picked
+ *        { id, label, min, max }         number: min <= answer < max
+ *        { id, label, operator, date }   date: compared by day with a date expression
+ */
+
+// Question types that can have routes
+export const ROUTED_QUESTION_TYPES = ['multiple', 'number', 'date'];
+
+// Source handle followed when no route matches
+export const QUESTION_DEFAULT_HANDLE = 'source';
+
+export const ROUTE_MATCH_OPTIONS = [
+  { label: 'Any of', value: 'any' },
+  { label: 'All of', value: 'all' }
+];
+
+export const ROUTE_DATE_OPERATOR_OPTIONS = [
+  { label: 'Before', value: 'before' },
+  { label: 'On or before', value: 'onOrBefore' },
+  { label: 'On', value: 'on' },
+  { label: 'On or after', value: 'onOrAfter' },
+  { label: 'After', value: 'after' }
+];
+
+/**
+ * Build the source handle ID for a question route
+ * @param {string} routeId - The route ID
+ * @returns {string} Source handle ID
+ */
+export function questionRouteHandle(routeId) {
+  return `route-${routeId}`;
+}
+
+/**
+ * Check whether a source handle is one of a question's route handles
+ * @param {string|null} handle - The source handle ID
+ * @returns {boolean} True for route handles
+ */
+export function isQuestionRouteHandle(handle) {
+  return (handle || '').startsWith('route-');
+}
+
+/**
+ * Create a route for a question type
+ * @param {string} questionType - 'multiple', 'number' or 'date'
+ * @param {string} label - The route label
+ * @returns {Object} New route
+ */
+export function createQuestionRoute(questionType, label) {
+  const route = {
+    id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    label
+  };
+
+  switch (questionType) {
+    case 'multiple':
+      return { ...route, match: 'any', options: [] };
+    case 'date':
+      return { ...route, operator: 'before', date: 'today()' };
+    default:
+      return route;
+  }
+}
+
+/**
+ * Summarize a route's rule for display
+ * @param {string} questionType - The question type
+ * @param {Object} route - The route
+ * @param {Array<Object>} options - The question's options, to show multiple choice routes by label
+ * @returns {string} e.g. `any of Bug, Task`, `10 to 20` or `before today() + 7d`
+ */
+export function summarizeQuestionRoute(questionType, route, options = []) {
+  const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+  switch (questionType) {
+    case 'multiple': {
+      const labels = (route.options || []).map(optionId => {
+        const option = options.find(item => item.id === optionId);
+        return option ? option.label : '(removed)';
+      });
+      return `${route.match === 'all' ? 'all' : 'any'} of ${labels.join(', ') || '(none)'}`;
+    }
+
+    case 'number':
+      if (isSet(route.min) && isSet(route.max)) {
+        return `${route.min} to under ${route.max}`;
+      }
+      if (isSet(route.min)) {
+        return `${route.min} or more`;
+      }
+      return isSet(route.max) ? `under ${route.max}` : '(no range)';
+
+    case 'date': {
+      const operator = ROUTE_DATE_OPERATOR_OPTIONS.find(option => option.value === route.operator);
+      return `${operator ? operator.label.toLowerCase() : '?'} ${route.date || '(no date)'}`;
+    }
+
+    default:
+      return '';
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * Sub-flow Utilities
+ *
+ * Helpers for sub-flow nodes, which run another published flow inline. A
+ * sub-flow node can branch on the node its sub-flow completed on (its
+ * outcome), and a flow may never run itself, directly or through other
+ * flows. The backend checks the same on save (src/engine/subflows.js).
+ */
+
+// Names of the action types, for outcomes that are actions without a label
+const actionTypeNames = {
+  setField: 'Set Field',
+  addLabel: 'Add Label',
+  addComment: 'Add Comment',
+  transitionIssue: 'Transition Issue',
+  assignIssue: 'Assign Issue',
+  createIssue: 'Create Issue',
+  linkIssue: 'Link Issue',
+  addWatchers: 'Add Watchers',
+  webhook: 'Webhook'
+};
+
+/**
+ * Build the source handle ID a sub-flow node follows for an outcome
+ * @param {string} nodeId - The node of the sub-flow the outcome is
+ * @returns {string} Source handle ID
+ */
+export function subflowOutcomeHandle(nodeId) {
+  return `outcome-${nodeId}`;
+}
+
+/**
+ * List the nodes a flow can complete on
+ * These are the nodes with nowhere to go next; an action whose only edge is its error branch
+ * completes the flow when it succeeds.
+ * @param {Object} flow - The flow definition
+ * @returns {Array} `[{ nodeId, label }]`
+ */
+export function getSubflowOutcomes(flow) {
+  const edges = flow.edges || [];
+  return (flow.nodes || [])
+    .filter(node => node.type !== 'start')
+    .filter(node => !edges.some(edge => edge.source === node.id && !(node.type === 'action' && edge.sourceHandle === 'error')))
+    .map(node => ({
+      nodeId: node.id,
+      label: node.data.label || node.data.question || actionTypeNames[node.data.actionType] || node.id
+    }));
+}
+
+/**
+ * Find the flows that run a flow, directly or through other flows
+ * A sub-flow node of the flow may not run any of them, as the flow would end up running itself.
+ * @param {Array} flows - All flows
+ * @param {string|null} flowId - The flow (null for a flow that has not been saved yet)
+ * @returns {Set<string>} IDs of the flows, including the flow itself
+ */
+export function findFlowsRunning(flows, flowId) {
+  const running = new Set(flowId ? [flowId] : []);
+  let added = running.size > 0;
+
+  while (added) {
+    added = false;
+    flows.forEach(flow => {
+      const runsOne = (flow.nodes || []).some(node => node.type === 'subflow' && running.has(node.data.subflowId));
+      if (runsOne && !running.has(flow.id)) {
+        running.add(flow.id);
+        added = true;
+      }
+    });
+  }
+
+  return running;
+}
@@ -0,0 +1,144 @@
+/**
+ * Template Variable Utilities
+ *
+ * Action values can contain `{{ }}` placeholders that are filled in when the
+ * action runs, e.g. `{{answers.<nodeId>}}`, `{{issue.summary}}` or
+ * `{{user.displayName}}` (or `{{created.<nodeId>}}` for the key of an issue
+ * created by a Create Issue action), optionally piped through filters such as
+ * `join:", "` or `date:"dd MMM yyyy"`. These helpers list the variables
+ * available in a flow and support autocompleting them while typing.
+ * Placeholders are resolved by src/engine/templates.js on the backend.
+ */
+
+// Issue variables offered before the full Jira field list
+const COMMON_ISSUE_VARIABLES = [
+  { value: 'issue.key', label: 'Issue key' },
+  { value: 'issue.summary', label: 'Issue summary' },
+  { value: 'issue.status.name', label: 'Issue status' },
+  { value: 'issue.priority.name', label: 'Issue priority' },
+  { value: 'issue.assignee.displayName', label: 'Issue assignee' },
+  { value: 'issue.reporter.displayName', label: 'Issue reporter' },
+  { value: 'issue.duedate', label: 'Issue due date' }
+];
+
+const USER_VARIABLES = [
+  { value: 'user.displayName', label: 'Current user name' },
+  { value: 'user.accountId', label: 'Current user account ID' },
+  { value: 'user.emailAddress', label: 'Current user email' }
+];
+
+// Filters shown in the help text
+export const TEMPLATE_FILTER_EXAMPLES = [
+  '| join:", "',
+  '| date:"dd MMM yyyy"',
+  '| default:"none"',
+  '| upper',
+  '| lower'
+];
+
+/**
+ * List the template variables available in a flow
+ * @param {Array} flowNodes - All nodes in the flow
+ * @param {Array} jiraFields - Jira field options ({ label, value })
+ * @returns {Array<Object>} Variables: { value, label, group }
+ */
+export function getTemplateVariables(flowNodes = [], jiraFields = []) {
+  const answerVariables = flowNodes
+    .filter(node => node.type === 'question')
+    .flatMap(node => {
+      const question = node.data.question || `Question ${node.id}`;
+      const variables = [{ value: `answers.${node.id}`, label: `Answer: ${question}`, group: 'Answers' }];
+
+      if (node.data.questionType === 'single' || node.data.questionType === 'multiple') {
+        variables.push({ value: `answers.${node.id}.label`, label: `Answer label: ${question}`, group: 'Answers' });
+      }
+      return variables;
+    });
+
+  if (answerVariables.length > 0) {
+    answerVariables.push({ value: 'answerTable', label: 'Table of all answers (Markdown)', group: 'Answers' });
+  }
+
+  const createdVariables = flowNodes
+    .filter(node => node.type === 'action' && node.data.actionType === 'createIssue')
+    .map(node => ({
+      value: `created.${node.id}`,
+      label: `Created issue: ${node.data.summary || node.data.label || node.id}`,
+      group: 'Created issues'
+    }));
+
+  const commonValues = new Set(COMMON_ISSUE_VARIABLES.map(variable => variable.value));
+  const fieldVariables = jiraFields
+    .map(field => ({ value: `issue.${field.value}`, label: field.label, group: 'Issue' }))
+    .filter(variable => !commonValues.has(variable.value));
+
+  return [
+    ...answerVariables,
+    ...COMMON_ISSUE_VARIABLES.map(variable => ({ ...variable, group: 'Issue' })),
+    ...USER_VARIABLES.map(variable => ({ ...variable, group: 'User' })),
+    ...createdVariables,
+    ...fieldVariables
+  ];
+}
+
+/**
+ * Find the placeholder being typed at the cursor
+ * @param {string} text - The input value
+ * @param {number} cursor - Cursor position
+ * @returns {Object|null} { start, query } where `start` is the index of the `{{`, or null
+ */
+export function findTemplateQuery(text, cursor) {
+  const beforeCursor = (text || '').slice(0, cursor);
+  const openIndex = beforeCursor.lastIndexOf('{{');
+
+  if (openIndex === -1 || beforeCursor.indexOf('}}', openIndex) !== -1) {
+    return null;
+  }
+
+  const query = beforeCursor.slice(openIndex + 2);
+  // Stop suggesting once filters are being typed
+  if (query.includes('|')) {
+    return null;
+  }
+
+  return { start: openIndex, query: query.trim() };
+}
+
+/**
+ * Filter variables by the text typed after `{{`
+ * @param {Array<Object>} variables - Available variables
+ * @param {string} query - Text typed so far
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Array<Object>} Matching variables
+ */
+export function filterTemplateVariables(variables, query, limit = 8) {
+  const lowerQuery = query.toLowerCase();
+  return variables
+    .filter(variable =>
+      variable.value.toLowerCase().includes(lowerQuery) ||
+      variable.label.toLowerCase().includes(lowerQuery)
+    )
+    .slice(0, limit);
+}
+
+/**
+ * Replace the placeholder being typed with a complete one
+ * @param {string} text - The input value
+ * @param {number} cursor - Cursor position
+ * @param {Object} templateQuery - Result of findTemplateQuery
+ * @param {string} variable - Variable path to insert
+ * @returns {Object} { text, cursor } with the placeholder inserted
+ */
+export function insertTemplateVariable(text, cursor, templateQuery, variable) {
+  const value = text || '';
+  const placeholder = `{{${variable}}}`;
+
+  // Also swallow a closing `}}` that was already typed after the cursor
+  const afterCursor = value.slice(cursor);
+  const rest = afterCursor.startsWith('}}') ? afterCursor.slice(2) : afterCursor;
+
+  return {
+    text: value.slice(0, templateQuery.start) + placeholder + rest,
+    cursor: templateQuery.start + placeholder.length
+  };
+}
@@ -0,0 +1,96 @@
+/**
+ * Workflow Transitions Utility
+ *
+ * Lists the workflow transitions available to issues in a flow's bound
+ * projects, for configuring Transition Issue actions. Projects are resolved
+ * to their workflow schemes, and the transitions of every workflow in those
+ * schemes are returned. Reading workflows requires the Administer Jira
+ * permission, which admin page users have.
+ */
+
+import { requestJira } from '@forge/bridge';
+
+/**
+ * Fetch JSON from the Jira REST API
+ * @param {string} path - Request path
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function fetchJson(path) {
+  const response = await requestJira(path, {
+    headers: {
+      'Accept': 'application/json'
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Request to ${path.split('?')[0]} failed: ${response.status} ${response.statusText}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Get the transitions available in the workflows of a set of projects
+ *
+ * @param {Array<string>} projectKeys - Bound project keys
+ * @returns {Promise<Array<Object>>} Transition options
+ *
+ * Returns:
+ * [{
+ *   value: string,          // unique option value ({workflowName}:{transitionId})
+ *   label: string,          // e.g. "Resolve → Done (Software workflow)"
+ *   transitionId: string,
+ *   transitionName: string,
+ *   toStatusName: string,
+ *   workflowName: string
+ * }]
+ */
+export async function getTransitionsForProjects(projectKeys = []) {
+  if (projectKeys.length === 0) {
+    return [];
+  }
+
+  // Resolve project keys to IDs
+  const projects = await Promise.all(
+    projectKeys.map(key => fetchJson(`/rest/api/3/project/${encodeURIComponent(key)}`))
+  );
+  const projectIdParams = projects.map(project => `projectId=${project.id}`).join('&');
+
+  // Find the workflows used by the projects' workflow schemes
+  const schemes = await fetchJson(`/rest/api/3/workflowscheme/project?${projectIdParams}`);
+  const workflowNames = new Set();
+  (schemes.values || []).forEach(({ workflowScheme }) => {
+    if (!workflowScheme) {
+      return;
+    }
+    if (workflowScheme.defaultWorkflow) {
+      workflowNames.add(workflowScheme.defaultWorkflow);
+    }
+    Object.values(workflowScheme.issueTypeMappings || {}).forEach(name => workflowNames.add(name));
+  });
+
+  if (workflowNames.size === 0) {
+    return [];
+  }
+
+  const workflowParams = [...workflowNames].map(name => `workflowName=${encodeURIComponent(name)}`).join('&');
+  const workflows = await fetchJson(`/rest/api/3/workflow/search?${workflowParams}&expand=transitions,statuses`);
+  const showWorkflowName = (workflows.values || []).length > 1;
+
+  return (workflows.values || []).flatMap(workflow => {
+    const workflowName = workflow.id.name;
+    const statusNames = new Map((workflow.statuses || []).map(status => [String(status.id), status.name]));
+
+    return (workflow.transitions || []).map(transition => {
+      const toStatusName = statusNames.get(String(transition.to)) || '';
+      return {
+        value: `${workflowName}:${transition.id}`,
+        label: `${transition.name} → ${toStatusName}${showWorkflowName ? ` (${workflowName})` : ''}`,
+        transitionId: String(transition.id),
+        transitionName: transition.name,
+        toStatusName,
+        workflowName
+      };
+    });
+  });
+}
@@ -0,0 +1,79 @@
+/**
+ * AnswerHistory Component
+ *
+ * Lists the questions answered so far in the run with the answers given.
+ * Each answer can be changed: the run goes back to that question and the
+ * answers given after it are discarded. Answers followed by an action that
+ * already ran are shown as locked, since only reverting the run undoes it.
+ * Questions a loop asked more than once are listed for each pass. Users
+ * picked in user questions are shown by their display names, and chosen
+ * options by their labels.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Box, Stack, Inline } from '@atlaskit/primitives';
+import Button from '@atlaskit/button/new';
+import Heading from '@atlaskit/heading';
+import { getAnswerHistory, formatAnswer } from '../utils/answerHistory.js';
+import { describeUsers, getPickedValues } from '../utils/pickers.js';
+
+/**
+ * @param {Object} flow - The flow revision the run is pinned to
+ * @param {Object} executionState - The execution state
+ * @param {Function} onRevisit - Called with the node ID of the question to answer again and the pass (from 0)
+ * @param {boolean} isDisabled - Disables the change buttons (e.g. while submitting)
+ */
+function AnswerHistory({ flow, executionState, onRevisit, isDisabled }) {
+  const history = getAnswerHistory(flow, executionState);
+  const [userNames, setUserNames] = useState({});
+
+  // Account IDs picked in user questions
+  const accountIds = [...new Set(history
+    .filter(entry => entry.questionType === 'user')
+    .flatMap(entry => getPickedValues(entry.answer)))];
+
+  /**
+   * Look up the display names of picked users
+   */
+  useEffect(() => {
+    const unnamed = accountIds.filter(accountId => !userNames[accountId]);
+    if (unnamed.length === 0) {
+      return;
+    }
+    describeUsers(unnamed)
+      .then(names => setUserNames(current => ({ ...current, ...names })))
+      .catch(err => console.error('Error looking up users:', err));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [accountIds.join(',')]);
+
+  if (history.length === 0) {
+    return null;
+  }
+
+  // Number the passes of questions asked more than once
+  const isRepeated = (nodeId) => history.filter(entry => entry.nodeId === nodeId).length > 1;
+
+  return (
+    <Box>
+      <Stack space="space.100">
+        <Heading size="xsmall">Your answers</Heading>
+        {history.map((entry, index) => (
+          <Inline key={`${entry.nodeId}-${index}`} space="space.100" alignBlock="center" spread="space-between">
+            <span>
+              {entry.question}{isRepeated(entry.nodeId) ? ` (${entry.iteration + 1})` : ''}: <strong>{formatAnswer(entry.answer, { ...userNames, ...entry.labels })}</strong>
+            </span>
+            {entry.locked ? (
+              <span title="Actions have run since this answer. Revert the run to change it.">Locked</span>
+            ) : (
+              <Button appearance="subtle" spacing="compact" onClick={() => onRevisit(entry.nodeId, entry.iteration)} isDisabled={isDisabled}>
+                Change
+              </Button>
+            )}
+          </Inline>
+        ))}
+      </Stack>
+    </Box>
+  );
+}
+
+export default AnswerHistory;
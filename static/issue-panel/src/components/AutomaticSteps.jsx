@@ -0,0 +1,94 @@
+/**
+ * AutomaticSteps Component
+ *
+ * Summarises the nodes the backend ran on its own after the user's last
+ * submission: how each logic and switch node decided, which actions ran and
+ * which sub-flows were started.
+ * A node that could not be run automatically is listed with its error; the
+ * questionnaire then stays on it so it can be run by hand.
+ */
+
+import React from 'react';
+import SectionMessage from '@atlaskit/section-message';
+
+// Names of the action types, as shown in the flow builder
+const actionTypeNames = {
+  setField: 'Set Field',
+  addLabel: 'Add Label',
+  addComment: 'Add Comment',
+  transitionIssue: 'Transition Issue',
+  assignIssue: 'Assign Issue',
+  createIssue: 'Create Issue',
+  linkIssue: 'Link Issue',
+  addWatchers: 'Add Watchers',
+  webhook: 'Webhook'
+};
+
+/**
+ * Describe a step the backend ran
+ * @param {Object} node - The node of the step (may be missing from the flow)
+ * @param {Object} step - The step: `{ nodeId, type, result?, evaluation?, error? }`
+ * @returns {string|null} Description, or null for steps not worth listing
+ */
+function describeStep(node, step) {
+  const data = node ? node.data : {};
+  const name = step.type === 'action'
+    ? actionTypeNames[data.actionType] || data.actionType || step.nodeId
+    : data.label || step.nodeId;
+
+  if (step.error) {
+    return `Could not run "${name}" automatically: ${step.error}`;
+  }
+
+  if (step.evaluation && step.evaluation.error) {
+    return `Could not check "${name}": ${step.evaluation.error}`;
+  }
+
+  switch (step.type) {
+    case 'logic':
+      return `Checked "${name}": ${step.evaluation ? step.evaluation.edgeLabel : 'done'}`;
+    case 'switch': {
+      const matched = step.evaluation && step.evaluation.cases.find(evaluatedCase => evaluatedCase.matched);
+      return matched
+        ? `"${name}" matched case "${matched.caseLabel || matched.caseId}"`
+        : `"${name}" matched no case and took the default path`;
+    }
+    case 'action':
+      if (step.result && !step.result.success) {
+        return `${name} failed: ${step.result.error || 'unknown error'}`;
+      }
+      return `Ran ${name}`;
+    case 'subflow':
+      return `Started sub-flow "${data.subflowName || data.subflowId || name}"`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * @param {Object} flow - The flow revision the run is pinned to
+ * @param {Array} steps - The steps returned with the last submission
+ */
+function AutomaticSteps({ flow, steps }) {
+  const descriptions = (steps || [])
+    .map(step => describeStep(flow.nodes.find(node => node.id === step.nodeId), step))
+    .filter(Boolean);
+
+  if (descriptions.length === 0) {
+    return null;
+  }
+
+  const hasProblem = (steps || []).some(step => step.error || (step.result && !step.result.success));
+
+  return (
+    <SectionMessage appearance={hasProblem ? 'warning' : 'information'} title="Done automatically">
+      <ul>
+        {descriptions.map((description, index) => (
+          <li key={index}>{description}</li>
+        ))}
+      </ul>
+    </SectionMessage>
+  );
+}
+
+export default AutomaticSteps;
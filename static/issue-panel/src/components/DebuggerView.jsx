@@ -2,9 +2,12 @@
  * DebuggerView Component
  * 
  * Displays audit logs for a decision flow execution in a tabular format.
- * This component provides visibility into all actions that have been executed
- * during the flow, including timestamps, node information, action details,
- * results, and user answers at the time of execution.
+ * This component provides visibility into all actions that have been executed,
+ * all branching decisions made by switch nodes and routed questions, every
+ * return to an earlier question, every stop at the loop limit and every start
+ * and end of a sub-flow during the flow, including timestamps, node
+ * information, action details, results, and user answers at the time of
+ * execution.
  * 
  * Features:
  * - Displays audit logs in a DynamicTable with sortable columns
@@ -133,37 +136,152 @@ function DebuggerView({ issueKey, flow }) {
   /**
    * Format action details for display
    * @param {Object} action - The action object
+   * @param {Object} result - The action result (optional, used for what the action actually changed)
    * @returns {string} Formatted action description
    */
-  const formatActionDetails = (action) => {
+  const formatActionDetails = (action, result) => {
     if (!action) return 'Unknown action';
 
     const { actionType, fieldKey, fieldValue, label, comment } = action;
 
     switch (actionType) {
-      case 'setField':
-        return `Set field "${fieldKey}" to "${fieldValue}"`;
+      case 'setField': {
+        // The result records the value the field had before, so the change can be reverted
+        const hasPrevious = result?.data && 'previousValue' in result.data;
+        const previous = hasPrevious ? JSON.stringify(result.data.previousValue) : null;
+        return `Set field "${fieldKey}" to "${fieldValue}"${hasPrevious ? ` (was ${previous})` : ''}`;
+      }
       case 'addLabel':
-        return `Add label "${label}"`;
+        return `Add label "${label}"${result?.data?.alreadyPresent ? ' (already present)' : ''}`;
       case 'addComment':
         return `Add comment: "${comment?.substring(0, 50)}${comment?.length > 50 ? '...' : ''}"`;
+      case 'transitionIssue': {
+        // The result records the status the issue actually moved from and to
+        const fromStatus = result?.data?.fromStatus;
+        const toStatus = result?.data?.toStatus || action.toStatusName;
+        return `Transition "${action.transitionName}": ${fromStatus ? `${fromStatus} → ` : ''}${toStatus || '?'}`;
+      }
+      case 'assignIssue': {
+        // The result records who the assignee resolved to when the action ran
+        const assignee = result?.data?.displayName || action.assigneeDisplayName;
+        return assignee ? `Assign to ${assignee}` : `Assign (${action.assigneeSource || 'user'})`;
+      }
+      case 'createIssue': {
+        const createdKey = result?.data?.issueKey;
+        return createdKey
+          ? `Create ${createdKey}: "${result.data.summary}"`
+          : `Create ${action.createMode || 'subtask'}: "${action.summary}"`;
+      }
+      case 'linkIssue': {
+        // The result records the link as read from this issue and the issues actually linked
+        const linked = result?.data?.linkedIssueKeys || [];
+        const relation = result?.data?.relation || action.linkTypeName;
+        return linked.length > 0
+          ? `Link: this issue ${relation} ${linked.join(', ')}`
+          : `Link (${action.linkTypeName}) to ${action.targetSource === 'jql' ? 'JQL matches' : action.targetIssueKey || 'answer'}`;
+      }
+      case 'addWatchers': {
+        const names = (users) => (users || []).map(user => user.displayName || user.accountId).join(', ');
+        if (!result?.data) {
+          return `Add watchers (${action.watcherSource || 'user'})`;
+        }
+        const { added, alreadyWatching, failed } = result.data;
+        return [
+          `Add watchers: ${names(added) || 'none'}`,
+          alreadyWatching?.length ? `already watching: ${names(alreadyWatching)}` : '',
+          failed?.length ? `failed: ${names(failed)}` : ''
+        ].filter(Boolean).join('; ');
+      }
+      case 'webhook': {
+        // The result records the response status of the last attempt and every attempt made
+        const attempts = result?.data?.attempts || [];
+        const status = result?.data?.status;
+        return [
+          `POST ${result?.data?.url || action.webhookUrl}`,
+          status ? `status ${status}` : '',
+          attempts.length > 1
+            ? `${attempts.length} attempts (${attempts.map(attempt => attempt.status || attempt.error).join(', ')})`
+            : ''
+        ].filter(Boolean).join('; ');
+      }
       default:
         return actionType || 'Unknown action';
     }
   };
 
+  /**
+   * Format the details of an audit entry for display
+   * Action entries describe the action; switch entries describe the branch taken; rewinds the question returned to;
+   * loop guard entries the node the run stopped before; sub-flow entries the flow started or the node it ended on
+   * @param {Object} log - The audit log entry
+   * @returns {string} Formatted description
+   */
+  const formatLogDetails = (log) => {
+    if (log.revert) {
+      const { reverted, skipped, failed } = log.revert;
+      return [
+        `Revert run: ${reverted.map(step => step.description).join('; ') || 'nothing reverted'}`,
+        skipped.length ? `kept: ${skipped.map(step => step.description).join('; ')}` : '',
+        failed.length ? `failed: ${failed.map(step => `${step.description} (${step.error})`).join('; ')}` : ''
+      ].filter(Boolean).join(' — ');
+    }
+    if (log.rewind) {
+      const discarded = log.rewind.discardedPath.length;
+      return `Went back to "${getNodeLabel(log.rewind.toNodeId)}" to change the answer, discarding ${discarded} step(s)`;
+    }
+    if (log.loopGuard) {
+      return `Stopped before passing through "${getNodeLabel(log.nodeId)}" more than ${log.loopGuard.maxIterations} times`;
+    }
+    if (log.subflow) {
+      return log.subflow.event === 'enter'
+        ? `Started sub-flow "${log.subflow.flowName || log.subflow.flowId}" (version ${log.subflow.flowVersion})`
+        : `Sub-flow ended on node ${log.subflow.outcomeNodeId}`;
+    }
+    if (log.decision && log.decision.nodeType === 'switch') {
+      return log.decision.caseId
+        ? `Switch: matched case "${log.decision.caseLabel || log.decision.caseId}"`
+        : 'Switch: no case matched, took default path';
+    }
+    if (log.decision && log.decision.nodeType === 'question') {
+      return log.decision.routeId
+        ? `Question: answer matched route "${log.decision.routeLabel || log.decision.routeId}"`
+        : 'Question: answer matched no route, took default path';
+    }
+    return formatActionDetails(log.action, log.result);
+  };
+
+  // How the engine handled a failed action
+  const errorHandlingLabels = {
+    errorBranch: 'took the error path',
+    halt: 'flow stopped',
+    continue: 'continued'
+  };
+
   /**
    * Format result for display
    * @param {Object} result - The result object
+   * @param {string} errorHandling - How a failure was handled (errorBranch, halt or continue)
+   * @param {Array} retries - Jira requests that were retried (optional)
    * @returns {JSX.Element} Formatted result with status indicator
    */
-  const formatResult = (result) => {
+  const formatResult = (result, errorHandling, retries = []) => {
     if (!result) {
       return <Lozenge appearance="default">Unknown</Lozenge>;
     }
 
+    const retryNote = retries.length > 0 && (
+      <span style={{ fontSize: '12px' }}>
+        after {retries.length} retr{retries.length === 1 ? 'y' : 'ies'} ({retries.map(retry => retry.status).join(', ')})
+      </span>
+    );
+
     if (result.success) {
-      return <Lozenge appearance="success">Success</Lozenge>;
+      return (
+        <Inline space="space.050" alignBlock="center">
+          <Lozenge appearance="success">Success</Lozenge>
+          {retryNote}
+        </Inline>
+      );
     } else {
       return (
         <Inline space="space.050" alignBlock="center">
@@ -173,6 +291,10 @@ function DebuggerView({ issueKey, flow }) {
               {result.error}
             </span>
           )}
+          {retryNote}
+          {errorHandlingLabels[errorHandling] && (
+            <span style={{ fontSize: '12px' }}>{errorHandlingLabels[errorHandling]}</span>
+          )}
         </Inline>
       );
     }
@@ -283,15 +405,27 @@ function DebuggerView({ issueKey, flow }) {
         },
         {
           key: 'node',
-          content: getNodeLabel(log.nodeId),
+          content: log.revert ? '—' : getNodeLabel(log.nodeId),
         },
         {
           key: 'actionType',
-          content: formatActionDetails(log.action),
+          content: formatLogDetails(log),
         },
         {
           key: 'result',
-          content: formatResult(log.result),
+          content: log.revert
+            ? <Lozenge appearance={log.revert.failed.length ? 'moved' : 'default'}>
+                {log.revert.failed.length ? 'Partly reverted' : 'Reverted'}
+              </Lozenge>
+            : log.rewind
+              ? <Lozenge appearance="default">Went back</Lozenge>
+              : log.loopGuard
+                ? <Lozenge appearance="removed">Loop limit</Lozenge>
+                : log.subflow
+                  ? <Lozenge appearance="new">Sub-flow</Lozenge>
+                  : log.decision
+                    ? <Lozenge appearance="inprogress">Routed</Lozenge>
+                    : formatResult(log.result, log.errorHandling, log.retries),
         },
         {
           key: 'answers',
@@ -12,7 +12,8 @@
  * - Zoom and pan controls enabled
  * 
  * The component uses the same node types as the admin flow builder but in read-only mode.
- * It loads the execution state to determine which nodes have been visited and which is current.
+ * It loads the execution state to determine which nodes have been visited and which is current,
+ * and displays the flow revision that execution is pinned to.
  */
 
 import { useState, useEffect, useCallback } from 'react';
@@ -23,12 +24,16 @@ import { Box, Stack } from '@atlaskit/primitives';
 import Spinner from '@atlaskit/spinner';
 import SectionMessage from '@atlaskit/section-message';
 import { getGlobalTheme, token } from '@atlaskit/tokens';
+import { resolveExecutionFlow } from '../utils/executionFlow.js';
+import { getTopLevelNodeId } from '../utils/subflows.js';
 
 // Import custom node components (we'll create read-only versions)
 import StartNode from './nodes/StartNode.jsx';
 import QuestionNode from './nodes/QuestionNode.jsx';
 import LogicNode from './nodes/LogicNode.jsx';
 import ActionNode from './nodes/ActionNode.jsx';
+import SwitchNode from './nodes/SwitchNode.jsx';
+import SubflowNode from './nodes/SubflowNode.jsx';
 
 // Define node types for ReactFlow
 const nodeTypes = {
@@ -36,6 +41,8 @@ const nodeTypes = {
   question: QuestionNode,
   logic: LogicNode,
   action: ActionNode,
+  switch: SwitchNode,
+  subflow: SubflowNode,
 };
 
 function FlowDiagramView({ issueKey, flow }) {
@@ -67,12 +74,16 @@ function FlowDiagramView({ issueKey, flow }) {
 
       setExecutionState(state);
 
+      // Load the flow revision this execution is pinned to
+      const pinnedFlow = await resolveExecutionFlow(flow, state);
+
       // Prepare nodes with highlighting based on execution state
-      const visitedNodeIds = state?.path || [];
-      const currentNodeId = state?.currentNodeId;
+      // Nodes of sub-flows are shown on the sub-flow node that runs them
+      const visitedNodeIds = (state?.path || []).map(getTopLevelNodeId);
+      const currentNodeId = getTopLevelNodeId(state?.currentNodeId);
 
       // Apply styling to nodes based on their status
-      const styledNodes = flow.nodes.map(node => {
+      const styledNodes = pinnedFlow.nodes.map(node => {
         const isVisited = visitedNodeIds.includes(node.id);
         const isCurrent = node.id === currentNodeId;
 
@@ -114,7 +125,7 @@ function FlowDiagramView({ issueKey, flow }) {
       });
 
       // Apply styling to edges based on whether they're part of the path
-      const styledEdges = flow.edges.map(edge => {
+      const styledEdges = pinnedFlow.edges.map(edge => {
         // Check if this edge is part of the visited path
         const sourceVisited = visitedNodeIds.includes(edge.source);
         const targetVisited = visitedNodeIds.includes(edge.target);
@@ -247,8 +258,8 @@ function FlowDiagramView({ issueKey, flow }) {
         <MiniMap
           nodeColor={(node) => {
             // Color nodes in minimap based on status
-            const isVisited = executionState?.path?.includes(node.id);
-            const isCurrent = node.id === executionState?.currentNodeId;
+            const isVisited = (executionState?.path || []).map(getTopLevelNodeId).includes(node.id);
+            const isCurrent = node.id === getTopLevelNodeId(executionState?.currentNodeId);
 
             if (isCurrent) return '#0052CC'; // Blue for current
             if (isVisited) return '#36B37E'; // Green for visited
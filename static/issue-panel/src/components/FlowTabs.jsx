@@ -4,7 +4,7 @@
  * Displays tabs for each applicable flow with color-coded completion status indicators.
  * Each tab shows:
  * - Flow name
- * - Completion status (green for completed, orange for incomplete)
+ * - Completion status (green for completed, red for stopped by a failed action, orange for incomplete)
  * 
  * Also provides a view selector for switching between:
  * - Questionnaire view (interactive Q&A)
@@ -23,6 +23,24 @@ import QuestionnaireView from './QuestionnaireView.jsx';
 import FlowDiagramView from './FlowDiagramView.jsx';
 import DebuggerView from './DebuggerView.jsx';
 
+// Tab indicator colors by run status
+const runStatusColors = {
+  completed: '#36B37E',
+  failed: '#DE350B',
+  incomplete: '#FF991F'
+};
+
+/**
+ * Get the status of a flow run from its execution state
+ * @param {Object} state - The execution state
+ * @returns {string} 'completed', 'failed' (stopped by a failed action) or 'incomplete'
+ */
+const getRunStatus = (state) => {
+  if (state?.completed) return 'completed';
+  if (state?.failed) return 'failed';
+  return 'incomplete';
+};
+
 function FlowTabs({ flows, issueKey, selectedFlowId, currentView, onFlowSelect, onViewChange }) {
   // Track completion status for each flow
   const [completionStatus, setCompletionStatus] = useState({});
@@ -47,12 +65,11 @@ function FlowTabs({ flows, issueKey, selectedFlowId, currentView, onFlowSelect,
               issueKey,
               flowId: flow.id
             });
-            // Mark as completed if execution state indicates completion
-            statusMap[flow.id] = executionState?.completed || false;
+            statusMap[flow.id] = getRunStatus(executionState);
           } catch (err) {
             console.error(`Error loading status for flow ${flow.id}:`, err);
             // Default to incomplete if we can't load status
-            statusMap[flow.id] = false;
+            statusMap[flow.id] = 'incomplete';
           }
         }
 
@@ -70,7 +87,7 @@ function FlowTabs({ flows, issueKey, selectedFlowId, currentView, onFlowSelect,
   // Get the color for a flow tab based on completion status
   const getTabColor = (flowId) => {
     if (loadingStatus) return '#6B778C'; // Neutral gray while loading
-    return completionStatus[flowId] ? '#36B37E' : '#FF991F'; // Green for completed, orange for incomplete
+    return runStatusColors[completionStatus[flowId]] || runStatusColors.incomplete;
   };
 
   // Get the currently selected flow object
@@ -177,7 +194,7 @@ function FlowTabs({ flows, issueKey, selectedFlowId, currentView, onFlowSelect,
                             // Update completion status when state changes
                             setCompletionStatus(prev => ({
                               ...prev,
-                              [flow.id]: state?.completed || false
+                              [flow.id]: getRunStatus(state)
                             }));
                           }}
                         />
@@ -0,0 +1,177 @@
+/**
+ * PickerInput Component
+ *
+ * Answers a user or issue question: the user searches Jira and picks a user
+ * or issue from the results, or several when the question allows it. Only
+ * users and issues that meet the question's restriction (a group, a project
+ * role or a JQL filter) are offered. The answer is the picked account ID or
+ * issue key, or a list of them.
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { Box, Stack, Inline } from '@atlaskit/primitives';
+import Button from '@atlaskit/button/new';
+import Textfield from '@atlaskit/textfield';
+import Spinner from '@atlaskit/spinner';
+import { token } from '@atlaskit/tokens';
+import {
+  createUserSearch,
+  createIssueSearch,
+  describeUsers,
+  describeIssues,
+  getPickedValues
+} from '../utils/pickers.js';
+
+// Delay before searching while the user types
+const SEARCH_DELAY_MS = 300;
+
+/**
+ * @param {Object} node - The user or issue question node
+ * @param {string} issueKey - The Jira issue key
+ * @param {string|Array|null} value - The picked account ID(s) or issue key(s)
+ * @param {Function} onChange - Called with the new answer
+ */
+function PickerInput({ node, issueKey, value, onChange }) {
+  const isUser = node.data.questionType === 'user';
+  const allowMultiple = Boolean(node.data.allowMultiple);
+  const picked = getPickedValues(value);
+
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [searchError, setSearchError] = useState(null);
+  const [labels, setLabels] = useState({});
+
+  const search = useMemo(
+    () => (isUser ? createUserSearch(node, issueKey) : createIssueSearch(node)),
+    [isUser, node, issueKey]
+  );
+
+  /**
+   * Search as the user types
+   */
+  useEffect(() => {
+    let isCancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        setSearching(true);
+        setSearchError(null);
+        const options = await search(query);
+        if (!isCancelled) {
+          setResults(options);
+          setLabels(current => ({ ...current, ...Object.fromEntries(options.map(option => [option.value, option.label])) }));
+        }
+      } catch (err) {
+        console.error('Error searching:', err);
+        if (!isCancelled) {
+          setSearchError(err.message || 'Search failed');
+        }
+      } finally {
+        if (!isCancelled) {
+          setSearching(false);
+        }
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      isCancelled = true;
+      clearTimeout(timer);
+    };
+  }, [search, query]);
+
+  /**
+   * Look up how to show picked values that were not found by a search, e.g. an earlier answer
+   */
+  // Joined so the lookup only runs again when the values change; account IDs and issue keys hold no commas
+  const unlabelledKey = picked.filter(pickedValue => !labels[pickedValue]).join(',');
+  useEffect(() => {
+    if (!unlabelledKey) {
+      return;
+    }
+    const unlabelled = unlabelledKey.split(',');
+    (isUser ? describeUsers(unlabelled) : describeIssues(unlabelled))
+      .then(found => setLabels(current => ({ ...current, ...found })))
+      .catch(err => console.error('Error looking up picked values:', err));
+  }, [isUser, unlabelledKey]);
+
+  /**
+   * Pick a search result
+   * @param {string} pickedValue - Account ID or issue key
+   */
+  const handlePick = (pickedValue) => {
+    if (!allowMultiple) {
+      onChange(pickedValue);
+    } else if (!picked.includes(pickedValue)) {
+      onChange([...picked, pickedValue]);
+    }
+  };
+
+  /**
+   * Remove a picked value
+   * @param {string} pickedValue - Account ID or issue key
+   */
+  const handleRemove = (pickedValue) => {
+    const remaining = picked.filter(candidate => candidate !== pickedValue);
+    onChange(allowMultiple ? remaining : null);
+  };
+
+  const noun = isUser ? 'user' : 'issue';
+  const available = results.filter(option => !picked.includes(option.value));
+
+  return (
+    <Stack space="space.100">
+      {/* Picked users or issues */}
+      {picked.length > 0 && (
+        <Stack space="space.050">
+          {picked.map(pickedValue => (
+            <Inline key={pickedValue} space="space.100" alignBlock="center">
+              <strong>{labels[pickedValue] || pickedValue}</strong>
+              <Button appearance="subtle" spacing="compact" onClick={() => handleRemove(pickedValue)}>
+                Remove
+              </Button>
+            </Inline>
+          ))}
+        </Stack>
+      )}
+
+      {/* Search */}
+      <Textfield
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder={isUser ? 'Search for a user' : 'Search by issue key or summary'}
+        elemAfterInput={searching ? <Box paddingInlineEnd="space.100"><Spinner size="small" /></Box> : null}
+      />
+      {searchError && (
+        <span style={{ color: token('color.text.danger') }}>{searchError}</span>
+      )}
+
+      {/* Results */}
+      {!searchError && !searching && available.length === 0 && query.trim() !== '' && (
+        <span style={{ color: token('color.text.subtlest') }}>No matching {noun}s</span>
+      )}
+      {available.length > 0 && (
+        <Box style={{
+          maxHeight: '200px',
+          overflowY: 'auto',
+          border: `${token('border.width')} solid ${token('color.border')}`,
+          borderRadius: token('border.radius')
+        }}>
+          <Stack>
+            {available.map(option => (
+              <Button
+                key={option.value}
+                appearance="subtle"
+                shouldFitContainer
+                onClick={() => handlePick(option.value)}
+              >
+                {option.label}
+              </Button>
+            ))}
+          </Stack>
+        </Box>
+      )}
+    </Stack>
+  );
+}
+
+export default PickerInput;
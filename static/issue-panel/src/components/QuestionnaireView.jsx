@@ -4,11 +4,21 @@
  * Displays the interactive questionnaire interface for completing a decision flow.
  * This component:
  * - Shows the current question based on execution state
- * - Renders appropriate input controls based on question type (single choice, multiple choice, date, number)
+ * - Renders appropriate input controls based on question type (single choice, multiple choice, date, number,
+ *   text, long text, and searchable pickers of Jira users or issues)
+ * - Checks answers against the question's validation rules before submitting them; the backend checks them again
  * - Handles answer submission and flow progression
- * - Automatically evaluates logic nodes during flow progression
+ * - Lets the backend run logic, switch and action nodes on its own after each submission, and
+ *   summarises what they did; only actions that require confirmation are shown before they run
+ * - Offers logic and switch nodes for evaluation by hand when they could not be run automatically
  * - Displays completion message when flow reaches an action node
  * - Provides reset functionality to restart the flow
+ * - Lists the answers given so far and lets the user go back to change one (Back, or Change on an answer),
+ *   once for each pass when the flow loops
+ * - Explains a run stopped because a loop reached the flow's iteration limit
+ * - Asks the questions of sub-flows the flow runs as part of the flow, naming the sub-flow
+ * - Lets permitted users revert the field values, labels and comments a run changed
+ * - Renders the flow revision the execution is pinned to, even if the flow has since been edited
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
@@ -22,23 +32,41 @@ import { RadioGroup } from '@atlaskit/radio';
 import { Checkbox } from '@atlaskit/checkbox';
 import { DatePicker } from '@atlaskit/datetime-picker';
 import Heading from '@atlaskit/heading';
+import { token } from '@atlaskit/tokens';
 import { evaluateDateExpression } from '../utils/dateExpressionEvaluator.js';
 import { parseDateExpression } from '../utils/dateExpressionParser.js';
+import { resolveExecutionFlow } from '../utils/executionFlow.js';
+import { includeSubflows } from '../utils/subflows.js';
+import { validateAnswer, isAnswerRequired, getDateRange } from '../utils/answerValidation.js';
+import RevertRun from './RevertRun.jsx';
+import AnswerHistory from './AnswerHistory.jsx';
+import AutomaticSteps from './AutomaticSteps.jsx';
+import PickerInput from './PickerInput.jsx';
+import { getAnswerHistory } from '../utils/answerHistory.js';
+import { getConditionTree, getSingleCondition, summarizeCondition, summarizeConditionTree } from '../utils/conditionGroups.js';
 
 function QuestionnaireView({ issueKey, flow, onStateChange }) {
   // State management
   const [executionState, setExecutionState] = useState(null);
+  // Flow revision the execution is pinned to (defaults to the latest revision)
+  const [activeFlow, setActiveFlow] = useState(flow);
   const [currentNode, setCurrentNode] = useState(null);
   const [answer, setAnswer] = useState(null);
   const [multipleChoiceAnswers, setMultipleChoiceAnswers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState(null);
+  const [revertNotice, setRevertNotice] = useState(null);
+  // Nodes the backend ran on its own after the last submission
+  const [automaticSteps, setAutomaticSteps] = useState([]);
   
   // State for field display names and evaluated dates (for Logic and Action nodes)
   const [fieldDisplayName, setFieldDisplayName] = useState('');
   const [evaluatedDate, setEvaluatedDate] = useState(null);
 
+  // Backend preview of the current action node (e.g. the resolved assignee)
+  const [actionPreview, setActionPreview] = useState(null);
+
   /**
    * Get a human-readable field name from a field key by fetching from Jira API
    * @param {string} fieldKey - The Jira field key
@@ -88,11 +116,15 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
       });
 
       console.log('exec state', state);
+
+      // Load the flow revision this execution is pinned to, with the sub-flows it has entered
+      const pinnedFlow = await includeSubflows(await resolveExecutionFlow(flow, state), state);
+      setActiveFlow(pinnedFlow);
       setExecutionState(state);
 
       // Find the current node in the flow
       if (state && state.currentNodeId) {
-        const node = flow.nodes.find(n => n.id === state.currentNodeId);
+        const node = pinnedFlow.nodes.find(n => n.id === state.currentNodeId);
         setCurrentNode(node);
 
         // Initialize answer state based on node type
@@ -143,7 +175,14 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
 
       // Handle Logic nodes
       if (currentNode.type === 'logic') {
-        const { fieldKey, expectedValue } = currentNode.data;
+        // Compound conditions are summarised by field key, so only single field conditions need field info
+        const singleCondition = getSingleCondition(getConditionTree(currentNode.data));
+        if (!singleCondition || singleCondition.conditionType === 'jql') {
+          setFieldDisplayName('');
+          setEvaluatedDate(null);
+          return;
+        }
+        const { fieldKey, expectedValue } = singleCondition;
         
         // Fetch readable field name
         const displayName = await getFieldDisplayName(fieldKey);
@@ -212,6 +251,34 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
     loadFieldInfo();
   }, [currentNode, getFieldDisplayName]);
 
+  // Ask the backend what the current action will do when it depends on the issue or answers
+  useEffect(() => {
+    if (!currentNode || currentNode.type !== 'action' || currentNode.data.actionType !== 'assignIssue') {
+      setActionPreview(null);
+      return;
+    }
+
+    let isCancelled = false;
+    setActionPreview(null);
+
+    invoke('previewAction', { issueKey, flowId: flow.id, nodeId: currentNode.id })
+      .then(preview => {
+        if (!isCancelled) {
+          setActionPreview(preview);
+        }
+      })
+      .catch(err => {
+        console.error('Error previewing action:', err);
+        if (!isCancelled) {
+          setActionPreview({ error: err.message || 'Failed to preview action' });
+        }
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [currentNode, issueKey, flow.id]);
+
   /**
    * Get a human-readable operator name
    * @param {string} operator - The operator key
@@ -230,6 +297,50 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
     return operatorNames[operator] || operator;
   };
 
+  /**
+   * Show an execution state returned by the backend
+   * Moves to the state's current node and pre-fills a question with its stored answer
+   * @param {Object} updatedState - The execution state
+   */
+  const applyExecutionState = async (updatedState) => {
+    if (!updatedState) {
+      return;
+    }
+
+    // The run may have entered a sub-flow whose nodes are not loaded yet
+    const runFlow = await includeSubflows(activeFlow, updatedState);
+    if (runFlow !== activeFlow) {
+      setActiveFlow(runFlow);
+    }
+    setExecutionState(updatedState);
+
+    // Find the new current node
+    if (updatedState.currentNodeId) {
+      const newNode = runFlow.nodes.find(n => n.id === updatedState.currentNodeId);
+      setCurrentNode(newNode);
+
+      // Reset answer state for the new node
+      if (newNode && newNode.type === 'question') {
+        const existingAnswer = updatedState.answers?.[newNode.id];
+        if (existingAnswer !== undefined) {
+          if (newNode.data.questionType === 'multiple') {
+            setMultipleChoiceAnswers(existingAnswer || []);
+          } else {
+            setAnswer(existingAnswer);
+          }
+        } else {
+          setAnswer(null);
+          setMultipleChoiceAnswers([]);
+        }
+      }
+    }
+
+    // Notify parent component of state change
+    if (onStateChange) {
+      onStateChange(updatedState);
+    }
+  };
+
   /**
    * Handle answer submission
    * Submits the user's answer to the backend and progresses to the next node
@@ -238,20 +349,15 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
     if (!currentNode) return;
     console.log('submit node', currentNode);
 
-    // For question nodes, validate answer is provided
+    // For question nodes, check the answer against the question's validation rules
     if (currentNode.type === 'question') {
       const finalAnswer = currentNode.data.questionType === 'multiple' 
         ? multipleChoiceAnswers 
         : answer;
 
-      if (finalAnswer === null || finalAnswer === undefined || finalAnswer === '') {
-        setError('Please provide an answer before submitting');
-        return;
-      }
-
-      // For multiple choice, ensure at least one option is selected
-      if (currentNode.data.questionType === 'multiple' && multipleChoiceAnswers.length === 0) {
-        setError('Please select at least one option');
+      const validationError = validateAnswer(currentNode, finalAnswer);
+      if (validationError) {
+        setError(validationError);
         return;
       }
     }
@@ -259,6 +365,8 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
     try {
       setSubmitting(true);
       setError(null);
+      setAutomaticSteps([]);
+      setRevertNotice(null);
 
       // Determine the answer to submit
       // For start nodes, answer is null
@@ -296,35 +404,10 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
 
       // Use the returned state directly instead of reloading
       // This is more efficient and avoids timing issues
-      if (updatedState) {
-        setExecutionState(updatedState);
-
-        // Find the new current node
-        if (updatedState.currentNodeId) {
-          const newNode = flow.nodes.find(n => n.id === updatedState.currentNodeId);
-          setCurrentNode(newNode);
-
-          // Reset answer state for the new node
-          if (newNode && newNode.type === 'question') {
-            const existingAnswer = updatedState.answers?.[newNode.id];
-            if (existingAnswer !== undefined) {
-              if (newNode.data.questionType === 'multiple') {
-                setMultipleChoiceAnswers(existingAnswer || []);
-              } else {
-                setAnswer(existingAnswer);
-              }
-            } else {
-              setAnswer(null);
-              setMultipleChoiceAnswers([]);
-            }
-          }
-        }
+      await applyExecutionState(updatedState);
 
-        // Notify parent component of state change
-        if (onStateChange) {
-          onStateChange(updatedState);
-        }
-      }
+      // The first step is the node just submitted; the rest ran automatically
+      setAutomaticSteps((updatedState.steps || []).slice(1));
 
       setSubmitting(false);
     } catch (err) {
@@ -334,6 +417,38 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
     }
   };
 
+  /**
+   * Go back to a question answered earlier so it can be answered again
+   * The backend discards the answers given after it, and refuses if an action has run since
+   * @param {string|null} nodeId - The question to go back to (null for the last question answered)
+   * @param {number} iteration - Which pass through a looped question to go back to (defaults to the latest)
+   */
+  const handleRevisit = async (nodeId, iteration = null) => {
+    try {
+      setSubmitting(true);
+      setError(null);
+      setAutomaticSteps([]);
+      setRevertNotice(null);
+
+      const updatedState = nodeId
+        ? await invoke('revisitNode', { issueKey, flowId: flow.id, nodeId, iteration })
+        : await invoke('goBack', { issueKey, flowId: flow.id });
+
+      if (updatedState && updatedState.error) {
+        setError(updatedState.error);
+        setSubmitting(false);
+        return;
+      }
+
+      await applyExecutionState(updatedState);
+      setSubmitting(false);
+    } catch (err) {
+      console.error('Error going back:', err);
+      setError(err.message || 'Failed to go back');
+      setSubmitting(false);
+    }
+  };
+
   /**
    * Handle flow reset
    * Clears execution state and returns to the start node
@@ -342,6 +457,7 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
     try {
       setSubmitting(true);
       setError(null);
+      setAutomaticSteps([]);
 
       // Reset execution state on backend
       await invoke('resetExecution', {
@@ -360,6 +476,17 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
     }
   };
 
+  /**
+   * Show the outcome of a revert and reload the reset execution
+   * Partial reverts keep the run and are reported by RevertRun.
+   * @param {Object} revert - Revert summary: `{ reverted, skipped, failed }`
+   */
+  const handleReverted = async (revert) => {
+    setRevertNotice({ appearance: 'success', message: `Reverted ${revert.reverted.length} change(s). You can run the flow again.` });
+
+    await loadExecutionState();
+  };
+
   /**
    * Render the appropriate input control based on question type
    */
@@ -367,13 +494,14 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
     if (!currentNode || !currentNode.data) return null;
 
     const { questionType, options } = currentNode.data;
+    const rules = currentNode.data.validation || {};
 
     switch (questionType) {
       case 'single':
         // Radio buttons for single choice
         return (
           <RadioGroup
-            options={options.map(opt => ({ name: 'answer', value: opt, label: opt }))}
+            options={options.map(opt => ({ name: 'answer', value: opt.value, label: opt.label }))}
             value={answer}
             onChange={(e) => setAnswer(e.target.value)}
           />
@@ -383,16 +511,16 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
         // Checkboxes for multiple choice
         return (
           <Stack space="space.100">
-            {options.map((option, index) => (
+            {options.map(option => (
               <Checkbox
-                key={index}
-                label={option}
-                isChecked={multipleChoiceAnswers.includes(option)}
+                key={option.id}
+                label={option.label}
+                isChecked={multipleChoiceAnswers.includes(option.value)}
                 onChange={(e) => {
                   if (e.target.checked) {
-                    setMultipleChoiceAnswers([...multipleChoiceAnswers, option]);
+                    setMultipleChoiceAnswers([...multipleChoiceAnswers, option.value]);
                   } else {
-                    setMultipleChoiceAnswers(multipleChoiceAnswers.filter(a => a !== option));
+                    setMultipleChoiceAnswers(multipleChoiceAnswers.filter(a => a !== option.value));
                   }
                 }}
               />
@@ -400,15 +528,19 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
           </Stack>
         );
 
-      case 'date':
-        // Date picker for date input
+      case 'date': {
+        // Date picker for date input, limited to the dates the question accepts
+        const { minDate, maxDate } = getDateRange(currentNode);
         return (
           <DatePicker
             value={answer || ''}
             onChange={(value) => setAnswer(value)}
+            minDate={minDate}
+            maxDate={maxDate}
             placeholder="Select a date"
           />
         );
+      }
 
       case 'number':
         // Number input field
@@ -417,15 +549,76 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
             type="number"
             value={answer || ''}
             onChange={(e) => setAnswer(e.target.value)}
+            min={rules.min}
+            max={rules.max}
+            step={rules.step}
             placeholder="Enter a number"
           />
         );
 
+      case 'text':
+        // Single line text input
+        return (
+          <Textfield
+            value={answer || ''}
+            onChange={(e) => setAnswer(e.target.value)}
+            placeholder="Enter your answer"
+          />
+        );
+
+      case 'longtext':
+        // Multi-line text input
+        return (
+          <textarea
+            value={answer || ''}
+            onChange={(e) => setAnswer(e.target.value)}
+            placeholder="Enter your answer"
+            rows={5}
+            style={{
+              width: '100%',
+              boxSizing: 'border-box',
+              padding: token('space.100'),
+              font: 'inherit',
+              color: token('color.text'),
+              backgroundColor: token('color.background.input'),
+              border: `${token('border.width')} solid ${token('color.border.input')}`,
+              borderRadius: token('border.radius'),
+              resize: 'vertical'
+            }}
+          />
+        );
+
+      case 'user':
+      case 'issue':
+        // Search for and pick Jira users or issues
+        return (
+          <PickerInput
+            key={currentNode.id}
+            node={currentNode}
+            issueKey={issueKey}
+            value={answer}
+            onChange={(value) => setAnswer(value)}
+          />
+        );
+
       default:
         return <p>Unknown question type: {questionType}</p>;
     }
   };
 
+  // Questions answered so far; Back returns to the last one unless an action has run since
+  const answerHistory = getAnswerHistory(activeFlow, executionState);
+  const canGoBack = answerHistory.length > 0 && !answerHistory[answerHistory.length - 1].locked;
+  const automaticStepsView = <AutomaticSteps flow={activeFlow} steps={automaticSteps} />;
+  const answerHistoryView = (
+    <AnswerHistory
+      flow={activeFlow}
+      executionState={executionState}
+      onRevisit={handleRevisit}
+      isDisabled={submitting}
+    />
+  );
+
   // Loading state
   if (loading) {
     return (
@@ -454,10 +647,20 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
     return (
       <Box padding="space.400">
         <Stack space="space.300">
+          {automaticStepsView}
+
           <SectionMessage appearance="success" title="Flow completed!">
             <p>You have successfully completed this decision flow. The configured actions have been executed on this issue.</p>
           </SectionMessage>
 
+          {error && (
+            <SectionMessage appearance="warning">
+              <p>{error}</p>
+            </SectionMessage>
+          )}
+
+          <RevertRun issueKey={issueKey} flowId={flow.id} onReverted={handleReverted} />
+
           {/* Reset button to start over */}
           <Box>
             <Button
@@ -468,6 +671,83 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
               Start Over
             </Button>
           </Box>
+
+          {answerHistoryView}
+        </Stack>
+      </Box>
+    );
+  }
+
+  // Failed state - an action failed or the conditions of a logic or switch node could not be checked, and the
+  // flow stopped on it, or a loop reached the flow's iteration limit
+  if (executionState && executionState.failed) {
+    const failedNode = activeFlow.nodes.find(n => n.id === executionState.failed.nodeId);
+    const isLoopLimit = executionState.failed.reason === 'maxIterations';
+    const isConditionError = executionState.failed.reason === 'conditionError';
+    return (
+      <Box padding="space.400">
+        <Stack space="space.300">
+          {automaticStepsView}
+
+          {isLoopLimit ? (
+            <SectionMessage appearance="error" title="The flow looped too many times">
+              <p>{executionState.failed.error}, so it stopped.</p>
+              <p>Go back to change an earlier answer, or start over.</p>
+            </SectionMessage>
+          ) : isConditionError ? (
+            <SectionMessage appearance="error" title="A check failed">
+              <p>
+                The flow stopped at "{failedNode?.data?.label || executionState.failed.nodeId}": {executionState.failed.error}
+              </p>
+              <p>Retry once the problem is fixed, or start over.</p>
+            </SectionMessage>
+          ) : (
+            <SectionMessage appearance="error" title="An action failed">
+              <p>
+                The flow stopped at "{failedNode?.data?.label || executionState.failed.nodeId}" because the action
+                failed: {executionState.failed.error}
+              </p>
+              <p>Retry the action once the problem is fixed, or start over.</p>
+            </SectionMessage>
+          )}
+
+          {error && (
+            <SectionMessage appearance="warning">
+              <p>{error}</p>
+            </SectionMessage>
+          )}
+
+          <Inline space="space.100">
+            {canGoBack && (
+              <Button
+                appearance="default"
+                onClick={() => handleRevisit(null)}
+                isDisabled={submitting}
+              >
+                Back
+              </Button>
+            )}
+            {!isLoopLimit && (
+              <Button
+                appearance="primary"
+                onClick={handleSubmit}
+                isDisabled={submitting || !currentNode}
+              >
+                {submitting ? 'Retrying...' : isConditionError ? 'Retry' : 'Retry Action'}
+              </Button>
+            )}
+            <Button
+              appearance="default"
+              onClick={handleReset}
+              isDisabled={submitting}
+            >
+              Start Over
+            </Button>
+          </Inline>
+
+          <RevertRun issueKey={issueKey} flowId={flow.id} onReverted={handleReverted} />
+
+          {answerHistoryView}
         </Stack>
       </Box>
     );
@@ -498,6 +778,12 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
     return (
       <Box padding="space.400">
         <Stack space="space.300">
+          {revertNotice && (
+            <SectionMessage appearance={revertNotice.appearance} title="Run reverted">
+              <p>{revertNotice.message}</p>
+            </SectionMessage>
+          )}
+
           <SectionMessage appearance="information" title="Ready to begin">
             <p>Click the button below to start this decision flow.</p>
           </SectionMessage>
@@ -516,16 +802,45 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
     );
   }
 
-  // Logic node - user must manually trigger evaluation
+  // Logic node - reached when it could not be evaluated automatically; the user triggers evaluation
   if (currentNode.type === 'logic') {
-    const { fieldKey, operator, expectedValue, valueSource, questionNodeId } = currentNode.data;
+    const conditionTree = getConditionTree(currentNode.data);
+    const singleCondition = getSingleCondition(conditionTree);
+    const { operator, expectedValue, valueSource, questionNodeId } = singleCondition || {};
     const operatorName = getOperatorDisplayName(operator);
 
     // Determine what value will be used for comparison
     let comparisonDescription = '';
-    if (valueSource === 'question' && questionNodeId) {
+    if (!singleCondition) {
+      // Compound condition: describe the whole tree in one line
+      const summary = summarizeConditionTree(conditionTree, (condition) => {
+        if (condition.conditionType === 'jql') {
+          return summarizeCondition(condition);
+        }
+        if (condition.operator === 'isEmpty' || condition.operator === 'isNotEmpty') {
+          return `${condition.fieldKey} ${getOperatorDisplayName(condition.operator)}`;
+        }
+        if (condition.valueSource === 'question' && condition.questionNodeId) {
+          const answerValue = executionState?.answers?.[condition.questionNodeId];
+          const answerText = Array.isArray(answerValue) ? answerValue.join(', ') : answerValue;
+          return `${condition.fieldKey} ${getOperatorDisplayName(condition.operator)} your answer${answerText !== undefined && answerText !== null ? ` (${answerText})` : ''}`;
+        }
+        return `${condition.fieldKey} ${getOperatorDisplayName(condition.operator)} "${condition.expectedValue}"`;
+      });
+      comparisonDescription = (
+        <>
+          The flow will check whether the issue matches: <strong>{summary}</strong>.
+        </>
+      );
+    } else if (singleCondition.conditionType === 'jql') {
+      comparisonDescription = (
+        <>
+          The flow will check whether the issue matches the JQL query <code>{singleCondition.jql}</code>.
+        </>
+      );
+    } else if (valueSource === 'question' && questionNodeId) {
       // Find the question node to display its text
-      const questionNode = flow.nodes.find(n => n.id === questionNodeId);
+      const questionNode = activeFlow.nodes.find(n => n.id === questionNodeId);
       const questionText = questionNode?.data?.question || 'a previous question';
       const answerValue = executionState?.answers?.[questionNodeId];
       
@@ -571,6 +886,8 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
     return (
       <Box padding="space.400">
         <Stack space="space.300">
+          {automaticStepsView}
+
           <SectionMessage appearance="warning" title="Condition Check Required">
             <p>{comparisonDescription}</p>
             <p>
@@ -587,6 +904,15 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
 
           {/* Action buttons */}
           <Inline space="space.100">
+            {canGoBack && (
+              <Button
+                appearance="default"
+                onClick={() => handleRevisit(null)}
+                isDisabled={submitting}
+              >
+                Back
+              </Button>
+            )}
             <Button
               appearance="primary"
               onClick={handleSubmit}
@@ -604,6 +930,8 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
             </Button>
           </Inline>
 
+          {answerHistoryView}
+
           {/* Progress indicator */}
           {executionState && executionState.path && (
             <Box paddingBlockStart="space.200">
@@ -617,7 +945,94 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
     );
   }
 
-  // Action node - user must manually trigger action execution
+  // Switch node - reached when it could not be evaluated automatically; the user triggers evaluation of the cases
+  if (currentNode.type === 'switch') {
+    const cases = currentNode.data.cases || [];
+    const describeCondition = (condition) => {
+      if (condition.conditionType === 'jql') {
+        return summarizeCondition(condition);
+      }
+      if (condition.operator === 'isEmpty' || condition.operator === 'isNotEmpty') {
+        return `${condition.fieldKey} ${getOperatorDisplayName(condition.operator)}`;
+      }
+      if (condition.valueSource === 'question' && condition.questionNodeId) {
+        return `${condition.fieldKey} ${getOperatorDisplayName(condition.operator)} your answer`;
+      }
+      return `${condition.fieldKey} ${getOperatorDisplayName(condition.operator)} "${condition.expectedValue}"`;
+    };
+
+    return (
+      <Box padding="space.400">
+        <Stack space="space.300">
+          {automaticStepsView}
+
+          <SectionMessage appearance="warning" title="Condition Check Required">
+            <p>The flow will take the path of the first case the issue matches:</p>
+            <ol>
+              {cases.map((switchCase, index) => (
+                <li key={switchCase.id}>
+                  <strong>{switchCase.label || `Case ${index + 1}`}</strong>
+                  {switchCase.conditionGroup && `: ${summarizeConditionTree(switchCase.conditionGroup, describeCondition)}`}
+                </li>
+              ))}
+            </ol>
+            <p>If no case matches, the default path is taken.</p>
+            <p>
+              <strong>Please ensure the issue fields are set correctly before proceeding.</strong>
+            </p>
+          </SectionMessage>
+
+          {/* Error message if any */}
+          {error && (
+            <SectionMessage appearance="error">
+              <p>{error}</p>
+            </SectionMessage>
+          )}
+
+          {/* Action buttons */}
+          <Inline space="space.100">
+            {canGoBack && (
+              <Button
+                appearance="default"
+                onClick={() => handleRevisit(null)}
+                isDisabled={submitting}
+              >
+                Back
+              </Button>
+            )}
+            <Button
+              appearance="primary"
+              onClick={handleSubmit}
+              isDisabled={submitting}
+            >
+              {submitting ? 'Evaluating...' : 'Evaluate Cases'}
+            </Button>
+
+            <Button
+              appearance="subtle"
+              onClick={handleReset}
+              isDisabled={submitting}
+            >
+              Reset Flow
+            </Button>
+          </Inline>
+
+          {answerHistoryView}
+
+          {/* Progress indicator */}
+          {executionState && executionState.path && (
+            <Box paddingBlockStart="space.200">
+              <SectionMessage appearance="information">
+                <p>Progress: {executionState.path.length} step(s) completed</p>
+              </SectionMessage>
+            </Box>
+          )}
+        </Stack>
+      </Box>
+    );
+  }
+
+  // Action node - the action requires confirmation, or could not be run automatically
   if (currentNode.type === 'action') {
     const { actionType, fieldKey, fieldValue, label, comment } = currentNode.data;
     
@@ -642,14 +1057,69 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
         break;
       case 'addComment':
         actionDescription = `Add comment: "${comment}"`;
+        if (currentNode.data.commentVisibility?.value) {
+          actionDescription += ` (visible to ${currentNode.data.commentVisibility.value} only)`;
+        }
+        break;
+      case 'transitionIssue':
+        actionDescription = `Move the issue to "${currentNode.data.toStatusName}" (${currentNode.data.transitionName})`;
+        break;
+      case 'assignIssue': {
+        const assignee = actionPreview?.assignee;
+        if (!actionPreview) {
+          actionDescription = 'Assign the issue (resolving assignee...)';
+        } else if (actionPreview.error || assignee?.error) {
+          actionDescription = `Assign the issue (assignee could not be resolved: ${actionPreview.error || assignee.error})`;
+        } else {
+          actionDescription = `Assign the issue to ${assignee.displayName}`;
+        }
+        break;
+      }
+      case 'createIssue': {
+        const { createMode = 'subtask', targetProjectKey, summary } = currentNode.data;
+        const createTarget = {
+          subtask: 'a subtask of this issue',
+          linked: 'a linked issue',
+          project: `an issue in ${targetProjectKey}`
+        }[createMode] || 'an issue';
+        actionDescription = `Create ${createTarget}: "${summary}"`;
+        break;
+      }
+      case 'linkIssue': {
+        const { linkTypeName, targetSource = 'static', targetIssueKey } = currentNode.data;
+        const linkTarget = {
+          static: targetIssueKey,
+          answer: 'the issue you selected',
+          jql: 'the issues matching a JQL query'
+        }[targetSource];
+        actionDescription = `Link this issue (${linkTypeName}) to ${linkTarget}`;
+        break;
+      }
+      case 'addWatchers': {
+        const { watcherSource = 'user', watchers = [], groupName } = currentNode.data;
+        const watcherTarget = {
+          user: watchers.map(user => user.displayName).join(', '),
+          answer: 'the users you selected',
+          group: `the members of ${groupName}`
+        }[watcherSource];
+        actionDescription = `Add ${watcherTarget} as watchers`;
+        break;
+      }
+      case 'webhook':
+        actionDescription = 'Send your answers to an external system';
         break;
       default:
         actionDescription = `Execute ${actionType} action`;
     }
 
+    // Template placeholders are only filled in by the backend when the action runs
+    const usesTemplates = [fieldValue, label, comment, currentNode.data.summary, currentNode.data.targetIssueKey].some(value => typeof value === 'string' && value.includes('{{'));
+
     return (
       <Box padding="space.400">
         <Stack space="space.300">
+          {automaticStepsView}
+
           <SectionMessage appearance="information" title="Action Ready to Execute">
             <p>
               The following action will be performed on this issue:
@@ -657,6 +1127,9 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
             <p>
               <strong>{actionDescription}</strong>
             </p>
+            {usesTemplates && (
+              <p>Values in {'{{ }}'} will be filled in from your answers and the issue when the action runs.</p>
+            )}
           </SectionMessage>
 
           {/* Error message if any */}
@@ -668,6 +1141,15 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
 
           {/* Action buttons */}
           <Inline space="space.100">
+            {canGoBack && (
+              <Button
+                appearance="default"
+                onClick={() => handleRevisit(null)}
+                isDisabled={submitting}
+              >
+                Back
+              </Button>
+            )}
             <Button
               appearance="primary"
               onClick={handleSubmit}
@@ -685,6 +1167,8 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
             </Button>
           </Inline>
 
+          {answerHistoryView}
+
           {/* Progress indicator */}
           {executionState && executionState.path && (
             <Box paddingBlockStart="space.200">
@@ -702,9 +1186,13 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
   return (
     <Box padding="space.400">
       <Stack space="space.300">
+        {automaticStepsView}
+
         {/* Question text */}
         <Box>
           <Heading size="medium">{currentNode.data.question}</Heading>
+          {!isAnswerRequired(currentNode) && <p>Optional</p>}
+          {currentNode.subflowName && <p>Part of &quot;{currentNode.subflowName}&quot;</p>}
         </Box>
 
         {/* Question input based on type */}
@@ -721,6 +1209,15 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
 
         {/* Action buttons */}
         <Inline space="space.100">
+          {canGoBack && (
+            <Button
+              appearance="default"
+              onClick={() => handleRevisit(null)}
+              isDisabled={submitting}
+            >
+              Back
+            </Button>
+          )}
           <Button
             appearance="primary"
             onClick={handleSubmit}
@@ -738,6 +1235,8 @@ function QuestionnaireView({ issueKey, flow, onStateChange }) {
           </Button>
         </Inline>
 
+        {answerHistoryView}
+
         {/* Progress indicator */}
         {executionState && executionState.path && (
           <Box paddingBlockStart="space.200">
@@ -0,0 +1,149 @@
+/**
+ * RevertRun Component
+ *
+ * Offers to revert the Jira changes made by the current run of a flow:
+ * field values are restored, added labels removed and added comments
+ * deleted. The control is only shown to users the backend allows to revert
+ * the run (Edit Issues permission, and either took part in the run or
+ * administer the project). Before reverting, the user confirms a list of
+ * what will be undone and what cannot be. If some changes could not be
+ * undone, the run is kept and they are listed so the user can revert again.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+import { Box, Stack, Inline } from '@atlaskit/primitives';
+import Button from '@atlaskit/button/new';
+import SectionMessage from '@atlaskit/section-message';
+
+/**
+ * @param {string} issueKey - The Jira issue key
+ * @param {string} flowId - The flow ID
+ * @param {Function} onReverted - Called with the revert summary (`{ reverted, skipped, failed }`) once every change is reverted
+ *   and the run reset
+ */
+function RevertRun({ issueKey, flowId, onReverted }) {
+  const [preview, setPreview] = useState(null);
+  const [isConfirming, setIsConfirming] = useState(false);
+  const [reverting, setReverting] = useState(false);
+  const [error, setError] = useState(null);
+  const [failedSteps, setFailedSteps] = useState([]);
+
+  /**
+   * Check whether the run can be reverted, and what it would undo
+   */
+  useEffect(() => {
+    let isCancelled = false;
+
+    invoke('previewRevert', { issueKey, flowId })
+      .then(result => {
+        if (!isCancelled) {
+          setPreview(result);
+        }
+      })
+      .catch(err => {
+        console.error('Error previewing revert:', err);
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [issueKey, flowId]);
+
+  /**
+   * Revert the run and let the parent reload the reset execution
+   */
+  const handleRevert = async () => {
+    try {
+      setReverting(true);
+      setError(null);
+
+      const result = await invoke('revertRun', { issueKey, flowId });
+      if (result.error) {
+        setError(result.error);
+        setReverting(false);
+        return;
+      }
+
+      if (result.revert.failed.length > 0) {
+        // The run is kept; show what is left to revert
+        setFailedSteps(result.revert.failed);
+        setPreview(await invoke('previewRevert', { issueKey, flowId }));
+        setReverting(false);
+        setIsConfirming(false);
+        return;
+      }
+
+      setReverting(false);
+      setIsConfirming(false);
+      setFailedSteps([]);
+      onReverted(result.revert);
+    } catch (err) {
+      console.error('Error reverting run:', err);
+      setError(err.message || 'Failed to revert the run');
+      setReverting(false);
+    }
+  };
+
+  // Nothing to offer: still loading, not allowed, or nothing that can be undone
+  const revertibleSteps = (preview?.steps || []).filter(step => step.operation !== 'skip');
+  if (!preview || preview.error || !preview.allowed || revertibleSteps.length === 0) {
+    return null;
+  }
+
+  if (!isConfirming) {
+    return (
+      <Stack space="space.100">
+        {failedSteps.length > 0 && (
+          <SectionMessage appearance="warning" title="Run partly reverted">
+            <p>
+              These changes could not be reverted: {failedSteps.map(step => `${step.description} (${step.error})`).join('; ')}.
+              Revert the run again to retry them.
+            </p>
+          </SectionMessage>
+        )}
+        <Box>
+          <Button appearance="subtle" onClick={() => setIsConfirming(true)}>
+            Revert this run
+          </Button>
+        </Box>
+      </Stack>
+    );
+  }
+
+  const skippedSteps = preview.steps.filter(step => step.operation === 'skip');
+
+  return (
+    <SectionMessage appearance="warning" title="Revert this run?">
+      <Stack space="space.100">
+        <p>The following changes will be undone, and once they all are, the flow will start over:</p>
+        <ul>
+          {revertibleSteps.map((step, index) => (
+            <li key={index}>{step.description}</li>
+          ))}
+        </ul>
+        {skippedSteps.length > 0 && (
+          <>
+            <p>These changes cannot be reverted and will stay:</p>
+            <ul>
+              {skippedSteps.map((step, index) => (
+                <li key={index}>{step.description}</li>
+              ))}
+            </ul>
+          </>
+        )}
+        {error && <p>{error}</p>}
+        <Inline space="space.100">
+          <Button appearance="warning" onClick={handleRevert} isDisabled={reverting}>
+            {reverting ? 'Reverting...' : 'Revert'}
+          </Button>
+          <Button appearance="subtle" onClick={() => setIsConfirming(false)} isDisabled={reverting}>
+            Cancel
+          </Button>
+        </Inline>
+      </Stack>
+    </SectionMessage>
+  );
+}
+
+export default RevertRun;
@@ -26,7 +26,43 @@ function ActionNode({ data, isConnectable }) {
     const actionTypeLabels = {
         setField: 'Set Field',
         addLabel: 'Add Label',
-        addComment: 'Add Comment'
+        addComment: 'Add Comment',
+        transitionIssue: 'Transition',
+        assignIssue: 'Assign',
+        createIssue: 'Create',
+        linkIssue: 'Link',
+        addWatchers: 'Watch',
+        webhook: 'Webhook'
+    };
+
+    // Describe where a Link Issue action's issues come from
+    const linkTargetSummaries = {
+        static: () => data.targetIssueKey,
+        answer: () => 'the issue chosen in a question',
+        jql: () => 'issues matching JQL'
+    };
+
+    // Describe where an Add Watchers action's users come from
+    const watcherSummaries = {
+        user: () => (data.watchers || []).map(user => user.displayName).join(', '),
+        answer: () => 'the users chosen in a question',
+        group: () => data.groupName && `members of ${data.groupName}`
+    };
+
+    // Describe what a Create Issue action creates
+    const createModeSummaries = {
+        subtask: 'subtask',
+        linked: 'linked issue',
+        project: 'issue'
+    };
+
+    // Describe where an Assign Issue action's assignee comes from
+    const assigneeSummaries = {
+        user: () => data.assigneeDisplayName || 'a user',
+        answer: () => 'the user chosen in a question',
+        currentUser: () => 'the user running the flow',
+        projectLead: () => 'the project lead',
+        componentLead: () => (data.componentName ? `the ${data.componentName} component lead` : 'the component lead')
     };
 
     const actionSummary = () => {
@@ -43,6 +79,38 @@ function ActionNode({ data, isConnectable }) {
                 return comment 
                     ? `Add comment: "${comment.substring(0, 30)}${comment.length > 30 ? '...' : ''}"`
                     : 'Configure comment';
+            case 'transitionIssue':
+                return data.transitionId
+                    ? `${data.transitionName || 'Transition'} → ${data.toStatusName || '?'}`
+                    : 'Configure transition';
+            case 'assignIssue': {
+                const summarizeAssignee = assigneeSummaries[data.assigneeSource || 'user'];
+                return summarizeAssignee ? `Assign to ${summarizeAssignee()}` : 'Configure assignee';
+            }
+            case 'createIssue': {
+                if (!data.summary) {
+                    return 'Configure new issue';
+                }
+                const createMode = data.createMode || 'subtask';
+                const target = createMode === 'project' && data.targetProjectKey ? ` in ${data.targetProjectKey}` : '';
+                return `Create ${createModeSummaries[createMode] || 'issue'}${target}: "${data.summary}"`;
+            }
+            case 'linkIssue': {
+                const summarizeTarget = linkTargetSummaries[data.targetSource || 'static'];
+                const target = summarizeTarget && summarizeTarget();
+                return data.linkTypeName && target
+                    ? `Link (${data.linkTypeName}, ${data.linkDirection || 'outward'}) to ${target}`
+                    : 'Configure link';
+            }
+            case 'addWatchers': {
+                const summarizeWatchers = watcherSummaries[data.watcherSource || 'user'];
+                const watchers = summarizeWatchers && summarizeWatchers();
+                return watchers ? `Add watchers: ${watchers}` : 'Configure watchers';
+            }
+            case 'webhook':
+                return data.webhookUrl
+                    ? `POST to ${data.webhookUrl}${data.hasSigningSecret ? ' (signed)' : ''}`
+                    : 'Configure webhook';
             default:
                 return 'Configure action';
         }
@@ -119,6 +187,37 @@ function ActionNode({ data, isConnectable }) {
                     height: '4px',
                 }}
             />
+
+            {/* Error handle - not connectable in read-only mode */}
+            <Handle
+                type="source"
+                position={Position.Right}
+                id="error"
+                isConnectable={false}
+                style={{
+                    background: token('color.background.danger.bold'),
+                    border: `2px solid ${token('color.border.danger')}`,
+                    width: '4px',
+                    height: '4px',
+                }}
+            />
+
+            {/* Label for error handle */}
+            <div style={{
+                position: 'absolute',
+                left: '100%',
+                top: '50%',
+                transform: 'translate(6px, -50%)',
+                fontSize: '10px',
+                fontWeight: 'bold',
+                color: token('color.text.danger'),
+                backgroundColor: token('elevation.surface'),
+                padding: '0px 4px',
+                borderRadius: '3px',
+                border: `1px solid ${token('color.border.danger')}`,
+            }}>
+                error
+            </div>
         </div>
     );
 }
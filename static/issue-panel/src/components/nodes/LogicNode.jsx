@@ -14,36 +14,12 @@ import { memo } from 'react';
 import { Handle, Position } from '@xyflow/react';
 import { token } from '@atlaskit/tokens';
 import { Text } from '@atlaskit/primitives';
+import { getConditionTree, summarizeCondition, summarizeConditionTree } from '../../utils/conditionGroups.js';
 
 function LogicNode({ data, isConnectable }) {
-    const fieldKey = data.fieldKey || 'field';
-    const operator = data.operator || 'equals';
-    const expectedValue = data.expectedValue || '';
+    const conditionTree = getConditionTree(data);
 
-    const operatorLabels = {
-        equals: '=',
-        notEquals: '≠',
-        contains: 'contains',
-        greaterThan: '>',
-        lessThan: '<',
-        isEmpty: 'is empty',
-        isNotEmpty: 'is not empty'
-    };
-
-    const valueSource = data.valueSource || 'static';
-    const questionNodeId = data.questionNodeId;
-
-    const conditionSummary = () => {
-        if (operator === 'isEmpty' || operator === 'isNotEmpty') {
-            return `${fieldKey} ${operatorLabels[operator]}`;
-        }
-        
-        if (valueSource === 'question' && questionNodeId) {
-            return `${fieldKey} ${operatorLabels[operator]} [Answer from Question]`;
-        }
-        
-        return `${fieldKey} ${operatorLabels[operator]} ${expectedValue}`;
-    };
+    const conditionSummary = () => summarizeConditionTree(conditionTree, (condition) => summarizeCondition(condition));
 
     return (
         <div
@@ -9,6 +9,7 @@
  * - Displays question text preview
  * - Shows question type as a badge
  * - Displays answer options as chips
+ * - One labelled handle per route plus "otherwise" for routed questions
  */
 
 import { memo } from 'react';
@@ -26,11 +27,26 @@ function QuestionNode({ data, isConnectable }) {
         single: 'Single Choice',
         multiple: 'Multiple Choice',
         date: 'Date',
-        number: 'Number'
+        number: 'Number',
+        text: 'Text',
+        longtext: 'Long Text',
+        user: 'User',
+        issue: 'Issue'
     };
 
     const shouldShowMultipleHandles = questionType === 'single' && options.length > 0;
 
+    // Routes of multiple choice, number and date questions, plus the otherwise branch
+    const routes = ['multiple', 'number', 'date'].includes(questionType) ? (data.routes || []) : [];
+    const branches = routes.length === 0 ? [] : [
+        ...routes.map((route, index) => ({
+            handleId: `route-${route.id}`,
+            label: route.label || `Route ${index + 1}`,
+            isDefault: false
+        })),
+        { handleId: 'source', label: 'otherwise', isDefault: true }
+    ];
+
     return (
         <div
             style={{
@@ -39,8 +55,9 @@ function QuestionNode({ data, isConnectable }) {
                 border: `1px solid ${token('color.border.information')}`,
                 borderRadius: '5%',
                 padding: '8px',
-                minWidth: '180px',
-                maxWidth: '250px',
+                paddingBottom: branches.length > 0 ? '20px' : '8px',
+                minWidth: `${Math.max(180, branches.length * 60)}px`,
+                maxWidth: `${Math.max(250, branches.length * 70)}px`,
                 boxShadow: token('elevation.shadow.raised'),
                 cursor: 'default', // Changed from 'grab' to 'default' for read-only
             }}
@@ -94,9 +111,9 @@ function QuestionNode({ data, isConnectable }) {
                         flexWrap: 'wrap',
                         gap: '4px'
                     }}>
-                        {options.slice(0, 3).map((option, index) => (
-                            <Lozenge key={index} appearance="default">
-                                {option}
+                        {options.slice(0, 3).map(option => (
+                            <Lozenge key={option.id} appearance="default">
+                                {option.label}
                             </Lozenge>
                         ))}
                         {options.length > 3 && (
@@ -109,17 +126,57 @@ function QuestionNode({ data, isConnectable }) {
             )}
 
             {/* Source handles - not connectable in read-only mode */}
-            {shouldShowMultipleHandles ? (
+            {branches.length > 0 ? (
+                branches.map((branch, index) => {
+                    const leftPercent = ((index + 1) / (branches.length + 1)) * 100;
+                    const color = branch.isDefault ? 'color.border' : 'color.border.information';
+
+                    return (
+                        <div key={branch.handleId}>
+                            <Handle
+                                type="source"
+                                position={Position.Bottom}
+                                id={branch.handleId}
+                                isConnectable={false}
+                                style={{
+                                    background: token('color.background.inverse.subtle'),
+                                    border: `2px solid ${token(color)}`,
+                                    width: '4px',
+                                    height: '4px',
+                                    left: `${leftPercent}%`,
+                                }}
+                                title={branch.label}
+                            />
+                            <div style={{
+                                position: 'absolute',
+                                left: `${leftPercent}%`,
+                                bottom: '4px',
+                                transform: 'translateX(-50%)',
+                                maxWidth: '60px',
+                                overflow: 'hidden',
+                                textOverflow: 'ellipsis',
+                                whiteSpace: 'nowrap',
+                                fontSize: '10px',
+                                fontWeight: 'bold',
+                                fontStyle: branch.isDefault ? 'italic' : 'normal',
+                                color: token('color.text.subtle'),
+                            }}>
+                                {branch.label}
+                            </div>
+                        </div>
+                    );
+                })
+            ) : shouldShowMultipleHandles ? (
                 options.map((option, index) => {
                     const totalOptions = options.length;
                     const leftPercent = ((index + 1) / (totalOptions + 1)) * 100;
                     
                     return (
                         <Handle
-                            key={`option-${index}`}
+                            key={`option-${option.id}`}
                             type="source"
                             position={Position.Bottom}
-                            id={`option-${index}`}
+                            id={`option-${option.id}`}
                             isConnectable={false}
                             style={{
                                 background: token('color.background.inverse.subtle'),
@@ -130,7 +187,7 @@ function QuestionNode({ data, isConnectable }) {
                                 top: '96%',
                                 transform: 'translateX(-50%)',
                             }}
-                            title={option}
+                            title={option.label}
                         />
                     );
                 })
@@ -0,0 +1,116 @@
+/**
+ * SubflowNode Component (Read-Only Version for Issue Panel)
+ * 
+ * Represents a sub-flow node in the flow diagram view: another flow that runs
+ * inline when the flow reaches this node.
+ * This is a read-only version used in the FlowDiagramView component.
+ * 
+ * Visual Design:
+ * - Magenta rounded rectangle with a puzzle piece icon
+ * - Shows the name of the flow it runs
+ * - A default handle plus one source handle per outcome of the sub-flow
+ */
+
+import { memo } from 'react';
+import { Handle, Position } from '@xyflow/react';
+import { token } from '@atlaskit/tokens';
+import { Text } from '@atlaskit/primitives';
+
+function SubflowNode({ data }) {
+    // The default branch plus one branch per outcome, in handle order
+    const branches = [
+        { handleId: 'source', label: 'next', isDefault: true },
+        ...(data.outcomes || []).map(outcome => ({
+            handleId: `outcome-${outcome.nodeId}`,
+            label: outcome.label,
+            isDefault: false
+        }))
+    ];
+
+    return (
+        <div
+            style={{
+                backgroundColor: token('color.background.accent.magenta.subtlest'),
+                border: `1px solid ${token('color.border.accent.magenta')}`,
+                borderRadius: '5%',
+                padding: '8px',
+                paddingBottom: '20px',
+                minWidth: `${Math.max(180, branches.length * 60)}px`,
+                maxWidth: `${Math.max(250, branches.length * 70)}px`,
+                boxShadow: token('elevation.shadow.raised'),
+                cursor: 'default',
+            }}
+        >
+            {/* Target handle at the top for incoming connections */}
+            <Handle
+                type="target"
+                position={Position.Top}
+                id="target"
+                isConnectable={false}
+                style={{
+                    background: token('color.background.inverse.subtle'),
+                    border: `2px solid ${token('color.border.accent.magenta')}`,
+                    width: '4px',
+                    height: '4px',
+                }}
+            />
+
+            {/* Node header */}
+            <div style={{ marginBottom: '4px' }}>
+                <Text size="small" weight="bold">🧩 {data.label || 'Sub-flow'}</Text>
+            </div>
+
+            {/* Flow it runs */}
+            <div style={{ wordWrap: 'break-word', lineHeight: '1.2' }}>
+                {data.subflowId ? (
+                    <Text size="small">Runs <strong>{data.subflowName || data.subflowId}</strong></Text>
+                ) : (
+                    <Text size="small" color="color.text.subtlest">No flow selected</Text>
+                )}
+            </div>
+
+            {/* Source handles evenly distributed along the bottom */}
+            {branches.map((branch, index) => {
+                const leftPercent = ((index + 1) / (branches.length + 1)) * 100;
+                const color = branch.isDefault ? 'color.border' : 'color.border.accent.magenta';
+
+                return (
+                    <div key={branch.handleId}>
+                        <Handle
+                            type="source"
+                            position={Position.Bottom}
+                            id={branch.handleId}
+                            isConnectable={false}
+                            style={{
+                                background: token('color.background.inverse.subtle'),
+                                border: `2px solid ${token(color)}`,
+                                width: '4px',
+                                height: '4px',
+                                left: `${leftPercent}%`,
+                            }}
+                            title={branch.label}
+                        />
+                        <div style={{
+                            position: 'absolute',
+                            left: `${leftPercent}%`,
+                            bottom: '4px',
+                            transform: 'translateX(-50%)',
+                            maxWidth: '60px',
+                            overflow: 'hidden',
+                            textOverflow: 'ellipsis',
+                            whiteSpace: 'nowrap',
+                            fontSize: '10px',
+                            fontWeight: 'bold',
+                            fontStyle: branch.isDefault ? 'italic' : 'normal',
+                            color: token('color.text.subtle'),
+                        }}>
+                            {branch.label}
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+export default memo(SubflowNode);
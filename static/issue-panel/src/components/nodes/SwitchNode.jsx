@@ -0,0 +1,128 @@
+/**
+ * SwitchNode Component (Read-Only Version for Issue Panel)
+ * 
+ * Represents a multi-way branch node in the flow diagram view.
+ * This is a read-only version used in the FlowDiagramView component.
+ * 
+ * Visual Design:
+ * - Teal rounded rectangle with a branching icon
+ * - Lists the cases in evaluation order
+ * - One source handle per case plus a default handle
+ */
+
+import { memo } from 'react';
+import { Handle, Position } from '@xyflow/react';
+import { token } from '@atlaskit/tokens';
+import { Text } from '@atlaskit/primitives';
+import { summarizeCondition, summarizeConditionTree } from '../../utils/conditionGroups.js';
+
+function SwitchNode({ data }) {
+    const cases = data.cases || [];
+
+    // Cases plus the default branch, in handle order
+    const branches = [
+        ...cases.map((switchCase, index) => ({
+            handleId: `case-${switchCase.id}`,
+            label: switchCase.label || `Case ${index + 1}`,
+            isDefault: false
+        })),
+        { handleId: 'default', label: 'default', isDefault: true }
+    ];
+
+    return (
+        <div
+            style={{
+                backgroundColor: token('color.background.accent.teal.subtlest'),
+                border: `1px solid ${token('color.border.accent.teal')}`,
+                borderRadius: '5%',
+                padding: '8px',
+                paddingBottom: '20px',
+                minWidth: `${Math.max(180, branches.length * 60)}px`,
+                maxWidth: `${Math.max(250, branches.length * 70)}px`,
+                boxShadow: token('elevation.shadow.raised'),
+                cursor: 'default',
+            }}
+        >
+            {/* Target handle at the top for incoming connections */}
+            <Handle
+                type="target"
+                position={Position.Top}
+                id="target"
+                isConnectable={false}
+                style={{
+                    background: token('color.background.inverse.subtle'),
+                    border: `2px solid ${token('color.border.accent.teal')}`,
+                    width: '4px',
+                    height: '4px',
+                }}
+            />
+
+            {/* Node header */}
+            <div style={{ marginBottom: '4px' }}>
+                <Text size="small" weight="bold">🔀 {data.label || 'Switch'}</Text>
+            </div>
+
+            {/* Cases in evaluation order */}
+            <div style={{ lineHeight: '1.2' }}>
+                {cases.length === 0 ? (
+                    <Text size="small" color="color.text.subtlest">No cases configured</Text>
+                ) : (
+                    cases.map((switchCase, index) => (
+                        <div key={switchCase.id} style={{ wordWrap: 'break-word', marginBottom: '2px' }}>
+                            <Text size="small">
+                                {index + 1}. <strong>{switchCase.label || `Case ${index + 1}`}</strong>
+                                {switchCase.conditionGroup && `: ${summarizeConditionTree(
+                                    switchCase.conditionGroup,
+                                    (condition) => summarizeCondition(condition)
+                                )}`}
+                            </Text>
+                        </div>
+                    ))
+                )}
+            </div>
+
+            {/* One source handle per case, plus the default handle, evenly distributed along the bottom */}
+            {branches.map((branch, index) => {
+                const leftPercent = ((index + 1) / (branches.length + 1)) * 100;
+                const color = branch.isDefault ? 'color.border' : 'color.border.accent.teal';
+
+                return (
+                    <div key={branch.handleId}>
+                        <Handle
+                            type="source"
+                            position={Position.Bottom}
+                            id={branch.handleId}
+                            isConnectable={false}
+                            style={{
+                                background: token('color.background.inverse.subtle'),
+                                border: `2px solid ${token(color)}`,
+                                width: '4px',
+                                height: '4px',
+                                left: `${leftPercent}%`,
+                            }}
+                            title={branch.label}
+                        />
+                        <div style={{
+                            position: 'absolute',
+                            left: `${leftPercent}%`,
+                            bottom: '4px',
+                            transform: 'translateX(-50%)',
+                            maxWidth: '60px',
+                            overflow: 'hidden',
+                            textOverflow: 'ellipsis',
+                            whiteSpace: 'nowrap',
+                            fontSize: '10px',
+                            fontWeight: 'bold',
+                            fontStyle: branch.isDefault ? 'italic' : 'normal',
+                            color: token('color.text.subtle'),
+                        }}>
+                            {branch.label}
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+export default memo(SwitchNode);
@@ -0,0 +1,89 @@
+/**
+ * Answer History
+ *
+ * Lists the questions answered so far in a run, in the order they were
+ * answered, and whether each can still be changed. A question is locked once
+ * an action has run after it: going back would not undo what the action did,
+ * so the backend refuses and the run has to be reverted instead. The action
+ * a run stopped on (it failed) does not lock anything.
+ *
+ * A question a loop passed through more than once is listed once per pass,
+ * with the answer given on that pass.
+ */
+
+/**
+ * Get the answered questions of a run
+ * @param {Object} flow - The flow revision the run is pinned to
+ * @param {Object} state - The execution state
+ * @returns {Array} `[{ nodeId, iteration, question, questionType, answer, labels, locked }]`, oldest first;
+ *   `iteration` counts the passes through the question from 0, and `labels` holds the option labels of a choice
+ *   question by option value
+ */
+export function getAnswerHistory(flow, state) {
+  if (!flow || !state || !Array.isArray(state.path)) {
+    return [];
+  }
+
+  const findNode = (nodeId) => flow.nodes.find(node => node.id === nodeId);
+  // The loop guard stops a run before a node it already visited, which may be an action that ran
+  const failedNodeId = state.failed && state.failed.reason !== 'maxIterations' ? state.failed.nodeId : null;
+  const lastActionIndex = state.path.reduce((last, nodeId, index) => {
+    const node = findNode(nodeId);
+    return node && node.type === 'action' && nodeId !== failedNodeId ? index : last;
+  }, -1);
+
+  // Runs from before answers were kept per pass only have the latest answer
+  const answerFor = (nodeId, iteration) => {
+    const iterations = state.answerIterations && state.answerIterations[nodeId];
+    if (Array.isArray(iterations)) {
+      return iterations[iteration];
+    }
+    return state.answers ? state.answers[nodeId] : undefined;
+  };
+
+  const passes = {};
+  return state.path
+    .map((nodeId, index) => {
+      const iteration = passes[nodeId] || 0;
+      passes[nodeId] = iteration + 1;
+      return { node: findNode(nodeId), index, iteration };
+    })
+    .filter(({ node, iteration }) => node && node.type === 'question' && answerFor(node.id, iteration) !== undefined)
+    .map(({ node, index, iteration }) => ({
+      nodeId: node.id,
+      iteration,
+      question: node.data.question || node.id,
+      questionType: node.data.questionType,
+      answer: answerFor(node.id, iteration),
+      labels: Object.fromEntries((node.data.options || []).map(option => [option.value, option.label])),
+      locked: index < lastActionIndex
+    }));
+}
+
+/**
+ * Format an answer for display
+ * @param {any} answer - The stored answer
+ * @param {Object} names - Display text by stored value: users' names by account ID, or option labels by option
+ *   value (optional)
+ * @returns {string} Display text
+ */
+export function formatAnswer(answer, names = {}) {
+  // Optional questions can be left empty
+  if (answer === null) {
+    return '(no answer)';
+  }
+  if (Array.isArray(answer)) {
+    return answer.map(value => names[value] || value).join(', ');
+  }
+  if (typeof answer === 'string' && names[answer]) {
+    return names[answer];
+  }
+  if (answer && typeof answer === 'object') {
+    return answer.displayName || answer.key || answer.label || JSON.stringify(answer);
+  }
+  // Date answers are stored as ISO timestamps
+  if (typeof answer === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(answer)) {
+    return new Date(answer).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+  }
+  return String(answer);
+}
@@ -0,0 +1,39 @@
+/**
+ * Execution Flow Resolver
+ *
+ * Executions are pinned to the flow revision they started on. The flow
+ * passed to the issue panel is the latest revision, so when an execution
+ * started on an older revision, that revision is loaded for display.
+ */
+
+import { invoke } from '@forge/bridge';
+
+/**
+ * Get the flow revision an execution state is pinned to
+ * @param {Object} flow - The latest flow definition
+ * @param {Object} state - The execution state (may contain `flowVersion`)
+ * @returns {Promise<Object>} The pinned flow revision, or the latest flow if no other revision applies
+ */
+export async function resolveExecutionFlow(flow, state) {
+  if (!state || !state.flowVersion || !flow.version || state.flowVersion === flow.version) {
+    return flow;
+  }
+
+  try {
+    const pinnedFlow = await invoke('getFlow', {
+      flowId: flow.id,
+      version: state.flowVersion
+    });
+
+    if (pinnedFlow && !pinnedFlow.error) {
+      console.log(`Using pinned flow version ${state.flowVersion} (latest is ${flow.version})`);
+      return pinnedFlow;
+    }
+
+    console.warn(`Pinned flow version ${state.flowVersion} unavailable, using latest`, pinnedFlow?.error);
+  } catch (err) {
+    console.error('Error loading pinned flow version:', err);
+  }
+
+  return flow;
+}
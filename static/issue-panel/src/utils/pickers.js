@@ -0,0 +1,188 @@
+/**
+ * Picker Questions
+ *
+ * Searches for the users and issues a user or issue question offers, and
+ * looks up how to show picked ones. Answers are account IDs and issue keys.
+ *
+ * A user question may be restricted to the members of a group or of a
+ * project role in the issue's project; an issue question to the issues
+ * matching a JQL filter. The backend checks the restriction again when the
+ * answer is submitted (src/engine/pickerAnswers.js).
+ */
+
+import { requestJira } from '@forge/bridge';
+
+// Results shown per search
+const MAX_RESULTS = 20;
+
+// Upper bound on the members of a group or role loaded to search through
+const MAX_CANDIDATES = 1000;
+
+/**
+ * Fetch JSON from the Jira REST API
+ * @param {string} path - Request path
+ * @param {Object} options - Request options
+ * @returns {Promise<any>} Response body
+ */
+async function fetchJson(path, options) {
+  const response = await requestJira(path, options);
+  if (!response.ok) {
+    throw new Error(`Request failed: ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+}
+
+/**
+ * Fetch the active human members of a group
+ * @param {string} groupId - The group ID
+ * @returns {Promise<Array>} Options: { value: accountId, label: displayName }
+ */
+async function fetchGroupMembers(groupId) {
+  const members = [];
+  for (let startAt = 0; startAt < MAX_CANDIDATES;) {
+    const page = await fetchJson(
+      `/rest/api/3/group/member?groupId=${encodeURIComponent(groupId)}&startAt=${startAt}&maxResults=50&includeInactiveUsers=false`
+    );
+    const values = page.values || [];
+    values
+      .filter(member => member.accountType === 'atlassian')
+      .forEach(member => members.push({ value: member.accountId, label: member.displayName }));
+    if (page.isLast || values.length === 0) {
+      break;
+    }
+    startAt += values.length;
+  }
+  return members;
+}
+
+/**
+ * Fetch the users in a project role in the issue's project, directly or through a group
+ * @param {string} issueKey - The Jira issue key
+ * @param {string} roleId - The project role ID
+ * @returns {Promise<Array>} Options: { value: accountId, label: displayName }
+ */
+async function fetchRoleMembers(issueKey, roleId) {
+  const issue = await fetchJson(`/rest/api/3/issue/${encodeURIComponent(issueKey)}?fields=project`);
+  const role = await fetchJson(
+    `/rest/api/3/project/${encodeURIComponent(issue.fields.project.key)}/role/${encodeURIComponent(roleId)}`
+  );
+
+  const members = (role.actors || [])
+    .filter(actor => actor.actorUser)
+    .map(actor => ({ value: actor.actorUser.accountId, label: actor.displayName }));
+  for (const actor of (role.actors || []).filter(actor => actor.actorGroup)) {
+    members.push(...await fetchGroupMembers(actor.actorGroup.groupId));
+  }
+
+  const seen = new Set();
+  return members.filter(member => !seen.has(member.value) && seen.add(member.value));
+}
+
+/**
+ * Create the search of a user question
+ * Restricted questions load their group or role members once and search through them.
+ * @param {Object} node - The question node
+ * @param {string} issueKey - The Jira issue key
+ * @returns {Function} `(query) => Promise<Array>` resolving to options: { value: accountId, label: displayName }
+ */
+export function createUserSearch(node, issueKey) {
+  const { userRestriction, groupId, roleId } = node.data;
+
+  if (userRestriction === 'group' || userRestriction === 'role') {
+    let candidates = null;
+    return async (query) => {
+      if (!candidates) {
+        candidates = userRestriction === 'group'
+          ? fetchGroupMembers(groupId)
+          : fetchRoleMembers(issueKey, roleId);
+      }
+      const text = (query || '').trim().toLowerCase();
+      return (await candidates)
+        .filter(member => member.label.toLowerCase().includes(text))
+        .sort((a, b) => a.label.localeCompare(b.label))
+        .slice(0, MAX_RESULTS);
+    };
+  }
+
+  return async (query) => {
+    const users = await fetchJson(
+      `/rest/api/3/user/search?maxResults=${MAX_RESULTS}&query=${encodeURIComponent(query || '')}`
+    );
+    return users
+      .filter(user => user.accountType === 'atlassian' && user.active !== false)
+      .map(user => ({ value: user.accountId, label: user.displayName }));
+  };
+}
+
+/**
+ * Create the search of an issue question
+ * @param {Object} node - The question node
+ * @returns {Function} `(query) => Promise<Array>` resolving to options: { value: issueKey, label }
+ */
+export function createIssueSearch(node) {
+  const jql = (node.data.issueJql || '').trim();
+
+  return async (query) => {
+    const params = [
+      `query=${encodeURIComponent(query || '')}`,
+      'showSubTasks=true',
+      'showSubTaskParent=true',
+      ...(jql ? [`currentJQL=${encodeURIComponent(jql)}`] : [])
+    ];
+    const { sections = [] } = await fetchJson(`/rest/api/3/issue/picker?${params.join('&')}`);
+
+    const seen = new Set();
+    return sections
+      .flatMap(section => section.issues || [])
+      .filter(issue => !seen.has(issue.key) && seen.add(issue.key))
+      .slice(0, MAX_RESULTS)
+      .map(issue => ({ value: issue.key, label: `${issue.key}: ${issue.summaryText || issue.summary || ''}` }));
+  };
+}
+
+/**
+ * Look up the display names of users
+ * @param {Array<string>} accountIds - Account IDs
+ * @returns {Promise<Object>} Display names by account ID
+ */
+export async function describeUsers(accountIds) {
+  if (accountIds.length === 0) {
+    return {};
+  }
+  const params = accountIds.map(accountId => `accountId=${encodeURIComponent(accountId)}`).join('&');
+  const { values = [] } = await fetchJson(`/rest/api/3/user/bulk?maxResults=${accountIds.length}&${params}`);
+  return Object.fromEntries(values.map(user => [user.accountId, user.displayName]));
+}
+
+/**
+ * Look up the summaries of issues
+ * @param {Array<string>} issueKeys - Issue keys
+ * @returns {Promise<Object>} Labels (`KEY: summary`) by issue key
+ */
+export async function describeIssues(issueKeys) {
+  if (issueKeys.length === 0) {
+    return {};
+  }
+  const { issues = [] } = await fetchJson('/rest/api/3/search/jql', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      jql: `key in (${issueKeys.map(key => `"${key}"`).join(', ')})`,
+      maxResults: issueKeys.length,
+      fields: ['summary']
+    })
+  });
+  return Object.fromEntries(issues.map(issue => [issue.key, `${issue.key}: ${issue.fields.summary}`]));
+}
+
+/**
+ * Get the values of a picker answer
+ * @param {any} answer - The answer (a value, a list of values, or null)
+ * @returns {Array<string>} Values
+ */
+export function getPickedValues(answer) {
+  if (answer === null || answer === undefined || answer === '') {
+    return [];
+  }
+  return Array.isArray(answer) ? answer : [answer];
+}
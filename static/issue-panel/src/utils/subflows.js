@@ -0,0 +1,63 @@
+/**
+ * Sub-flows
+ *
+ * A sub-flow node runs another flow inline. Within a run, the nodes of an
+ * invoked flow have scoped IDs, `<invocationId>/<nodeId>`, and each
+ * invocation is recorded in the execution state
+ * (`invocations[invocationId] = { nodeId, flowId, flowVersion }`). The
+ * questionnaire finds nodes by the IDs on the run, so the nodes of every
+ * invoked flow are added to the run's flow under their scoped IDs.
+ */
+
+import { invoke } from '@forge/bridge';
+
+/**
+ * Add the nodes and edges of the flows a run has invoked to the run's flow
+ * Invocations whose nodes are already included are not loaded again.
+ * @param {Object} flow - The flow revision the run is pinned to (possibly with sub-flows already included)
+ * @param {Object} state - The execution state
+ * @returns {Promise<Object>} The flow with the invoked flows' nodes, or `flow` itself if nothing was added
+ */
+export async function includeSubflows(flow, state) {
+  const missing = Object.entries((state && state.invocations) || {})
+    .filter(([invocationId]) => !flow.nodes.some(node => node.id.startsWith(`${invocationId}/`)));
+  if (missing.length === 0) {
+    return flow;
+  }
+
+  const nodes = [...flow.nodes];
+  const edges = [...(flow.edges || [])];
+
+  for (const [invocationId, invocation] of missing) {
+    try {
+      const subflow = await invoke('getFlow', { flowId: invocation.flowId, version: invocation.flowVersion });
+      if (!subflow || subflow.error) {
+        console.warn(`Sub-flow ${invocation.flowId} version ${invocation.flowVersion} unavailable`, subflow?.error);
+        continue;
+      }
+
+      const scope = (id) => `${invocationId}/${id}`;
+      subflow.nodes.forEach(node => nodes.push({ ...node, id: scope(node.id), subflowName: subflow.name }));
+      (subflow.edges || []).forEach(edge => edges.push({
+        ...edge,
+        id: scope(edge.id),
+        source: scope(edge.source),
+        target: scope(edge.target)
+      }));
+    } catch (err) {
+      console.error('Error loading sub-flow:', err);
+    }
+  }
+
+  return { ...flow, nodes, edges };
+}
+
+/**
+ * Get the node of the run's own flow a node ID belongs to
+ * Nodes of a sub-flow belong to the sub-flow node that invoked it.
+ * @param {string|null} nodeId - A node ID on the run
+ * @returns {string|null} The node ID in the run's own flow
+ */
+export function getTopLevelNodeId(nodeId) {
+  return nodeId ? nodeId.split('/')[0].split('#')[0] : nodeId;
+}
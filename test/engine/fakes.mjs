@@ -0,0 +1,130 @@
+/**
+ * In-memory adapters for engine tests
+ *
+ * The engine only talks to Jira, storage and HTTP through the adapters passed
+ * to createFlowEngine, so tests run it against these fakes instead of Forge.
+ */
+
+import { mock } from 'node:test';
+import { flowKey, flowVersionKey } from '../../src/engine/storageKeys.js';
+
+/**
+ * Build a fetch-style response
+ * @param {number} status - HTTP status
+ * @param {any} body - JSON body
+ * @param {Object} headers - Response headers
+ * @returns {Object} `{ ok, status, headers, json(), text() }`
+ */
+export function response(status, body = {}, headers = {}) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: (name) => (headers[name] === undefined ? null : headers[name]) },
+        json: async () => body,
+        text: async () => JSON.stringify(body)
+    };
+}
+
+/**
+ * Create an in-memory storage adapter
+ * @param {Object} entries - Initial entries by key
+ * @returns {Object} Storage adapter, with the raw `entries` and `secrets` maps for assertions
+ */
+export function createMemoryStorage(entries = {}) {
+    const values = new Map(Object.entries(entries));
+    const secrets = new Map();
+    const copy = (value) => (value === undefined ? undefined : structuredClone(value));
+
+    return {
+        entries: values,
+        secrets,
+        get: async (key) => copy(values.get(key)),
+        set: async (key, value) => { values.set(key, copy(value)); },
+        delete: async (key) => { values.delete(key); },
+        getSecret: async (key) => secrets.get(key),
+        setSecret: async (key, value) => { secrets.set(key, value); },
+        deleteSecret: async (key) => { secrets.delete(key); },
+        list: async (prefix) => [...values]
+            .filter(([key]) => key.startsWith(prefix))
+            .map(([key, value]) => ({ key, value: copy(value) }))
+    };
+}
+
+/**
+ * Create a Jira adapter that answers from an issue snapshot and records every request
+ * Any method can be replaced through `overrides`; methods not listed answer 200 with an empty body.
+ * @param {Object} options - Fake options
+ * @param {Object} options.issue - The issue returned by getIssue (`{ key, fields }`)
+ * @param {Array} options.fields - Field definitions returned by getFields
+ * @param {Function} options.search - Called with the search body, returns the matching issues
+ * @param {Object} options.overrides - Replacement methods by name
+ * @returns {Object} Jira adapter, with the `calls` made (`{ method, args }`)
+ */
+export function createFakeJira({ issue = { key: 'TEST-1', fields: {} }, fields = [], search = () => [], overrides = {} } = {}) {
+    const calls = [];
+    let commentCount = 0;
+
+    const methods = {
+        getIssue: async () => response(200, issue),
+        getFields: async () => response(200, fields),
+        searchIssues: async (body) => response(200, { issues: search(body) }),
+        addComment: async () => response(201, { id: String(++commentCount) }),
+        getUser: async (accountId) => response(200, { accountId, displayName: `User ${accountId}`, active: true }),
+        ...overrides
+    };
+
+    const jira = { calls };
+    ['getIssue', 'getFields', 'searchIssues', 'updateIssue', 'addComment', 'deleteComment', 'getTransitions',
+        'transitionIssue', 'assignIssue', 'createIssue', 'createIssueLink', 'getIssueLinkTypes', 'getWatchers',
+        'addWatcher', 'getGroupMembers', 'getProject', 'getComponent', 'getUser', 'getUserGroups', 'getProjectRole',
+        'getMyPermissions', ...Object.keys(overrides)]
+        .forEach(method => {
+            jira[method] = async (...args) => {
+                calls.push({ method, args });
+                return methods[method] ? methods[method](...args) : response(200, {});
+            };
+        });
+
+    return jira;
+}
+
+/**
+ * Store a flow as its own published revision
+ * @param {Object} storage - Storage adapter
+ * @param {Object} flow - The flow (`version` defaults to 1)
+ * @returns {Promise<Object>} The stored flow
+ */
+export async function publishFlow(storage, flow) {
+    const published = { status: 'published', version: 1, ...flow };
+    await storage.set(flowKey(published.id), published);
+    await storage.set(flowVersionKey(published.id, published.version), published);
+    return published;
+}
+
+/**
+ * Build a flow from nodes and `[source, target, sourceHandle]` edges
+ * @param {string} id - The flow ID
+ * @param {Array} nodes - The nodes
+ * @param {Array} edges - Edges as `[source, target, sourceHandle?]`
+ * @returns {Object} The flow
+ */
+export function buildFlow(id, nodes, edges) {
+    return {
+        id,
+        name: `Flow ${id}`,
+        nodes,
+        edges: edges.map(([source, target, sourceHandle = null], index) => ({
+            id: `edge-${index}`,
+            source,
+            target,
+            sourceHandle
+        }))
+    };
+}
+
+/**
+ * Silence the engine's console output for the rest of the test file
+ */
+export function silenceLogs() {
+    ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+}
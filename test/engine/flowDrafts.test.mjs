@@ -0,0 +1,75 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFlowEngine } from '../../src/engine/flowEngine.js';
+import { FLOW_STATUS, saveFlowDraft, loadFlowWorkingCopy, publishFlowDraft, discardFlowDraft } from '../../src/engine/flowDrafts.js';
+import { saveFlowVersion, listFlowVersions } from '../../src/engine/flowVersions.js';
+import { flowDraftKey } from '../../src/engine/storageKeys.js';
+import { createMemoryStorage, createFakeJira, buildFlow, silenceLogs } from './fakes.mjs';
+
+before(silenceLogs);
+
+/**
+ * Build a flow that asks one question
+ * @param {string} question - The question text
+ * @returns {Object} The flow
+ */
+const questionFlow = (question) => buildFlow('f', [
+    { id: 's', type: 'start', data: {} },
+    { id: 'q', type: 'question', data: { question, questionType: 'text' } }
+], [['s', 'q']]);
+
+describe('flow drafts', () => {
+    it('keeps a flow that was never published as a draft', async () => {
+        const storage = createMemoryStorage();
+
+        const draft = await saveFlowDraft(storage, questionFlow('First?'), { savedBy: 'admin-1' });
+
+        assert.equal(draft.status, FLOW_STATUS.DRAFT);
+        assert.equal(draft.publishedVersion, null);
+        assert.equal(draft.baseVersion, null);
+        assert.equal(draft.updatedBy, 'admin-1');
+        assert.deepEqual(await listFlowVersions(storage, 'f'), []);
+    });
+
+    it('hides unpublished changes from issues until they are published', async () => {
+        const storage = createMemoryStorage();
+        const engine = createFlowEngine({ jira: createFakeJira(), storage });
+        await saveFlowVersion(storage, questionFlow('First?'));
+
+        const draft = await saveFlowDraft(storage, { ...questionFlow('Second?'), version: 7, status: 'published' });
+
+        assert.equal(draft.status, FLOW_STATUS.UNPUBLISHED_CHANGES);
+        assert.equal(draft.baseVersion, 1);
+        assert.equal(draft.version, undefined);
+        assert.equal((await engine.loadFlow('f')).nodes[1].data.question, 'First?');
+        assert.equal((await loadFlowWorkingCopy(storage, 'f')).nodes[1].data.question, 'Second?');
+
+        const published = await publishFlowDraft(storage, 'f', 'admin-1');
+
+        assert.equal(published.version, 2);
+        assert.equal(published.status, FLOW_STATUS.PUBLISHED);
+        assert.equal(published.baseVersion, undefined);
+        assert.equal((await engine.loadFlow('f')).nodes[1].data.question, 'Second?');
+        assert.equal(await storage.get(flowDraftKey('f')), undefined);
+    });
+
+    it('discards a draft and leaves the published revision as the working copy', async () => {
+        const storage = createMemoryStorage();
+        await saveFlowVersion(storage, questionFlow('First?'));
+        await saveFlowDraft(storage, questionFlow('Second?'));
+
+        await discardFlowDraft(storage, 'f');
+
+        const workingCopy = await loadFlowWorkingCopy(storage, 'f');
+        assert.equal(workingCopy.status, FLOW_STATUS.PUBLISHED);
+        assert.equal(workingCopy.nodes[1].data.question, 'First?');
+    });
+
+    it('refuses to publish without a draft', async () => {
+        const storage = createMemoryStorage();
+        await saveFlowVersion(storage, questionFlow('First?'));
+
+        assert.deepEqual(await publishFlowDraft(storage, 'f'), { error: 'There are no unpublished changes to publish' });
+        assert.equal(await loadFlowWorkingCopy(storage, 'missing'), null);
+    });
+});
@@ -0,0 +1,180 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFlowEngine } from '../../src/engine/flowEngine.js';
+import { auditKey } from '../../src/engine/audit.js';
+import { createMemoryStorage, createFakeJira, publishFlow, buildFlow, response, silenceLogs } from './fakes.mjs';
+
+before(silenceLogs);
+
+const ISSUE_KEY = 'TEST-1';
+
+/**
+ * Create an engine with in-memory adapters and a published flow
+ * @param {Object} flow - The flow to publish
+ * @param {Object} jiraOptions - Options for createFakeJira
+ * @returns {Promise<Object>} `{ engine, storage, jira, submit }`
+ */
+async function setup(flow, jiraOptions = {}) {
+    const storage = createMemoryStorage();
+    const jira = createFakeJira(jiraOptions);
+    const engine = createFlowEngine({ jira, storage });
+    await publishFlow(storage, flow);
+
+    const submit = (nodeId, answer = null) =>
+        engine.submitAnswer({ issueKey: ISSUE_KEY, flowId: flow.id, nodeId, answer, context: { accountId: 'user-1' } });
+
+    return { engine, storage, jira, submit };
+}
+
+const commentsAdded = (jira) => jira.calls.filter(call => call.method === 'addComment').length;
+
+describe('submitAnswer', () => {
+    const flow = buildFlow('f', [
+        { id: 's', type: 'start', data: {} },
+        { id: 'q1', type: 'question', data: { question: 'Why?', questionType: 'text' } },
+        { id: 'act', type: 'action', data: { actionType: 'addComment', comment: 'Because {{answers.q1}}' } }
+    ], [['s', 'q1'], ['q1', 'act']]);
+
+    it('refuses a question submitted again after the run has moved past it', async () => {
+        const { submit, jira, storage } = await setup(flow);
+        await submit('s');
+        await submit('q1', 'First');
+
+        const result = await submit('q1', 'Second');
+
+        assert.match(result.error, /already been completed/);
+        assert.equal(commentsAdded(jira), 1);
+        const state = await storage.get(`exec:${ISSUE_KEY}:f`);
+        assert.deepEqual(state.path, ['s', 'q1', 'act']);
+        assert.equal(state.answers.q1, 'First');
+    });
+
+    it('refuses nodes the run is not waiting on', async () => {
+        const confirmFlow = buildFlow('f', [
+            ...flow.nodes.slice(0, 2),
+            { ...flow.nodes[2], data: { ...flow.nodes[2].data, requireConfirmation: true } }
+        ], [['s', 'q1'], ['q1', 'act']]);
+        const { submit, jira } = await setup(confirmFlow);
+        await submit('s');
+
+        const early = await submit('act');
+        assert.match(early.error, /already been submitted/);
+        assert.equal(commentsAdded(jira), 0);
+
+        await submit('q1', 'First');
+        const stale = await submit('q1', 'Again');
+        assert.match(stale.error, /already been submitted/);
+
+        const confirmed = await submit('act');
+        assert.equal(confirmed.completed, true);
+        assert.equal(commentsAdded(jira), 1);
+    });
+
+    it('refuses a start node submitted twice', async () => {
+        const { submit } = await setup(flow);
+        await submit('s');
+
+        const result = await submit('s');
+
+        assert.match(result.error, /already been submitted/);
+    });
+
+    it('still lets a failed action be retried', async () => {
+        let failures = 1;
+        const { submit, jira } = await setup(flow, {
+            overrides: {
+                addComment: async () => (failures-- > 0 ? response(503) : response(201, { id: '1' }))
+            }
+        });
+        await submit('s');
+        const failed = await submit('q1', 'First');
+        assert.equal(failed.failed.nodeId, 'act');
+
+        const stale = await submit('q1', 'Second');
+        assert.match(stale.error, /an action failed/);
+
+        const retried = await submit('act');
+        assert.equal(retried.completed, true);
+        assert.equal(commentsAdded(jira), 2);
+    });
+});
+
+describe('revisitNode', () => {
+    const flow = buildFlow('f', [
+        { id: 's', type: 'start', data: {} },
+        { id: 'q1', type: 'question', data: { question: 'Why?', questionType: 'text' } },
+        { id: 'q2', type: 'question', data: { question: 'Who?', questionType: 'text' } },
+        { id: 'act', type: 'action', data: { actionType: 'addComment', comment: '{{answers.q1}} by {{answers.q2}}' } }
+    ], [['s', 'q1'], ['q1', 'q2'], ['q2', 'act']]);
+    const revisit = (engine, params = {}) =>
+        engine.revisitNode({ issueKey: ISSUE_KEY, flowId: 'f', context: { accountId: 'user-1' }, ...params });
+
+    it('goes back to the last question answered, keeping its answer to pre-fill it', async () => {
+        const { engine, storage, submit } = await setup(flow);
+        await submit('s');
+        await submit('q1', 'Outage');
+
+        const state = await revisit(engine);
+
+        assert.equal(state.currentNodeId, 'q1');
+        assert.deepEqual(state.path, ['s']);
+        assert.deepEqual(state.answers, { q1: 'Outage' });
+        const [rewind] = (await storage.get(auditKey(ISSUE_KEY, 'f'))).filter(entry => entry.rewind);
+        assert.deepEqual(rewind.rewind, { toNodeId: 'q1', discardedPath: ['q1'] });
+
+        const answered = await submit('q1', 'Upgrade');
+        assert.equal(answered.currentNodeId, 'q2');
+        assert.deepEqual(answered.answers, { q1: 'Upgrade' });
+    });
+
+    it('discards the answers given after the question', async () => {
+        const { engine, submit } = await setup({ ...flow, edges: flow.edges.slice(0, 2) });
+        await submit('s');
+        await submit('q1', 'Outage');
+        await submit('q2', 'Ops');
+
+        const state = await revisit(engine, { nodeId: 'q1' });
+
+        assert.equal(state.currentNodeId, 'q1');
+        assert.deepEqual(state.answers, { q1: 'Outage' });
+    });
+
+    it('refuses to go back past an action that ran', async () => {
+        const { engine, submit, jira } = await setup(flow);
+        await submit('s');
+        await submit('q1', 'Outage');
+        await submit('q2', 'Ops');
+
+        const result = await revisit(engine, { nodeId: 'q1' });
+
+        assert.deepEqual(result, {
+            error: 'Actions have already run after this question (addComment on act). Revert the run to change this answer.'
+        });
+        assert.equal(commentsAdded(jira), 1);
+    });
+
+    it('goes back past an action that failed, clearing the failure', async () => {
+        const { engine, submit } = await setup(flow, { overrides: { addComment: async () => response(400) } });
+        await submit('s');
+        await submit('q1', 'Outage');
+        const failed = await submit('q2', 'Ops');
+        assert.equal(failed.failed.nodeId, 'act');
+
+        const state = await revisit(engine, { nodeId: 'q2' });
+
+        assert.equal(state.failed, null);
+        assert.equal(state.currentNodeId, 'q2');
+        assert.deepEqual(state.path, ['s', 'q1']);
+    });
+
+    it('only goes back to questions answered in the current run', async () => {
+        const { engine, submit } = await setup(flow);
+
+        assert.match((await revisit(engine)).error, /has not been started/);
+
+        await submit('s');
+        assert.deepEqual(await revisit(engine), { error: 'There is no earlier question to go back to' });
+        assert.deepEqual(await revisit(engine, { nodeId: 'q2' }), { error: 'This question has not been answered in the current run' });
+        assert.deepEqual(await revisit(engine, { nodeId: 's' }), { error: 'Only questions can be answered again' });
+    });
+});
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateFlow } from '../../src/engine/flowValidation.js';
+import { buildFlow } from './fakes.mjs';
+
+const start = { id: 's', type: 'start', data: {} };
+const question = (id) => ({ id, type: 'question', data: { question: `${id}?`, questionType: 'text' } });
+const comment = (id) => ({ id, type: 'action', data: { actionType: 'addComment', comment: 'Done' } });
+
+/**
+ * Get the `[code, severity, nodeId]` of each issue found in a flow
+ * @param {Object} flow - The flow
+ * @param {Object} options - Options for validateFlow
+ * @returns {Array} Issue summaries
+ */
+const summarize = (flow, options) => validateFlow(flow, options).issues
+    .map(issue => [issue.code, issue.severity, issue.nodeId || null]);
+
+describe('validateFlow', () => {
+    it('accepts a complete flow', () => {
+        const result = validateFlow(buildFlow('f', [start, question('q'), comment('c')], [['s', 'q'], ['q', 'c']]), { publishing: true });
+
+        assert.deepEqual(result, { valid: true, issues: [] });
+    });
+
+    it('requires exactly one start node', () => {
+        assert.deepEqual(summarize(buildFlow('f', [comment('c')], [])), [['missingStart', 'error', null]]);
+        assert.deepEqual(summarize(buildFlow('f', [start, { ...start, id: 's2' }, comment('c')], [['s', 'c'], ['s2', 'c']])), [
+            ['multipleStart', 'error', 's2']
+        ]);
+    });
+
+    it('reports connections to deleted nodes on their source', () => {
+        const flow = buildFlow('f', [start, question('q'), comment('c')], [['s', 'q'], ['q', 'c'], ['c', 'gone']]);
+
+        const result = validateFlow(flow);
+
+        assert.equal(result.valid, false);
+        assert.deepEqual(result.issues, [{
+            severity: 'error',
+            code: 'danglingEdge',
+            edgeId: 'edge-2',
+            nodeId: 'c',
+            message: 'Connection points to a deleted node (gone).'
+        }]);
+    });
+
+    it('warns about nodes the start node cannot reach', () => {
+        const result = validateFlow(buildFlow('f', [start, comment('c'), comment('orphan')], [['s', 'c']]), { publishing: true });
+
+        assert.equal(result.valid, true);
+        assert.deepEqual(result.issues.map(issue => [issue.code, issue.severity, issue.nodeId]), [['unreachableNode', 'warning', 'orphan']]);
+    });
+
+    it('reports loops with no way out', () => {
+        const flow = buildFlow('f', [start, question('a'), question('b')], [['s', 'a'], ['a', 'b'], ['b', 'a']]);
+
+        assert.deepEqual(summarize(flow).filter(([code]) => code === 'cycleWithoutExit').map(([, , nodeId]) => nodeId).sort(), ['a', 'b']);
+    });
+
+    it('treats incomplete nodes as warnings in drafts and as errors when publishing', () => {
+        const flow = buildFlow('f', [start, { id: 'a', type: 'action', data: { actionType: 'addComment', comment: '' } }], [['s', 'a']]);
+
+        const draft = validateFlow(flow);
+        const publish = validateFlow(flow, { publishing: true });
+
+        assert.equal(draft.valid, true);
+        assert.deepEqual(draft.issues.map(issue => [issue.code, issue.severity, issue.nodeId]), [['incompleteAction', 'warning', 'a']]);
+        assert.equal(publish.valid, false);
+        assert.equal(publish.issues[0].severity, 'error');
+    });
+
+    it('rejects nodes of an unknown type', () => {
+        const flow = buildFlow('f', [start, { id: 'x', type: 'mystery', data: {} }], [['s', 'x']]);
+
+        assert.deepEqual(summarize(flow), [['unsupportedNodeType', 'error', 'x']]);
+    });
+});
@@ -0,0 +1,91 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFlowEngine } from '../../src/engine/flowEngine.js';
+import { saveFlowVersion, loadFlowVersion, listFlowVersions, rollbackFlowToVersion, deleteFlowVersions } from '../../src/engine/flowVersions.js';
+import { flowKey, flowVersionKey } from '../../src/engine/storageKeys.js';
+import { createMemoryStorage, createFakeJira, buildFlow, silenceLogs } from './fakes.mjs';
+
+before(silenceLogs);
+
+const ISSUE_KEY = 'TEST-1';
+
+/**
+ * Build a flow that asks one question and then adds a comment
+ * @param {string} text - The comment text
+ * @returns {Object} The flow
+ */
+const commentFlow = (text) => buildFlow('f', [
+    { id: 's', type: 'start', data: {} },
+    { id: 'q', type: 'question', data: { question: 'Why?', questionType: 'text' } },
+    { id: 'c', type: 'action', data: { actionType: 'addComment', comment: text } }
+], [['s', 'q'], ['q', 'c']]);
+
+describe('flow versions', () => {
+    it('saves each publish as a new numbered revision and keeps the old ones', async () => {
+        const storage = createMemoryStorage();
+
+        const first = await saveFlowVersion(storage, commentFlow('One'), { savedBy: 'admin-1' });
+        const second = await saveFlowVersion(storage, commentFlow('Two'), { savedBy: 'admin-2' });
+
+        assert.equal(first.version, 1);
+        assert.equal(second.version, 2);
+        assert.equal(second.createdAt, first.createdAt);
+        assert.equal((await loadFlowVersion(storage, 'f')).nodes[2].data.comment, 'Two');
+        assert.equal((await loadFlowVersion(storage, 'f', 1)).nodes[2].data.comment, 'One');
+        assert.deepEqual((await listFlowVersions(storage, 'f')).map(entry => [entry.version, entry.savedBy, entry.nodeCount]), [
+            [2, 'admin-2', 3],
+            [1, 'admin-1', 3]
+        ]);
+    });
+
+    it('reads flows saved before versioning from the head', async () => {
+        const storage = createMemoryStorage({ [flowKey('f')]: commentFlow('Legacy') });
+
+        assert.equal((await loadFlowVersion(storage, 'f', 1)).nodes[2].data.comment, 'Legacy');
+        assert.equal((await saveFlowVersion(storage, commentFlow('Next'))).version, 1);
+        assert.equal(await loadFlowVersion(storage, 'f', 2), null);
+    });
+
+    it('rolls back by publishing a copy of the chosen revision', async () => {
+        const storage = createMemoryStorage();
+        await saveFlowVersion(storage, commentFlow('One'));
+        await saveFlowVersion(storage, commentFlow('Two'));
+
+        const restored = await rollbackFlowToVersion(storage, 'f', 1, 'admin-1');
+
+        assert.equal(restored.version, 3);
+        assert.equal(restored.nodes[2].data.comment, 'One');
+        assert.equal((await loadFlowVersion(storage, 'f', 2)).nodes[2].data.comment, 'Two');
+        const [latest] = await listFlowVersions(storage, 'f');
+        assert.deepEqual([latest.version, latest.savedBy, latest.restoredFrom], [3, 'admin-1', 1]);
+        assert.deepEqual(await rollbackFlowToVersion(storage, 'f', 9), { error: 'Version 9 of this flow was not found' });
+    });
+
+    it('keeps runs on the revision they started on', async () => {
+        const storage = createMemoryStorage();
+        const jira = createFakeJira();
+        const engine = createFlowEngine({ jira, storage });
+        const submit = (nodeId, answer = null) => engine.submitAnswer({ issueKey: ISSUE_KEY, flowId: 'f', nodeId, answer });
+        await saveFlowVersion(storage, commentFlow('One'));
+        await submit('s');
+
+        await saveFlowVersion(storage, commentFlow('Two'));
+        const state = await submit('q', 'Because');
+
+        assert.equal(state.flowVersion, 1);
+        assert.equal(state.completed, true);
+        const added = jira.calls.find(call => call.method === 'addComment');
+        assert.match(JSON.stringify(added.args[1]), /One/);
+    });
+
+    it('deletes the head, every snapshot and the index', async () => {
+        const storage = createMemoryStorage();
+        await saveFlowVersion(storage, commentFlow('One'));
+        await saveFlowVersion(storage, commentFlow('Two'));
+
+        await deleteFlowVersions(storage, 'f');
+
+        assert.deepEqual([...storage.entries.keys()], []);
+        assert.equal(await storage.get(flowVersionKey('f', 1)), undefined);
+    });
+});
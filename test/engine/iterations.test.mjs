@@ -0,0 +1,125 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFlowEngine } from '../../src/engine/flowEngine.js';
+import { auditKey } from '../../src/engine/audit.js';
+import { getMaxIterations, validateMaxIterations, DEFAULT_MAX_ITERATIONS } from '../../src/engine/iterations.js';
+import { createMemoryStorage, createFakeJira, publishFlow, buildFlow, silenceLogs } from './fakes.mjs';
+
+before(silenceLogs);
+
+const ISSUE_KEY = 'TEST-1';
+
+/**
+ * Build a flow that asks for items until the user has no more, then lists them in a comment
+ * @param {Object} settings - Flow settings, e.g. `{ maxIterations }`
+ * @returns {Object} The flow
+ */
+const itemsFlow = (settings = {}) => ({
+    ...buildFlow('f', [
+        { id: 's', type: 'start', data: {} },
+        { id: 'item', type: 'question', data: { question: 'Item?', questionType: 'text' } },
+        {
+            id: 'more',
+            type: 'question',
+            data: {
+                question: 'Another?',
+                questionType: 'single',
+                options: [{ id: 'y', label: 'Yes', value: 'yes' }, { id: 'n', label: 'No', value: 'no' }]
+            }
+        },
+        { id: 'list', type: 'action', data: { actionType: 'addComment', comment: 'Items: {{answers.item.all | join:"; "}}' } }
+    ], [['s', 'item'], ['item', 'more'], ['more', 'item', 'option-y'], ['more', 'list', 'option-n']]),
+    ...settings
+});
+
+/**
+ * Publish a flow and start it
+ * @param {Object} flow - The flow
+ * @returns {Promise<Object>} `{ engine, storage, jira, submit }`
+ */
+async function start(flow) {
+    const storage = createMemoryStorage();
+    const jira = createFakeJira();
+    const engine = createFlowEngine({ jira, storage });
+    await publishFlow(storage, flow);
+
+    const submit = (nodeId, answer = null) =>
+        engine.submitAnswer({ issueKey: ISSUE_KEY, flowId: 'f', nodeId, answer, context: { accountId: 'user-1' } });
+    await submit('s');
+
+    return { engine, storage, jira, submit };
+}
+
+describe('loops', () => {
+    it('keep the answer of every pass through a question', async () => {
+        const { submit, jira } = await start(itemsFlow());
+        await submit('item', 'Laptop');
+        await submit('more', 'yes');
+        await submit('item', 'Monitor');
+
+        const state = await submit('more', 'no');
+
+        assert.equal(state.completed, true);
+        assert.deepEqual(state.answerIterations.item, ['Laptop', 'Monitor']);
+        assert.equal(state.answers.item, 'Monitor');
+        const added = jira.calls.find(call => call.method === 'addComment');
+        assert.match(JSON.stringify(added.args[1]), /Items: Laptop; Monitor/);
+    });
+
+    it('stop before passing through a node more often than maxIterations allows', async () => {
+        const { engine, storage, submit } = await start(itemsFlow({ maxIterations: 2 }));
+        await submit('item', 'Laptop');
+        await submit('more', 'yes');
+        await submit('item', 'Monitor');
+
+        const stopped = await submit('more', 'yes');
+
+        assert.equal(stopped.failed.nodeId, 'item');
+        assert.equal(stopped.failed.reason, 'maxIterations');
+        assert.equal(stopped.failed.error, 'The flow has looped through "Item?" 2 times, the most it allows');
+        const logs = await storage.get(auditKey(ISSUE_KEY, 'f'));
+        assert.deepEqual(logs.filter(entry => entry.loopGuard).map(entry => [entry.nodeId, entry.loopGuard]), [['item', { maxIterations: 2 }]]);
+
+        const retried = await submit('item', 'Keyboard');
+        assert.match(retried.error, /Go back to change an earlier answer, or start over/);
+
+        await engine.revisitNode({ issueKey: ISSUE_KEY, flowId: 'f', nodeId: 'more' });
+        const state = await submit('more', 'no');
+        assert.equal(state.completed, true);
+    });
+
+    it('go back to a given pass, dropping the answers of later passes', async () => {
+        const { engine, submit } = await start(itemsFlow());
+        await submit('item', 'Laptop');
+        await submit('more', 'yes');
+        await submit('item', 'Monitor');
+        await submit('more', 'yes');
+
+        const state = await engine.revisitNode({ issueKey: ISSUE_KEY, flowId: 'f', nodeId: 'item', iteration: 0 });
+
+        assert.deepEqual(state.path, ['s']);
+        assert.equal(state.answers.item, 'Laptop');
+        assert.deepEqual(state.answerIterations.item, []);
+        assert.equal(state.answers.more, undefined);
+    });
+});
+
+describe('maxIterations setting', () => {
+    it('defaults when it is missing or not a whole number', () => {
+        assert.equal(getMaxIterations({ maxIterations: 3 }), 3);
+        assert.equal(getMaxIterations({}), DEFAULT_MAX_ITERATIONS);
+        assert.equal(getMaxIterations({ maxIterations: 2.5 }), DEFAULT_MAX_ITERATIONS);
+        assert.equal(getMaxIterations(null), DEFAULT_MAX_ITERATIONS);
+    });
+
+    it('must be a whole number between 1 and 100', () => {
+        const problem = 'Maximum loop iterations must be a whole number between 1 and 100.';
+
+        assert.equal(validateMaxIterations(undefined), null);
+        assert.equal(validateMaxIterations(''), null);
+        assert.equal(validateMaxIterations('25'), null);
+        assert.equal(validateMaxIterations(0), problem);
+        assert.equal(validateMaxIterations(101), problem);
+        assert.equal(validateMaxIterations(1.5), problem);
+    });
+});
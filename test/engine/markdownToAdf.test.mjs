@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { markdownToAdf } from '../../src/utils/markdownToAdf.js';
+
+const text = (value, marks) => (marks ? { type: 'text', text: value, marks } : { type: 'text', text: value });
+const paragraph = (...content) => ({ type: 'paragraph', content });
+const convert = (markdown) => markdownToAdf(markdown).content;
+
+describe('markdownToAdf', () => {
+    it('wraps the blocks in an ADF document', () => {
+        assert.deepEqual(markdownToAdf('Hello'), { type: 'doc', version: 1, content: [paragraph(text('Hello'))] });
+        assert.deepEqual(markdownToAdf(null), { type: 'doc', version: 1, content: [] });
+    });
+
+    it('converts headings, emphasis and line breaks', () => {
+        assert.deepEqual(convert('# Title\nSome **bold** and *em* text\r\nnext line'), [
+            { type: 'heading', attrs: { level: 1 }, content: [text('Title')] },
+            paragraph(
+                text('Some '),
+                text('bold', [{ type: 'strong' }]),
+                text(' and '),
+                text('em', [{ type: 'em' }]),
+                text(' text'),
+                { type: 'hardBreak' },
+                text('next line')
+            )
+        ]);
+    });
+
+    it('converts mentions, links, inline code and escapes', () => {
+        assert.deepEqual(convert('Hi [~accountid:abc123], see [docs](https://x.io) or https://y.io/a. `code` \\*not em\\*'), [
+            paragraph(
+                text('Hi '),
+                { type: 'mention', attrs: { id: 'abc123' } },
+                text(', see '),
+                text('docs', [{ type: 'link', attrs: { href: 'https://x.io' } }]),
+                text(' or '),
+                text('https://y.io/a', [{ type: 'link', attrs: { href: 'https://y.io/a' } }]),
+                text('. '),
+                text('code', [{ type: 'code' }]),
+                text(' *not em*')
+            )
+        ]);
+    });
+
+    it('nests lists by indentation', () => {
+        const item = (...content) => ({ type: 'listItem', content });
+
+        assert.deepEqual(convert('- one\n  - nested\n- two\n\n1. first'), [
+            {
+                type: 'bulletList',
+                content: [
+                    item(paragraph(text('one')), { type: 'bulletList', content: [item(paragraph(text('nested')))] }),
+                    item(paragraph(text('two')))
+                ]
+            },
+            { type: 'orderedList', content: [item(paragraph(text('first')))], attrs: { order: 1 } }
+        ]);
+    });
+
+    it('converts pipe tables, keeping escaped pipes inside their cell', () => {
+        const [table] = convert('| A | B |\n| --- | --- |\n| 1 | x \\| y |');
+        const cells = table.content.map(row => row.content.map(cell => [cell.type, cell.content[0].content[0].text]));
+
+        assert.equal(table.type, 'table');
+        assert.deepEqual(cells, [
+            [['tableHeader', 'A'], ['tableHeader', 'B']],
+            [['tableCell', '1'], ['tableCell', 'x | y']]
+        ]);
+    });
+
+    it('converts code blocks, quotes and rules', () => {
+        assert.deepEqual(convert('```js\nconst a = **1**;\n```\n> quoted\n\n---'), [
+            { type: 'codeBlock', attrs: { language: 'js' }, content: [text('const a = **1**;')] },
+            { type: 'blockquote', content: [paragraph(text('quoted'))] },
+            { type: 'rule' }
+        ]);
+    });
+});
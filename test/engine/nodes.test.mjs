@@ -0,0 +1,484 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFlowEngine } from '../../src/engine/flowEngine.js';
+import { auditKey } from '../../src/engine/audit.js';
+import { createMemoryStorage, createFakeJira, publishFlow, buildFlow, response, silenceLogs } from './fakes.mjs';
+
+before(silenceLogs);
+
+const ISSUE_KEY = 'TEST-1';
+
+/**
+ * Create an engine with in-memory adapters and the given flows published
+ * @param {Array} flows - Flows to publish
+ * @param {Object} jiraOptions - Options for createFakeJira
+ * @returns {Promise<Object>} `{ engine, storage, jira, submit }`
+ */
+async function setup(flows, jiraOptions = {}) {
+    const storage = createMemoryStorage();
+    const jira = createFakeJira(jiraOptions);
+    const engine = createFlowEngine({
+        jira,
+        storage,
+        clock: { now: () => new Date('2026-10-18T10:00:00Z') }
+    });
+    for (const flow of flows) {
+        await publishFlow(storage, flow);
+    }
+
+    const submit = (nodeId, answer = null, flowId = flows[0].id) =>
+        engine.submitAnswer({ issueKey: ISSUE_KEY, flowId, nodeId, answer, context: { accountId: 'user-1' } });
+
+    return { engine, storage, jira, submit };
+}
+
+const start = { id: 's', type: 'start', data: {} };
+const comment = (id, text) => ({ id, type: 'action', data: { actionType: 'addComment', comment: text } });
+const commentsAdded = (jira) => jira.calls.filter(call => call.method === 'addComment').length;
+
+describe('start node', () => {
+    it('runs automatically and moves to the connected node', async () => {
+        const { submit } = await setup([buildFlow('f', [
+            start,
+            { id: 'q', type: 'question', data: { question: 'Name?', questionType: 'text' } }
+        ], [['s', 'q']])]);
+
+        const state = await submit('s');
+
+        assert.equal(state.currentNodeId, 'q');
+        assert.deepEqual(state.steps.map(step => step.nodeId), ['s']);
+    });
+
+    it('reports a start node that leads nowhere', async () => {
+        const { submit } = await setup([buildFlow('f', [start], [])]);
+
+        const result = await submit('s');
+
+        assert.match(result.error, /No path configured/);
+    });
+});
+
+describe('question node', () => {
+    const options = [
+        { id: 'opt-bug', label: 'Bug', value: 'bug' },
+        { id: 'opt-task', label: 'Task', value: 'task' }
+    ];
+    const flow = buildFlow('f', [
+        start,
+        { id: 'q', type: 'question', data: { question: 'Kind?', questionType: 'single', options } },
+        { id: 'n', type: 'question', data: { question: 'Points?', questionType: 'number', validation: { max: 13 } } },
+        { id: 't', type: 'question', data: { question: 'Why?', questionType: 'text' } }
+    ], [['s', 'q'], ['q', 'n', 'option-opt-bug'], ['q', 't', 'option-opt-task']]);
+
+    it('stores the answer and follows the edge of the chosen option', async () => {
+        const { submit } = await setup([flow]);
+        await submit('s');
+
+        const state = await submit('q', 'task');
+
+        assert.equal(state.answers.q, 'task');
+        assert.equal(state.currentNodeId, 't');
+    });
+
+    it('refuses answers that break the question rules', async () => {
+        const { submit } = await setup([flow]);
+        await submit('s');
+        await submit('q', 'bug');
+
+        const result = await submit('n', 20);
+
+        assert.ok(result.error);
+        assert.equal(result.answers, undefined);
+    });
+
+    it('follows the first route a routed question matches', async () => {
+        const { submit } = await setup([buildFlow('f', [
+            start,
+            {
+                id: 'n',
+                type: 'question',
+                data: { question: 'Points?', questionType: 'number', routes: [{ id: 'big', label: 'Big', min: 8 }] }
+            },
+            comment('small', 'Small'),
+            comment('large', 'Large')
+        ], [['s', 'n'], ['n', 'large', 'route-big'], ['n', 'small', 'source']])]);
+        await submit('s');
+
+        const state = await submit('n', 13);
+
+        assert.deepEqual(state.path, ['s', 'n', 'large']);
+        assert.equal(state.completed, true);
+    });
+});
+
+describe('logic node', () => {
+    const flow = buildFlow('f', [
+        start,
+        {
+            id: 'l',
+            type: 'logic',
+            data: { fieldKey: 'priority', operator: 'equals', expectedValue: 'High' }
+        },
+        comment('yes', 'Urgent'),
+        comment('no', 'Not urgent')
+    ], [['s', 'l'], ['l', 'yes', 'true'], ['l', 'no', 'false']]);
+
+    it('follows the true branch when the condition holds', async () => {
+        const { submit } = await setup([flow], { issue: { key: ISSUE_KEY, fields: { priority: 'High' } } });
+
+        const state = await submit('s');
+
+        assert.deepEqual(state.path, ['s', 'l', 'yes']);
+    });
+
+    it('follows the false branch when the condition does not hold', async () => {
+        const { submit } = await setup([flow], { issue: { key: ISSUE_KEY, fields: { priority: 'Low' } } });
+
+        const state = await submit('s');
+
+        assert.deepEqual(state.path, ['s', 'l', 'no']);
+    });
+
+    it('checks JQL conditions by searching for the issue', async () => {
+        const jqlFlow = buildFlow('f', [
+            start,
+            {
+                id: 'l',
+                type: 'logic',
+                data: {
+                    conditionGroup: {
+                        type: 'group',
+                        id: 'root',
+                        combinator: 'and',
+                        children: [{ type: 'condition', id: 'c1', conditionType: 'jql', jql: 'labels = urgent' }]
+                    }
+                }
+            },
+            comment('yes', 'Urgent'),
+            comment('no', 'Not urgent')
+        ], [['s', 'l'], ['l', 'yes', 'true'], ['l', 'no', 'false']]);
+        const searches = [];
+        const { submit } = await setup([jqlFlow], {
+            search: (body) => {
+                searches.push(body.jql);
+                return [{ id: '10001' }];
+            }
+        });
+
+        const state = await submit('s');
+
+        assert.deepEqual(state.path, ['s', 'l', 'yes']);
+        assert.deepEqual(searches, [`issuekey = "${ISSUE_KEY}" AND (labels = urgent)`]);
+    });
+
+    it('stops the run when the issue cannot be fetched, until it is retried', async () => {
+        let failures = 1;
+        const { submit } = await setup([flow], {
+            overrides: {
+                getIssue: async () => (failures-- > 0
+                    ? response(503)
+                    : response(200, { key: ISSUE_KEY, fields: { priority: 'Low' } }))
+            }
+        });
+
+        const failed = await submit('s');
+        assert.equal(failed.failed.nodeId, 'l');
+        assert.equal(failed.failed.reason, 'conditionError');
+        assert.match(failed.failed.error, /Failed to fetch issue: 503/);
+        assert.deepEqual(failed.path, ['s', 'l']);
+
+        const retried = await submit('l');
+        assert.equal(retried.failed, null);
+        assert.deepEqual(retried.path, ['s', 'l', 'no']);
+    });
+
+    it('drops only a trailing ORDER BY from JQL conditions', async () => {
+        const searches = [];
+        const jqlFlow = (jql) => buildFlow('f', [
+            start,
+            {
+                id: 'l',
+                type: 'logic',
+                data: {
+                    conditionGroup: {
+                        type: 'group',
+                        id: 'root',
+                        combinator: 'and',
+                        children: [{ type: 'condition', id: 'c1', conditionType: 'jql', jql }]
+                    }
+                }
+            },
+            comment('yes', 'Yes'),
+            comment('no', 'No')
+        ], [['s', 'l'], ['l', 'yes', 'true'], ['l', 'no', 'false']]);
+
+        for (const jql of ['summary ~ "order by x" ORDER BY created DESC', "labels = 'a order by b'", 'project = X order  by rank']) {
+            const { submit } = await setup([jqlFlow(jql)], {
+                search: (body) => {
+                    searches.push(body.jql);
+                    return [];
+                }
+            });
+            await submit('s');
+        }
+
+        assert.deepEqual(searches, [
+            `issuekey = "${ISSUE_KEY}" AND (summary ~ "order by x")`,
+            `issuekey = "${ISSUE_KEY}" AND (labels = 'a order by b')`,
+            `issuekey = "${ISSUE_KEY}" AND (project = X)`
+        ]);
+    });
+
+    it('rejects JQL conditions whose parentheses or quotes are unbalanced', async () => {
+        const jqlFlow = (jql) => buildFlow('f', [
+            start,
+            {
+                id: 'l',
+                type: 'logic',
+                data: {
+                    conditionGroup: {
+                        type: 'group',
+                        id: 'root',
+                        combinator: 'and',
+                        children: [{ type: 'condition', id: 'c1', conditionType: 'jql', jql }]
+                    }
+                }
+            },
+            comment('yes', 'Yes'),
+            comment('no', 'No')
+        ], [['s', 'l'], ['l', 'yes', 'true'], ['l', 'no', 'false']]);
+        const escaping = jqlFlow('labels = x) OR (project = FOO');
+        const { engine, submit, jira } = await setup([escaping]);
+
+        const messages = (flow) => engine.validateFlow(flow).issues.map(issue => issue.message);
+        assert.deepEqual(messages(escaping), ['Logic node has a JQL condition that is not valid: a closing parenthesis has no opening one.']);
+        assert.deepEqual(messages(jqlFlow('summary ~ "x) OR (y')), ['Logic node has a JQL condition that is not valid: a " quote is not closed.']);
+        assert.deepEqual(messages(jqlFlow('summary ~ "x) OR (y" AND (labels = a)')), []);
+
+        const state = await submit('s');
+
+        assert.equal(state.failed.reason, 'conditionError');
+        assert.match(state.failed.error, /JQL condition is not valid/);
+        assert.equal(jira.calls.filter(call => call.method === 'searchIssues').length, 0);
+    });
+
+    it('stops the run when a JQL search fails', async () => {
+        const jqlFlow = buildFlow('f', [
+            start,
+            {
+                id: 'l',
+                type: 'logic',
+                data: {
+                    conditionGroup: {
+                        type: 'group',
+                        id: 'root',
+                        combinator: 'and',
+                        children: [{ type: 'condition', id: 'c1', conditionType: 'jql', jql: 'labels = urgent' }]
+                    }
+                }
+            },
+            comment('yes', 'Urgent'),
+            comment('no', 'Not urgent')
+        ], [['s', 'l'], ['l', 'yes', 'true'], ['l', 'no', 'false']]);
+        const { submit, jira } = await setup([jqlFlow], {
+            overrides: { searchIssues: async () => response(400, { errorMessages: ['Field labelz does not exist'] }) }
+        });
+
+        const state = await submit('s');
+
+        assert.equal(state.failed.nodeId, 'l');
+        assert.match(state.failed.error, /JQL search failed: 400 Field labelz does not exist/);
+        assert.equal(commentsAdded(jira), 0);
+    });
+});
+
+describe('switch node', () => {
+    const caseFor = (id, value) => ({
+        id,
+        label: value,
+        conditionGroup: {
+            type: 'group',
+            id: `group-${id}`,
+            combinator: 'and',
+            children: [{ type: 'condition', id: `c-${id}`, fieldKey: 'priority', operator: 'equals', expectedValue: value }]
+        }
+    });
+    const flow = buildFlow('f', [
+        start,
+        { id: 'w', type: 'switch', data: { cases: [caseFor('high', 'High'), caseFor('low', 'Low')] } },
+        comment('a', 'High'),
+        comment('b', 'Low'),
+        comment('c', 'Other')
+    ], [['s', 'w'], ['w', 'a', 'case-high'], ['w', 'b', 'case-low'], ['w', 'c', 'default']]);
+
+    it('follows the first matching case', async () => {
+        const { submit } = await setup([flow], { issue: { key: ISSUE_KEY, fields: { priority: 'Low' } } });
+
+        const state = await submit('s');
+
+        assert.deepEqual(state.path, ['s', 'w', 'b']);
+    });
+
+    it('fetches the issue and the field definitions once for all cases', async () => {
+        const dated = buildFlow('f', [
+            start,
+            {
+                id: 'w',
+                type: 'switch',
+                data: {
+                    cases: [caseFor('high', 'High'), {
+                        id: 'due',
+                        label: 'Due',
+                        conditionGroup: {
+                            type: 'group',
+                            id: 'group-due',
+                            combinator: 'and',
+                            children: [{ type: 'condition', id: 'c-due', fieldKey: 'duedate', operator: 'isNotEmpty' }]
+                        }
+                    }]
+                }
+            },
+            comment('a', 'High'),
+            comment('b', 'Due'),
+            comment('c', 'Other')
+        ], [['s', 'w'], ['w', 'a', 'case-high'], ['w', 'b', 'case-due'], ['w', 'c', 'default']]);
+        const { submit, jira } = await setup([dated], {
+            issue: { key: ISSUE_KEY, fields: { priority: 'Low', duedate: '2026-10-20' } },
+            fields: [{ id: 'priority', schema: { type: 'priority' } }, { id: 'duedate', schema: { type: 'date' } }]
+        });
+
+        const state = await submit('s');
+
+        assert.deepEqual(state.path, ['s', 'w', 'b']);
+        assert.equal(jira.calls.filter(call => call.method === 'getIssue').length, 1);
+        assert.equal(jira.calls.filter(call => call.method === 'getFields').length, 1);
+    });
+
+    it('follows the default branch when no case matches and logs the decision', async () => {
+        const { submit, storage } = await setup([flow], { issue: { key: ISSUE_KEY, fields: { priority: 'Medium' } } });
+
+        const state = await submit('s');
+
+        assert.deepEqual(state.path, ['s', 'w', 'c']);
+        const logs = await storage.get(auditKey(ISSUE_KEY, 'f'));
+        const decision = logs.find(entry => entry.decision).decision;
+        assert.equal(decision.handle, 'default');
+    });
+
+    it('stops the run instead of taking the default branch when the issue cannot be fetched', async () => {
+        let failures = 1;
+        const { submit, storage } = await setup([flow], {
+            overrides: {
+                getIssue: async () => (failures-- > 0
+                    ? response(500)
+                    : response(200, { key: ISSUE_KEY, fields: { priority: 'High' } }))
+            }
+        });
+
+        const failed = await submit('s');
+        assert.equal(failed.failed.nodeId, 'w');
+        assert.equal(failed.failed.reason, 'conditionError');
+        assert.equal(failed.steps[1].evaluation.cases[0].error, 'Failed to fetch issue: 500');
+        assert.equal(await storage.get(auditKey(ISSUE_KEY, 'f')), undefined);
+
+        const retried = await submit('w');
+        assert.deepEqual(retried.path, ['s', 'w', 'a']);
+    });
+});
+
+describe('action node', () => {
+    it('runs the action, logs it and completes the flow at the last node', async () => {
+        const { submit, storage, jira } = await setup([buildFlow('f', [start, comment('a', 'Hello')], [['s', 'a']])]);
+
+        const state = await submit('s');
+
+        assert.equal(state.completed, true);
+        assert.equal(commentsAdded(jira), 1);
+        const logs = await storage.get(auditKey(ISSUE_KEY, 'f'));
+        assert.equal(logs.filter(entry => entry.action).length, 1);
+        assert.equal(logs[0].result.success, true);
+    });
+
+    it('waits for the user to confirm actions that ask for it', async () => {
+        const { submit, jira } = await setup([buildFlow('f', [
+            start,
+            { ...comment('a', 'Hello'), data: { ...comment('a', 'Hello').data, requireConfirmation: true } }
+        ], [['s', 'a']])]);
+
+        const waiting = await submit('s');
+        assert.equal(waiting.currentNodeId, 'a');
+        assert.equal(commentsAdded(jira), 0);
+
+        const state = await submit('a');
+        assert.equal(state.completed, true);
+        assert.equal(commentsAdded(jira), 1);
+    });
+
+    it('stops the run on a failed action until it is retried', async () => {
+        let failures = 1;
+        const { submit, jira } = await setup([buildFlow('f', [start, comment('a', 'Hello')], [['s', 'a']])], {
+            overrides: {
+                addComment: async () => (failures-- > 0 ? response(400, { errorMessages: ['Nope'] }) : response(201, { id: '1' }))
+            }
+        });
+
+        const failed = await submit('s');
+        assert.equal(failed.failed.nodeId, 'a');
+        assert.equal(failed.completed, false);
+
+        const retried = await submit('a');
+        assert.equal(retried.failed, null);
+        assert.equal(retried.completed, true);
+        assert.equal(commentsAdded(jira), 2);
+    });
+
+    it('follows the error branch of a failed action', async () => {
+        const { submit } = await setup([buildFlow('f', [
+            start,
+            comment('a', 'Hello'),
+            { id: 'q', type: 'question', data: { question: 'What now?', questionType: 'text' } }
+        ], [['s', 'a'], ['a', 'q', 'error']])], {
+            overrides: { addComment: async () => response(500) }
+        });
+
+        const state = await submit('s');
+
+        assert.equal(state.failed, null);
+        assert.equal(state.currentNodeId, 'q');
+    });
+});
+
+describe('sub-flow node', () => {
+    const child = buildFlow('child', [
+        start,
+        { id: 'q', type: 'question', data: { question: 'Inner?', questionType: 'text' } },
+        comment('inner', 'Inside')
+    ], [['s', 'q'], ['q', 'inner']]);
+    const parent = buildFlow('parent', [
+        start,
+        { id: 'sub', type: 'subflow', data: { subflowId: 'child' } },
+        comment('after', 'Back')
+    ], [['s', 'sub'], ['sub', 'after']]);
+
+    it('runs the sub-flow inline and returns to its own edges', async () => {
+        const { submit, jira } = await setup([parent, child]);
+
+        const entered = await submit('s', null, 'parent');
+        assert.equal(entered.currentNodeId, 'sub#0/q');
+
+        const state = await submit('sub#0/q', 'Inside', 'parent');
+        assert.equal(state.answers['sub#0/q'], 'Inside');
+        assert.deepEqual(state.path, ['s', 'sub', 'sub#0/s', 'sub#0/q', 'sub#0/inner', 'after']);
+        assert.equal(state.completed, true);
+        assert.equal(commentsAdded(jira), 2);
+    });
+
+    it('refuses a sub-flow that is not published', async () => {
+        const { submit } = await setup([parent]);
+
+        const state = await submit('s', null, 'parent');
+
+        assert.equal(state.currentNodeId, 'sub');
+        assert.match(state.steps[1].error, /sub-flow was not found/);
+    });
+});
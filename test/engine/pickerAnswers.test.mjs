@@ -0,0 +1,134 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFlowEngine } from '../../src/engine/flowEngine.js';
+import { validatePickerConfig, MAX_PICKED } from '../../src/engine/pickerAnswers.js';
+import { createMemoryStorage, createFakeJira, publishFlow, buildFlow, response, silenceLogs } from './fakes.mjs';
+
+before(silenceLogs);
+
+const ISSUE_KEY = 'TEST-1';
+
+/**
+ * Publish a flow that asks one picker question, start it and return a way to answer it
+ * @param {Object} data - The question node data
+ * @param {Object} jiraOptions - Options for createFakeJira
+ * @returns {Promise<Object>} `{ answer, jira }`, where `answer(value)` submits the question
+ */
+async function askPicker(data, jiraOptions = {}) {
+    const storage = createMemoryStorage();
+    const jira = createFakeJira(jiraOptions);
+    const engine = createFlowEngine({ jira, storage });
+    await publishFlow(storage, buildFlow('f', [
+        { id: 's', type: 'start', data: {} },
+        { id: 'q', type: 'question', data: { question: 'Who or what?', ...data } },
+        { id: 'next', type: 'question', data: { question: 'Anything else?', questionType: 'text' } }
+    ], [['s', 'q'], ['q', 'next']]));
+
+    const submit = (nodeId, answer = null) => engine.submitAnswer({ issueKey: ISSUE_KEY, flowId: 'f', nodeId, answer });
+    await submit('s');
+
+    return { answer: (value) => submit('q', value), jira };
+}
+
+// Users by account ID, with the IDs of their groups
+const users = {
+    alice: { displayName: 'Alice', active: true, groups: ['g-dev'] },
+    bob: { displayName: 'Bob', active: true, groups: ['g-ops'] },
+    carol: { displayName: 'Carol', active: false, groups: [] }
+};
+const userOverrides = {
+    getUser: async (accountId) => (users[accountId] ? response(200, { accountId, ...users[accountId] }) : response(404)),
+    getUserGroups: async (accountId) => response(200, users[accountId].groups.map(groupId => ({ groupId })))
+};
+
+describe('user questions', () => {
+    it('store the picked account ID, or a list of them with allowMultiple', async () => {
+        const single = await askPicker({ questionType: 'user' }, { overrides: userOverrides });
+        const multiple = await askPicker({ questionType: 'user', allowMultiple: true }, { overrides: userOverrides });
+
+        assert.equal((await single.answer({ accountId: 'alice', label: 'Alice' })).answers.q, 'alice');
+        assert.deepEqual((await multiple.answer(['alice', 'bob', 'alice'])).answers.q, ['alice', 'bob']);
+    });
+
+    it('refuse users that do not exist, are inactive or are too many', async () => {
+        const { answer } = await askPicker({ questionType: 'user' }, { overrides: userOverrides });
+
+        assert.match((await answer('dave')).error, /User dave was not found/);
+        assert.match((await answer('carol')).error, /Carol is not an active user/);
+        assert.match((await answer(['alice', 'bob'])).error, /Please pick a single user/);
+    });
+
+    it('only accept members of the group the question is restricted to', async () => {
+        const { answer } = await askPicker(
+            { questionType: 'user', userRestriction: 'group', groupId: 'g-dev', groupName: 'developers' },
+            { overrides: userOverrides }
+        );
+
+        assert.match((await answer('bob')).error, /Bob is not a member of developers/);
+        assert.equal((await answer('alice')).answers.q, 'alice');
+    });
+
+    it('accept members of a project role directly or through a group', async () => {
+        const { answer, jira } = await askPicker(
+            { questionType: 'user', userRestriction: 'role', roleId: '10002', roleName: 'Reviewers', allowMultiple: true },
+            {
+                issue: { key: ISSUE_KEY, fields: { project: { key: 'TEST' } } },
+                overrides: {
+                    ...userOverrides,
+                    getProjectRole: async () => response(200, {
+                        actors: [{ actorUser: { accountId: 'carol' } }, { actorGroup: { groupId: 'g-ops' } }]
+                    }),
+                    getUser: async (accountId) => response(200, { accountId, ...users[accountId], active: true })
+                }
+            }
+        );
+
+        assert.match((await answer(['bob', 'alice'])).error, /Alice is not in the Reviewers role of this project/);
+        assert.deepEqual((await answer(['carol', 'bob'])).answers.q, ['carol', 'bob']);
+        assert.deepEqual(jira.calls.filter(call => call.method === 'getProjectRole')[0].args, ['TEST', '10002']);
+    });
+});
+
+describe('issue questions', () => {
+    it('store the picked issue keys after checking them against the filter', async () => {
+        const searches = [];
+        const { answer } = await askPicker(
+            { questionType: 'issue', issueJql: 'project = TEST', allowMultiple: true },
+            {
+                search: (body) => {
+                    searches.push(body.jql);
+                    return [{ key: 'TEST-2' }];
+                }
+            }
+        );
+
+        const refused = await answer(['test-2', 'OTHER-1']);
+        const state = await answer([{ key: 'TEST-2' }]);
+
+        assert.equal(refused.error, 'OTHER-1 cannot be picked for this question');
+        assert.deepEqual(state.answers.q, ['TEST-2']);
+        assert.deepEqual(searches, ['(project = TEST) AND key in ("TEST-2", "OTHER-1")', '(project = TEST) AND key in ("TEST-2")']);
+    });
+
+    it('report issues that cannot be found', async () => {
+        const { answer } = await askPicker({ questionType: 'issue' });
+
+        assert.equal((await answer('TEST-9')).error, 'TEST-9 was not found');
+    });
+});
+
+describe('validatePickerConfig', () => {
+    it('requires the group or role a user question is restricted to', () => {
+        assert.deepEqual(validatePickerConfig({ questionType: 'user', userRestriction: 'group' }), [
+            'User question is restricted to a group but no group is selected.'
+        ]);
+        assert.deepEqual(validatePickerConfig({ questionType: 'user', userRestriction: 'role' }), [
+            'User question is restricted to a project role but no role is selected.'
+        ]);
+        assert.deepEqual(validatePickerConfig({ questionType: 'user', userRestriction: 'team' }), [
+            'User question has an unknown restriction: team'
+        ]);
+        assert.deepEqual(validatePickerConfig({ questionType: 'issue', issueJql: 'project = TEST' }), []);
+        assert.equal(MAX_PICKED, 20);
+    });
+});
@@ -0,0 +1,104 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFlowEngine } from '../../src/engine/flowEngine.js';
+import { defaultNodeHandlers } from '../../src/engine/nodes/index.js';
+import { createMemoryStorage, createFakeJira, publishFlow, buildFlow, silenceLogs } from './fakes.mjs';
+
+before(silenceLogs);
+
+describe('node handler registry', () => {
+    it('registers the built-in handlers by default', () => {
+        const engine = createFlowEngine({ jira: createFakeJira(), storage: createMemoryStorage() });
+
+        ['start', 'question', 'logic', 'switch', 'action', 'subflow'].forEach(type => {
+            assert.equal(engine.getNodeHandler(type).type, type);
+        });
+        assert.equal(engine.getNodeHandler('unknown'), null);
+    });
+
+    it('registers only the handlers it is given', () => {
+        const engine = createFlowEngine({
+            jira: createFakeJira(),
+            storage: createMemoryStorage(),
+            nodeHandlers: defaultNodeHandlers.filter(handler => handler.type !== 'switch')
+        });
+
+        assert.equal(engine.getNodeHandler('switch'), null);
+        assert.equal(engine.getNodeHandler('start').type, 'start');
+    });
+
+    it('rejects handlers without a type or a run function', () => {
+        const engine = createFlowEngine({ jira: createFakeJira(), storage: createMemoryStorage() });
+
+        assert.throws(() => engine.registerNodeHandler({ type: 'note' }), /type and a run function/);
+        assert.throws(() => engine.registerNodeHandler({ run: async () => ({}) }), /type and a run function/);
+    });
+
+    it('runs nodes of a registered custom type', async () => {
+        const storage = createMemoryStorage();
+        const engine = createFlowEngine({ jira: createFakeJira(), storage });
+        const runs = [];
+        engine.registerNodeHandler({
+            type: 'note',
+            runsAutomatically: () => true,
+            async run(ctx) {
+                runs.push(ctx.node.id);
+                return { nextNodeId: ctx.next() };
+            }
+        });
+
+        await publishFlow(storage, buildFlow('f', [
+            { id: 's', type: 'start', data: {} },
+            { id: 'n', type: 'note', data: {} },
+            { id: 'q', type: 'question', data: { question: 'Why?', questionType: 'text' } }
+        ], [['s', 'n'], ['n', 'q']]));
+
+        const state = await engine.submitAnswer({ issueKey: 'TEST-1', flowId: 'f', nodeId: 's', answer: null });
+
+        assert.deepEqual(runs, ['n']);
+        assert.equal(state.currentNodeId, 'q');
+        assert.deepEqual(state.path, ['s', 'n']);
+    });
+
+    it('replaces the handler of a built-in type', async () => {
+        const storage = createMemoryStorage();
+        const engine = createFlowEngine({ jira: createFakeJira(), storage });
+        engine.registerNodeHandler({ type: 'start', run: async () => ({ completed: true }) });
+
+        await publishFlow(storage, buildFlow('f', [{ id: 's', type: 'start', data: {} }], []));
+        const state = await engine.submitAnswer({ issueKey: 'TEST-1', flowId: 'f', nodeId: 's', answer: null });
+
+        assert.equal(state.completed, true);
+    });
+
+    it('refuses to run nodes of a type without a handler', async () => {
+        const storage = createMemoryStorage();
+        const engine = createFlowEngine({ jira: createFakeJira(), storage });
+
+        await publishFlow(storage, buildFlow('f', [
+            { id: 's', type: 'start', data: {} },
+            { id: 'x', type: 'mystery', data: {} }
+        ], [['s', 'x']]));
+        await engine.submitAnswer({ issueKey: 'TEST-1', flowId: 'f', nodeId: 's', answer: null });
+        const result = await engine.submitAnswer({ issueKey: 'TEST-1', flowId: 'f', nodeId: 'x', answer: null });
+
+        assert.equal(result.error, 'Unsupported node type: mystery');
+    });
+
+    it('validates flows with the registered handlers', () => {
+        const engine = createFlowEngine({ jira: createFakeJira(), storage: createMemoryStorage() });
+        engine.registerNodeHandler({
+            type: 'note',
+            validate: (node) => (node.data.text ? [] : [{ code: 'emptyNote', message: 'Note has no text.' }]),
+            run: async (ctx) => ({ nextNodeId: ctx.next() })
+        });
+
+        const flow = buildFlow('f', [
+            { id: 's', type: 'start', data: {} },
+            { id: 'n', type: 'note', data: {} }
+        ], [['s', 'n']]);
+        const codes = engine.validateFlow(flow).issues.map(issue => issue.code);
+
+        assert.ok(codes.includes('emptyNote'));
+    });
+});
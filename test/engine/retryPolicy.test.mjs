@@ -0,0 +1,121 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFlowEngine } from '../../src/engine/flowEngine.js';
+import { auditKey } from '../../src/engine/audit.js';
+import { withRetries, createDeadline } from '../../src/engine/retryPolicy.js';
+import { createMemoryStorage, createFakeJira, publishFlow, buildFlow, response, silenceLogs } from './fakes.mjs';
+
+before(silenceLogs);
+
+describe('withRetries', () => {
+    it('retries rate-limited and failing requests up to maxRetries', async () => {
+        const statuses = [429, 503, 204];
+        const jira = createFakeJira({ overrides: { updateIssue: async () => response(statuses.shift()) } });
+        const retries = [];
+
+        const result = await withRetries(jira, { maxRetries: 3, retryDelayMs: 1 }, retry => retries.push(retry))
+            .updateIssue('TEST-1', {});
+
+        assert.equal(result.status, 204);
+        assert.deepEqual(retries.map(retry => retry.status), [429, 503]);
+    });
+
+    it('does not send a request that is not safe to repeat again after a server error', async () => {
+        const jira = createFakeJira({ overrides: { addComment: async () => response(503), createIssue: async () => response(502) } });
+        const retrying = withRetries(jira, { maxRetries: 3, retryDelayMs: 1 });
+
+        assert.equal((await retrying.addComment('TEST-1', {})).status, 503);
+        assert.equal((await retrying.createIssue({})).status, 502);
+        assert.deepEqual(jira.calls.map(call => call.method), ['addComment', 'createIssue']);
+    });
+
+    it('retries requests that are not safe to repeat when rate limited', async () => {
+        const statuses = [429, 201];
+        const jira = createFakeJira({ overrides: { addComment: async () => response(statuses.shift()) } });
+
+        const result = await withRetries(jira, { maxRetries: 3, retryDelayMs: 1 }).addComment('TEST-1', {});
+
+        assert.equal(result.status, 201);
+        assert.equal(jira.calls.length, 2);
+    });
+
+    it('does not retry client errors', async () => {
+        const jira = createFakeJira({ overrides: { addComment: async () => response(400) } });
+
+        const result = await withRetries(jira, { maxRetries: 3, retryDelayMs: 1 }).addComment('TEST-1', {});
+
+        assert.equal(result.status, 400);
+        assert.equal(jira.calls.length, 1);
+    });
+
+    it('stops retrying when the wait would run past the deadline', async () => {
+        const jira = createFakeJira({ overrides: { addComment: async () => response(429) } });
+        const retries = [];
+
+        // Waits of 100ms then 200ms; only the first fits in 250ms
+        const result = await withRetries(jira, { maxRetries: 5, retryDelayMs: 100 }, retry => retries.push(retry),
+            createDeadline(250)).addComment('TEST-1', {});
+
+        assert.equal(result.status, 429);
+        assert.equal(retries.length, 1);
+        assert.equal(jira.calls.length, 2);
+    });
+
+    it('does not wait for a Retry-After beyond the deadline', async () => {
+        const jira = createFakeJira({ overrides: { addComment: async () => response(429, {}, { 'Retry-After': '10' }) } });
+        const startedAt = Date.now();
+
+        const result = await withRetries(jira, { maxRetries: 5, retryDelayMs: 100 }, () => {}, createDeadline(1000))
+            .addComment('TEST-1', {});
+
+        assert.equal(result.status, 429);
+        assert.equal(jira.calls.length, 1);
+        assert.ok(Date.now() - startedAt < 500);
+    });
+});
+
+describe('createDeadline', () => {
+    it('never outlasts its parent', () => {
+        const parent = createDeadline(100);
+        const child = createDeadline(10000, parent);
+
+        assert.ok(child.remainingMs() <= 100);
+        assert.equal(createDeadline(-5).remainingMs(), 0);
+    });
+});
+
+describe('action retries in a submission', () => {
+    it('end within the time budget and the failure is logged', async () => {
+        const storage = createMemoryStorage();
+        const jira = createFakeJira({ overrides: { addComment: async () => response(429) } });
+        const engine = createFlowEngine({ jira, storage, timeBudgetMs: 250 });
+        await publishFlow(storage, buildFlow('f', [
+            { id: 's', type: 'start', data: {} },
+            { id: 'a', type: 'action', data: { actionType: 'addComment', comment: 'Hi', maxRetries: 5, retryDelayMs: 100 } }
+        ], [['s', 'a']]));
+
+        const state = await engine.submitAnswer({ issueKey: 'TEST-1', flowId: 'f', nodeId: 's', answer: null });
+
+        assert.equal(state.failed.nodeId, 'a');
+        assert.equal(jira.calls.filter(call => call.method === 'addComment').length, 2);
+        const logs = await storage.get(auditKey('TEST-1', 'f'));
+        assert.equal(logs.find(entry => entry.action).retries.length, 1);
+    });
+
+    it('stop running nodes automatically once the budget is spent', async () => {
+        const storage = createMemoryStorage();
+        const jira = createFakeJira();
+        const engine = createFlowEngine({ jira, storage, timeBudgetMs: 0 });
+        await publishFlow(storage, buildFlow('f', [
+            { id: 's', type: 'start', data: {} },
+            { id: 'a', type: 'action', data: { actionType: 'addComment', comment: 'Hi' } }
+        ], [['s', 'a']]));
+
+        const stopped = await engine.submitAnswer({ issueKey: 'TEST-1', flowId: 'f', nodeId: 's', answer: null });
+        assert.equal(stopped.currentNodeId, 'a');
+        assert.equal(jira.calls.length, 0);
+
+        const state = await engine.submitAnswer({ issueKey: 'TEST-1', flowId: 'f', nodeId: 'a', answer: null });
+        assert.equal(state.completed, true);
+    });
+});
@@ -0,0 +1,190 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFlowEngine } from '../../src/engine/flowEngine.js';
+import { auditKey } from '../../src/engine/audit.js';
+import { executionKey } from '../../src/engine/storageKeys.js';
+import { planRevert, checkRevertPermission } from '../../src/engine/revert.js';
+import { createMemoryStorage, createFakeJira, publishFlow, buildFlow, response, silenceLogs } from './fakes.mjs';
+
+before(silenceLogs);
+
+const ISSUE_KEY = 'TEST-1';
+const context = { accountId: 'user-1' };
+
+// Sets a field, adds a label and a comment, then ends
+const flow = buildFlow('f', [
+    { id: 's', type: 'start', data: {} },
+    { id: 'field', type: 'action', data: { actionType: 'setField', fieldKey: 'summary', fieldValue: 'New' } },
+    { id: 'label', type: 'action', data: { actionType: 'addLabel', label: 'triaged' } },
+    { id: 'comment', type: 'action', data: { actionType: 'addComment', comment: 'Triaged' } }
+], [['s', 'field'], ['field', 'label'], ['label', 'comment']]);
+
+/**
+ * Run the flow to the end for user-1
+ * @param {Object} overrides - Jira method overrides (getMyPermissions grants Edit Issues unless replaced)
+ * @returns {Promise<Object>} `{ engine, storage, jira }`
+ */
+async function runFlow(overrides = {}) {
+    const storage = createMemoryStorage();
+    const jira = createFakeJira({
+        issue: { key: ISSUE_KEY, fields: { summary: 'Old', labels: [] } },
+        overrides: {
+            getMyPermissions: async () => response(200, { permissions: { EDIT_ISSUES: { havePermission: true } } }),
+            ...overrides
+        }
+    });
+    const engine = createFlowEngine({ jira, storage });
+    await publishFlow(storage, flow);
+    await engine.submitAnswer({ issueKey: ISSUE_KEY, flowId: 'f', nodeId: 's', answer: null, context });
+
+    return { engine, storage, jira };
+}
+
+const revertCalls = (jira) => jira.calls
+    .filter(call => ['updateIssue', 'deleteComment'].includes(call.method))
+    .map(call => call.method);
+
+/**
+ * Build a successful action audit entry
+ * @param {string} actionType - The action type
+ * @param {Object} data - The recorded result data
+ * @param {string} accountId - The user who ran the action
+ * @returns {Object} Audit entry
+ */
+const actionEntry = (actionType, data, accountId = 'user-1') => ({
+    runId: 'run-1',
+    nodeId: `${actionType}-node`,
+    action: { actionType },
+    result: { success: true, data },
+    actor: { accountId }
+});
+
+describe('planRevert', () => {
+    it('undoes field values, added labels and comments, newest first', () => {
+        const steps = planRevert([
+            actionEntry('setField', { fieldKey: 'priority', value: { id: '2' }, previousValue: { id: '3', name: 'Low' } }),
+            actionEntry('addLabel', { label: 'triaged', alreadyPresent: false }),
+            actionEntry('addComment', { id: '100' })
+        ]);
+
+        assert.deepEqual(steps.map(step => [step.operation, step.entryIndex, step.description]), [
+            ['deleteComment', 2, 'Delete the comment the run added'],
+            ['removeLabel', 1, 'Remove label "triaged"'],
+            ['restoreField', 0, 'Set priority back to "Low"']
+        ]);
+    });
+
+    it('keeps changes it cannot undo safely', () => {
+        const failed = { ...actionEntry('addComment', {}), result: { success: false, error: 'API error: 500' } };
+        const steps = planRevert([
+            actionEntry('setField', { fieldKey: 'summary', value: 'New' }),
+            actionEntry('addLabel', { label: 'old', alreadyPresent: true }),
+            actionEntry('addLabel', { label: 'unknown' }),
+            actionEntry('addComment', {}),
+            actionEntry('transitionIssue', {}),
+            failed
+        ]);
+
+        assert.deepEqual(steps.map(step => [step.operation, step.description]), [
+            ['skip', 'transitionIssue actions cannot be reverted'],
+            ['skip', 'Comment: its ID was not recorded'],
+            ['skip', 'Label "unknown": not known whether the run added it'],
+            ['skip', 'Label "old" was already on the issue'],
+            ['skip', 'Field summary: the previous value was not recorded']
+        ]);
+    });
+
+    it('leaves out the changes earlier partial reverts undid', () => {
+        const entries = [actionEntry('addLabel', { label: 'a', alreadyPresent: false }), actionEntry('addComment', { id: '100' })];
+        const earlier = { revert: { runId: 'run-1', reverted: [{ entryIndex: 0 }], skipped: [], failed: [{ entryIndex: 1 }] } };
+
+        assert.deepEqual(planRevert(entries, [earlier]).map(step => step.entryIndex), [1]);
+    });
+});
+
+describe('checkRevertPermission', () => {
+    const entries = [actionEntry('addComment', { id: '100' }, 'user-1')];
+    const jiraWith = (permissions, status = 200) => createFakeJira({
+        overrides: {
+            getMyPermissions: async () => response(status, {
+                permissions: Object.fromEntries(permissions.map(key => [key, { havePermission: true }]))
+            })
+        }
+    });
+
+    it('lets users who can edit the issue revert runs they took part in', async () => {
+        assert.deepEqual(await checkRevertPermission(jiraWith(['EDIT_ISSUES']), ISSUE_KEY, 'user-1', entries), { allowed: true });
+    });
+
+    it('lets project administrators revert runs of other users', async () => {
+        assert.deepEqual(await checkRevertPermission(jiraWith(['EDIT_ISSUES']), ISSUE_KEY, 'user-2', entries), {
+            allowed: false,
+            reason: 'Only users who took part in the run and project administrators can revert it.'
+        });
+        assert.deepEqual(await checkRevertPermission(jiraWith(['EDIT_ISSUES', 'ADMINISTER_PROJECTS']), ISSUE_KEY, 'user-2', entries), {
+            allowed: true
+        });
+    });
+
+    it('requires the Edit Issues permission', async () => {
+        assert.deepEqual(await checkRevertPermission(jiraWith(['ADMINISTER_PROJECTS']), ISSUE_KEY, 'user-1', entries), {
+            allowed: false,
+            reason: 'You need permission to edit this issue to revert a run.'
+        });
+        assert.deepEqual(await checkRevertPermission(jiraWith([], 503), ISSUE_KEY, 'user-1', entries), {
+            allowed: false,
+            reason: 'Could not check your permissions: 503'
+        });
+    });
+});
+
+describe('revertRun', () => {
+    it('undoes the run newest first and resets the execution', async () => {
+        const { engine, storage, jira } = await runFlow();
+        jira.calls.length = 0;
+
+        const result = await engine.revertRun({ issueKey: ISSUE_KEY, flowId: 'f', context });
+
+        assert.deepEqual(result.revert.reverted.map(step => step.operation), ['deleteComment', 'removeLabel', 'restoreField']);
+        assert.deepEqual(result.revert.failed, []);
+        assert.equal(result.state.currentNodeId, 's');
+        assert.deepEqual(revertCalls(jira), ['deleteComment', 'updateIssue', 'updateIssue']);
+        assert.deepEqual(jira.calls.filter(call => call.method === 'updateIssue')[1].args, [ISSUE_KEY, { fields: { summary: 'Old' } }]);
+        assert.equal(await storage.get(executionKey(ISSUE_KEY, 'f')), undefined);
+    });
+
+    it('keeps the run and its log when a change cannot be undone, and retries only that change', async () => {
+        const statuses = [403, 204];
+        const { engine, storage, jira } = await runFlow({ deleteComment: async () => response(statuses.shift()) });
+        const completed = await storage.get(executionKey(ISSUE_KEY, 'f'));
+        jira.calls.length = 0;
+
+        const partial = await engine.revertRun({ issueKey: ISSUE_KEY, flowId: 'f', context });
+
+        assert.deepEqual(partial.revert.failed.map(step => [step.operation, step.error]), [['deleteComment', 'API error: 403']]);
+        assert.equal(partial.revert.reverted.length, 2);
+        assert.deepEqual(await storage.get(executionKey(ISSUE_KEY, 'f')), completed);
+        const preview = await engine.previewRevert({ issueKey: ISSUE_KEY, flowId: 'f', context });
+        assert.deepEqual(preview.steps.map(step => step.operation), ['deleteComment']);
+
+        jira.calls.length = 0;
+        const retry = await engine.revertRun({ issueKey: ISSUE_KEY, flowId: 'f', context });
+
+        assert.deepEqual(revertCalls(jira), ['deleteComment']);
+        assert.deepEqual(retry.revert.reverted.map(step => step.operation), ['deleteComment']);
+        assert.equal(retry.state.currentNodeId, 's');
+        const logs = await storage.get(auditKey(ISSUE_KEY, 'f'));
+        assert.equal(logs.filter(entry => entry.revert).length, 2);
+        assert.match((await engine.previewRevert({ issueKey: ISSUE_KEY, flowId: 'f', context })).error, /not been run/);
+    });
+
+    it('refuses users who may not revert the run', async () => {
+        const { engine, jira } = await runFlow({ getMyPermissions: async () => response(200, { permissions: {} }) });
+        jira.calls.length = 0;
+
+        const result = await engine.revertRun({ issueKey: ISSUE_KEY, flowId: 'f', context });
+
+        assert.deepEqual(result, { error: 'You need permission to edit this issue to revert a run.' });
+        assert.deepEqual(revertCalls(jira), []);
+    });
+});
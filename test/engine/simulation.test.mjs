@@ -0,0 +1,79 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulateFlow } from '../../src/engine/simulation.js';
+import { createMemoryStorage, createFakeJira, buildFlow, silenceLogs } from './fakes.mjs';
+
+before(silenceLogs);
+
+// Asks why, then comments on high priority issues and notifies a webhook
+const flow = buildFlow('f', [
+    { id: 's', type: 'start', data: {} },
+    { id: 'q', type: 'question', data: { question: 'Why?', questionType: 'text' } },
+    { id: 'l', type: 'logic', data: { fieldKey: 'priority', operator: 'equals', expectedValue: 'High' } },
+    { id: 'urgent', type: 'action', data: { actionType: 'addComment', comment: 'Urgent: {{answers.q}}', requireConfirmation: true } },
+    { id: 'hook', type: 'action', data: { actionType: 'webhook', webhookUrl: 'https://hooks.example.com/decision', retryDelayMs: 0 } },
+    { id: 'calm', type: 'action', data: { actionType: 'addLabel', label: 'calm' } }
+], [['s', 'q'], ['q', 'l'], ['l', 'urgent', 'true'], ['l', 'calm', 'false'], ['urgent', 'hook']]);
+
+const issue = { key: 'TEST-1', fields: { priority: 'High' } };
+const now = new Date('2026-10-18T10:00:00Z');
+
+describe('simulateFlow', () => {
+    it('runs the flow on the snapshot and records the requests its actions would make', async () => {
+        const jira = createFakeJira();
+        const storage = createMemoryStorage();
+
+        const result = await simulateFlow({ flow, issue, answers: ['Outage'], now, jira, storage, context: { accountId: 'user-1' } });
+
+        assert.equal(result.completed, true);
+        assert.equal(result.stoppedAt, null);
+        assert.deepEqual(result.path.map(node => node.nodeId), ['s', 'q', 'l', 'urgent', 'hook']);
+        assert.deepEqual(result.answers, { q: 'Outage' });
+
+        const [logic] = result.evaluations.filter(entry => entry.nodeType === 'logic');
+        assert.equal(logic.result, true);
+        assert.equal(logic.conditions[0].fieldValue, 'High');
+
+        const [comment, webhook] = result.actions;
+        assert.deepEqual(comment.requests.map(request => request.request), ['addComment']);
+        assert.match(JSON.stringify(comment.requests[0].args[1]), /Urgent: Outage/);
+        assert.deepEqual(webhook.requests.map(request => [request.request, request.url]), [['webhook', 'https://hooks.example.com/decision']]);
+        assert.equal(webhook.requests[0].body.issueKey, 'TEST-1');
+
+        // Only reads reach Jira, and nothing is stored
+        assert.deepEqual(jira.calls.filter(call => ['addComment', 'updateIssue'].includes(call.method)), []);
+        assert.equal(storage.entries.size, 0);
+    });
+
+    it('decides on the snapshot rather than the issue in Jira', async () => {
+        const result = await simulateFlow({ flow, issue: { key: 'TEST-1', fields: { priority: 'Low' } }, answers: ['Typo'], now });
+
+        assert.deepEqual(result.path.map(node => node.nodeId), ['s', 'q', 'l', 'calm']);
+        assert.deepEqual(result.actions[0].requests[0].args[1], { update: { labels: [{ add: 'calm' }] } });
+    });
+
+    it('stops at a question without an answer, or one the next answer is not for', async () => {
+        const waiting = await simulateFlow({ flow, issue, now });
+        const mismatched = await simulateFlow({ flow, issue, answers: [{ nodeId: 'other', answer: 'x' }], now });
+
+        assert.equal(waiting.completed, false);
+        assert.deepEqual(waiting.stoppedAt, { nodeId: 'q', reason: 'Waiting for an answer' });
+        assert.deepEqual(mismatched.stoppedAt, {
+            nodeId: 'q',
+            reason: 'The next scripted answer is for node other, but the flow asks question q'
+        });
+        assert.deepEqual(mismatched.unusedAnswers, [{ nodeId: 'other', answer: 'x' }]);
+    });
+
+    it('reports answers the questions reject', async () => {
+        const numberFlow = buildFlow('n', [
+            { id: 's', type: 'start', data: {} },
+            { id: 'q', type: 'question', data: { question: 'Points?', questionType: 'number', validation: { max: 13 } } }
+        ], [['s', 'q']]);
+
+        const result = await simulateFlow({ flow: numberFlow, issue, answers: [40], now });
+
+        assert.equal(result.stoppedAt.nodeId, 'q');
+        assert.match(result.stoppedAt.reason, /13/);
+    });
+});
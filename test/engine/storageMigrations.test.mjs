@@ -0,0 +1,125 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFlowEngine, createInitialState } from '../../src/engine/flowEngine.js';
+import { runStorageMigrations } from '../../src/engine/storageMigrations.js';
+import { findOption } from '../../src/engine/questionOptions.js';
+import { flowKey, flowVersionKey, flowDraftKey, executionKey, storageMigrationsKey } from '../../src/engine/storageKeys.js';
+import { createMemoryStorage, createFakeJira, buildFlow, silenceLogs } from './fakes.mjs';
+
+before(silenceLogs);
+
+const ISSUE_KEY = 'TEST-1';
+
+// Flows as they were saved before option IDs: options are plain strings, edges and routes refer to them by position and text
+const singleChoice = {
+    status: 'published',
+    version: 1,
+    ...buildFlow('single', [
+        { id: 's', type: 'start', data: {} },
+        { id: 'q', type: 'question', data: { question: 'Ship it?', questionType: 'single', options: ['Yes', 'No'] } },
+        { id: 'yes', type: 'action', data: { actionType: 'addComment', comment: 'Shipping' } },
+        { id: 'no', type: 'action', data: { actionType: 'addComment', comment: 'Holding' } }
+    ], [['s', 'q'], ['q', 'yes', 'option-0'], ['q', 'no', 'option-1']])
+};
+// Option texts that look like positions
+const multipleChoice = {
+    status: 'published',
+    version: 1,
+    ...buildFlow('multiple', [
+        { id: 's', type: 'start', data: {} },
+        {
+            id: 'q',
+            type: 'question',
+            data: {
+                question: 'Levels?',
+                questionType: 'multiple',
+                options: ['1', '0'],
+                routes: [{ id: 'zero', label: 'Zero', match: 'any', options: ['0'] }]
+            }
+        },
+        { id: 'zero', type: 'action', data: { actionType: 'addComment', comment: 'Zero' } },
+        { id: 'other', type: 'action', data: { actionType: 'addComment', comment: 'Other' } }
+    ], [['s', 'q'], ['q', 'zero', 'route-zero'], ['q', 'other', 'source']])
+};
+
+/**
+ * Create storage holding the legacy flows, a draft and runs waiting on their questions
+ * @returns {Object} Storage adapter
+ */
+function createLegacyStorage() {
+    const waitingOn = (flow, answers = {}) => ({ ...createInitialState(flow), currentNodeId: 'q', path: ['s'], answers });
+
+    return createMemoryStorage({
+        [flowKey('single')]: singleChoice,
+        [flowVersionKey('single', 1)]: singleChoice,
+        [flowDraftKey('single')]: { ...singleChoice, status: 'draft', baseVersion: 1 },
+        [flowKey('multiple')]: multipleChoice,
+        [flowVersionKey('multiple', 1)]: multipleChoice,
+        [executionKey(ISSUE_KEY, 'single')]: waitingOn(singleChoice),
+        [executionKey(ISSUE_KEY, 'multiple')]: { ...waitingOn(multipleChoice), answerIterations: { q: [['0']] } }
+    });
+}
+
+describe('question-option-ids storage migration', () => {
+    it('rewrites the options of every stored flow head, revision and draft', async () => {
+        const storage = createLegacyStorage();
+
+        const ran = await runStorageMigrations(storage);
+
+        assert.deepEqual(ran, [{ id: 'question-option-ids', summary: { flows: 5, executions: 0 } }]);
+        for (const key of [flowKey('single'), flowVersionKey('single', 1), flowDraftKey('single')]) {
+            const flow = await storage.get(key);
+            assert.deepEqual(flow.nodes[1].data.options, [
+                { id: '0', label: 'Yes', value: 'Yes' },
+                { id: '1', label: 'No', value: 'No' }
+            ], key);
+        }
+        assert.equal((await storage.get(flowDraftKey('single'))).baseVersion, 1);
+    });
+
+    it('points multiple choice routes at options by the position of their text', async () => {
+        const storage = createLegacyStorage();
+
+        await runStorageMigrations(storage);
+
+        const question = (await storage.get(flowVersionKey('multiple', 1))).nodes[1];
+        assert.deepEqual(question.data.options.map(option => option.id), ['0', '1']);
+        assert.deepEqual(question.data.routes[0].options, ['1']);
+    });
+
+    it('runs once', async () => {
+        const storage = createLegacyStorage();
+        await runStorageMigrations(storage);
+        await storage.set(flowKey('single'), singleChoice);
+
+        const ran = await runStorageMigrations(storage);
+
+        assert.deepEqual(ran, []);
+        assert.deepEqual(await storage.get(storageMigrationsKey()), ['question-option-ids']);
+        assert.deepEqual((await storage.get(flowKey('single'))).nodes[1].data.options, ['Yes', 'No']);
+    });
+
+    it('leaves runs able to continue on the migrated flows', async () => {
+        const storage = createLegacyStorage();
+        const jira = createFakeJira();
+        const engine = createFlowEngine({ jira, storage });
+        await runStorageMigrations(storage);
+
+        const single = await engine.submitAnswer({ issueKey: ISSUE_KEY, flowId: 'single', nodeId: 'q', answer: 'No' });
+        const multiple = await engine.submitAnswer({ issueKey: ISSUE_KEY, flowId: 'multiple', nodeId: 'q', answer: ['0'] });
+
+        assert.deepEqual(single.path, ['s', 'q', 'no']);
+        assert.deepEqual(multiple.path, ['s', 'q', 'zero']);
+        assert.deepEqual(multiple.answerIterations.q[0], ['0']);
+    });
+});
+
+describe('findOption', () => {
+    it('matches answers by option value only', () => {
+        const options = [{ id: '0', label: 'Yes', value: 'yes' }, { id: '1', label: 'No', value: '0' }];
+
+        assert.equal(findOption(options, '0').id, '1');
+        assert.equal(findOption(options, '1'), null);
+        assert.equal(findOption(options, 'Yes'), null);
+    });
+});
@@ -0,0 +1,95 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTemplateRenderer, findTemplateProblems } from '../../src/engine/templates.js';
+import { createFakeJira, buildFlow, silenceLogs } from './fakes.mjs';
+
+before(silenceLogs);
+
+const ISSUE_KEY = 'TEST-1';
+
+const flow = buildFlow('f', [
+    { id: 's', type: 'start', data: {} },
+    {
+        id: 'kind',
+        type: 'question',
+        data: {
+            question: 'Kind?',
+            questionType: 'multiple',
+            options: [{ id: 'b', label: 'Bug', value: 'bug' }, { id: 't', label: 'Task | chore', value: 'task' }]
+        }
+    },
+    { id: 'why', type: 'question', data: { question: 'Why?', questionType: 'text' } },
+    { id: 'new', type: 'action', data: { actionType: 'createIssue' } }
+], [['s', 'kind'], ['kind', 'why'], ['why', 'new']]);
+
+/**
+ * Create a renderer for the flow above
+ * @param {Object} answers - The answers
+ * @param {Object} options - `{ issue, createdIssues, answerIterations }`
+ * @returns {Object} `{ render, jira }`
+ */
+function setup(answers, { issue = { key: ISSUE_KEY, fields: {} }, createdIssues = {}, answerIterations = {} } = {}) {
+    const jira = createFakeJira({ issue });
+    const render = createTemplateRenderer(jira, ISSUE_KEY, flow, answers, { accountId: 'user-1' }, createdIssues, answerIterations);
+    return { render, jira };
+}
+
+describe('createTemplateRenderer', () => {
+    it('fills in answers, option labels, the user and created issues', async () => {
+        const { render } = setup({ kind: ['bug', 'task'], why: 'Crash' }, { createdIssues: { new: 'TEST-2' } });
+
+        assert.equal(
+            await render('{{answers.why}}: {{answers.kind.label | join:" / "}} by {{user.displayName}}, see {{created.new}}'),
+            'Crash: Bug / Task | chore by User user-1, see TEST-2'
+        );
+    });
+
+    it('reads issue fields once, and only when a template refers to them', async () => {
+        const { render, jira } = setup({}, { issue: { key: ISSUE_KEY, fields: { status: { name: 'Open' }, duedate: '2026-10-18' } } });
+
+        assert.equal(await render('{{issue.key}}'), ISSUE_KEY);
+        assert.equal(jira.calls.length, 0);
+        assert.equal(await render('{{issue.status.name | upper}} until {{issue.duedate | date:"d MMMM yyyy"}}'), 'OPEN until 18 October 2026');
+        assert.equal(await render('{{issue.status.name}}'), 'Open');
+        assert.equal(jira.calls.filter(call => call.method === 'getIssue').length, 1);
+    });
+
+    it('falls back for empty values and leaves other values unchanged', async () => {
+        const { render } = setup({ why: '' });
+
+        assert.equal(await render('{{answers.why | default:"none given"}}'), 'none given');
+        assert.equal(await render('No placeholders'), 'No placeholders');
+        assert.deepEqual(await render(['a']), ['a']);
+    });
+
+    it('lists every answer of a question a loop passed through', async () => {
+        const { render } = setup({ why: 'Third' }, { answerIterations: { why: ['First', 'Second', 'Third'] } });
+
+        assert.equal(await render('{{answers.why.all | join:"; "}}'), 'First; Second; Third');
+    });
+
+    it('builds a table of the answers, escaping the cell separator', async () => {
+        const { render } = setup({ kind: ['task'], why: 'Line one\nline two' });
+
+        assert.equal(await render('{{answerTable}}'), [
+            '| Question | Answer |',
+            '| --- | --- |',
+            '| Kind? | Task \\| chore |',
+            '| Why? | Line one line two |'
+        ].join('\n'));
+    });
+});
+
+describe('findTemplateProblems', () => {
+    it('reports variables and filters the flow cannot resolve', () => {
+        assert.deepEqual(findTemplateProblems('{{answers.why}} {{issue.summary}} {{created.new}} {{answerTable}}', flow), []);
+        assert.deepEqual(findTemplateProblems('{{answers.gone}} {{answers.why.labels}} {{user.phone}} {{created.why}} {{nope}} {{issue.key | shout}}', flow), [
+            '{{answers.gone}} refers to a question that is not in this flow.',
+            '{{answers.why.labels}} uses an unknown answer property "labels".',
+            '{{user.phone}} uses an unknown user property "phone".',
+            '{{created.why}} refers to a Create Issue action that is not in this flow.',
+            '{{nope}} is not a known variable.',
+            '{{issue.key | shout}} uses an unknown filter "shout".'
+        ]);
+    });
+});
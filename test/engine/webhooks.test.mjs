@@ -0,0 +1,190 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { createHmac } from 'node:crypto';
+import { createFlowEngine } from '../../src/engine/flowEngine.js';
+import { auditKey } from '../../src/engine/audit.js';
+import { saveWebhookSecret } from '../../src/engine/webhookSecrets.js';
+import { validateActionConfig } from '../../src/engine/actions.js';
+import { getWebhookHost, isAllowedWebhookHost } from '../../src/engine/webhooks.js';
+import { createMemoryStorage, createFakeJira, publishFlow, buildFlow, silenceLogs } from './fakes.mjs';
+
+before(silenceLogs);
+
+const ISSUE_KEY = 'TEST-1';
+
+// Local receiver: answers each request with the next queued reply (`{ status, delayMs }`, 200 once empty)
+const received = [];
+const replies = [];
+const timers = new Set();
+const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        const { status = 200, delayMs = 0 } = replies.shift() || {};
+        const timer = setTimeout(() => {
+            timers.delete(timer);
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ received: true }));
+        }, delayMs);
+        timers.add(timer);
+    });
+});
+let url;
+
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hooks/decision`;
+});
+
+after(async () => {
+    timers.forEach(timer => clearTimeout(timer));
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    received.length = 0;
+    replies.length = 0;
+});
+
+/**
+ * Publish a flow that asks one question and then sends a webhook, and run it to the end
+ * @param {Object} data - Webhook node data, merged over the URL and a fast retry delay
+ * @param {Object} options - `{ secret, timeBudgetMs }`
+ * @returns {Promise<Object>} `{ state, action }`, where `action` is the audit entry of the webhook
+ */
+async function runWebhook(data, { secret = null, timeBudgetMs } = {}) {
+    const storage = createMemoryStorage();
+    const engine = createFlowEngine({
+        jira: createFakeJira(),
+        storage,
+        http: { fetch: (target, options) => fetch(target, options) },
+        timeBudgetMs
+    });
+    await publishFlow(storage, buildFlow('f', [
+        { id: 's', type: 'start', data: {} },
+        { id: 'q', type: 'question', data: { question: 'Why?', questionType: 'text' } },
+        {
+            id: 'hook',
+            type: 'action',
+            data: { actionType: 'webhook', label: 'Notify', webhookUrl: url, retryDelayMs: 0, hasSigningSecret: Boolean(secret), ...data }
+        }
+    ], [['s', 'q'], ['q', 'hook']]));
+    if (secret) {
+        await saveWebhookSecret(storage, 'f', 'hook', secret);
+    }
+
+    const submit = (nodeId, answer = null) =>
+        engine.submitAnswer({ issueKey: ISSUE_KEY, flowId: 'f', nodeId, answer, context: { accountId: 'user-1' } });
+    await submit('s');
+    const state = await submit('q', 'Because');
+    const logs = await storage.get(auditKey(ISSUE_KEY, 'f'));
+
+    return { state, action: logs.find(entry => entry.action) };
+}
+
+describe('webhook delivery', () => {
+    it('posts the payload, signed with the node secret, and logs the response status', async () => {
+        replies.push({ status: 202 });
+
+        const { state, action } = await runWebhook({ webhookOutcome: 'Approved' }, { secret: 's3cret' });
+
+        assert.equal(state.completed, true);
+        assert.equal(received.length, 1);
+        const [{ headers, body }] = received;
+        const payload = JSON.parse(body);
+        assert.equal(headers['content-type'], 'application/json');
+        assert.equal(payload.event, 'decision-flow.webhook');
+        assert.equal(payload.issueKey, ISSUE_KEY);
+        assert.equal(payload.outcome, 'Approved');
+        assert.deepEqual(payload.answers.map(answer => [answer.nodeId, answer.value]), [['q', 'Because']]);
+        assert.deepEqual(payload.path, ['s', 'q', 'hook']);
+        assert.deepEqual(payload.actor, { accountId: 'user-1' });
+
+        const timestamp = headers['x-decision-flow-timestamp'];
+        const expected = createHmac('sha256', 's3cret').update(`${timestamp}.${body}`).digest('hex');
+        assert.equal(headers['x-decision-flow-signature'], `sha256=${expected}`);
+
+        assert.equal(action.result.success, true);
+        assert.equal(action.result.data.status, 202);
+        assert.match(action.result.data.responseBody, /received/);
+    });
+
+    it('sends unsigned requests without a secret', async () => {
+        await runWebhook({});
+
+        assert.equal(received[0].headers['x-decision-flow-signature'], undefined);
+    });
+
+    it('retries server errors and logs every attempt', async () => {
+        replies.push({ status: 503 }, { status: 500 });
+
+        const { state, action } = await runWebhook({ maxRetries: 2 });
+
+        assert.equal(state.completed, true);
+        assert.equal(received.length, 3);
+        assert.deepEqual(action.result.data.attempts.map(attempt => attempt.status), [503, 500, 200]);
+        assert.equal(action.result.data.status, 200);
+    });
+
+    it('does not retry client errors', async () => {
+        replies.push({ status: 404 });
+
+        const { state, action } = await runWebhook({ maxRetries: 2 });
+
+        assert.equal(state.failed.nodeId, 'hook');
+        assert.equal(received.length, 1);
+        assert.equal(action.result.error, 'Webhook returned 404');
+        assert.equal(action.result.data.status, 404);
+    });
+
+    it('aborts attempts that take longer than the timeout', async () => {
+        replies.push({ delayMs: 1500 });
+
+        const { state, action } = await runWebhook({ timeoutMs: 1000, maxRetries: 0 });
+
+        assert.equal(state.failed.nodeId, 'hook');
+        assert.match(action.result.error, /Timed out after 1000ms/);
+        assert.equal(action.result.data.status, null);
+    });
+
+    it('stops retrying when the wait would run past the request deadline', async () => {
+        replies.push({ status: 503 }, { status: 503 }, { status: 503 });
+
+        // Waits of 300ms then 600ms; only the first fits in 500ms
+        const { state, action } = await runWebhook({ maxRetries: 3, retryDelayMs: 300 }, { timeBudgetMs: 500 });
+
+        assert.equal(state.failed.nodeId, 'hook');
+        assert.equal(received.length, 2);
+        assert.match(action.result.error, /after 2 attempts \(no time left to retry\): status 503/);
+        assert.equal(action.result.data.status, 503);
+    });
+});
+
+describe('webhook hosts', () => {
+    const validate = (webhookUrl) => validateActionConfig({ actionType: 'webhook', webhookUrl });
+
+    it('reports URLs whose host the manifest does not allow', () => {
+        assert.deepEqual(validate('https://hooks.example.com/decision'), []);
+        assert.deepEqual(validate('https://user@HOOKS.example.com:8443/decision'), []);
+        assert.deepEqual(validate('https://hooks.example.org/decision'), [
+            'Webhook host hooks.example.org is not allowed by the app manifest (permissions.external.fetch.backend).'
+        ]);
+    });
+
+    it('leaves hosts that come from placeholders to be checked when the webhook is sent', () => {
+        assert.equal(getWebhookHost('https://{{answers.q}}/decision'), null);
+        assert.deepEqual(validate('{{answers.q}}/decision'), []);
+    });
+
+    it('matches wildcard patterns against subdomains only', () => {
+        const allowed = ['*.ci.example.com', 'https://hooks.slack.com'];
+
+        assert.equal(isAllowedWebhookHost('build.ci.example.com', allowed), true);
+        assert.equal(isAllowedWebhookHost('hooks.slack.com', allowed), true);
+        assert.equal(isAllowedWebhookHost('ci.example.com', allowed), false);
+        assert.equal(isAllowedWebhookHost('evilci.example.com', allowed), false);
+    });
+});